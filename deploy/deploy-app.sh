@@ -95,6 +95,9 @@ case "$1" in
     echo -e "${YELLOW}📊 Running database migrations...${NC}"
     cd "$APP_DIR"
     sudo -u "$APP_USER" node migrations/001-extend-instance-schema.js up
+    sudo -u "$APP_USER" node migrations/002-hash-api-keys.js up
+    sudo -u "$APP_USER" node migrations/003-dedupe-messages.js up
+    sudo -u "$APP_USER" node migrations/004-init-instance-counters.js up
 
     # Install systemd service
     echo -e "${YELLOW}⚙️  Installing systemd service...${NC}"
@@ -144,6 +147,9 @@ case "$1" in
     # Run migrations
     echo -e "${YELLOW}📊 Running migrations...${NC}"
     sudo -u "$APP_USER" node migrations/001-extend-instance-schema.js up
+    sudo -u "$APP_USER" node migrations/002-hash-api-keys.js up
+    sudo -u "$APP_USER" node migrations/003-dedupe-messages.js up
+    sudo -u "$APP_USER" node migrations/004-init-instance-counters.js up
 
     # Build frontend
     if [ -d "$APP_DIR/frontend" ]; then
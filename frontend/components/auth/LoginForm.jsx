@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import Link from 'next/link';
 import {
   Card,
   CardContent,
@@ -18,6 +19,7 @@ import {
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 import { useNotification } from '../../contexts/NotificationContext';
+import TwoFactorStep from './TwoFactorStep';
 
 export default function LoginForm() {
   const [email, setEmail] = useState('admin@wa.plest.de');
@@ -26,7 +28,7 @@ export default function LoginForm() {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
 
-  const { login } = useAuth();
+  const { login, twoFactorChallenge } = useAuth();
   const { showSuccess, showError } = useNotification();
 
   const handleSubmit = async (e) => {
@@ -39,7 +41,7 @@ export default function LoginForm() {
 
       if (result.success) {
         showSuccess(`Welcome back!`);
-      } else {
+      } else if (!result.twoFactor) {
         setError(result.error);
         showError(result.error);
       }
@@ -96,6 +98,7 @@ export default function LoginForm() {
             </Typography>
           </Box>
 
+          {twoFactorChallenge ? <TwoFactorStep /> : (<>
           {/* Error Alert */}
           {error && (
             <Alert
@@ -224,6 +227,13 @@ export default function LoginForm() {
             </Button>
           </form>
 
+          <Box sx={{ mt: 2, textAlign: 'center' }}>
+            <Link href="/reset-password" style={{ color: '#666666', fontSize: '0.75rem' }}>
+              Forgot password?
+            </Link>
+          </Box>
+          </>)}
+
           {/* Minimal Footer */}
           <Box sx={{ mt: 3, textAlign: 'center' }}>
             <Typography
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import {
+  TextField,
+  Button,
+  Typography,
+  Alert,
+  Box,
+  CircularProgress,
+  Link
+} from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+import { useNotification } from '../../contexts/NotificationContext';
+
+const buttonSx = {
+  mt: 3,
+  py: 1.2,
+  backgroundColor: '#000000',
+  color: '#ffffff',
+  borderRadius: 1,
+  boxShadow: 'none',
+  '&:hover': {
+    backgroundColor: '#333333',
+    boxShadow: 'none',
+  },
+  '&:disabled': {
+    backgroundColor: '#cccccc',
+    color: '#ffffff',
+  },
+};
+
+/**
+ * Zweiter Login-Schritt: Code-Eingabe bzw. Pflicht-Einrichtung der 2FA
+ */
+export default function TwoFactorStep() {
+  const {
+    twoFactorChallenge,
+    verifyTwoFactor,
+    startTwoFactorSetup,
+    completeTwoFactorSetup,
+    cancelTwoFactor
+  } = useAuth();
+  const { showSuccess, showError } = useNotification();
+
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [finish, setFinish] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const isSetup = twoFactorChallenge.type === 'setup';
+
+  useEffect(() => {
+    if (!isSetup) return;
+
+    startTwoFactorSetup()
+      .then(setSetup)
+      .catch((err) => setError(err.message));
+  }, [isSetup]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const result = isSetup
+        ? await completeTwoFactorSetup(code)
+        : await verifyTwoFactor(useRecoveryCode ? { recoveryCode: code } : { code });
+
+      if (!result.success) {
+        setError(result.error);
+        showError(result.error);
+      } else if (isSetup) {
+        setRecoveryCodes(result.recoveryCodes);
+        setFinish(() => result.finish);
+      } else {
+        showSuccess('Welcome back!');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Nach der Einrichtung: Recovery-Codes einmalig anzeigen
+  if (recoveryCodes) {
+    return (
+      <Box>
+        <Typography variant="subtitle2" sx={{ mb: 1 }}>
+          Two-factor authentication enabled
+        </Typography>
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          Store these recovery codes in a safe place. Each code can be used once
+          if you lose access to your authenticator app. They will not be shown again.
+        </Alert>
+        <Box
+          component="pre"
+          sx={{ p: 2, backgroundColor: '#f5f5f5', borderRadius: 1, fontSize: '0.85rem', textAlign: 'center' }}
+        >
+          {recoveryCodes.join('\n')}
+        </Box>
+        <Button fullWidth variant="contained" sx={buttonSx} onClick={() => finish()}>
+          Continue
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="subtitle2" sx={{ mb: 1 }}>
+        {isSetup ? 'Set up two-factor authentication' : 'Two-factor authentication'}
+      </Typography>
+      <Typography variant="body2" sx={{ color: '#666666', mb: 2 }}>
+        {isSetup
+          ? 'Your account requires two-factor authentication. Scan the QR code with an authenticator app and enter the 6-digit code.'
+          : useRecoveryCode
+            ? 'Enter one of your recovery codes.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {isSetup && (
+        setup ? (
+          <Box sx={{ textAlign: 'center', mb: 1 }}>
+            <img src={setup.qrCode} alt="Two-factor QR code" width={200} height={200} />
+            <Typography variant="caption" component="div" sx={{ color: '#666666', wordBreak: 'break-all' }}>
+              {setup.secret}
+            </Typography>
+          </Box>
+        ) : (
+          !error && <Box sx={{ textAlign: 'center' }}><CircularProgress size={24} /></Box>
+        )
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <TextField
+          fullWidth
+          autoFocus
+          label={useRecoveryCode ? 'Recovery code' : 'Code'}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          margin="normal"
+          required
+          disabled={loading || (isSetup && !setup)}
+          inputProps={useRecoveryCode ? {} : { inputMode: 'numeric', autoComplete: 'one-time-code' }}
+        />
+
+        <Button
+          type="submit"
+          fullWidth
+          variant="contained"
+          disabled={loading || !code || (isSetup && !setup)}
+          startIcon={loading ? <CircularProgress size={16} color="inherit" /> : null}
+          sx={buttonSx}
+        >
+          {isSetup ? 'Enable & Sign In' : 'Verify'}
+        </Button>
+      </form>
+
+      <Box sx={{ mt: 2, display: 'flex', justifyContent: 'space-between' }}>
+        <Link component="button" type="button" variant="caption" onClick={cancelTwoFactor} sx={{ color: '#666666' }}>
+          Back
+        </Link>
+        {!isSetup && (
+          <Link
+            component="button"
+            type="button"
+            variant="caption"
+            onClick={() => { setUseRecoveryCode(!useRecoveryCode); setCode(''); setError(''); }}
+            sx={{ color: '#666666' }}
+          >
+            {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+          </Link>
+        )}
+      </Box>
+    </Box>
+  );
+}
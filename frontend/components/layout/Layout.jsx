@@ -46,7 +46,7 @@ const menuItems = [
 export default function Layout({ children }) {
   const [mobileOpen, setMobileOpen] = useState(false);
   const [userMenuAnchor, setUserMenuAnchor] = useState(null);
-  const { user, logout, isAdmin } = useAuth();
+  const { user, logout, isAdmin, impersonatedBy, stopImpersonation } = useAuth();
   const router = useRouter();
 
   const handleDrawerToggle = () => {
@@ -215,6 +215,24 @@ export default function Layout({ children }) {
             Admin Panel
           </Typography>
 
+          {impersonatedBy && (
+            <Typography
+              variant="body2"
+              onClick={stopImpersonation}
+              sx={{
+                mr: 2,
+                px: 1,
+                py: 0.5,
+                cursor: 'pointer',
+                color: '#c62828',
+                border: '1px solid #ffcdd2',
+                borderRadius: 1
+              }}
+            >
+              Impersonating {user?.username} – stop
+            </Typography>
+          )}
+
           {/* Minimal User Menu */}
           <Tooltip title="Account">
             <IconButton
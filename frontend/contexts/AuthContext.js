@@ -16,10 +16,21 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [token, setToken] = useState(null);
+  const [impersonatedBy, setImpersonatedBy] = useState(null);
+  // Zweiter Login-Schritt: { type: 'verify' | 'setup', challengeToken }
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
   const router = useRouter();
 
   useEffect(() => {
-    // Check for existing token on mount
+    // Sitzung nicht mehr verlängerbar -> lokal abmelden
+    apiClient.onAuthFailure = () => clearSession();
+    // Impersonation abgelaufen -> apiClient hat die Admin-Tokens wiederhergestellt
+    apiClient.onImpersonationEnded = () => {
+      verifyToken();
+      router.push('/users');
+    };
+
+    // Check for existing token on mount (abgelaufene Access-Tokens erneuert apiClient)
     const savedToken = localStorage.getItem('jwt-token');
     if (savedToken) {
       setToken(savedToken);
@@ -28,6 +39,11 @@ export const AuthProvider = ({ children }) => {
     } else {
       setLoading(false);
     }
+
+    return () => {
+      apiClient.onAuthFailure = null;
+      apiClient.onImpersonationEnded = null;
+    };
   }, []);
 
   const verifyToken = async (token) => {
@@ -35,12 +51,14 @@ export const AuthProvider = ({ children }) => {
       const response = await apiClient.get('/auth/me');
       if (response.user) {
         setUser(response.user);
+        setToken(apiClient.token);
+        setImpersonatedBy(response.impersonatedBy || null);
       } else {
-        logout();
+        clearSession();
       }
     } catch (error) {
       console.log('Token verification failed:', error);
-      logout();
+      clearSession();
     } finally {
       setLoading(false);
     }
@@ -49,20 +67,16 @@ export const AuthProvider = ({ children }) => {
   const login = async (email, password) => {
     try {
       setLoading(true);
-      const response = await apiClient.post('/auth/login', { email, password });
+      const response = await apiClient.login(email, password);
 
       if (response.tokens?.accessToken) {
-        const newToken = response.tokens.accessToken;
-        setToken(newToken);
-        setUser(response.user);
-
-        localStorage.setItem('jwt-token', newToken);
-        apiClient.setToken(newToken);
-
-        // Redirect to dashboard
-        router.push('/dashboard');
-
-        return { success: true, user: response.user };
+        return finishLogin(response);
+      } else if (response.twoFactorRequired || response.twoFactorSetupRequired) {
+        setTwoFactorChallenge({
+          type: response.twoFactorRequired ? 'verify' : 'setup',
+          challengeToken: response.challengeToken
+        });
+        return { success: false, twoFactor: true };
       } else {
         return { success: false, error: response.error || 'Login failed' };
       }
@@ -74,14 +88,88 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
+  const finishLogin = (response) => {
+    setTwoFactorChallenge(null);
+    setToken(response.tokens.accessToken);
+    setUser(response.user);
+
+    // Redirect to dashboard
+    router.push('/dashboard');
+
+    return { success: true, user: response.user };
+  };
+
+  // Zweiter Schritt: TOTP- oder Recovery-Code
+  const verifyTwoFactor = async ({ code, recoveryCode }) => {
+    try {
+      const response = await apiClient.verifyTwoFactor(twoFactorChallenge.challengeToken, { code, recoveryCode });
+      return finishLogin(response);
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Pflicht-Einrichtung: Secret/QR holen bzw. mit erstem Code bestätigen
+  const startTwoFactorSetup = () => apiClient.setupTwoFactor(twoFactorChallenge.challengeToken);
+
+  // Recovery-Codes werden vor der Weiterleitung angezeigt -> finish() schließt den Login ab
+  const completeTwoFactorSetup = async (code) => {
+    try {
+      const response = await apiClient.enableTwoFactor(code, twoFactorChallenge.challengeToken);
+      return {
+        success: true,
+        recoveryCodes: response.recoveryCodes,
+        finish: () => finishLogin(response)
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  };
+
+  const cancelTwoFactor = () => setTwoFactorChallenge(null);
+
+  // Support-Zugriff: als anderer Benutzer agieren
+  const impersonate = async (userId, reason) => {
+    const response = await apiClient.impersonateUser(userId, reason);
+    apiClient.startImpersonation(response.tokens.accessToken);
+    await verifyToken();
+    router.push('/dashboard');
+  };
+
+  const stopImpersonation = async () => {
+    apiClient.stopImpersonation();
+    await verifyToken();
+    router.push('/users');
+  };
+
+  // Lokale Sitzung verwerfen (ohne Server-Aufruf)
+  const clearSession = () => {
     setUser(null);
     setToken(null);
-    localStorage.removeItem('jwt-token');
-    apiClient.setToken(null);
+    setImpersonatedBy(null);
+    apiClient.setTokens(null);
     router.push('/login');
   };
 
+  const logout = async () => {
+    try {
+      await apiClient.logout();
+    } catch (error) {
+      console.log('Logout request failed:', error);
+    }
+    clearSession();
+  };
+
+  // Alle Sitzungen (auch auf anderen Geräten) beenden
+  const logoutAll = async () => {
+    try {
+      await apiClient.logoutAll();
+    } catch (error) {
+      console.log('Logout-all request failed:', error);
+    }
+    clearSession();
+  };
+
   const isAuthenticated = () => {
     return !!user && !!token;
   };
@@ -96,6 +184,15 @@ export const AuthProvider = ({ children }) => {
     loading,
     login,
     logout,
+    logoutAll,
+    twoFactorChallenge,
+    verifyTwoFactor,
+    startTwoFactorSetup,
+    completeTwoFactorSetup,
+    cancelTwoFactor,
+    impersonatedBy,
+    impersonate,
+    stopImpersonation,
     isAuthenticated,
     isAdmin,
     verifyToken
@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { useRouter } from 'next/router';
+import { Box, Card, CardContent, Typography, Alert, Button, TextField, CircularProgress } from '@mui/material';
+import apiClient from '../services/apiClient';
+
+/**
+ * Ohne ?token: Reset-Link anfordern, mit ?token: neues Passwort setzen
+ */
+export default function ResetPasswordPage() {
+  const router = useRouter();
+  const { token } = router.query;
+
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setResult(null);
+
+    if (token && password !== confirmPassword) {
+      setResult({ success: false, message: 'Passwords do not match' });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = token
+        ? await apiClient.resetPassword(token, password)
+        : await apiClient.forgotPassword(email);
+      setResult({ success: true, message: response.message });
+    } catch (error) {
+      setResult({ success: false, message: error.message });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const done = result?.success;
+
+  return (
+    <Box sx={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', p: 2 }}>
+      <Card sx={{ maxWidth: 360, width: '100%' }}>
+        <CardContent sx={{ p: 4 }}>
+          <Typography variant="h5" component="h1" sx={{ mb: 3, textAlign: 'center' }}>
+            {token ? 'Set new password' : 'Reset password'}
+          </Typography>
+
+          {result && (
+            <Alert severity={result.success ? 'success' : 'error'} sx={{ mb: 2 }}>
+              {result.message}
+            </Alert>
+          )}
+
+          {!done && (
+            <form onSubmit={handleSubmit}>
+              {token ? (
+                <>
+                  <TextField
+                    fullWidth
+                    label="New password"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    margin="normal"
+                    required
+                    disabled={loading}
+                    inputProps={{ minLength: 8 }}
+                  />
+                  <TextField
+                    fullWidth
+                    label="Confirm password"
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    margin="normal"
+                    required
+                    disabled={loading}
+                  />
+                </>
+              ) : (
+                <TextField
+                  fullWidth
+                  label="Email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  margin="normal"
+                  required
+                  disabled={loading}
+                />
+              )}
+
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                disabled={loading}
+                startIcon={loading ? <CircularProgress size={16} color="inherit" /> : null}
+                sx={{ mt: 3 }}
+              >
+                {token ? 'Save password' : 'Send reset link'}
+              </Button>
+            </form>
+          )}
+
+          <Button fullWidth sx={{ mt: 2 }} onClick={() => router.push('/login')}>
+            Back to login
+          </Button>
+        </CardContent>
+      </Card>
+    </Box>
+  );
+}
@@ -0,0 +1,312 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Button,
+  Chip,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Alert,
+  CircularProgress,
+  FormControlLabel,
+  Checkbox
+} from '@mui/material';
+import Layout from '../components/layout/Layout';
+import ProtectedRoute from '../components/auth/ProtectedRoute';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotification } from '../contexts/NotificationContext';
+import apiClient from '../services/apiClient';
+
+const ROLES = ['user', 'admin', 'superadmin'];
+
+const cardSx = { border: '1px solid #f0f0f0', boxShadow: 'none', mb: 3 };
+
+export default function SettingsPage() {
+  const [status, setStatus] = useState(null);
+  const [policy, setPolicy] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [dialog, setDialog] = useState(null); // 'disable' | 'recovery'
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const { user, logoutAll, impersonatedBy } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const isSuperAdmin = user?.role === 'superadmin';
+
+  useEffect(() => {
+    fetchStatus();
+    if (isSuperAdmin) {
+      apiClient.getSecurityPolicy().then(setPolicy).catch(error => showError(error.message));
+    }
+  }, [isSuperAdmin]);
+
+  const fetchStatus = async () => {
+    try {
+      setStatus(await apiClient.getTwoFactorStatus());
+    } catch (error) {
+      showError(`Failed to load security settings: ${error.message}`);
+    }
+  };
+
+  const closeDialog = () => {
+    setSetup(null);
+    setDialog(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const run = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startSetup = () => run(async () => {
+    setSetup(await apiClient.setupTwoFactor());
+  });
+
+  const enable = () => run(async () => {
+    const response = await apiClient.enableTwoFactor(code);
+    closeDialog();
+    setRecoveryCodes(response.recoveryCodes);
+    showSuccess('Two-factor authentication enabled');
+    fetchStatus();
+  });
+
+  const disable = () => run(async () => {
+    await apiClient.disableTwoFactor(password, code);
+    closeDialog();
+    showSuccess('Two-factor authentication disabled');
+    fetchStatus();
+  });
+
+  const regenerate = () => run(async () => {
+    const response = await apiClient.regenerateRecoveryCodes(code);
+    closeDialog();
+    setRecoveryCodes(response.recoveryCodes);
+    fetchStatus();
+  });
+
+  const toggleRequiredRole = (role) => run(async () => {
+    const roles = policy.twoFactorRequiredRoles.includes(role)
+      ? policy.twoFactorRequiredRoles.filter(r => r !== role)
+      : [...policy.twoFactorRequiredRoles, role];
+    setPolicy(await apiClient.updateSecurityPolicy({ twoFactorRequiredRoles: roles }));
+    showSuccess('Security policy updated');
+  });
+
+  return (
+    <ProtectedRoute>
+      <Layout>
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="h4" sx={{ fontWeight: 500, color: '#000000', mb: 0.5 }}>
+            Settings
+          </Typography>
+          <Typography variant="body1" sx={{ color: '#666666', fontSize: '0.875rem' }}>
+            Account security and sessions
+          </Typography>
+        </Box>
+
+        {/* Zwei-Faktor-Authentifizierung */}
+        <Card sx={cardSx}>
+          <CardContent>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+              <Typography variant="h6" sx={{ fontWeight: 500 }}>
+                Two-factor authentication
+              </Typography>
+              {status && (
+                <Chip
+                  size="small"
+                  label={status.enabled ? 'Enabled' : 'Disabled'}
+                  color={status.enabled ? 'success' : 'default'}
+                />
+              )}
+              {status?.required && <Chip size="small" label="Required for your role" variant="outlined" />}
+            </Box>
+
+            {!status ? (
+              <CircularProgress size={24} />
+            ) : status.enabled ? (
+              <>
+                <Typography variant="body2" sx={{ color: '#666666', mb: 2 }}>
+                  Enabled since {new Date(status.enabledAt).toLocaleDateString()} ·{' '}
+                  {status.recoveryCodesRemaining} recovery codes remaining
+                </Typography>
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                  <Button variant="outlined" onClick={() => setDialog('recovery')}>
+                    New recovery codes
+                  </Button>
+                  {!status.required && (
+                    <Button variant="outlined" color="error" onClick={() => setDialog('disable')}>
+                      Disable
+                    </Button>
+                  )}
+                </Box>
+              </>
+            ) : (
+              <>
+                <Typography variant="body2" sx={{ color: '#666666', mb: 2 }}>
+                  Protect your account with a code from an authenticator app in addition to your password.
+                </Typography>
+                <Button
+                  variant="contained"
+                  onClick={startSetup}
+                  disabled={saving}
+                  sx={{ backgroundColor: '#000000', '&:hover': { backgroundColor: '#333333' } }}
+                >
+                  Enable
+                </Button>
+              </>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Sitzungen */}
+        <Card sx={cardSx}>
+          <CardContent>
+            <Typography variant="h6" sx={{ fontWeight: 500, mb: 1 }}>
+              Sessions
+            </Typography>
+            <Typography variant="body2" sx={{ color: '#666666', mb: 2 }}>
+              Sign out on all devices, including this one.
+            </Typography>
+            <Button variant="outlined" color="error" onClick={logoutAll} disabled={!!impersonatedBy}>
+              Log out all sessions
+            </Button>
+          </CardContent>
+        </Card>
+
+        {/* Sicherheitsrichtlinie (nur Superadmin) */}
+        {isSuperAdmin && policy && (
+          <Card sx={cardSx}>
+            <CardContent>
+              <Typography variant="h6" sx={{ fontWeight: 500, mb: 1 }}>
+                Security policy
+              </Typography>
+              <Typography variant="body2" sx={{ color: '#666666', mb: 1 }}>
+                Require two-factor authentication for these roles. Affected users have to set it up at their next login.
+              </Typography>
+              {ROLES.map(role => (
+                <FormControlLabel
+                  key={role}
+                  label={role}
+                  control={
+                    <Checkbox
+                      checked={policy.twoFactorRequiredRoles.includes(role)}
+                      onChange={() => toggleRequiredRole(role)}
+                      disabled={saving}
+                    />
+                  }
+                />
+              ))}
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Einrichtung */}
+        <Dialog open={!!setup} onClose={closeDialog} maxWidth="xs" fullWidth>
+          <DialogTitle>Set up two-factor authentication</DialogTitle>
+          <DialogContent>
+            <Typography variant="body2" sx={{ color: '#666666', mb: 2 }}>
+              Scan the QR code with your authenticator app, then enter the 6-digit code.
+            </Typography>
+            {setup && (
+              <Box sx={{ textAlign: 'center' }}>
+                <img src={setup.qrCode} alt="Two-factor QR code" width={200} height={200} />
+                <Typography variant="caption" component="div" sx={{ color: '#666666', wordBreak: 'break-all' }}>
+                  {setup.secret}
+                </Typography>
+              </Box>
+            )}
+            <TextField
+              fullWidth
+              autoFocus
+              label="Code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              margin="normal"
+              inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={closeDialog}>Cancel</Button>
+            <Button onClick={enable} disabled={saving || !code}>Enable</Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Deaktivieren / neue Recovery-Codes */}
+        <Dialog open={!!dialog} onClose={closeDialog} maxWidth="xs" fullWidth>
+          <DialogTitle>
+            {dialog === 'disable' ? 'Disable two-factor authentication' : 'Generate new recovery codes'}
+          </DialogTitle>
+          <DialogContent>
+            {dialog === 'recovery' && (
+              <Typography variant="body2" sx={{ color: '#666666' }}>
+                Your existing recovery codes will stop working.
+              </Typography>
+            )}
+            {dialog === 'disable' && (
+              <TextField
+                fullWidth
+                label="Password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                margin="normal"
+              />
+            )}
+            <TextField
+              fullWidth
+              label="Authenticator code"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              margin="normal"
+              inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+            />
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={closeDialog}>Cancel</Button>
+            <Button
+              color={dialog === 'disable' ? 'error' : 'primary'}
+              onClick={dialog === 'disable' ? disable : regenerate}
+              disabled={saving || !code || (dialog === 'disable' && !password)}
+            >
+              {dialog === 'disable' ? 'Disable' : 'Generate'}
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Recovery-Codes einmalig anzeigen */}
+        <Dialog open={!!recoveryCodes} maxWidth="xs" fullWidth>
+          <DialogTitle>Recovery codes</DialogTitle>
+          <DialogContent>
+            <Alert severity="warning" sx={{ mb: 2 }}>
+              Store these codes in a safe place. Each code can be used once. They will not be shown again.
+            </Alert>
+            <Box
+              component="pre"
+              sx={{ p: 2, backgroundColor: '#f5f5f5', borderRadius: 1, fontSize: '0.85rem', textAlign: 'center' }}
+            >
+              {recoveryCodes?.join('\n')}
+            </Box>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setRecoveryCodes(null)}>Done</Button>
+          </DialogActions>
+        </Dialog>
+      </Layout>
+    </ProtectedRoute>
+  );
+}
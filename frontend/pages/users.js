@@ -0,0 +1,554 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  Typography,
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Menu,
+  MenuItem,
+  CircularProgress,
+  Table,
+  TableHead,
+  TableBody,
+  TableRow,
+  TableCell,
+  Switch,
+  FormControlLabel,
+  Grid,
+  Select,
+  InputLabel,
+  FormControl,
+  Checkbox,
+  ListItemText
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  MoreVert as MoreIcon,
+  Search as SearchIcon
+} from '@mui/icons-material';
+import Layout from '../components/layout/Layout';
+import ProtectedRoute from '../components/auth/ProtectedRoute';
+import { useAuth } from '../contexts/AuthContext';
+import { useNotification } from '../contexts/NotificationContext';
+import apiClient from '../services/apiClient';
+
+const PLANS = ['free', 'basic', 'premium', 'enterprise'];
+const ROLES = ['user', 'admin', 'superadmin'];
+const NUMERIC_LIMITS = ['maxInstances', 'maxMessagesPerMonth', 'maxWebhooks', 'maxMediaSizeMB'];
+const FEATURE_LIMITS = ['enableApiAccess', 'enableAnalytics'];
+
+const emptyUser = { username: '', email: '', password: '', plan: 'free', firstName: '', lastName: '', company: '' };
+
+export default function UsersPage() {
+  const [users, setUsers] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+
+  const [menuAnchor, setMenuAnchor] = useState(null);
+  const [menuUser, setMenuUser] = useState(null);
+
+  const [createOpen, setCreateOpen] = useState(false);
+  const [newUser, setNewUser] = useState(emptyUser);
+
+  const [editUser, setEditUser] = useState(null);
+  const [auditEntries, setAuditEntries] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const { user: currentUser, impersonate } = useAuth();
+  const { showSuccess, showError } = useNotification();
+  const isSuperAdmin = currentUser?.role === 'superadmin';
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  const fetchUsers = async (query = search) => {
+    try {
+      const response = await apiClient.getUsers(query ? { search: query } : {});
+      setUsers(response.users || []);
+      setPermissions(response.permissions || []);
+    } catch (error) {
+      showError(`Failed to load users: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const closeMenu = () => {
+    setMenuAnchor(null);
+    setMenuUser(null);
+  };
+
+  const runAction = async (action, successMessage) => {
+    try {
+      await action();
+      showSuccess(successMessage);
+      fetchUsers();
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const createUser = async () => {
+    setSaving(true);
+    try {
+      await apiClient.createUser(newUser);
+      showSuccess(`User ${newUser.username} created`);
+      setCreateOpen(false);
+      setNewUser(emptyUser);
+      fetchUsers();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openEdit = (user) => {
+    closeMenu();
+    setEditUser({
+      ...user,
+      password: '',
+      planLimits: { ...user.planLimits },
+      permissions: [...(user.permissions || [])]
+    });
+  };
+
+  const saveEdit = async () => {
+    const original = users.find(u => u._id === editUser._id);
+    setSaving(true);
+
+    try {
+      const profile = {};
+      ['username', 'email', 'firstName', 'lastName', 'company', 'isActive', 'isVerified'].forEach(field => {
+        if (editUser[field] !== original[field]) profile[field] = editUser[field];
+      });
+      if (editUser.password) profile.password = editUser.password;
+      if (Object.keys(profile).length > 0) {
+        await apiClient.updateUser(editUser._id, profile);
+      }
+
+      const limitsChanged = [...NUMERIC_LIMITS, ...FEATURE_LIMITS]
+        .some(key => editUser.planLimits[key] !== original.planLimits[key]);
+      if (editUser.plan !== original.plan || limitsChanged) {
+        const overrides = {};
+        NUMERIC_LIMITS.forEach(key => { overrides[key] = parseInt(editUser.planLimits[key]) || 0; });
+        FEATURE_LIMITS.forEach(key => { overrides[key] = !!editUser.planLimits[key]; });
+        await apiClient.updateUserPlan(editUser._id, editUser.plan, limitsChanged ? overrides : {});
+      }
+
+      const permissionsChanged = editUser.permissions.join() !== (original.permissions || []).join();
+      if (isSuperAdmin && (editUser.role !== original.role || permissionsChanged)) {
+        await apiClient.updateUserRole(editUser._id, editUser.role, editUser.permissions);
+      }
+
+      showSuccess('User updated');
+      setEditUser(null);
+      fetchUsers();
+    } catch (error) {
+      showError(error.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const showAuditLog = async (user) => {
+    closeMenu();
+    try {
+      const response = await apiClient.getAuditLog({ targetId: user._id });
+      setAuditEntries({ user, entries: response.entries || [] });
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const startImpersonation = async (user) => {
+    closeMenu();
+    const reason = window.prompt(`Reason for impersonating ${user.username}:`);
+    if (reason === null) return;
+
+    try {
+      await impersonate(user._id, reason);
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const setLimit = (key, value) => {
+    setEditUser({ ...editUser, planLimits: { ...editUser.planLimits, [key]: value } });
+  };
+
+  return (
+    <ProtectedRoute requireAdmin>
+      <Layout>
+        {/* Header */}
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+          <Box>
+            <Typography variant="h4" sx={{ fontWeight: 500, color: '#000000', mb: 0.5 }}>
+              Users
+            </Typography>
+            <Typography variant="body1" sx={{ color: '#666666', fontSize: '0.875rem' }}>
+              Manage accounts, plans and permissions
+            </Typography>
+          </Box>
+
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => setCreateOpen(true)}
+            sx={{ backgroundColor: '#000000', '&:hover': { backgroundColor: '#333333' } }}
+          >
+            Create User
+          </Button>
+        </Box>
+
+        <Box
+          component="form"
+          onSubmit={(e) => { e.preventDefault(); fetchUsers(); }}
+          sx={{ display: 'flex', gap: 1, mb: 2 }}
+        >
+          <TextField
+            size="small"
+            placeholder="Search username, email, company"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            sx={{ minWidth: 300 }}
+          />
+          <Button type="submit" variant="outlined" startIcon={<SearchIcon />}>
+            Search
+          </Button>
+        </Box>
+
+        {loading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          <Card sx={{ border: '1px solid #f0f0f0', boxShadow: 'none' }}>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>User</TableCell>
+                  <TableCell>Role</TableCell>
+                  <TableCell>Plan</TableCell>
+                  <TableCell>Instances</TableCell>
+                  <TableCell>Messages (month)</TableCell>
+                  <TableCell>Status</TableCell>
+                  <TableCell>Last login</TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {users.map((user) => (
+                  <TableRow key={user._id} hover>
+                    <TableCell>
+                      <Typography variant="body2" sx={{ fontWeight: 500 }}>{user.username}</Typography>
+                      <Typography variant="caption" sx={{ color: '#666666' }}>{user.email}</Typography>
+                    </TableCell>
+                    <TableCell>{user.role}</TableCell>
+                    <TableCell>{user.plan}</TableCell>
+                    <TableCell>{user.usage?.currentInstances} / {user.planLimits?.maxInstances}</TableCell>
+                    <TableCell>{user.usage?.monthlyMessages} / {user.planLimits?.maxMessagesPerMonth}</TableCell>
+                    <TableCell>
+                      <Chip
+                        size="small"
+                        label={user.isActive ? (user.isVerified ? 'Active' : 'Unverified') : 'Deactivated'}
+                        sx={{
+                          fontSize: '0.7rem',
+                          backgroundColor: user.isActive ? (user.isVerified ? '#e8f5e9' : '#fff3e0') : '#ffebee'
+                        }}
+                      />
+                    </TableCell>
+                    <TableCell>
+                      {user.lastLogin ? new Date(user.lastLogin).toLocaleString() : '–'}
+                    </TableCell>
+                    <TableCell align="right">
+                      <IconButton
+                        size="small"
+                        onClick={(e) => {
+                          setMenuAnchor(e.currentTarget);
+                          setMenuUser(user);
+                        }}
+                        sx={{ color: '#666666' }}
+                      >
+                        <MoreIcon fontSize="small" />
+                      </IconButton>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </Card>
+        )}
+
+        {/* Actions Menu */}
+        <Menu anchorEl={menuAnchor} open={Boolean(menuAnchor)} onClose={closeMenu}>
+          <MenuItem onClick={() => openEdit(menuUser)}>Edit</MenuItem>
+          <MenuItem
+            onClick={() => {
+              const user = menuUser;
+              closeMenu();
+              runAction(() => apiClient.resetUserUsage(user._id), 'Usage reset');
+            }}
+          >
+            Reset usage
+          </MenuItem>
+          {menuUser?.twoFactor?.enabled && (
+            <MenuItem
+              onClick={() => {
+                const user = menuUser;
+                closeMenu();
+                if (window.confirm(`Reset two-factor authentication for ${user.username}? All sessions will be logged out.`)) {
+                  runAction(() => apiClient.resetUserTwoFactor(user._id), `2FA reset for ${user.username}`);
+                }
+              }}
+            >
+              Reset 2FA
+            </MenuItem>
+          )}
+          <MenuItem onClick={() => showAuditLog(menuUser)}>Audit log</MenuItem>
+          {menuUser && menuUser._id !== currentUser?.id && menuUser.isActive && (
+            <MenuItem onClick={() => startImpersonation(menuUser)}>Impersonate</MenuItem>
+          )}
+          {menuUser && menuUser._id !== currentUser?.id && (
+            menuUser.isActive ? (
+              <MenuItem
+                sx={{ color: '#ff1744' }}
+                onClick={() => {
+                  const user = menuUser;
+                  closeMenu();
+                  if (window.confirm(`Deactivate ${user.username}? All sessions will be logged out.`)) {
+                    runAction(() => apiClient.deactivateUser(user._id), `${user.username} deactivated`);
+                  }
+                }}
+              >
+                Deactivate
+              </MenuItem>
+            ) : (
+              <MenuItem
+                onClick={() => {
+                  const user = menuUser;
+                  closeMenu();
+                  runAction(() => apiClient.updateUser(user._id, { isActive: true }), `${user.username} activated`);
+                }}
+              >
+                Activate
+              </MenuItem>
+            )
+          )}
+        </Menu>
+
+        {/* Create User Dialog */}
+        <Dialog open={createOpen} onClose={() => setCreateOpen(false)} maxWidth="sm" fullWidth>
+          <DialogTitle>Create User</DialogTitle>
+          <DialogContent>
+            {['username', 'email', 'password', 'firstName', 'lastName', 'company'].map(field => (
+              <TextField
+                key={field}
+                fullWidth
+                margin="dense"
+                label={field}
+                type={field === 'password' ? 'password' : 'text'}
+                required={['username', 'email', 'password'].includes(field)}
+                value={newUser[field]}
+                onChange={(e) => setNewUser({ ...newUser, [field]: e.target.value })}
+              />
+            ))}
+            <FormControl fullWidth margin="dense">
+              <InputLabel>Plan</InputLabel>
+              <Select
+                label="Plan"
+                value={newUser.plan}
+                onChange={(e) => setNewUser({ ...newUser, plan: e.target.value })}
+              >
+                {PLANS.map(plan => <MenuItem key={plan} value={plan}>{plan}</MenuItem>)}
+              </Select>
+            </FormControl>
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setCreateOpen(false)}>Cancel</Button>
+            <Button variant="contained" onClick={createUser} disabled={saving}>
+              {saving ? <CircularProgress size={16} /> : 'Create'}
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Edit User Dialog */}
+        <Dialog open={Boolean(editUser)} onClose={() => setEditUser(null)} maxWidth="md" fullWidth>
+          <DialogTitle>Edit {editUser?.username}</DialogTitle>
+          {editUser && (
+            <DialogContent>
+              <Grid container spacing={2}>
+                <Grid item xs={12} md={6}>
+                  <Typography variant="subtitle2" sx={{ mt: 1 }}>Profile</Typography>
+                  {['username', 'email', 'firstName', 'lastName', 'company'].map(field => (
+                    <TextField
+                      key={field}
+                      fullWidth
+                      margin="dense"
+                      size="small"
+                      label={field}
+                      value={editUser[field] || ''}
+                      onChange={(e) => setEditUser({ ...editUser, [field]: e.target.value })}
+                    />
+                  ))}
+                  <TextField
+                    fullWidth
+                    margin="dense"
+                    size="small"
+                    type="password"
+                    label="New password (optional)"
+                    value={editUser.password}
+                    onChange={(e) => setEditUser({ ...editUser, password: e.target.value })}
+                  />
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={editUser.isActive}
+                        onChange={(e) => setEditUser({ ...editUser, isActive: e.target.checked })}
+                      />
+                    }
+                    label="Active"
+                  />
+                  <FormControlLabel
+                    control={
+                      <Switch
+                        checked={editUser.isVerified}
+                        onChange={(e) => setEditUser({ ...editUser, isVerified: e.target.checked })}
+                      />
+                    }
+                    label="Email verified"
+                  />
+                </Grid>
+
+                <Grid item xs={12} md={6}>
+                  <Typography variant="subtitle2" sx={{ mt: 1 }}>Plan & limits</Typography>
+                  <FormControl fullWidth margin="dense" size="small">
+                    <InputLabel>Plan</InputLabel>
+                    <Select
+                      label="Plan"
+                      value={editUser.plan}
+                      onChange={(e) => setEditUser({ ...editUser, plan: e.target.value })}
+                    >
+                      {PLANS.map(plan => <MenuItem key={plan} value={plan}>{plan}</MenuItem>)}
+                    </Select>
+                  </FormControl>
+                  {NUMERIC_LIMITS.map(key => (
+                    <TextField
+                      key={key}
+                      fullWidth
+                      margin="dense"
+                      size="small"
+                      type="number"
+                      label={key}
+                      value={editUser.planLimits[key]}
+                      onChange={(e) => setLimit(key, e.target.value)}
+                    />
+                  ))}
+                  {FEATURE_LIMITS.map(key => (
+                    <FormControlLabel
+                      key={key}
+                      control={
+                        <Switch
+                          checked={!!editUser.planLimits[key]}
+                          onChange={(e) => setLimit(key, e.target.checked)}
+                        />
+                      }
+                      label={key}
+                    />
+                  ))}
+
+                  {isSuperAdmin && (
+                    <>
+                      <Typography variant="subtitle2" sx={{ mt: 2 }}>Role & permissions</Typography>
+                      <FormControl fullWidth margin="dense" size="small">
+                        <InputLabel>Role</InputLabel>
+                        <Select
+                          label="Role"
+                          value={editUser.role}
+                          onChange={(e) => setEditUser({ ...editUser, role: e.target.value })}
+                        >
+                          {ROLES.map(role => <MenuItem key={role} value={role}>{role}</MenuItem>)}
+                        </Select>
+                      </FormControl>
+                      <FormControl fullWidth margin="dense" size="small">
+                        <InputLabel>Permissions</InputLabel>
+                        <Select
+                          multiple
+                          label="Permissions"
+                          value={editUser.permissions}
+                          onChange={(e) => setEditUser({ ...editUser, permissions: e.target.value })}
+                          renderValue={(selected) => selected.join(', ')}
+                        >
+                          {permissions.map(permission => (
+                            <MenuItem key={permission} value={permission}>
+                              <Checkbox checked={editUser.permissions.includes(permission)} />
+                              <ListItemText primary={permission} />
+                            </MenuItem>
+                          ))}
+                        </Select>
+                      </FormControl>
+                    </>
+                  )}
+                </Grid>
+              </Grid>
+            </DialogContent>
+          )}
+          <DialogActions>
+            <Button onClick={() => setEditUser(null)}>Cancel</Button>
+            <Button variant="contained" onClick={saveEdit} disabled={saving}>
+              {saving ? <CircularProgress size={16} /> : 'Save'}
+            </Button>
+          </DialogActions>
+        </Dialog>
+
+        {/* Audit Log Dialog */}
+        <Dialog open={Boolean(auditEntries)} onClose={() => setAuditEntries(null)} maxWidth="md" fullWidth>
+          <DialogTitle>Audit log – {auditEntries?.user.username}</DialogTitle>
+          <DialogContent>
+            {auditEntries?.entries.length === 0 ? (
+              <Typography variant="body2" sx={{ color: '#666666' }}>No entries</Typography>
+            ) : (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Time</TableCell>
+                    <TableCell>Action</TableCell>
+                    <TableCell>By</TableCell>
+                    <TableCell>Changes</TableCell>
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {auditEntries?.entries.map(entry => (
+                    <TableRow key={entry._id}>
+                      <TableCell>{new Date(entry.createdAt).toLocaleString()}</TableCell>
+                      <TableCell>{entry.action}</TableCell>
+                      <TableCell>
+                        {entry.actorId?.username}
+                        {entry.impersonatorId && ` (via ${entry.impersonatorId.username})`}
+                      </TableCell>
+                      <TableCell sx={{ fontFamily: 'monospace', fontSize: '0.7rem', wordBreak: 'break-all' }}>
+                        {entry.changes ? JSON.stringify(entry.changes) : ''}
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => setAuditEntries(null)}>Close</Button>
+          </DialogActions>
+        </Dialog>
+      </Layout>
+    </ProtectedRoute>
+  );
+}
@@ -0,0 +1,48 @@
+import React, { useEffect, useState } from 'react';
+import { useRouter } from 'next/router';
+import { Box, Card, CardContent, Typography, Alert, Button, CircularProgress } from '@mui/material';
+import apiClient from '../services/apiClient';
+
+export default function VerifyEmailPage() {
+  const router = useRouter();
+  const [state, setState] = useState({ loading: true, success: false, message: '' });
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    const { token } = router.query;
+    if (!token) {
+      setState({ loading: false, success: false, message: 'Missing verification token' });
+      return;
+    }
+
+    apiClient.verifyEmail(token)
+      .then(response => setState({ loading: false, success: true, message: response.message }))
+      .catch(error => setState({ loading: false, success: false, message: error.message }));
+  }, [router.isReady, router.query]);
+
+  return (
+    <Box sx={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', p: 2 }}>
+      <Card sx={{ maxWidth: 360, width: '100%' }}>
+        <CardContent sx={{ p: 4, textAlign: 'center' }}>
+          <Typography variant="h5" component="h1" sx={{ mb: 3 }}>
+            Email confirmation
+          </Typography>
+
+          {state.loading ? (
+            <CircularProgress size={24} />
+          ) : (
+            <>
+              <Alert severity={state.success ? 'success' : 'error'} sx={{ mb: 3, textAlign: 'left' }}>
+                {state.message}
+              </Alert>
+              <Button fullWidth variant="contained" onClick={() => router.push('/login')}>
+                Go to login
+              </Button>
+            </>
+          )}
+        </CardContent>
+      </Card>
+    </Box>
+  );
+}
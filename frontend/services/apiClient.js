@@ -3,15 +3,23 @@
  * Handles all HTTP requests to wa.plest.de backend
  */
 
+// Endpunkte, bei denen ein 401 nicht zum Token-Refresh führt
+const NO_REFRESH_ENDPOINTS = ['/auth/login', '/auth/refresh', '/auth/logout', '/auth/2fa/verify'];
+
 class ApiClient {
   constructor() {
     // Use absolute URL for API calls to avoid routing issues
     this.baseURL = '/api';
     this.token = null;
+    this.refreshToken = null;
+    this.refreshPromise = null; // Laufender Refresh (parallele 401er teilen sich einen)
+    this.onAuthFailure = null;  // Callback, wenn die Sitzung nicht verlängert werden kann
+    this.onImpersonationEnded = null; // Callback, wenn eine Impersonation abgelaufen ist
 
     // Initialize token from localStorage if available
     if (typeof window !== 'undefined') {
       this.token = localStorage.getItem('jwt-token');
+      this.refreshToken = localStorage.getItem('jwt-refresh-token');
     }
 
     console.log('API Client initialized:', this.baseURL);
@@ -28,6 +36,87 @@ class ApiClient {
     }
   }
 
+  setRefreshToken(refreshToken) {
+    this.refreshToken = refreshToken;
+    if (typeof window !== 'undefined') {
+      if (refreshToken) {
+        localStorage.setItem('jwt-refresh-token', refreshToken);
+      } else {
+        localStorage.removeItem('jwt-refresh-token');
+      }
+    }
+  }
+
+  setTokens(tokens) {
+    this.setToken(tokens?.accessToken || null);
+    this.setRefreshToken(tokens?.refreshToken || null);
+    if (!tokens && typeof window !== 'undefined') {
+      localStorage.removeItem('jwt-impersonator');
+    }
+  }
+
+  // Impersonation: Admin-Tokens beiseitelegen und mit dem Impersonation-Token arbeiten
+  startImpersonation(accessToken) {
+    if (typeof window !== 'undefined' && !this.isImpersonating()) {
+      localStorage.setItem('jwt-impersonator', JSON.stringify({
+        accessToken: this.token,
+        refreshToken: this.refreshToken
+      }));
+    }
+    this.setToken(accessToken);
+    this.setRefreshToken(null);
+  }
+
+  isImpersonating() {
+    return typeof window !== 'undefined' && !!localStorage.getItem('jwt-impersonator');
+  }
+
+  stopImpersonation() {
+    if (!this.isImpersonating()) return false;
+
+    const saved = JSON.parse(localStorage.getItem('jwt-impersonator'));
+    localStorage.removeItem('jwt-impersonator');
+    this.setTokens(saved);
+    return true;
+  }
+
+  /**
+   * Access-Token über den Refresh-Token erneuern
+   * Gleichzeitige Aufrufe warten auf denselben Request (Refresh-Tokens sind einmalig)
+   */
+  async refreshSession() {
+    if (!this.refreshToken) return false;
+
+    if (!this.refreshPromise) {
+      this.refreshPromise = (async () => {
+        try {
+          const response = await fetch(`${this.baseURL}/auth/refresh`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ refreshToken: this.refreshToken })
+          });
+
+          if (!response.ok) {
+            this.setTokens(null);
+            return false;
+          }
+
+          const { tokens } = await response.json();
+          this.setTokens(tokens);
+          return true;
+        } catch (error) {
+          console.error('Token refresh failed:', error);
+          return false;
+        } finally {
+          this.refreshPromise = null;
+        }
+      })();
+    }
+
+    return this.refreshPromise;
+  }
+
   getHeaders() {
     const headers = {
       'Content-Type': 'application/json',
@@ -40,7 +129,7 @@ class ApiClient {
     return headers;
   }
 
-  async request(method, endpoint, data = null) {
+  async request(method, endpoint, data = null, retried = false) {
     const url = `${this.baseURL}${endpoint}`;
 
     const config = {
@@ -58,6 +147,19 @@ class ApiClient {
 
       const response = await fetch(url, config);
 
+      // Abgelaufenes Access-Token: einmal erneuern und Request wiederholen
+      if (response.status === 401 && !retried && this.token && !NO_REFRESH_ENDPOINTS.includes(endpoint)) {
+        // Abgelaufene Impersonation: zurück zur Admin-Sitzung, den Request aber nicht als Admin wiederholen
+        if (this.stopImpersonation()) {
+          if (this.onImpersonationEnded) this.onImpersonationEnded();
+          throw new Error('Impersonation session expired - you are signed in as yourself again');
+        }
+        if (await this.refreshSession()) {
+          return this.request(method, endpoint, data, true);
+        }
+        if (this.onAuthFailure) this.onAuthFailure();
+      }
+
       // Handle different response types
       let responseData;
       const contentType = response.headers.get('content-type');
@@ -71,7 +173,11 @@ class ApiClient {
       console.log(`API Response: ${response.status}`, responseData);
 
       if (!response.ok) {
-        throw new Error(responseData.error || responseData.message || `HTTP ${response.status}: ${responseData}`);
+        // Strukturierte Fehler: { status: 'error', error: { type, message, ... } }
+        const errorMessage = typeof responseData.error === 'object'
+          ? responseData.error.message
+          : responseData.error;
+        throw new Error(errorMessage || responseData.message || `HTTP ${response.status}: ${responseData}`);
       }
 
       return responseData;
@@ -94,6 +200,10 @@ class ApiClient {
     return this.request('PUT', endpoint, data);
   }
 
+  async patch(endpoint, data) {
+    return this.request('PATCH', endpoint, data);
+  }
+
   async delete(endpoint) {
     return this.request('DELETE', endpoint);
   }
@@ -103,12 +213,95 @@ class ApiClient {
     const response = await this.post('/auth/login', { email, password });
 
     if (response.tokens?.accessToken) {
-      this.setToken(response.tokens.accessToken);
+      this.setTokens(response.tokens);
     }
 
     return response;
   }
 
+  // Zwei-Faktor-Authentifizierung
+  async verifyTwoFactor(challengeToken, { code, recoveryCode }) {
+    const response = await this.post('/auth/2fa/verify', { challengeToken, code, recoveryCode });
+    if (response.tokens?.accessToken) {
+      this.setTokens(response.tokens);
+    }
+    return response;
+  }
+
+  async getTwoFactorStatus() {
+    return this.get('/auth/2fa');
+  }
+
+  async setupTwoFactor(challengeToken) {
+    return this.post('/auth/2fa/setup', challengeToken ? { challengeToken } : {});
+  }
+
+  async enableTwoFactor(code, challengeToken) {
+    const response = await this.post('/auth/2fa/enable', { code, challengeToken });
+    if (response.tokens?.accessToken) {
+      this.setTokens(response.tokens);
+    }
+    return response;
+  }
+
+  async disableTwoFactor(password, code) {
+    return this.post('/auth/2fa/disable', { password, code });
+  }
+
+  async regenerateRecoveryCodes(code) {
+    return this.post('/auth/2fa/recovery-codes', { code });
+  }
+
+  async getSecurityPolicy() {
+    return this.get('/users/security-policy');
+  }
+
+  async updateSecurityPolicy(policy) {
+    return this.put('/users/security-policy', policy);
+  }
+
+  async resetUserTwoFactor(userId) {
+    return this.delete(`/users/${userId}/2fa`);
+  }
+
+  async logout() {
+    try {
+      if (this.refreshToken) {
+        await this.post('/auth/logout', { refreshToken: this.refreshToken });
+      }
+    } finally {
+      this.setTokens(null);
+    }
+  }
+
+  async logoutAll() {
+    try {
+      return await this.post('/auth/logout-all');
+    } finally {
+      this.setTokens(null);
+    }
+  }
+
+  async register(data) {
+    return this.post('/auth/register', data);
+  }
+
+  async verifyEmail(token) {
+    return this.post('/auth/verify-email', { token });
+  }
+
+  async resendVerification(email) {
+    return this.post('/auth/resend-verification', { email });
+  }
+
+  async forgotPassword(email) {
+    return this.post('/auth/forgot-password', { email });
+  }
+
+  async resetPassword(token, password) {
+    return this.post('/auth/reset-password', { token, password });
+  }
+
   async getProfile() {
     return this.get('/auth/me');
   }
@@ -122,12 +315,32 @@ class ApiClient {
     return this.post('/instances', instanceData);
   }
 
+  async getInstance(instanceId) {
+    return this.get(`/instances/${instanceId}`);
+  }
+
+  async updateInstance(instanceId, updates) {
+    return this.patch(`/instances/${instanceId}`, updates);
+  }
+
   async startInstance(instanceId) {
     return this.post(`/instances/${instanceId}/start`);
   }
 
-  async stopInstance(instanceId) {
-    return this.post(`/instances/${instanceId}/stop`);
+  async stopInstance(instanceId, force = false) {
+    return this.post(`/instances/${instanceId}/stop`, { force });
+  }
+
+  async restartInstance(instanceId) {
+    return this.post(`/instances/${instanceId}/restart`);
+  }
+
+  async logoutInstance(instanceId) {
+    return this.post(`/instances/${instanceId}/logout`);
+  }
+
+  async repairInstance(instanceId) {
+    return this.post(`/instances/${instanceId}/repair`);
   }
 
   async deleteInstance(instanceId) {
@@ -138,19 +351,84 @@ class ApiClient {
     return this.get(`/instances/${instanceId}/qr`);
   }
 
+  // Nachrichtenverlauf (Cursor-Pagination: nextCursor als cursor übergeben)
+  async getMessages(instanceId, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.get(`/instances/${instanceId}/messages${query ? `?${query}` : ''}`);
+  }
+
+  async getMessage(instanceId, messageId) {
+    return this.get(`/instances/${instanceId}/messages/${encodeURIComponent(messageId)}`);
+  }
+
+  async getChatMessages(instanceId, chatId, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.get(`/instances/${instanceId}/chats/${encodeURIComponent(chatId)}/messages${query ? `?${query}` : ''}`);
+  }
+
   // WhatsApp Proxy methods
   async getProxyMethods() {
     return this.get('/proxy/methods');
   }
 
+  async callMethod(apiKey, method, params = [], options = {}) {
+    return this.post(`/proxy/${apiKey}/${method}`, { params, options });
+  }
+
   async sendMessage(apiKey, chatId, message) {
-    return this.post(`/proxy/${apiKey}/sendMessage`, {
-      params: [chatId, message]
-    });
+    return this.callMethod(apiKey, 'sendMessage', [chatId, message]);
   }
 
   async getChats(apiKey) {
-    return this.get(`/proxy/${apiKey}/chats`);
+    return this.callMethod(apiKey, 'getChats');
+  }
+
+  // User management (admin)
+  async getUsers(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.get(`/users${query ? `?${query}` : ''}`);
+  }
+
+  async getUser(userId) {
+    return this.get(`/users/${userId}`);
+  }
+
+  async createUser(userData) {
+    return this.post('/users', userData);
+  }
+
+  async updateUser(userId, updates) {
+    return this.patch(`/users/${userId}`, updates);
+  }
+
+  async deactivateUser(userId) {
+    return this.delete(`/users/${userId}`);
+  }
+
+  async updateUserRole(userId, role, permissions) {
+    return this.put(`/users/${userId}/role`, { role, permissions });
+  }
+
+  async updateUserPlan(userId, plan, planLimits = {}, reset = false) {
+    return this.put(`/users/${userId}/plan`, { plan, planLimits, reset });
+  }
+
+  async resetUserUsage(userId) {
+    return this.post(`/users/${userId}/usage/reset`);
+  }
+
+  async impersonateUser(userId, reason) {
+    return this.post(`/users/${userId}/impersonate`, { reason });
+  }
+
+  async getAuditLog(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    return this.get(`/users/audit-log${query ? `?${query}` : ''}`);
+  }
+
+  // Plan-Limits und Verbrauch
+  async getUsage() {
+    return this.get('/users/usage');
   }
 
   // Analytics methods
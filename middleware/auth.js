@@ -3,34 +3,70 @@ const User = require('../models/User');
 const { whatsappLogger } = require('../utils/logger');
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// JWT-Token generieren (kurzlebig - Verlängerung über Refresh-Token)
+// impersonatedBy: Admin, der als dieser Benutzer agiert (Support-Zugriff, ohne Refresh-Token)
+const generateToken = (userId, { impersonatedBy, expiresIn = JWT_EXPIRES_IN } = {}) => {
+  const payload = { userId, type: 'access' };
+  if (impersonatedBy) payload.impersonatedBy = String(impersonatedBy);
 
-// JWT-Token generieren
-const generateToken = (userId) => {
   return jwt.sign(
-    { userId, type: 'access' },
+    payload,
     JWT_SECRET,
     {
-      expiresIn: JWT_EXPIRES_IN,
+      expiresIn,
       issuer: 'whatsapp-manager',
       audience: 'whatsapp-manager-users'
     }
   );
 };
 
-// Refresh-Token generieren (länger gültig)
-const generateRefreshToken = (userId) => {
+// Refresh-Token generieren (opak, serverseitig gespeichert und widerrufbar)
+// Ohne family beginnt eine neue Token-Familie (neuer Login)
+const generateRefreshToken = (userId, { family, ip, userAgent } = {}) => {
+  const RefreshToken = require('../models/RefreshToken');
+  return RefreshToken.issue(userId, { family, ttlMs: REFRESH_TOKEN_TTL_MS, ip, userAgent });
+};
+
+// 2FA-Challenge nach erfolgreicher Passwortprüfung ('login' = Code eingeben, 'setup' = 2FA einrichten)
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const generateChallengeToken = (userId, purpose) => {
   return jwt.sign(
-    { userId, type: 'refresh' },
+    { userId, type: 'mfa', purpose },
     JWT_SECRET,
     {
-      expiresIn: '30d',
+      expiresIn: CHALLENGE_EXPIRES_IN,
       issuer: 'whatsapp-manager',
       audience: 'whatsapp-manager-users'
     }
   );
 };
 
+// Liefert die userId oder null (ungültig, abgelaufen, falscher Zweck)
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET, {
+      issuer: 'whatsapp-manager',
+      audience: 'whatsapp-manager-users'
+    });
+    return decoded.type === 'mfa' && decoded.purpose === purpose ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Token vor Passwortänderung bzw. "Alle Sitzungen abmelden" ausgestellt?
+const isTokenRevoked = (user, decoded) => {
+  const revokedAt = [user.passwordChangedAt, user.tokensRevokedAt]
+    .filter(Boolean)
+    .map(date => Math.floor(date.getTime() / 1000));
+
+  return revokedAt.some(timestamp => decoded.iat < timestamp);
+};
+
 // Token aus Request extrahieren
 const extractToken = (req) => {
   let token = null;
@@ -121,26 +157,38 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Password-Change-Validation (Token vor Password-Änderung ungültig)
-    if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
-      whatsappLogger.auth(user.id, 'password_changed', false, req.ip, req.get('User-Agent'));
+    // Token vor Password-Änderung oder globalem Logout ausgestellt -> ungültig
+    if (isTokenRevoked(user, decoded)) {
+      whatsappLogger.auth(user.id, 'token_revoked', false, req.ip, req.get('User-Agent'));
       return res.status(401).json({
-        error: 'Password changed',
-        message: 'Please login again after password change'
+        error: 'Token revoked',
+        message: 'Please login again'
       });
     }
 
     // Benutzer-Informationen zu Request hinzufügen
     req.user = user;
     req.token = token;
+    req.impersonatedBy = decoded.impersonatedBy || null;
 
-    // Last-Login aktualisieren (throttled - max einmal pro Stunde)
+    // Last-Login aktualisieren (throttled - max einmal pro Stunde, nicht bei Impersonation)
     const now = new Date();
-    if (!user.lastLogin || now - user.lastLogin > 60 * 60 * 1000) {
+    if (!req.impersonatedBy && (!user.lastLogin || now - user.lastLogin > 60 * 60 * 1000)) {
       user.lastLogin = now;
       await user.save({ validateBeforeSave: false });
     }
 
+    // Schreibende Requests während einer Impersonation protokollieren
+    if (req.impersonatedBy && req.method !== 'GET') {
+      res.on('finish', () => {
+        const AuditLog = require('../models/AuditLog');
+        AuditLog.record(req, 'impersonation.request', {
+          targetId: user._id,
+          changes: { method: req.method, path: req.originalUrl, statusCode: res.statusCode }
+        }).catch(() => {});
+      });
+    }
+
     whatsappLogger.auth(user.id, 'authenticated', true, req.ip, req.get('User-Agent'));
     next();
 
@@ -162,10 +210,15 @@ const optionalAuth = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = jwt.verify(token, JWT_SECRET, {
+      issuer: 'whatsapp-manager',
+      audience: 'whatsapp-manager-users'
+    });
+    if (decoded.type !== 'access') return next();
+
     const user = await User.findById(decoded.userId).select('-password');
 
-    if (user && user.isActive) {
+    if (user && user.isActive && !isTokenRevoked(user, decoded)) {
       req.user = user;
     }
   } catch (error) {
@@ -235,8 +288,23 @@ const requirePermission = (permission) => {
   };
 };
 
-// Plan-Limit-Middleware
-const requirePlan = (minPlan) => {
+// Kontingente für requirePlan({ quota }) - 402
+const QUOTAS = {
+  instances: user => ({ used: user.usage.currentInstances, limit: user.planLimits.maxInstances, unit: 'instances' }),
+  messages: user => ({ used: user.usage.monthlyMessages, limit: user.planLimits.maxMessagesPerMonth, unit: 'messages per month' })
+};
+
+/**
+ * Plan-Limit-Middleware
+ *
+ * requirePlan('premium')                      Mindest-Plan - 403
+ * requirePlan({ feature: 'enableApiAccess' })  Feature aus planLimits - 403
+ * requirePlan({ quota: 'messages' })           Kontingent nicht erschöpft - 402
+ *
+ * Kontingente werden hier nur vorab geprüft - verbindlich belastet werden sie atomar
+ * (User.consumeMessageQuota, User.reserveInstanceSlot).
+ */
+const requirePlan = (requirement) => {
   const planHierarchy = {
     'free': 0,
     'basic': 1,
@@ -244,6 +312,8 @@ const requirePlan = (minPlan) => {
     'enterprise': 3
   };
 
+  const { minPlan, feature, quota } = typeof requirement === 'string' ? { minPlan: requirement } : requirement;
+
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -251,25 +321,56 @@ const requirePlan = (minPlan) => {
       });
     }
 
-    const userPlanLevel = planHierarchy[req.user.plan] || 0;
-    const requiredPlanLevel = planHierarchy[minPlan] || 0;
+    // Admins unterliegen keinen Plan-Beschränkungen
+    if (req.user.isAdmin) return next();
+
+    if (minPlan) {
+      const userPlanLevel = planHierarchy[req.user.plan] || 0;
+      const requiredPlanLevel = planHierarchy[minPlan] || 0;
 
-    if (userPlanLevel < requiredPlanLevel) {
-      whatsappLogger.auth(req.user.id, `plan_${minPlan}_required`, false, req.ip, req.get('User-Agent'));
+      if (userPlanLevel < requiredPlanLevel) {
+        whatsappLogger.auth(req.user.id, `plan_${minPlan}_required`, false, req.ip, req.get('User-Agent'));
+        return res.status(403).json({
+          error: 'Plan upgrade required',
+          message: `This feature requires '${minPlan}' plan or higher`,
+          currentPlan: req.user.plan,
+          requiredPlan: minPlan
+        });
+      }
+    }
+
+    if (feature && !req.user.planLimits?.[feature]) {
+      whatsappLogger.auth(req.user.id, `feature_${feature}_required`, false, req.ip, req.get('User-Agent'));
       return res.status(403).json({
         error: 'Plan upgrade required',
-        message: `This feature requires '${minPlan}' plan or higher`,
-        currentPlan: req.user.plan,
-        requiredPlan: minPlan
+        message: `Your plan does not include '${feature}'`,
+        feature,
+        currentPlan: req.user.plan
       });
     }
 
+    if (quota) {
+      const { used, limit, unit } = QUOTAS[quota](req.user);
+      if (used >= limit) {
+        whatsappLogger.auth(req.user.id, `quota_${quota}_exceeded`, false, req.ip, req.get('User-Agent'));
+        return res.status(402).json({
+          error: 'Quota exceeded',
+          message: `Your plan allows ${limit} ${unit}`,
+          quota,
+          used,
+          limit,
+          currentPlan: req.user.plan
+        });
+      }
+    }
+
     next();
   };
 };
 
 // API-Key-Middleware (für externe API-Zugriffe)
-const apiKeyAuth = async (req, res, next) => {
+// requireReady: false erlaubt Zugriffe, während die Instance (neu) verbindet (z.B. Queue)
+const createApiKeyAuth = ({ requireReady = true } = {}) => async (req, res, next) => {
   try {
     const apiKey = req.headers['x-api-key'] || req.params.apiKey;
 
@@ -280,15 +381,27 @@ const apiKeyAuth = async (req, res, next) => {
       });
     }
 
-    // Instance anhand API-Key finden
-    const Instance = require('../models/Instance');
-    const instance = await Instance.findOne({ apiKey }).populate('userId');
+    // API-Key (gehasht) auflösen - nur aktive, nicht abgelaufene Keys
+    const ApiKey = require('../models/ApiKey');
+    const apiKeyRecord = await ApiKey.findByKey(apiKey);
 
-    if (!instance) {
+    if (!apiKeyRecord) {
       whatsappLogger.auth(null, 'invalid_api_key', false, req.ip, req.get('User-Agent'));
       return res.status(401).json({
         error: 'Invalid API key',
-        message: 'The provided API key is not valid'
+        message: 'The provided API key is not valid, expired or revoked'
+      });
+    }
+
+    // Zugehörige Instance laden
+    const Instance = require('../models/Instance');
+    const instance = await Instance.findOne({ instanceId: apiKeyRecord.instanceId }).populate('userId');
+
+    if (!instance || !instance.userId) {
+      whatsappLogger.auth(null, 'api_key_orphaned', false, req.ip, req.get('User-Agent'));
+      return res.status(401).json({
+        error: 'Invalid API key',
+        message: 'The instance for this API key no longer exists'
       });
     }
 
@@ -301,7 +414,7 @@ const apiKeyAuth = async (req, res, next) => {
     }
 
     // Instance-Status prüfen
-    if (instance.status !== 'ready') {
+    if (requireReady && instance.status !== 'ready') {
       return res.status(400).json({
         error: 'Instance not ready',
         message: `Instance status: ${instance.status}`,
@@ -312,6 +425,9 @@ const apiKeyAuth = async (req, res, next) => {
     req.user = instance.userId;
     req.instance = instance;
     req.apiKey = apiKey;
+    req.apiKeyRecord = apiKeyRecord;
+
+    await apiKeyRecord.touch(req.ip);
 
     whatsappLogger.auth(instance.userId.id, 'api_key_auth', true, req.ip, req.get('User-Agent'));
     next();
@@ -324,6 +440,8 @@ const apiKeyAuth = async (req, res, next) => {
   }
 };
 
+const apiKeyAuth = createApiKeyAuth();
+
 // WebSocket-Auth für Socket.IO
 const socketAuth = async (socket, next) => {
   try {
@@ -333,15 +451,28 @@ const socketAuth = async (socket, next) => {
       return next(new Error('No token provided'));
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = jwt.verify(token, JWT_SECRET, {
+      issuer: 'whatsapp-manager',
+      audience: 'whatsapp-manager-users'
+    });
+    if (decoded.type !== 'access') {
+      return next(new Error('Invalid token type'));
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
 
     if (!user || !user.isActive) {
       return next(new Error('Invalid user'));
     }
 
+    // Token vor Password-Änderung oder globalem Logout ausgestellt
+    if (isTokenRevoked(user, decoded)) {
+      return next(new Error('Token revoked'));
+    }
+
     socket.userId = user.id;
     socket.user = user;
+    socket.tokenPayload = decoded; // für spätere Prüfungen (SocketGateway.checkSession)
 
     whatsappLogger.auth(user.id, 'websocket_auth', true, socket.handshake.address, socket.handshake.headers['user-agent']);
     next();
@@ -359,8 +490,13 @@ module.exports = {
   requirePermission,
   requirePlan,
   apiKeyAuth,
+  createApiKeyAuth,
   socketAuth,
+  isTokenRevoked,
   generateToken,
   generateRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  REFRESH_TOKEN_TTL_MS,
   extractToken
 };
\ No newline at end of file
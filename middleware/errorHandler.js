@@ -38,6 +38,12 @@ class NotFoundError extends AppError {
   }
 }
 
+class QuotaExceededError extends AppError {
+  constructor(message = 'Plan quota exceeded') {
+    super(message, 402, 'QUOTA_EXCEEDED');
+  }
+}
+
 class ConflictError extends AppError {
   constructor(message = 'Resource conflict') {
     super(message, 409, 'CONFLICT_ERROR');
@@ -140,6 +146,7 @@ const getErrorDetails = (error) => {
       message: error.message,
       statusCode: error.statusCode,
       field: error.field,
+      errors: error.errors,
       instanceId: error.instanceId
     };
   }
@@ -317,6 +324,7 @@ module.exports = {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  QuotaExceededError,
   RateLimitError,
   WhatsAppError,
 
@@ -0,0 +1,107 @@
+/**
+ * Migration: Move plaintext Instance.apiKey into the hashed ApiKey collection
+ *
+ * Every existing instance key becomes an ApiKey document (label "Legacy") with
+ * the same secret, so integrations keep working. The plaintext value and the
+ * unique index on instances.apiKey are removed afterwards.
+ */
+
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { DEFAULT_API_KEY_SCOPES } = require('../services/methodSchemas');
+
+async function up() {
+  console.log('🔄 Running migration: Hash API keys...');
+
+  try {
+    const db = mongoose.connection.db;
+    const collection = db.collection('instances');
+
+    const instances = await collection.find(
+      { apiKey: { $exists: true, $ne: null } },
+      { projection: { instanceId: 1, userId: 1, apiKey: 1, apiKeyScopes: 1 } }
+    ).toArray();
+
+    let migrated = 0;
+    for (const instance of instances) {
+      const keyHash = ApiKey.hashKey(instance.apiKey);
+
+      // Idempotent: bereits migrierte Keys überspringen
+      const exists = await ApiKey.exists({ keyHash });
+      if (!exists) {
+        await ApiKey.create({
+          keyId: `key_${require('crypto').randomBytes(8).toString('hex')}`,
+          instanceId: instance.instanceId,
+          userId: instance.userId,
+          label: 'Legacy',
+          keyHash,
+          keyPreview: instance.apiKey.substring(0, 6),
+          scopes: instance.apiKeyScopes?.length ? instance.apiKeyScopes : DEFAULT_API_KEY_SCOPES
+        });
+        migrated++;
+      }
+    }
+
+    console.log(`✅ Migrated ${migrated} API keys to the apikeys collection`);
+
+    // Klartext-Keys entfernen
+    const result = await collection.updateMany(
+      {},
+      { $unset: { apiKey: '', apiKeyScopes: '' } }
+    );
+    console.log(`✅ Removed plaintext keys from ${result.modifiedCount} instance documents`);
+
+    try {
+      await collection.dropIndex('apiKey_1');
+      console.log('✅ Dropped unique index instances.apiKey');
+    } catch (error) {
+      console.log('⚠️  Index apiKey_1 does not exist, continuing...');
+    }
+
+    console.log('🎉 Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  // Hashes lassen sich nicht in Klartext zurückführen
+  console.log('⚠️  Migration 002 cannot be rolled back: plaintext keys are not recoverable.');
+  console.log('   Create new keys via POST /api/instances/:instanceId/keys instead.');
+}
+
+module.exports = { up, down };
+
+// CLI usage if run directly
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/whatsapp-manager';
+
+  async function runMigration() {
+    try {
+      await mongoose.connect(MONGODB_URI);
+      console.log('✅ Connected to MongoDB');
+
+      const command = process.argv[2];
+      if (command === 'up') {
+        await up();
+      } else if (command === 'down') {
+        await down();
+      } else {
+        console.log('Usage: node 002-hash-api-keys.js [up|down]');
+        process.exit(1);
+      }
+
+      await mongoose.disconnect();
+      console.log('✅ Migration completed, disconnected from MongoDB');
+      process.exit(0);
+
+    } catch (error) {
+      console.error('❌ Migration error:', error);
+      process.exit(1);
+    }
+  }
+
+  runMigration();
+}
@@ -0,0 +1,120 @@
+/**
+ * Migration: Remove duplicate messages and create the unique message index
+ *
+ * Older versions stored a sent message twice (sendMessage result and message_create).
+ * Message.ingest relies on a unique index over { instanceId, waMessageId }, which cannot
+ * be built while duplicates exist. Per message the copy with the highest ack is kept
+ * (on ties the oldest one), all other copies are deleted.
+ */
+
+const mongoose = require('mongoose');
+
+const INDEX_NAME = 'instanceId_1_waMessageId_1';
+const DELETE_BATCH_SIZE = 1000;
+
+async function up() {
+  console.log('🔄 Running migration: Dedupe messages...');
+
+  try {
+    const db = mongoose.connection.db;
+    const collection = db.collection('messages');
+
+    const duplicates = collection.aggregate([
+      { $sort: { ack: -1, createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { instanceId: '$instanceId', waMessageId: '$waMessageId' },
+          ids: { $push: '$_id' },
+          count: { $sum: 1 }
+        }
+      },
+      { $match: { count: { $gt: 1 } } }
+    ], { allowDiskUse: true });
+
+    let groups = 0;
+    let removed = 0;
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const result = await collection.deleteMany({ _id: { $in: batch } });
+      removed += result.deletedCount;
+      batch = [];
+    };
+
+    for await (const group of duplicates) {
+      groups++;
+      batch.push(...group.ids.slice(1));
+      if (batch.length >= DELETE_BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`✅ Removed ${removed} duplicate messages (${groups} affected messages)`);
+
+    await collection.createIndex({ instanceId: 1, waMessageId: 1 }, { unique: true, name: INDEX_NAME });
+    console.log(`✅ Created unique index messages.${INDEX_NAME}`);
+
+    console.log('🎉 Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  console.log('🔄 Rolling back migration: Dedupe messages...');
+
+  try {
+    const collection = mongoose.connection.db.collection('messages');
+
+    try {
+      await collection.dropIndex(INDEX_NAME);
+      console.log(`✅ Dropped index messages.${INDEX_NAME}`);
+    } catch (error) {
+      console.log(`⚠️  Index ${INDEX_NAME} does not exist, continuing...`);
+    }
+
+    // Gelöschte Duplikate lassen sich nicht wiederherstellen
+    console.log('⚠️  Removed duplicate messages are not restored.');
+    console.log('🎉 Rollback completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Rollback failed:', error);
+    throw error;
+  }
+}
+
+module.exports = { up, down };
+
+// CLI usage if run directly
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/whatsapp-manager';
+
+  async function runMigration() {
+    try {
+      await mongoose.connect(MONGODB_URI);
+      console.log('✅ Connected to MongoDB');
+
+      const command = process.argv[2];
+      if (command === 'up') {
+        await up();
+      } else if (command === 'down') {
+        await down();
+      } else {
+        console.log('Usage: node 003-dedupe-messages.js [up|down]');
+        process.exit(1);
+      }
+
+      await mongoose.disconnect();
+      console.log('✅ Migration completed, disconnected from MongoDB');
+      process.exit(0);
+
+    } catch (error) {
+      console.error('❌ Migration error:', error);
+      process.exit(1);
+    }
+  }
+
+  runMigration();
+}
@@ -0,0 +1,86 @@
+/**
+ * Migration: Initialise User.usage.currentInstances
+ *
+ * The instance counter was never maintained before plan limits were enforced. It is
+ * now the basis of the instance quota (User.reserveInstanceSlot), so every user gets
+ * the actual number of instances they own. Safe to run repeatedly.
+ */
+
+const mongoose = require('mongoose');
+
+async function up() {
+  console.log('🔄 Running migration: Initialise instance counters...');
+
+  try {
+    const db = mongoose.connection.db;
+    const users = db.collection('users');
+
+    const counts = await db.collection('instances').aggregate([
+      { $group: { _id: '$userId', count: { $sum: 1 } } }
+    ]).toArray();
+
+    // Benutzer ohne Instanzen auf 0, alle anderen auf die tatsächliche Anzahl
+    const ownerIds = counts.map(entry => entry._id).filter(Boolean);
+    const reset = await users.updateMany(
+      { _id: { $nin: ownerIds } },
+      { $set: { 'usage.currentInstances': 0 } }
+    );
+
+    let updated = reset.modifiedCount;
+    if (counts.length > 0) {
+      const result = await users.bulkWrite(counts.filter(entry => entry._id).map(entry => ({
+        updateOne: {
+          filter: { _id: entry._id },
+          update: { $set: { 'usage.currentInstances': entry.count } }
+        }
+      })));
+      updated += result.modifiedCount;
+    }
+
+    console.log(`✅ Updated instance counters of ${updated} users`);
+    console.log('🎉 Migration completed successfully!');
+
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    throw error;
+  }
+}
+
+async function down() {
+  // Zähler bleiben korrekt - nichts zurückzunehmen
+  console.log('ℹ️  Migration 004 has nothing to roll back.');
+}
+
+module.exports = { up, down };
+
+// CLI usage if run directly
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/whatsapp-manager';
+
+  async function runMigration() {
+    try {
+      await mongoose.connect(MONGODB_URI);
+      console.log('✅ Connected to MongoDB');
+
+      const command = process.argv[2];
+      if (command === 'up') {
+        await up();
+      } else if (command === 'down') {
+        await down();
+      } else {
+        console.log('Usage: node 004-init-instance-counters.js [up|down]');
+        process.exit(1);
+      }
+
+      await mongoose.disconnect();
+      console.log('✅ Migration completed, disconnected from MongoDB');
+      process.exit(0);
+
+    } catch (error) {
+      console.error('❌ Migration error:', error);
+      process.exit(1);
+    }
+  }
+
+  runMigration();
+}
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { PERMISSIONS } = require('./User');
+const { API_KEY_SCOPES, DEFAULT_API_KEY_SCOPES } = require('../services/methodSchemas');
+
+const KEY_PREFIX = 'wam_';
+
+const ApiKeySchema = new mongoose.Schema({
+  // Öffentliche Kennung (für Verwaltung, nicht für Auth)
+  keyId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  instanceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    default: 'Default'
+  },
+
+  // Secret wird nur als SHA-256-Hash gespeichert
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Erste Zeichen des Keys zur Wiedererkennung im UI
+  keyPreview: String,
+
+  // Berechtigungen und Limits
+  scopes: {
+    type: [{ type: String, enum: PERMISSIONS }],
+    default: () => [...DEFAULT_API_KEY_SCOPES]
+  },
+  rateLimitPerMinute: {
+    type: Number,
+    default: 60,
+    min: 1
+  },
+
+  // Lebenszyklus
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  rotatedFrom: String, // keyId des Vorgängers
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+// Virtuelle Felder
+ApiKeySchema.virtual('isActive').get(function() {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  return true;
+});
+
+// Indizes
+ApiKeySchema.index({ instanceId: 1, revokedAt: 1 });
+
+// Statische Methoden
+ApiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+/**
+ * Neuen Key erzeugen - das Klartext-Secret wird nur hier zurückgegeben
+ */
+ApiKeySchema.statics.generate = async function(data) {
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+
+  const apiKey = new this({
+    ...data,
+    keyId: `key_${crypto.randomBytes(8).toString('hex')}`,
+    keyHash: this.hashKey(key),
+    keyPreview: key.substring(0, KEY_PREFIX.length + 6)
+  });
+
+  await apiKey.save();
+  return { apiKey, key };
+};
+
+/**
+ * Scopes für einen neuen Key bestimmen und prüfen - ohne Angabe die Standard-Scopes
+ *
+ * Maßstab ist, was der Besitzer über den Proxy mit seiner Instanz tun darf (alle API_KEY_SCOPES),
+ * nicht seine Admin-Permissions. Ob der Plan API-Zugriff enthält, prüft der Proxy beim Aufruf.
+ * @returns {{ scopes: string[]|null, error: string|null }}
+ */
+ApiKeySchema.statics.resolveScopes = function(scopes) {
+  if (scopes === undefined || scopes === null) {
+    scopes = DEFAULT_API_KEY_SCOPES;
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 ||
+      scopes.some(scope => typeof scope !== 'string' || !API_KEY_SCOPES.includes(scope))) {
+    return { scopes: null, error: `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}` };
+  }
+
+  return { scopes: [...new Set(scopes)], error: null };
+};
+
+// Bedingung für aktive (nicht widerrufene, nicht abgelaufene) Keys
+const activeFilter = () => ({
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+/**
+ * Aktiven Key (nicht widerrufen, nicht abgelaufen) anhand des Secrets finden
+ */
+ApiKeySchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: this.hashKey(key), ...activeFilter() });
+};
+
+// Key noch gültig? (für langlebige Verbindungen wie den Event-Stream)
+ApiKeySchema.statics.isKeyActive = async function(keyId) {
+  return Boolean(await this.exists({ keyId, ...activeFilter() }));
+};
+
+ApiKeySchema.statics.findByInstance = function(instanceId, includeRevoked = false) {
+  const query = { instanceId };
+  if (!includeRevoked) query.revokedAt = null;
+  return this.find(query).sort({ createdAt: -1 });
+};
+
+// Instance-Methoden
+ApiKeySchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+ApiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Last-Used aktualisieren (throttled - max einmal pro Minute)
+ApiKeySchema.methods.touch = function(ip) {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < 60 * 1000) return Promise.resolve();
+
+  this.lastUsedAt = now;
+  this.lastUsedIp = ip;
+  return this.constructor.updateOne({ _id: this._id }, { lastUsedAt: now, lastUsedIp: ip });
+};
+
+/**
+ * Key rotieren: Nachfolger mit gleichen Einstellungen erzeugen, diesen Key widerrufen
+ * Mit gracePeriodSeconds bleibt der alte Key noch so lange gültig
+ */
+ApiKeySchema.methods.rotate = async function(createdBy, gracePeriodSeconds = 0) {
+  const { apiKey, key } = await this.constructor.generate({
+    instanceId: this.instanceId,
+    userId: this.userId,
+    label: this.label,
+    scopes: this.scopes,
+    rateLimitPerMinute: this.rateLimitPerMinute,
+    expiresAt: this.expiresAt,
+    rotatedFrom: this.keyId,
+    createdBy
+  });
+
+  if (gracePeriodSeconds > 0) {
+    const graceEnd = new Date(Date.now() + gracePeriodSeconds * 1000);
+    if (!this.expiresAt || this.expiresAt > graceEnd) this.expiresAt = graceEnd;
+    await this.save();
+  } else {
+    await this.revoke();
+  }
+
+  return { apiKey, key };
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
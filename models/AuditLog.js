@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+/**
+ * Audit-Trail für administrative Aktionen (Benutzerverwaltung, Impersonation)
+ */
+const AuditLogSchema = new mongoose.Schema({
+  // Wer
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  actorRole: String,
+  impersonatorId: { // gesetzt, wenn die Aktion während einer Impersonation ausgeführt wurde
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Was
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  targetType: {
+    type: String,
+    default: 'user'
+  },
+  targetId: {
+    type: String,
+    index: true
+  },
+  changes: mongoose.Schema.Types.Mixed,
+
+  // Kontext
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indizes
+AuditLogSchema.index({ createdAt: -1 });
+
+// Statische Methoden
+
+/**
+ * Eintrag für den aktuellen Request schreiben (req.user = Akteur)
+ */
+AuditLogSchema.statics.record = function(req, action, { targetType = 'user', targetId, changes } = {}) {
+  return this.create({
+    actorId: req.user._id,
+    actorRole: req.user.role,
+    impersonatorId: req.impersonatedBy || undefined,
+    action,
+    targetType,
+    targetId: targetId ? String(targetId) : undefined,
+    changes,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+};
+
+AuditLogSchema.statics.search = function({ actorId, targetId, action, limit = 50, before } = {}) {
+  const query = {};
+  if (actorId) query.actorId = actorId;
+  if (targetId) query.targetId = String(targetId);
+  if (action) query.action = action;
+  if (before) query.createdAt = { $lt: before };
+
+  return this.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(limit, 200))
+    .populate('actorId', 'username email role')
+    .populate('impersonatorId', 'username email role');
+};
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Einmal-Tokens für E-Mail-Bestätigung und Passwort-Reset
+ * Das Klartext-Token geht nur per Mail raus, gespeichert wird der SHA-256-Hash
+ */
+const AuthTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  purpose: {
+    type: String,
+    enum: ['email_verification', 'password_reset'],
+    required: true
+  },
+
+  // Lebenszyklus
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  createdByIp: String
+}, {
+  timestamps: true
+});
+
+// Indizes
+AuthTokenSchema.index({ userId: 1, purpose: 1, usedAt: 1 });
+
+// Abgelaufene Tokens automatisch entfernen
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Statische Methoden
+AuthTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Neues Token ausstellen - ältere, noch offene Tokens desselben Zwecks werden entwertet
+ */
+AuthTokenSchema.statics.issue = async function(userId, purpose, ttlMs, ip) {
+  const now = new Date();
+  await this.updateMany({ userId, purpose, usedAt: null }, { usedAt: now });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const record = await this.create({
+    tokenHash: this.hashToken(token),
+    userId,
+    purpose,
+    expiresAt: new Date(now.getTime() + ttlMs),
+    createdByIp: ip
+  });
+
+  return { token, record };
+};
+
+/**
+ * Token atomar einlösen - null, wenn unbekannt, abgelaufen oder bereits verwendet
+ */
+AuthTokenSchema.statics.consume = function(token, purpose) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    { tokenHash: this.hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * Server-Knoten im Cluster (ClusterCoordinator)
+ *
+ * Jeder Prozess meldet sich mit seiner serverId an und erneuert `expiresAt` per Heartbeat.
+ * Ein Knoten, dessen Heartbeat abgelaufen ist, gilt als ausgefallen - seine Instanz-Leases
+ * laufen ebenfalls ab und werden von anderen Knoten übernommen.
+ */
+const ClusterNodeSchema = new mongoose.Schema({
+  nodeId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  host: String,
+  pid: Number,
+  status: {
+    type: String,
+    enum: ['active', 'stopped', 'down'],
+    default: 'active'
+  },
+
+  // Kapazität
+  maxInstances: {
+    type: Number,
+    required: true
+  },
+  activeInstances: {
+    type: Number,
+    default: 0
+  },
+
+  startedAt: Date,
+  lastHeartbeat: Date,
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Indizes
+ClusterNodeSchema.index({ expiresAt: 1 });
+
+// Virtuelle Felder
+ClusterNodeSchema.virtual('alive').get(function() {
+  return this.status === 'active' && Boolean(this.expiresAt) && this.expiresAt > new Date();
+});
+
+ClusterNodeSchema.virtual('freeSlots').get(function() {
+  return Math.max(0, this.maxInstances - this.activeInstances);
+});
+
+// Statische Methoden
+ClusterNodeSchema.statics.findAlive = function() {
+  return this.find({ status: 'active', expiresAt: { $gt: new Date() } });
+};
+
+// Abgelaufene Knoten als ausgefallen markieren
+ClusterNodeSchema.statics.markExpired = async function() {
+  const result = await this.updateMany(
+    { status: 'active', expiresAt: { $lte: new Date() } },
+    { status: 'down' }
+  );
+  return result.modifiedCount;
+};
+
+// Instance-Methoden
+ClusterNodeSchema.methods.toDTO = function() {
+  return {
+    nodeId: this.nodeId,
+    host: this.host || null,
+    pid: this.pid || null,
+    status: this.alive ? 'active' : (this.status === 'active' ? 'down' : this.status),
+    maxInstances: this.maxInstances,
+    activeInstances: this.activeInstances,
+    freeSlots: this.freeSlots,
+    startedAt: this.startedAt ? this.startedAt.toISOString() : null,
+    lastHeartbeat: this.lastHeartbeat ? this.lastHeartbeat.toISOString() : null
+  };
+};
+
+module.exports = mongoose.model('ClusterNode', ClusterNodeSchema);
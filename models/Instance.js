@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
 
 const InstanceSchema = new mongoose.Schema({
   // Grunddaten
@@ -104,6 +105,23 @@ const InstanceSchema = new mongoose.Schema({
     backupSize: Number
   },
 
+  // Umzug zwischen Servern (InstanceTransfer) - exportId ist das zuletzt exportierte, noch nicht importierte Bundle
+  transfer: {
+    exportId: { type: String, default: null },
+    exportedAt: Date,
+    sourceServerId: String,
+    importedAt: Date
+  },
+
+  // Cluster-Lease (ClusterCoordinator) - nur der Knoten mit gültigem Lease betreibt die Instanz,
+  // token steigt bei jeder Übernahme (Fencing: Schreibzugriffe alter Besitzer greifen nicht mehr)
+  lease: {
+    nodeId: { type: String, default: null, index: true },
+    token: { type: Number, default: 0 },
+    acquiredAt: Date,
+    expiresAt: Date
+  },
+
   // Statistiken
   stats: {
     totalMessages: { type: Number, default: 0 },
@@ -125,13 +143,7 @@ const InstanceSchema = new mongoose.Schema({
     enableGroups: { type: Boolean, default: true }
   },
 
-  // API-Konfiguration
-  apiKey: {
-    type: String,
-    required: true,
-    unique: true,
-    index: true
-  },
+  // API-Konfiguration (API-Keys liegen gehasht in der ApiKey-Collection)
   webhookSecret: String,
 
   // Zeitstempel
@@ -186,6 +198,19 @@ InstanceSchema.statics.findByServer = function(serverId, status = null) {
   return this.find(query);
 };
 
+/**
+ * Webhook-Secret (HMAC) der Instanz liefern - wird beim ersten Zugriff erzeugt
+ */
+InstanceSchema.statics.ensureWebhookSecret = async function(instanceId) {
+  const instance = await this.findOneAndUpdate(
+    { instanceId, webhookSecret: { $in: [null, ''] } },
+    { webhookSecret: crypto.randomBytes(32).toString('hex') },
+    { new: true }
+  ) || await this.findOne({ instanceId });
+
+  return instance ? instance.webhookSecret : null;
+};
+
 InstanceSchema.statics.getActiveInstances = function() {
   return this.find({
     status: { $in: ['connecting', 'qr_pending', 'authenticated', 'ready'] }
@@ -193,6 +218,11 @@ InstanceSchema.statics.getActiveInstances = function() {
 };
 
 // Instance-Methoden
+InstanceSchema.methods.rotateWebhookSecret = function() {
+  this.webhookSecret = crypto.randomBytes(32).toString('hex');
+  return this.save();
+};
+
 InstanceSchema.methods.updateStats = function(stats) {
   Object.assign(this.stats, stats);
   return this.save();
@@ -274,26 +304,4 @@ InstanceSchema.methods.needsRestart = function() {
          this.status === 'error';
 };
 
-InstanceSchema.methods.createSessionBackup = async function() {
-  if (!this.sessionBackup.enabled) return false;
-
-  const fs = require('fs').promises;
-  const path = require('path');
-
-  try {
-    const sessionPath = path.join('./sessions', this.instanceId);
-    const backupPath = path.join('./backups', `${this.instanceId}-${Date.now()}.tar.gz`);
-
-    // Hier würde Session-Backup-Logic stehen (z.B. tar-gz erstellen)
-    this.sessionBackup.lastBackup = new Date();
-    this.sessionBackup.backupPath = backupPath;
-
-    await this.save();
-    return true;
-  } catch (error) {
-    await this.logError(error);
-    return false;
-  }
-};
-
 module.exports = mongoose.model('Instance', InstanceSchema);
\ No newline at end of file
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Gespeicherte Mediendatei (empfangene Anhänge und Uploads)
+ *
+ * Die Datei selbst liegt im Storage-Backend (MediaService), hier nur Metadaten.
+ */
+const MediaSchema = new mongoose.Schema({
+  mediaId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `med_${crypto.randomBytes(12).toString('hex')}`
+  },
+  instanceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  waMessageId: { // gesetzt bei empfangenen bzw. gesendeten Nachrichten
+    type: String,
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['incoming', 'upload'],
+    required: true
+  },
+
+  // Datei
+  storageKey: {
+    type: String,
+    required: true
+  },
+  thumbnailKey: String,
+  mimetype: {
+    type: String,
+    required: true
+  },
+  filename: String,
+  size: {
+    type: Number,
+    required: true
+  },
+  sha256: String,
+
+  // Retention: nach Ablauf löscht MediaService.purgeExpired Datei und Dokument
+  expiresAt: {
+    type: Date,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indizes
+MediaSchema.index({ instanceId: 1, createdAt: -1 });
+
+// Virtuelle Felder
+MediaSchema.virtual('url').get(function() {
+  return `/api/media/${this.mediaId}`;
+});
+
+MediaSchema.virtual('thumbnailUrl').get(function() {
+  return this.thumbnailKey ? `/api/media/${this.mediaId}/thumbnail` : null;
+});
+
+// Statische Methoden
+MediaSchema.statics.findExpired = function(limit = 100, now = new Date()) {
+  return this.find({ expiresAt: { $lte: now } }).limit(limit);
+};
+
+// Instance-Methoden
+MediaSchema.methods.toDTO = function() {
+  return {
+    object: 'media_file',
+    mediaId: this.mediaId,
+    instanceId: this.instanceId,
+    waMessageId: this.waMessageId || null,
+    source: this.source,
+    mimetype: this.mimetype,
+    filename: this.filename || null,
+    size: this.size,
+    sha256: this.sha256 || null,
+    url: this.url,
+    thumbnailUrl: this.thumbnailUrl,
+    expiresAt: this.expiresAt ? this.expiresAt.toISOString() : null,
+    createdAt: this.createdAt ? this.createdAt.toISOString() : null
+  };
+};
+
+module.exports = mongoose.model('Media', MediaSchema);
@@ -1,4 +1,28 @@
 const mongoose = require('mongoose');
+const { serializeStoredMessage, serializeId, ackToStatus } = require('../utils/serializers');
+
+// whatsapp-web.js MessageTypes -> Message.type
+const WA_MESSAGE_TYPES = {
+  chat: 'chat',
+  image: 'image',
+  video: 'video',
+  audio: 'audio',
+  ptt: 'voice',
+  document: 'document',
+  sticker: 'sticker',
+  location: 'location',
+  vcard: 'vcard',
+  multi_vcard: 'vcard',
+  groups_v4_invite: 'group_invite',
+  buttons_response: 'buttons',
+  list_response: 'list',
+  poll_creation: 'poll',
+  product: 'product',
+  order: 'order',
+  payment: 'payment',
+  call_log: 'call_log',
+  revoked: 'revoked'
+};
 
 const MessageSchema = new mongoose.Schema({
   // Nachrichten-Identifikation
@@ -38,6 +62,7 @@ const MessageSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  author: String, // Absender innerhalb einer Gruppe
 
   // Nachrichteninhalt
   type: {
@@ -46,7 +71,8 @@ const MessageSchema = new mongoose.Schema({
       'chat', 'image', 'video', 'audio', 'voice',
       'document', 'sticker', 'location', 'vcard',
       'group_invite', 'buttons', 'list', 'poll',
-      'product', 'order', 'payment', 'call_log'
+      'product', 'order', 'payment', 'call_log',
+      'revoked', 'unknown'
     ],
     required: true,
     index: true
@@ -105,6 +131,12 @@ const MessageSchema = new mongoose.Schema({
     timestamp: Date
   }],
 
+  // Frühere Fassungen bearbeiteter Nachrichten
+  editHistory: [{
+    body: String,
+    editedAt: Date
+  }],
+
   // Standort (falls Standort-Nachricht)
   location: {
     latitude: Number,
@@ -148,6 +180,7 @@ const MessageSchema = new mongoose.Schema({
     deviceType: String,
     clientVersion: String,
     timestamp: Date,
+    waType: String, // Original-Typ aus whatsapp-web.js (z.B. ptt, multi_vcard)
     editedAt: Date,
     deletedAt: Date
   },
@@ -170,6 +203,8 @@ const MessageSchema = new mongoose.Schema({
 
 // Compound-Indizes für bessere Performance
 MessageSchema.index({ instanceId: 1, timestamp: -1 });
+MessageSchema.index({ instanceId: 1, waMessageId: 1 }, { unique: true });
+MessageSchema.index({ instanceId: 1, chatId: 1, timestamp: -1 });
 MessageSchema.index({ userId: 1, createdAt: -1 });
 MessageSchema.index({ chatId: 1, timestamp: -1 });
 MessageSchema.index({ from: 1, timestamp: -1 });
@@ -194,29 +229,269 @@ MessageSchema.virtual('age').get(function() {
 
 // Middleware
 MessageSchema.pre('save', function(next) {
-  // Status basierend auf ACK setzen
-  if (this.ack === -1) this.status = 'failed';
-  else if (this.ack === 0) this.status = 'pending';
-  else if (this.ack === 1) this.status = 'sent';
-  else if (this.ack >= 2) this.status = 'delivered';
-  else if (this.ack >= 3) this.status = 'read';
+  // Status basierend auf ACK setzen (gelöschte Nachrichten bleiben gelöscht)
+  if (this.status !== 'deleted') {
+    this.status = ackToStatus(this.ack);
+  }
 
   next();
 });
 
 // Statische Methoden
-MessageSchema.statics.findByInstance = function(instanceId, limit = 100) {
-  return this.find({ instanceId })
-    .sort({ timestamp: -1 })
-    .limit(limit);
+
+/**
+ * whatsapp-web.js Message -> Felder des Message-Models
+ * (ohne instanceId/userId und ohne async ermittelte groupInfo)
+ */
+MessageSchema.statics.fieldsFromWhatsApp = function(waMessage) {
+  const data = waMessage._data || {};
+  const chatId = waMessage.fromMe ? waMessage.to : waMessage.from;
+  const timestamp = new Date(waMessage.timestamp * 1000);
+  const ack = typeof waMessage.ack === 'number' ? waMessage.ack : 0;
+
+  return {
+    messageId: waMessage.id.id,
+    waMessageId: waMessage.id._serialized,
+    chatId,
+    from: waMessage.from,
+    to: waMessage.to,
+    author: waMessage.author || undefined,
+    type: WA_MESSAGE_TYPES[waMessage.type] || 'unknown',
+    body: waMessage.body || '',
+    // Bei Medien enthält body die Bildunterschrift
+    caption: waMessage.hasMedia ? (waMessage.body || undefined) : undefined,
+    media: waMessage.hasMedia ? {
+      hasMedia: true,
+      mimetype: data.mimetype,
+      filename: data.filename,
+      filesize: data.size || data.filesize
+    } : { hasMedia: false },
+    direction: waMessage.fromMe ? 'outbound' : 'inbound',
+    ack,
+    status: waMessage.type === 'revoked' ? 'deleted' : ackToStatus(ack),
+    isForwarded: Boolean(waMessage.isForwarded),
+    forwardingScore: waMessage.forwardingScore || 0,
+    isStarred: Boolean(waMessage.isStarred),
+    isFromMe: Boolean(waMessage.fromMe),
+    isStatus: Boolean(waMessage.isStatus),
+    hasQuotedMsg: Boolean(waMessage.hasQuotedMsg),
+    quotedMsgId: waMessage.hasQuotedMsg ? (data.quotedStanzaID || undefined) : undefined,
+    mentionedIds: (waMessage.mentionedIds || []).map(serializeId).filter(Boolean),
+    location: waMessage.location ? {
+      latitude: Number(waMessage.location.latitude),
+      longitude: Number(waMessage.location.longitude),
+      description: waMessage.location.description,
+      name: waMessage.location.name,
+      address: waMessage.location.address,
+      url: waMessage.location.url
+    } : undefined,
+    vCards: waMessage.vCards || [],
+    groupInfo: { isGroup: chatId.endsWith('@g.us') },
+    businessInfo: {
+      businessOwnerId: data.businessOwnerJid ? serializeId(data.businessOwnerJid) : undefined,
+      productId: data.productId,
+      orderId: waMessage.orderId || data.orderId,
+      paymentMethod: data.paymentCurrency
+    },
+    metadata: {
+      deviceType: waMessage.deviceType,
+      timestamp,
+      waType: waMessage.type,
+      editedAt: data.latestEditSenderTimestampMs ? new Date(data.latestEditSenderTimestampMs) : undefined
+    },
+    timestamp
+  };
 };
 
-MessageSchema.statics.findByChat = function(instanceId, chatId, limit = 50) {
-  return this.find({ instanceId, chatId })
-    .sort({ timestamp: -1 })
+/**
+ * Nachricht idempotent speichern (Upsert über instanceId + waMessageId)
+ *
+ * Dieselbe Nachricht kann mehrfach ankommen (z.B. Rückgabewert von sendMessage und
+ * message_create). ack/status werden nur beim Anlegen gesetzt - spätere Änderungen
+ * laufen ausschließlich über die ACK-Events.
+ */
+MessageSchema.statics.ingest = async function(instanceId, userId, waMessage, extra = {}) {
+  const { ack, status, ...fields } = { ...this.fieldsFromWhatsApp(waMessage), ...extra };
+
+  // Verschachtelte Objekte per Pfad setzen, damit später ergänzte Felder
+  // (z.B. media.mediaUrl, metadata.editedAt) bei erneutem Ingest erhalten bleiben
+  const $set = { userId };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+    if (value && value.constructor === Object) {
+      for (const [subKey, subValue] of Object.entries(value)) {
+        if (subValue !== undefined) $set[`${key}.${subKey}`] = subValue;
+      }
+    } else {
+      $set[key] = value;
+    }
+  }
+
+  const upsert = () => this.findOneAndUpdate(
+    { instanceId, waMessageId: fields.waMessageId },
+    {
+      $set,
+      $setOnInsert: { instanceId, ack, status }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Paralleler Upsert derselben Nachricht - zweiter Versuch aktualisiert
+    if (error.code === 11000) return upsert();
+    throw error;
+  }
+};
+
+/**
+ * ACK-Übergang atomar anwenden
+ *
+ * ACK-Events kommen nicht zwingend in Reihenfolge an: ein ACK wird nur übernommen,
+ * wenn er höher als der gespeicherte ist. -1 (Fehler) gilt nur für noch nicht
+ * zugestellte Nachrichten. Gelöschte Nachrichten behalten ihren Status.
+ * @returns {Promise<Object|null>} aktualisiertes Dokument oder null (veraltet/unbekannt)
+ */
+MessageSchema.statics.applyAck = function(instanceId, waMessageId, ack) {
+  return this.findOneAndUpdate(
+    {
+      instanceId,
+      waMessageId,
+      status: { $ne: 'deleted' },
+      ack: ack === -1 ? { $in: [0, 1] } : { $lt: ack }
+    },
+    { ack, status: ackToStatus(ack) },
+    { new: true }
+  );
+};
+
+// Für alle gelöscht (message_revoke_everyone)
+MessageSchema.statics.markRevoked = function(instanceId, waMessageId, deletedAt = new Date()) {
+  return this.findOneAndUpdate(
+    { instanceId, waMessageId, status: { $ne: 'deleted' } },
+    { status: 'deleted', 'metadata.deletedAt': deletedAt },
+    { new: true }
+  );
+};
+
+/**
+ * Bearbeitung übernehmen - ältere Bearbeitungen, die verspätet eintreffen, werden ignoriert
+ */
+MessageSchema.statics.applyEdit = function(instanceId, waMessageId, { body, previousBody, editedAt = new Date() }) {
+  return this.findOneAndUpdate(
+    {
+      instanceId,
+      waMessageId,
+      $or: [
+        { 'metadata.editedAt': { $exists: false } },
+        { 'metadata.editedAt': null },
+        { 'metadata.editedAt': { $lt: editedAt } }
+      ]
+    },
+    {
+      body,
+      'metadata.editedAt': editedAt,
+      $push: { editHistory: { body: previousBody, editedAt } }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Reaktion setzen - eine Reaktion pro Absender, leeres Emoji entfernt sie
+ */
+MessageSchema.statics.applyReaction = function(instanceId, waMessageId, { emoji, senderId, timestamp = new Date() }) {
+  const others = {
+    $filter: {
+      input: { $ifNull: ['$reactions', []] },
+      cond: { $ne: ['$$this.senderId', { $literal: senderId }] }
+    }
+  };
+
+  return this.findOneAndUpdate(
+    { instanceId, waMessageId },
+    [{
+      $set: {
+        reactions: emoji
+          ? { $concatArrays: [others, [{ $literal: { emoji, senderId, timestamp } }]] }
+          : others
+      }
+    }],
+    { new: true }
+  );
+};
+
+// Cursor = Position der letzten Nachricht einer Seite (timestamp + _id, base64url)
+MessageSchema.statics.encodeCursor = function(doc) {
+  return Buffer.from(JSON.stringify([doc.timestamp.getTime(), String(doc._id)])).toString('base64url');
+};
+
+MessageSchema.statics.decodeCursor = function(cursor) {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!Number.isFinite(time) || !mongoose.isValidObjectId(id)) return null;
+    return { timestamp: new Date(time), _id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Nachrichten einer Instanz, neueste zuerst
+ * @param {Object|number} options - limit, cursor, chatId, direction, type, status, since, until
+ *                                  (Zahl = limit, wie bisher)
+ */
+MessageSchema.statics.findByInstance = function(instanceId, options = {}) {
+  if (typeof options === 'number') options = { limit: options };
+  const { limit = 100, cursor, chatId, direction, type, status, since, until } = options;
+
+  const query = { instanceId };
+  if (chatId) query.chatId = chatId;
+  if (direction) query.direction = direction;
+  if (type) query.type = type;
+  if (status) query.status = status;
+  if (since || until) {
+    query.timestamp = {};
+    if (since) query.timestamp.$gte = new Date(since);
+    if (until) query.timestamp.$lte = new Date(until);
+  }
+
+  if (cursor) {
+    const position = this.decodeCursor(cursor);
+    if (!position) throw new Error('Invalid cursor');
+
+    query.$or = [
+      { timestamp: { $lt: position.timestamp } },
+      { timestamp: position.timestamp, _id: { $lt: position._id } }
+    ];
+  }
+
+  return this.find(query)
+    .sort({ timestamp: -1, _id: -1 })
     .limit(limit);
 };
 
+MessageSchema.statics.findByChat = function(instanceId, chatId, options = {}) {
+  if (typeof options === 'number') options = { limit: options };
+  return this.findByInstance(instanceId, { limit: 50, ...options, chatId });
+};
+
+/**
+ * Seite aus limit + 1 geladenen Nachrichten bauen
+ * @returns {{ messages: Object[], nextCursor: string|null, hasMore: boolean }}
+ */
+MessageSchema.statics.toPage = function(docs, limit) {
+  const hasMore = docs.length > limit;
+  const page = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    messages: page.map(doc => doc.toDTO()),
+    nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null,
+    hasMore
+  };
+};
+
 MessageSchema.statics.getMessageStats = function(instanceId, dateFrom, dateTo) {
   const match = { instanceId };
   if (dateFrom || dateTo) {
@@ -282,6 +557,11 @@ MessageSchema.methods.markAsFailed = function(error) {
   return this.save();
 };
 
+// Stabiles JSON-DTO (gleiche Form wie Proxy und Webhooks)
+MessageSchema.methods.toDTO = function() {
+  return serializeStoredMessage(this);
+};
+
 MessageSchema.methods.updateWebhookStatus = function(sent, response) {
   this.webhook.sent = sent;
   this.webhook.sentAt = new Date();
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const TERMINAL_STATUSES = ['sent', 'failed', 'cancelled', 'expired'];
+
+const OutboundMessageSchema = new mongoose.Schema({
+  // Zuordnung
+  instanceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  keyId: String, // API-Key, über den eingereiht wurde
+
+  // Auftrag (Proxy-Methode + Parameter, siehe methodSchemas)
+  method: {
+    type: String,
+    required: true,
+    default: 'sendMessage'
+  },
+  params: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  chatId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Zustellung
+  status: {
+    type: String,
+    enum: ['queued', 'processing', ...TERMINAL_STATUSES],
+    default: 'queued',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: 1,
+    max: 20
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    message: String,
+    code: String,
+    timestamp: Date
+  },
+
+  // Ergebnis
+  waMessageId: String,
+  sentAt: Date,
+  completedAt: Date,
+
+  // Verarbeitung (Lock des Servers, der gerade sendet)
+  lockedBy: String,
+  lockedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true }
+});
+
+// Virtuelle Felder
+OutboundMessageSchema.virtual('isTerminal').get(function() {
+  return TERMINAL_STATUSES.includes(this.status);
+});
+
+// Indizes für den Queue-Worker
+OutboundMessageSchema.index({ instanceId: 1, status: 1, nextAttemptAt: 1, createdAt: 1 });
+OutboundMessageSchema.index({ status: 1, lockedBy: 1 });
+
+// Abgeschlossene Aufträge nach 30 Tagen entfernen
+OutboundMessageSchema.index({ completedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Statische Methoden
+OutboundMessageSchema.statics.TERMINAL_STATUSES = TERMINAL_STATUSES;
+
+OutboundMessageSchema.statics.findByInstance = function(instanceId, status = null, limit = 100) {
+  const query = { instanceId };
+  if (status) query.status = status;
+  return this.find(query).sort({ createdAt: -1 }).limit(limit);
+};
+
+// Instance-Methoden
+OutboundMessageSchema.methods.cancel = function() {
+  this.status = 'cancelled';
+  this.completedAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('OutboundMessage', OutboundMessageSchema);
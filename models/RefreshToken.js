@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Refresh-Tokens (opak, serverseitig gespeichert)
+ *
+ * Jeder Refresh rotiert das Token: das alte wird widerrufen, das neue gehört zur selben
+ * Familie (= ein Login). Wird ein bereits rotiertes Token erneut vorgelegt, gilt es als
+ * gestohlen und die gesamte Familie wird widerrufen.
+ */
+const RefreshTokenSchema = new mongoose.Schema({
+  // Secret wird nur als SHA-256-Hash gespeichert
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Lebenszyklus
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_changed', null],
+    default: null
+  },
+  replacedBy: String, // tokenHash des Nachfolgers
+
+  // Client-Info
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Indizes
+RefreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+// Abgelaufene Tokens automatisch entfernen
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtuelle Felder
+RefreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Statische Methoden
+RefreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+RefreshTokenSchema.statics.generateToken = function() {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+/**
+ * Neues Token ausstellen - das Klartext-Token wird nur hier zurückgegeben
+ * Ohne family wird eine neue Familie (neuer Login) begonnen
+ */
+RefreshTokenSchema.statics.issue = async function(userId, { family, ttlMs, ip, userAgent, token } = {}) {
+  token = token || this.generateToken();
+
+  const record = await this.create({
+    tokenHash: this.hashToken(token),
+    userId,
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + ttlMs),
+    createdByIp: ip,
+    userAgent
+  });
+
+  return { token, record };
+};
+
+RefreshTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: this.hashToken(token) });
+};
+
+RefreshTokenSchema.statics.revokeFamily = function(family, reason) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+RefreshTokenSchema.statics.revokeAllForUser = function(userId, reason) {
+  return this.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Instance-Methoden
+
+/**
+ * Token rotieren: dieses Token atomar widerrufen und einen Nachfolger derselben Familie ausstellen
+ * Liefert null, wenn das Token bereits widerrufen war (paralleler Refresh oder Wiederverwendung)
+ */
+RefreshTokenSchema.methods.rotate = async function({ ttlMs, ip, userAgent } = {}) {
+  const token = this.constructor.generateToken();
+  const replacedBy = this.constructor.hashToken(token);
+
+  const result = await this.constructor.updateOne(
+    { _id: this._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated', replacedBy }
+  );
+  if (result.modifiedCount !== 1) return null;
+
+  return this.constructor.issue(this.userId, { family: this.family, ttlMs, ip, userAgent, token });
+};
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Archiv eines LocalAuth-Session-Ordners (./sessions/<instanceId>) als tar.gz
+ *
+ * Die Datei liegt unter BACKUP_PATH (SessionBackupService), hier Pfad und Prüfsumme.
+ */
+const SessionBackupSchema = new mongoose.Schema({
+  backupId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `bak_${crypto.randomBytes(12).toString('hex')}`
+  },
+  instanceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['start', 'manual', 'pre_restore'],
+    required: true
+  },
+
+  // Archiv (relativ zu BACKUP_PATH)
+  file: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  sha256: {
+    type: String,
+    required: true
+  },
+  // Prüfsumme des unverschlüsselten tar.gz (Erkennung unveränderter Sessions)
+  contentSha256: String,
+  fileCount: Number,
+
+  // Verschlüsselt mit dem Datenschlüssel der Instanz (SessionVault)
+  encrypted: {
+    type: Boolean,
+    default: false
+  },
+  keyId: String,
+
+  restoredAt: Date
+}, {
+  timestamps: true
+});
+
+// Indizes
+SessionBackupSchema.index({ instanceId: 1, createdAt: -1 });
+
+// Statische Methoden
+SessionBackupSchema.statics.findByInstance = function(instanceId) {
+  return this.find({ instanceId }).sort({ createdAt: -1 });
+};
+
+SessionBackupSchema.statics.findLatest = function(instanceId) {
+  return this.findOne({ instanceId }).sort({ createdAt: -1 });
+};
+
+// Instance-Methoden
+SessionBackupSchema.methods.toDTO = function() {
+  return {
+    object: 'session_backup',
+    backupId: this.backupId,
+    instanceId: this.instanceId,
+    reason: this.reason,
+    size: this.size,
+    sha256: this.sha256,
+    encrypted: Boolean(this.encrypted),
+    fileCount: this.fileCount ?? null,
+    createdAt: this.createdAt ? this.createdAt.toISOString() : null,
+    restoredAt: this.restoredAt ? this.restoredAt.toISOString() : null
+  };
+};
+
+module.exports = mongoose.model('SessionBackup', SessionBackupSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Datenschlüssel einer Instanz für verschlüsselte Sessions und Backups (SessionVault)
+ *
+ * Der AES-256-Schlüssel liegt nur mit dem Master-Key verschlüsselt vor (wrappedKey).
+ * Pro Instanz ist genau ein Schlüssel aktiv; ältere bleiben bis zur Neuverschlüsselung
+ * (scripts/rotate-session-keys.js) erhalten, da Dateien ihre keyId im Header tragen.
+ */
+const SessionKeySchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `sk_${crypto.randomBytes(8).toString('hex')}`
+  },
+  instanceId: {
+    type: String,
+    required: true
+  },
+  // base64(iv | authTag | ciphertext), AES-256-GCM mit dem Master-Key
+  wrappedKey: {
+    type: String,
+    required: true
+  },
+  // Fingerprint des Master-Keys, mit dem wrappedKey verschlüsselt ist
+  masterKeyId: {
+    type: String,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  retiredAt: Date
+}, {
+  timestamps: true
+});
+
+// Indizes
+SessionKeySchema.index({ instanceId: 1 }, { unique: true, partialFilterExpression: { active: true } });
+SessionKeySchema.index({ instanceId: 1, createdAt: -1 });
+SessionKeySchema.index({ masterKeyId: 1 });
+
+// Statische Methoden
+SessionKeySchema.statics.findActive = function(instanceId) {
+  return this.findOne({ instanceId, active: true });
+};
+
+module.exports = mongoose.model('SessionKey', SessionKeySchema);
@@ -1,5 +1,34 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+
+// Berechtigungen (werden auch als API-Key-Scopes verwendet)
+const PERMISSIONS = [
+  'instances.create',
+  'instances.read',
+  'instances.update',
+  'instances.delete',
+  'messages.send',
+  'messages.read',
+  'analytics.view',
+  'users.manage',
+  'system.admin'
+];
+
+// Rollen ohne Plan-Limits
+const ADMIN_ROLES = ['admin', 'superadmin'];
+
+// Medienarten für ausgehende Medien (siehe MediaService.mediaCategory)
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document'];
+
+// Standard-Limits je Plan (können pro Benutzer überschrieben werden)
+const PLAN_LIMITS = {
+  free: { maxInstances: 1, maxMessagesPerMonth: 1000, maxWebhooks: 1, maxMediaSizeMB: 5, allowedMediaTypes: ['image', 'audio'], enableApiAccess: false, enableAnalytics: false },
+  basic: { maxInstances: 3, maxMessagesPerMonth: 10000, maxWebhooks: 3, maxMediaSizeMB: 16, allowedMediaTypes: MEDIA_TYPES, enableApiAccess: true, enableAnalytics: false },
+  premium: { maxInstances: 10, maxMessagesPerMonth: 50000, maxWebhooks: 10, maxMediaSizeMB: 32, allowedMediaTypes: MEDIA_TYPES, enableApiAccess: true, enableAnalytics: true },
+  enterprise: { maxInstances: 50, maxMessagesPerMonth: 250000, maxWebhooks: 50, maxMediaSizeMB: 64, allowedMediaTypes: MEDIA_TYPES, enableApiAccess: true, enableAnalytics: true }
+};
 
 const UserSchema = new mongoose.Schema({
   username: {
@@ -45,17 +74,7 @@ const UserSchema = new mongoose.Schema({
   },
   permissions: [{
     type: String,
-    enum: [
-      'instances.create',
-      'instances.read',
-      'instances.update',
-      'instances.delete',
-      'messages.send',
-      'messages.read',
-      'analytics.view',
-      'users.manage',
-      'system.admin'
-    ]
+    enum: PERMISSIONS
   }],
 
   // Abonnement/Plan
@@ -68,6 +87,11 @@ const UserSchema = new mongoose.Schema({
     maxInstances: { type: Number, default: 1 },
     maxMessagesPerMonth: { type: Number, default: 1000 },
     maxWebhooks: { type: Number, default: 1 },
+    maxMediaSizeMB: { type: Number, default: 5 },
+    allowedMediaTypes: {
+      type: [{ type: String, enum: MEDIA_TYPES }],
+      default: () => ['image', 'audio']
+    },
     enableApiAccess: { type: Boolean, default: false },
     enableAnalytics: { type: Boolean, default: false }
   },
@@ -75,6 +99,7 @@ const UserSchema = new mongoose.Schema({
   // Verbrauch und Statistiken
   usage: {
     currentInstances: { type: Number, default: 0 },
+    currentWebhooks: { type: Number, default: 0 },
     totalMessages: { type: Number, default: 0 },
     monthlyMessages: { type: Number, default: 0 },
     lastReset: { type: Date, default: Date.now }
@@ -97,9 +122,20 @@ const UserSchema = new mongoose.Schema({
     requestsPerDay: { type: Number, default: 10000 }
   },
 
+  // Zwei-Faktor-Authentifizierung (TOTP)
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },        // Base32
+    pendingSecret: { type: String, select: false }, // während der Einrichtung
+    recoveryCodes: { type: [String], select: false }, // SHA-256-Hashes, einmalig
+    lastUsedStep: { type: Number, select: false },  // Replay-Schutz
+    enabledAt: Date
+  },
+
   // Zeitstempel
   lastLogin: Date,
   passwordChangedAt: Date,
+  tokensRevokedAt: Date, // "Alle Sitzungen abmelden"
   createdAt: {
     type: Date,
     default: Date.now
@@ -110,6 +146,12 @@ const UserSchema = new mongoose.Schema({
     virtuals: true,
     transform: function(doc, ret) {
       delete ret.password;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.recoveryCodes;
+        delete ret.twoFactor.lastUsedStep;
+      }
       return ret;
     }
   }
@@ -124,6 +166,14 @@ UserSchema.virtual('canCreateInstance').get(function() {
   return this.usage.currentInstances < this.planLimits.maxInstances;
 });
 
+UserSchema.virtual('isAdmin').get(function() {
+  return ADMIN_ROLES.includes(this.role);
+});
+
+UserSchema.virtual('messagesLeft').get(function() {
+  return Math.max(0, this.planLimits.maxMessagesPerMonth - this.usage.monthlyMessages);
+});
+
 UserSchema.virtual('instancesLeft').get(function() {
   return Math.max(0, this.planLimits.maxInstances - this.usage.currentInstances);
 });
@@ -153,6 +203,120 @@ UserSchema.statics.findByEmailOrUsername = function(identifier) {
   });
 };
 
+/**
+ * Monatliches Nachrichtenkontingent atomar belasten
+ * @returns {Promise<boolean>} false, wenn das Kontingent erschöpft ist (Admins unbegrenzt)
+ */
+UserSchema.statics.consumeMessageQuota = async function(userId, count = 1) {
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { role: { $in: ADMIN_ROLES } },
+        { $expr: { $lte: [{ $add: ['$usage.monthlyMessages', count] }, '$planLimits.maxMessagesPerMonth'] } }
+      ]
+    },
+    { $inc: { 'usage.monthlyMessages': count, 'usage.totalMessages': count } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Belastung zurücknehmen (Senden fehlgeschlagen)
+UserSchema.statics.refundMessageQuota = function(userId, count = 1) {
+  return this.updateOne(
+    { _id: userId, 'usage.monthlyMessages': { $gte: count } },
+    { $inc: { 'usage.monthlyMessages': -count, 'usage.totalMessages': -count } }
+  );
+};
+
+/**
+ * Instanz-Kontingent atomar belasten (vor dem Anlegen bzw. Import einer Instanz)
+ * @returns {Promise<boolean>} false, wenn maxInstances erreicht ist (Admins unbegrenzt)
+ */
+UserSchema.statics.reserveInstanceSlot = async function(userId) {
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { role: { $in: ADMIN_ROLES } },
+        { $expr: { $lt: [{ $ifNull: ['$usage.currentInstances', 0] }, '$planLimits.maxInstances'] } }
+      ]
+    },
+    { $inc: { 'usage.currentInstances': 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Instanz-Kontingent freigeben (Instanz gelöscht bzw. Anlegen fehlgeschlagen)
+UserSchema.statics.releaseInstanceSlot = function(userId) {
+  return this.updateOne(
+    { _id: userId, 'usage.currentInstances': { $gt: 0 } },
+    { $inc: { 'usage.currentInstances': -1 } }
+  );
+};
+
+/**
+ * Webhook-Kontingent atomar belasten (vor dem Anlegen eines Webhook-Endpunkts)
+ * @returns {Promise<boolean>} false, wenn maxWebhooks erreicht ist (Admins unbegrenzt)
+ */
+UserSchema.statics.reserveWebhookSlot = async function(userId) {
+  const result = await this.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { role: { $in: ADMIN_ROLES } },
+        { $expr: { $lt: [{ $ifNull: ['$usage.currentWebhooks', 0] }, '$planLimits.maxWebhooks'] } }
+      ]
+    },
+    { $inc: { 'usage.currentWebhooks': 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Webhook-Kontingent freigeben (Endpunkte gelöscht bzw. Anlegen fehlgeschlagen)
+UserSchema.statics.releaseWebhookSlots = function(userId, count = 1) {
+  return this.updateOne(
+    { _id: userId, 'usage.currentWebhooks': { $gte: count } },
+    { $inc: { 'usage.currentWebhooks': -count } }
+  );
+};
+
+/**
+ * Monatsverbrauch aller Benutzer zurücksetzen, die im aktuellen Monat noch nicht zurückgesetzt wurden
+ * (idempotent - mehrere Server bzw. Nachholen nach Downtime sind unkritisch)
+ */
+UserSchema.statics.resetMonthlyUsageForAll = async function(now = new Date()) {
+  const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+  const result = await this.updateMany(
+    { 'usage.lastReset': { $lt: monthStart } },
+    { 'usage.monthlyMessages': 0, 'usage.lastReset': now }
+  );
+  return result.modifiedCount;
+};
+
+UserSchema.statics.hashRecoveryCode = function(code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Neue Recovery-Codes (Format xxxxx-xxxxx) - Klartext nur für die einmalige Anzeige
+ */
+UserSchema.statics.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => this.hashRecoveryCode(code)) };
+};
+
+// Rollen, für die 2FA verpflichtend ist (Setting, Fallback TWO_FACTOR_REQUIRED_ROLES)
+UserSchema.statics.getTwoFactorRequiredRoles = function() {
+  const Setting = require('./Setting');
+  const fallback = (process.env.TWO_FACTOR_REQUIRED_ROLES || '').split(',').map(r => r.trim()).filter(Boolean);
+  return Setting.getValue('security.twoFactorRequiredRoles', fallback);
+};
+
 // Instance-Methoden
 UserSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -178,10 +342,60 @@ UserSchema.methods.hasPermission = function(permission) {
   return this.permissions.includes(permission);
 };
 
+/**
+ * Plan zuweisen: Limits auf Plan-Standard setzen, dann individuelle Overrides anwenden
+ */
+UserSchema.methods.applyPlan = function(plan, overrides = {}) {
+  this.plan = plan;
+  this.planLimits = { ...PLAN_LIMITS[plan], ...overrides };
+};
+
+UserSchema.methods.isTwoFactorRequired = async function() {
+  const roles = await this.constructor.getTwoFactorRequiredRoles();
+  return roles.includes(this.role);
+};
+
+/**
+ * TOTP-Code prüfen (benötigt +twoFactor.secret bzw. +twoFactor.pendingSecret)
+ * Jeder Zeitschritt ist nur einmal gültig - gleichzeitige Logins mit demselben Code schlagen fehl
+ */
+UserSchema.methods.verifyTwoFactorCode = async function(code, { pending = false } = {}) {
+  const secret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!secret) return false;
+
+  const step = totp.verify(code, secret);
+  if (step === null) return false;
+
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+    },
+    { 'twoFactor.lastUsedStep': step }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Recovery-Code atomar entwerten
+UserSchema.methods.consumeRecoveryCode = async function(code) {
+  const hash = this.constructor.hashRecoveryCode(code);
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+    { $pull: { 'twoFactor.recoveryCodes': hash } }
+  );
+  return result.modifiedCount === 1;
+};
+
 UserSchema.methods.resetMonthlyUsage = function() {
   this.usage.monthlyMessages = 0;
   this.usage.lastReset = new Date();
   return this.save();
 };
 
-module.exports = mongoose.model('User', UserSchema);
\ No newline at end of file
+const User = mongoose.model('User', UserSchema);
+User.PERMISSIONS = PERMISSIONS;
+User.ADMIN_ROLES = ADMIN_ROLES;
+User.PLAN_LIMITS = PLAN_LIMITS;
+User.MEDIA_TYPES = MEDIA_TYPES;
+
+module.exports = User;
\ No newline at end of file
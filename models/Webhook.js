@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { EVENT_NAMES } = require('../services/instanceEvents');
+
+const WebhookSchema = new mongoose.Schema({
+  // Öffentliche Kennung
+  webhookId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+    default: () => `wh_${crypto.randomBytes(8).toString('hex')}`
+  },
+  instanceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Endpunkt
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Abonnierte Events
+  events: {
+    type: [{ type: String, enum: EVENT_NAMES }],
+    default: () => ['message'],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+
+  // Filter (gelten nur für Events mit Chat- bzw. Nachrichtenbezug)
+  filters: {
+    chatIds: { type: [String], default: [] },
+    messageTypes: { type: [String], default: [] }
+  },
+
+  // Statistiken
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: String
+}, {
+  timestamps: true
+});
+
+// Indizes
+WebhookSchema.index({ instanceId: 1, isActive: 1 });
+
+// Statische Methoden
+WebhookSchema.statics.findActiveForEvent = function(instanceId, event) {
+  return this.find({ instanceId, isActive: true, events: event });
+};
+
+// Instance-Methoden
+WebhookSchema.methods.matches = function(event, meta = {}) {
+  if (!this.isActive || !this.events.includes(event)) return false;
+
+  const { chatIds, messageTypes } = this.filters || {};
+  if (chatIds?.length && meta.chatId && !chatIds.includes(meta.chatId)) return false;
+  if (messageTypes?.length && meta.messageType && !messageTypes.includes(meta.messageType)) return false;
+
+  return true;
+};
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
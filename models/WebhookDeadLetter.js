@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Endgültig fehlgeschlagene Webhook-Zustellungen (nach maxAttempts)
+ * Bleiben bis zum Replay bzw. manuellen Löschen erhalten
+ */
+const WebhookDeadLetterSchema = new mongoose.Schema({
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  instanceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Ursprüngliche Zustellung
+  event: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  webhookId: String, // null = config.webhookUrl der Instanz
+  messageId: String,
+  attempts: Number,
+  lastAttempt: {
+    timestamp: Date,
+    statusCode: Number,
+    response: String,
+    error: String,
+    duration: Number
+  },
+
+  // Replay
+  replayedAt: {
+    type: Date,
+    default: null
+  },
+  replayDeliveryId: String
+}, {
+  timestamps: true
+});
+
+// Indizes
+WebhookDeadLetterSchema.index({ instanceId: 1, replayedAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDeadLetter', WebhookDeadLetterSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  // Öffentliche Kennung (wird als X-Webhook-Id mitgesendet)
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  instanceId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // Inhalt
+  event: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  webhookId: String, // null = config.webhookUrl der Instanz
+  messageId: String, // waMessageId, falls das Event zu einer Nachricht gehört
+  replayOf: String,  // deliveryId der ursprünglichen Zustellung
+
+  // Zustellung
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'delivered', 'dead'],
+    default: 'pending',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastAttempt: {
+    timestamp: Date,
+    statusCode: Number,
+    response: String,
+    error: String,
+    duration: Number
+  },
+  deliveredAt: Date,
+  completedAt: Date,
+
+  // Verarbeitung
+  lockedBy: String,
+  lockedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indizes
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ userId: 1, createdAt: -1 });
+
+// Abgeschlossene Zustellungen nach 14 Tagen entfernen (Dead-Letters bleiben separat erhalten)
+WebhookDeliverySchema.index({ completedAt: 1 }, { expireAfterSeconds: 14 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
@@ -1,9 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
+const { auth, requirePlan } = require('../middleware/auth');
 
 // GET /api/analytics
-router.get('/', auth, async (req, res) => {
+router.get('/', auth, requirePlan({ feature: 'enableAnalytics' }), async (req, res) => {
   try {
     res.json({
       message: 'Analytics endpoint',
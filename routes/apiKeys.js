@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Instance = require('../models/Instance');
+const ApiKey = require('../models/ApiKey');
+const { auth } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+
+// Offene Event-Streams (SSE) eines Keys sofort beenden
+const closeEventStreams = (keyId) => global.instanceManager?.eventStream?.closeKey(keyId);
+
+// Instance des eingeloggten Benutzers laden
+const loadInstance = async (req, res, next) => {
+  try {
+    const instance = await Instance.findOne({
+      instanceId: req.params.instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    req.instance = instance;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load instance', details: error.message });
+  }
+};
+
+// Eingaben für Expiry/Rate-Limit prüfen (Scopes: ApiKey.resolveScopes)
+const validateKeyInput = (body) => {
+  if (body.expiresAt !== undefined && body.expiresAt !== null) {
+    const expiresAt = new Date(body.expiresAt);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return 'expiresAt must be a future date';
+    }
+  }
+
+  if (body.rateLimitPerMinute !== undefined) {
+    if (!Number.isInteger(body.rateLimitPerMinute) || body.rateLimitPerMinute < 1) {
+      return 'rateLimitPerMinute must be a positive integer';
+    }
+  }
+
+  return null;
+};
+
+router.use(auth, loadInstance);
+
+// GET /api/instances/:instanceId/keys
+router.get('/', async (req, res) => {
+  try {
+    const keys = await ApiKey.findByInstance(req.instance.instanceId, req.query.includeRevoked === 'true');
+    res.json({ keys, total: keys.length });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({ error: 'Failed to list API keys', details: error.message });
+  }
+});
+
+// POST /api/instances/:instanceId/keys
+router.post('/', rateLimit({ max: 10, windowMs: 60000 }), async (req, res) => {
+  try {
+    const { scopes, error: scopeError } = ApiKey.resolveScopes(req.body.scopes);
+    const validationError = scopeError || validateKeyInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { label, expiresAt, rateLimitPerMinute } = req.body;
+
+    const { apiKey, key } = await ApiKey.generate({
+      instanceId: req.instance.instanceId,
+      userId: req.instance.userId,
+      label: label || 'API Key',
+      scopes,
+      ...(expiresAt && { expiresAt: new Date(expiresAt) }),
+      ...(rateLimitPerMinute && { rateLimitPerMinute }),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'API key created. Store the key now - it cannot be shown again.',
+      apiKey: { ...apiKey.toJSON(), key }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ error: 'Failed to create API key', details: error.message });
+  }
+});
+
+// POST /api/instances/:instanceId/keys/:keyId/rotate
+router.post('/:keyId/rotate', rateLimit({ max: 10, windowMs: 60000 }), async (req, res) => {
+  try {
+    const existing = await ApiKey.findOne({
+      keyId: req.params.keyId,
+      instanceId: req.instance.instanceId,
+      revokedAt: null
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    const gracePeriodSeconds = parseInt(req.body.gracePeriodSeconds) || 0;
+    const { apiKey, key } = await existing.rotate(req.user._id, gracePeriodSeconds);
+    if (existing.revokedAt) closeEventStreams(existing.keyId);
+
+    res.json({
+      message: 'API key rotated. Store the new key now - it cannot be shown again.',
+      apiKey: { ...apiKey.toJSON(), key },
+      previousKey: existing
+    });
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({ error: 'Failed to rotate API key', details: error.message });
+  }
+});
+
+// DELETE /api/instances/:instanceId/keys/:keyId - Widerrufen (Datensatz bleibt erhalten)
+router.delete('/:keyId', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      keyId: req.params.keyId,
+      instanceId: req.instance.instanceId
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      await apiKey.revoke();
+    }
+    closeEventStreams(apiKey.keyId);
+
+    res.json({
+      message: 'API key revoked',
+      apiKey
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key', details: error.message });
+  }
+});
+
+module.exports = router;
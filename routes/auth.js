@@ -1,9 +1,299 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { generateToken, auth } = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const AuthToken = require('../models/AuthToken');
+const MailService = require('../services/MailService');
+const qrcode = require('qrcode');
+const totp = require('../utils/totp');
+const {
+  generateToken,
+  generateRefreshToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  REFRESH_TOKEN_TTL_MS,
+  auth
+} = require('../middleware/auth');
 const rateLimit = require('../middleware/rateLimit');
+const { whatsappLogger } = require('../utils/logger');
+
+// Token-Paar für Response aufbereiten
+const buildTokens = (userId, refresh) => {
+  const accessToken = generateToken(userId);
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    accessToken,
+    refreshToken: refresh.token,
+    tokenType: 'Bearer',
+    expiresIn: exp - Math.floor(Date.now() / 1000),
+    refreshExpiresAt: refresh.record.expiresAt
+  };
+};
+
+const clientInfo = (req) => ({ ip: req.ip, userAgent: req.get('User-Agent') });
+
+const mailService = new MailService();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'WhatsApp Manager';
+const TWO_FACTOR_SECRETS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Login abschließen: Refresh-Token-Familie beginnen und Token-Paar ausgeben
+const completeLogin = async (user, req, res, extra = {}) => {
+  const refresh = await generateRefreshToken(user._id, clientInfo(req));
+
+  whatsappLogger.auth(user.id, 'login', true, req.ip, req.get('User-Agent'));
+
+  res.json({
+    message: 'Login successful',
+    user: {
+      id: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role
+    },
+    tokens: buildTokens(user._id, refresh),
+    ...extra
+  });
+};
+
+// Normale Auth oder 2FA-Setup-Challenge (Pflicht-Einrichtung vor dem ersten Login)
+const authOrSetupChallenge = async (req, res, next) => {
+  const { challengeToken } = req.body || {};
+  if (!challengeToken) return auth(req, res, next);
+
+  try {
+    const userId = verifyChallengeToken(challengeToken, 'setup');
+    const user = userId && await User.findById(userId);
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Invalid or expired challenge' });
+    }
+
+    req.user = user;
+    req.setupChallenge = true;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Authentication error', details: error.message });
+  }
+};
+
+// Nur der Benutzer selbst - nicht ein Admin, der ihn impersoniert (Sitzungen, 2FA)
+const rejectImpersonation = (req, res, next) => {
+  if (req.impersonatedBy) {
+    return res.status(403).json({ error: 'Not allowed while impersonating' });
+  }
+  next();
+};
+
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION !== 'false';
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const MIN_PASSWORD_LENGTH = 8;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,30}$/;
+
+// Antwort für forgot-password/resend-verification (verrät nicht, ob die Adresse existiert)
+const GENERIC_MAIL_RESPONSE = { message: 'If the address is registered, an email has been sent' };
+
+const sendVerification = async (user, ip) => {
+  const { token } = await AuthToken.issue(
+    user._id, 'email_verification', EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000, ip
+  );
+  await mailService.sendVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS);
+};
+
+// POST /api/auth/register - Selbstregistrierung (Plan 'free', E-Mail unbestätigt)
+router.post('/register', rateLimit({ max: 5, windowMs: 60 * 60 * 1000 }), async (req, res) => {
+  try {
+    if (!ALLOW_REGISTRATION) {
+      return res.status(403).json({ error: 'Registration disabled' });
+    }
+
+    const { username, email, password, firstName, lastName, company } = req.body;
+
+    const errors = [];
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      errors.push('username must be 3-30 characters (letters, digits, _ . -)');
+    }
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+      errors.push('email must be a valid email address');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const existing = await User.findOne({ $or: [{ email: email.toLowerCase() }, { username }] });
+    if (existing) {
+      return res.status(409).json({ error: 'Email or username already registered' });
+    }
+
+    const user = new User({ username, email, password, firstName, lastName, company });
+    await user.save();
+
+    let verificationEmailSent = true;
+    try {
+      await sendVerification(user, req.ip);
+    } catch (error) {
+      verificationEmailSent = false;
+    }
+
+    whatsappLogger.auth(user.id, 'registered', true, req.ip, req.get('User-Agent'));
+
+    res.status(201).json({
+      message: 'Registration successful, please confirm your email address',
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role,
+        plan: user.plan,
+        isVerified: user.isVerified
+      },
+      verificationEmailSent
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Email or username already registered' });
+    }
+    console.error('Register error:', error);
+    res.status(500).json({ error: 'Registration failed', details: error.message });
+  }
+});
+
+// POST /api/auth/verify-email - E-Mail-Adresse mit Token aus der Mail bestätigen
+router.post('/verify-email', rateLimit({ max: 20, windowMs: 60000 }), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Token required' });
+    }
+
+    const record = await AuthToken.consume(token, 'email_verification');
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    const user = await User.findByIdAndUpdate(record.userId, { isVerified: true }, { new: true });
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    whatsappLogger.auth(user.id, 'email_verified', true, req.ip, req.get('User-Agent'));
+    res.json({ message: 'Email address confirmed' });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Email verification failed', details: error.message });
+  }
+});
+
+// POST /api/auth/resend-verification
+router.post('/resend-verification', rateLimit({ max: 3, windowMs: 15 * 60 * 1000 }), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ error: 'Email required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (user && user.isActive && !user.isVerified) {
+      try {
+        await sendVerification(user, req.ip);
+      } catch (mailError) {
+        // Gleiche Antwort wie für unbekannte Adressen - sonst ließen sich Konten ermitteln
+        console.error('Resend verification mail failed:', mailError.message);
+      }
+    }
+
+    res.json(GENERIC_MAIL_RESPONSE);
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email', details: error.message });
+  }
+});
+
+// POST /api/auth/forgot-password - Reset-Link anfordern
+router.post('/forgot-password', rateLimit({ max: 3, windowMs: 15 * 60 * 1000 }), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({ error: 'Email required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (user && user.isActive) {
+      try {
+        const { token } = await AuthToken.issue(
+          user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES * 60 * 1000, req.ip
+        );
+        await mailService.sendPasswordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES);
+        whatsappLogger.auth(user.id, 'password_reset_requested', true, req.ip, req.get('User-Agent'));
+      } catch (mailError) {
+        // Gleiche Antwort wie für unbekannte Adressen - sonst ließen sich Konten ermitteln
+        console.error('Password reset mail failed:', mailError.message);
+        whatsappLogger.auth(user.id, 'password_reset_requested', false, req.ip, req.get('User-Agent'));
+      }
+    }
+
+    res.json(GENERIC_MAIL_RESPONSE);
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send password reset email', details: error.message });
+  }
+});
+
+// POST /api/auth/reset-password - Neues Passwort mit Token setzen
+router.post('/reset-password', rateLimit({ max: 10, windowMs: 15 * 60 * 1000 }), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Token required' });
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const record = await AuthToken.consume(token, 'password_reset');
+    if (!record) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user || !user.isActive) {
+      return res.status(400).json({ error: 'Invalid or expired token' });
+    }
+
+    // pre('save') hasht das Passwort und setzt passwordChangedAt -> ältere JWTs ungültig
+    user.password = password;
+    user.isVerified = true; // Zugriff auf das Postfach ist damit bestätigt
+    await user.save();
+
+    await RefreshToken.revokeAllForUser(user._id, 'password_changed');
+    global.socketGateway?.disconnectUser(user._id);
+
+    whatsappLogger.auth(user.id, 'password_reset', true, req.ip, req.get('User-Agent'));
+    res.json({ message: 'Password has been reset, please login again' });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Password reset failed', details: error.message });
+  }
+});
 
 // POST /api/auth/login - Simple working version
 router.post('/login', rateLimit({ max: 10, windowMs: 60000 }), async (req, res) => {
@@ -28,18 +318,29 @@ router.post('/login', rateLimit({ max: 10, windowMs: 60000 }), async (req, res)
       return res.status(401).json({ error: 'Account deactivated' });
     }
 
-    const accessToken = generateToken(user._id);
+    if (REQUIRE_EMAIL_VERIFICATION && !user.isVerified) {
+      return res.status(403).json({ error: 'Email not verified', message: 'Please confirm your email address first' });
+    }
 
-    res.json({
-      message: 'Login successful',
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role
-      },
-      tokens: { accessToken }
-    });
+    // Zweiter Faktor: Code abfragen bzw. Einrichtung erzwingen (Policy)
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        methods: ['totp', 'recovery_code'],
+        challengeToken: generateChallengeToken(user._id, 'login')
+      });
+    }
+
+    if (await user.isTwoFactorRequired()) {
+      return res.json({
+        message: 'Two-factor authentication must be set up for your role',
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user._id, 'setup')
+      });
+    }
+
+    await completeLogin(user, req, res);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -47,6 +348,271 @@ router.post('/login', rateLimit({ max: 10, windowMs: 60000 }), async (req, res)
   }
 });
 
+// POST /api/auth/refresh - Refresh-Token gegen neues Token-Paar tauschen (Rotation)
+router.post('/refresh', rateLimit({ max: 30, windowMs: 60000 }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const record = await RefreshToken.findByToken(refreshToken);
+    if (!record || record.expiresAt <= new Date()) {
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    // Bereits rotiertes/widerrufenes Token erneut vorgelegt -> gesamte Familie sperren
+    if (record.revokedAt) {
+      if (record.revokedReason === 'rotated') {
+        await RefreshToken.revokeFamily(record.family, 'reuse_detected');
+        whatsappLogger.auth(record.userId, 'refresh_token_reuse', false, req.ip, req.get('User-Agent'));
+      }
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeFamily(record.family, 'logout');
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    // 2FA-Pflicht nach dem Login eingeführt -> neu anmelden und einrichten
+    if (!user.twoFactor?.enabled && await user.isTwoFactorRequired()) {
+      await RefreshToken.revokeFamily(record.family, 'logout');
+      return res.status(401).json({ error: 'Two-factor authentication required', message: 'Please login again' });
+    }
+
+    const refresh = await record.rotate({ ttlMs: REFRESH_TOKEN_TTL_MS, ...clientInfo(req) });
+    if (!refresh) {
+      // Paralleler Refresh mit demselben Token - wie Wiederverwendung behandeln
+      await RefreshToken.revokeFamily(record.family, 'reuse_detected');
+      whatsappLogger.auth(user.id, 'refresh_token_reuse', false, req.ip, req.get('User-Agent'));
+      return res.status(401).json({ error: 'Invalid refresh token' });
+    }
+
+    whatsappLogger.auth(user.id, 'token_refreshed', true, req.ip, req.get('User-Agent'));
+    res.json({ tokens: buildTokens(user._id, refresh) });
+
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Token refresh failed', details: error.message });
+  }
+});
+
+// POST /api/auth/logout - Aktuelle Sitzung (Token-Familie) beenden
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken && typeof refreshToken === 'string') {
+      const record = await RefreshToken.findByToken(refreshToken);
+      if (record) await RefreshToken.revokeFamily(record.family, 'logout');
+    }
+
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed', details: error.message });
+  }
+});
+
+// POST /api/auth/logout-all - Alle Sitzungen beenden (auch ausgegebene Access-Tokens)
+router.post('/logout-all', auth, rejectImpersonation, async (req, res) => {
+  try {
+    const result = await RefreshToken.revokeAllForUser(req.user._id, 'logout_all');
+
+    req.user.tokensRevokedAt = new Date();
+    await req.user.save({ validateBeforeSave: false });
+    global.socketGateway?.disconnectUser(req.user._id);
+
+    whatsappLogger.auth(req.user.id, 'logout_all', true, req.ip, req.get('User-Agent'));
+    res.json({ message: 'All sessions logged out', revokedSessions: result.modifiedCount });
+  } catch (error) {
+    console.error('Logout-all error:', error);
+    res.status(500).json({ error: 'Logout failed', details: error.message });
+  }
+});
+
+// POST /api/auth/2fa/verify - Zweiter Login-Schritt (TOTP- oder Recovery-Code)
+router.post('/2fa/verify', rateLimit({ max: 10, windowMs: 60000 }), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const userId = challengeToken && verifyChallengeToken(challengeToken, 'login');
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid or expired challenge', message: 'Please login again' });
+    }
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'code or recoveryCode required' });
+    }
+
+    const user = await User.findById(userId).select(TWO_FACTOR_SECRETS);
+    if (!user || !user.isActive || !user.twoFactor?.enabled) {
+      return res.status(401).json({ error: 'Invalid or expired challenge', message: 'Please login again' });
+    }
+
+    const valid = code
+      ? await user.verifyTwoFactorCode(code)
+      : await user.consumeRecoveryCode(recoveryCode);
+
+    if (!valid) {
+      whatsappLogger.auth(user.id, 'two_factor_failed', false, req.ip, req.get('User-Agent'));
+      return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+
+    const extra = {};
+    if (recoveryCode) {
+      extra.recoveryCodesRemaining = user.twoFactor.recoveryCodes.length - 1;
+      whatsappLogger.auth(user.id, 'recovery_code_used', true, req.ip, req.get('User-Agent'));
+    }
+
+    await completeLogin(user, req, res, extra);
+
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ error: 'Two-factor verification failed', details: error.message });
+  }
+});
+
+// GET /api/auth/2fa - Status
+router.get('/2fa', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt || null,
+      required: await user.isTwoFactorRequired(),
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get two-factor status', details: error.message });
+  }
+});
+
+// POST /api/auth/2fa/setup - Secret erzeugen, QR-Code für die Authenticator-App
+router.post('/2fa/setup', rateLimit({ max: 10, windowMs: 60000 }), authOrSetupChallenge, rejectImpersonation, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    const otpauthUrl = totp.keyUri({ secret, label: user.email, issuer: TOTP_ISSUER });
+
+    res.json({
+      secret,
+      otpauthUrl,
+      qrCode: await qrcode.toDataURL(otpauthUrl)
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Two-factor setup failed', details: error.message });
+  }
+});
+
+// POST /api/auth/2fa/enable - Einrichtung mit erstem Code bestätigen, Recovery-Codes ausgeben
+router.post('/2fa/enable', rateLimit({ max: 10, windowMs: 60000 }), authOrSetupChallenge, rejectImpersonation, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication already enabled' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'No pending setup', message: 'Call /api/auth/2fa/setup first' });
+    }
+    if (!code || !(await user.verifyTwoFactorCode(code, { pending: true }))) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    const { codes, hashes } = User.generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    whatsappLogger.auth(user.id, 'two_factor_enabled', true, req.ip, req.get('User-Agent'));
+
+    // Pflicht-Einrichtung beim Login: direkt einloggen
+    if (req.setupChallenge) {
+      return completeLogin(user, req, res, { recoveryCodes: codes });
+    }
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes: codes });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication', details: error.message });
+  }
+});
+
+// POST /api/auth/2fa/disable - Passwort + Code (oder Recovery-Code) erforderlich
+router.post('/2fa/disable', rateLimit({ max: 5, windowMs: 60000 }), auth, rejectImpersonation, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id).select(`+password ${TWO_FACTOR_SECRETS}`);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (await user.isTwoFactorRequired()) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(400).json({ error: 'Invalid password' });
+    }
+
+    const valid = code
+      ? await user.verifyTwoFactorCode(code)
+      : recoveryCode && await user.consumeRecoveryCode(recoveryCode);
+    if (!valid) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save({ validateBeforeSave: false });
+
+    whatsappLogger.auth(user.id, 'two_factor_disabled', true, req.ip, req.get('User-Agent'));
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication', details: error.message });
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Neue Recovery-Codes (alte werden ungültig)
+router.post('/2fa/recovery-codes', rateLimit({ max: 5, windowMs: 60000 }), auth, rejectImpersonation, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!code || !(await user.verifyTwoFactorCode(code))) {
+      return res.status(400).json({ error: 'Invalid two-factor code' });
+    }
+
+    const { codes, hashes } = User.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes: codes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes', details: error.message });
+  }
+});
+
 // GET /api/auth/me
 router.get('/me', auth, async (req, res) => {
   try {
@@ -55,8 +621,11 @@ router.get('/me', auth, async (req, res) => {
         id: req.user._id,
         username: req.user.username,
         email: req.user.email,
-        role: req.user.role
-      }
+        role: req.user.role,
+        isVerified: req.user.isVerified,
+        twoFactorEnabled: req.user.twoFactor?.enabled || false
+      },
+      impersonatedBy: req.impersonatedBy
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const { auth, requireAdmin } = require('../middleware/auth');
+
+const requireCluster = (req, res, next) => {
+  if (!global.instanceManager) {
+    return res.status(500).json({ error: 'Instance manager not available' });
+  }
+  next();
+};
+
+// GET /api/cluster - Knoten mit Auslastung und zugewiesenen Instanzen, verwaiste Instanzen
+router.get('/', auth, requireAdmin, requireCluster, async (req, res) => {
+  try {
+    res.json(await global.instanceManager.cluster.overview());
+  } catch (error) {
+    console.error('Get cluster error:', error);
+    res.status(500).json({ error: 'Failed to get cluster overview', details: error.message });
+  }
+});
+
+// GET /api/cluster/nodes/:nodeId
+router.get('/nodes/:nodeId', auth, requireAdmin, requireCluster, async (req, res) => {
+  try {
+    const overview = await global.instanceManager.cluster.overview(req.params.nodeId);
+    if (overview.nodes.length === 0) {
+      return res.status(404).json({ error: 'Cluster node not found' });
+    }
+
+    res.json({ self: overview.self, node: overview.nodes[0] });
+  } catch (error) {
+    console.error('Get cluster node error:', error);
+    res.status(500).json({ error: 'Failed to get cluster node', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,16 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const fs = require('fs').promises;
+const multer = require('multer');
 const router = express.Router();
 const Instance = require('../models/Instance');
-const { auth } = require('../middleware/auth');
+const ApiKey = require('../models/ApiKey');
+const OutboundMessage = require('../models/OutboundMessage');
+const Message = require('../models/Message');
+const Webhook = require('../models/Webhook');
+const SessionBackup = require('../models/SessionBackup');
+const User = require('../models/User');
+const { auth, requirePlan } = require('../middleware/auth');
 const rateLimit = require('../middleware/rateLimit');
 
 // GET /api/instances
@@ -19,8 +28,24 @@ router.get('/', auth, async (req, res) => {
 });
 
 // POST /api/instances - Create and load into memory
-router.post('/', auth, rateLimit({ max: 10, windowMs: 60000 }), async (req, res) => {
+router.post('/', auth, requirePlan({ quota: 'instances' }), rateLimit({ max: 10, windowMs: 60000 }), async (req, res) => {
   try {
+    const { scopes: apiKeyScopes, error: scopeError } = ApiKey.resolveScopes(req.body.apiKeyScopes);
+    if (scopeError) {
+      return res.status(400).json({ error: `apiKeyScopes: ${scopeError}` });
+    }
+
+    // Kontingent atomar belegen - requirePlan prüft nur vorab, parallele Anfragen könnten es überschreiten
+    if (!await User.reserveInstanceSlot(req.user._id)) {
+      return res.status(402).json({
+        error: 'Quota exceeded',
+        message: `Your plan allows ${req.user.planLimits.maxInstances} instances`,
+        quota: 'instances',
+        limit: req.user.planLimits.maxInstances,
+        currentPlan: req.user.plan
+      });
+    }
+
     const instanceId = `inst_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
 
     const instanceData = {
@@ -32,27 +57,55 @@ router.post('/', auth, rateLimit({ max: 10, windowMs: 60000 }), async (req, res)
     };
 
     // Use global instance manager to create (loads into memory automatically)
-    if (global.instanceManager) {
-      const instance = await global.instanceManager.createInstance(instanceData);
-      res.status(201).json({
-        message: 'Instance created and loaded into memory',
-        instance
-      });
-    } else {
-      // Fallback: Direct database creation
-      const instance = new Instance({
-        ...instanceData,
-        serverId: 'vps-wa-plest-de',
-        apiKey: require('crypto').randomBytes(32).toString('hex')
-      });
+    let instance;
+    let message;
+    let apiKey;
+    let key;
+    try {
+      if (global.instanceManager) {
+        instance = await global.instanceManager.createInstance(instanceData);
+        message = 'Instance created and loaded into memory';
+      } else {
+        // Fallback: Direct database creation
+        instance = new Instance({
+          ...instanceData,
+          serverId: 'vps-wa-plest-de'
+        });
 
-      await instance.save();
+        await instance.save();
+        message = 'Instance created (memory loading may be required)';
+      }
 
-      res.status(201).json({
-        message: 'Instance created (memory loading may be required)',
-        instance
-      });
+      // Default API-Key erzeugen - Secret wird nur in dieser Antwort ausgeliefert
+      ({ apiKey, key } = await ApiKey.generate({
+        instanceId,
+        userId: req.user._id,
+        label: 'Default',
+        scopes: apiKeyScopes,
+        createdBy: req.user._id
+      }));
+    } catch (error) {
+      // Ohne Key ist die Instanz nicht nutzbar - wieder entfernen und Kontingent freigeben
+      if (instance) {
+        try {
+          if (global.instanceManager) {
+            await global.instanceManager.deleteInstance(instanceId);
+          } else {
+            await Instance.deleteOne({ instanceId });
+          }
+        } catch (cleanupError) {
+          console.error(`Failed to remove instance ${instanceId} after failed creation:`, cleanupError);
+        }
+      }
+      await User.releaseInstanceSlot(req.user._id);
+      throw error;
     }
+
+    res.status(201).json({
+      message,
+      instance,
+      apiKey: { ...apiKey.toJSON(), key }
+    });
   } catch (error) {
     console.error('Create instance error:', error);
     res.status(500).json({ error: 'Failed to create instance', details: error.message });
@@ -77,16 +130,12 @@ router.post('/:instanceId/start', auth, async (req, res) => {
         console.log(`Loading instance ${req.params.instanceId} into memory before start...`);
 
         try {
-          const client = await global.instanceManager.createWhatsAppClient(req.params.instanceId, instance);
-          global.instanceManager.instances.set(req.params.instanceId, {
-            client,
-            instance,
-            startTime: Date.now(),
-            messageCount: 0,
-            lastActivity: Date.now()
-          });
-          console.log(`Instance ${req.params.instanceId} loaded into memory`);
+          await global.instanceManager.loadInstance(instance);
         } catch (loadError) {
+          // Läuft auf einem anderen Cluster-Knoten bzw. Knoten ausgelastet
+          if (loadError.isOperational) {
+            return res.status(loadError.statusCode).json({ error: loadError.message });
+          }
           console.error(`Failed to load instance ${req.params.instanceId}:`, loadError);
           return res.status(500).json({
             error: 'Failed to load instance into memory',
@@ -119,6 +168,280 @@ router.post('/:instanceId/start', auth, async (req, res) => {
   }
 });
 
+// Eingaben für PATCH /api/instances/:instanceId prüfen
+const CONFIG_VALIDATORS = {
+  webhookUrl: value => value === null || value === '' || /^https?:\/\/\S+$/.test(value) || 'must be an http(s) URL or empty',
+  autoReconnect: value => typeof value === 'boolean' || 'must be a boolean',
+  messageDelay: value => (Number.isInteger(value) && value >= 0 && value <= 60000) || 'must be an integer between 0 and 60000 (ms)',
+  rateLimitPerMinute: value => (Number.isInteger(value) && value >= 1 && value <= 1000) || 'must be an integer between 1 and 1000',
+  enableLogging: value => typeof value === 'boolean' || 'must be a boolean',
+  enableMedia: value => typeof value === 'boolean' || 'must be a boolean',
+  enableGroups: value => typeof value === 'boolean' || 'must be a boolean'
+};
+
+const validateInstanceUpdate = (body) => {
+  if (body.name !== undefined && (typeof body.name !== 'string' || !body.name.trim())) {
+    return 'name must be a non-empty string';
+  }
+
+  if (body.description !== undefined && typeof body.description !== 'string') {
+    return 'description must be a string';
+  }
+
+  if (body.config !== undefined) {
+    if (!body.config || typeof body.config !== 'object' || Array.isArray(body.config)) {
+      return 'config must be an object';
+    }
+
+    for (const [key, value] of Object.entries(body.config)) {
+      const validator = CONFIG_VALIDATORS[key];
+      if (!validator) {
+        return `Unknown config option '${key}'. Allowed: ${Object.keys(CONFIG_VALIDATORS).join(', ')}`;
+      }
+      const result = validator(value);
+      if (result !== true) {
+        return `config.${key} ${result}`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Instance des eingeloggten Benutzers laden (Lifecycle-Routen)
+const loadInstance = async (req, res, next) => {
+  try {
+    const instance = await Instance.findOne({
+      instanceId: req.params.instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    req.instance = instance;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load instance', details: error.message });
+  }
+};
+
+const requireInstanceManager = (req, res, next) => {
+  if (!global.instanceManager) {
+    return res.status(500).json({ error: 'Instance manager not available' });
+  }
+  next();
+};
+
+// Bundle-Upload für den Import (Feld 'bundle', auf Platte - Sessions können groß sein)
+let bundleUploader = null;
+const bundleUpload = (req, res, next) => {
+  const { config } = global.instanceManager.instanceTransfer;
+  if (!bundleUploader) {
+    bundleUploader = multer({
+      dest: config.tempDir,
+      limits: { fileSize: config.maxBundleSizeMB * 1024 * 1024, files: 1 }
+    }).single('bundle');
+  }
+
+  bundleUploader(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Bundle exceeds ${config.maxBundleSizeMB} MB` });
+    }
+    res.status(400).json({ error: 'Invalid upload', details: error.message });
+  });
+};
+
+// POST /api/instances/import - Instanz aus einem Bundle eines anderen Servers übernehmen
+// multipart: bundle (Datei), start ('true' startet die Instanz danach)
+router.post('/import', auth, requireInstanceManager, rateLimit({ max: 5, windowMs: 60000 }), bundleUpload, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "Bundle file (field 'bundle') is required" });
+  }
+
+  try {
+    const { instance, created, manifest } = await global.instanceManager.instanceTransfer.importBundle(req.file.path, req.user);
+
+    // Neu angelegt (eigene Datenbank) - wie beim Erstellen einen Default-API-Key erzeugen
+    let apiKey = null;
+    if (created) {
+      const generated = await ApiKey.generate({
+        instanceId: instance.instanceId,
+        userId: req.user._id,
+        label: 'Default',
+        createdBy: req.user._id
+      });
+      apiKey = { ...generated.apiKey.toJSON(), key: generated.key };
+    }
+
+    let started = false;
+    if (req.body.start === true || req.body.start === 'true') {
+      await global.instanceManager.loadInstance(instance);
+      await global.instanceManager.startInstance(instance.instanceId);
+      started = true;
+    }
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Instance imported' : 'Instance moved to this server',
+      instance,
+      created,
+      sourceServerId: manifest.sourceServerId,
+      started,
+      ...(apiKey && { apiKey })
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Import instance error:', error);
+    res.status(500).json({ error: 'Failed to import instance', details: error.message });
+  } finally {
+    await fs.rm(req.file.path, { force: true });
+  }
+});
+
+// GET /api/instances/:instanceId - DB-Daten + Laufzeitstatus aus dem Manager
+router.get('/:instanceId', auth, loadInstance, async (req, res) => {
+  try {
+    const runtime = global.instanceManager
+      ? global.instanceManager.getInstanceStatus(req.instance.instanceId)
+      : null;
+
+    res.json({
+      instance: {
+        ...req.instance.toJSON(),
+        // Laufzeitstatus ist aktueller als der gespeicherte
+        status: runtime ? runtime.status : req.instance.status,
+        isLoaded: Boolean(runtime),
+        runtime
+      }
+    });
+  } catch (error) {
+    console.error('Get instance error:', error);
+    res.status(500).json({ error: 'Failed to get instance', details: error.message });
+  }
+});
+
+// PATCH /api/instances/:instanceId - Name, Beschreibung, config (live übernommen)
+router.patch('/:instanceId', auth, loadInstance, async (req, res) => {
+  try {
+    const validationError = validateInstanceUpdate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const updates = {};
+    if (req.body.name !== undefined) updates.name = req.body.name.trim();
+    if (req.body.description !== undefined) updates.description = req.body.description;
+    Object.entries(req.body.config || {}).forEach(([key, value]) => {
+      updates[`config.${key}`] = value;
+    });
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    req.instance.set(updates);
+    await req.instance.save();
+
+    const appliedLive = global.instanceManager
+      ? global.instanceManager.applyInstanceUpdate(req.instance.instanceId, updates)
+      : false;
+
+    res.json({
+      message: 'Instance updated',
+      instance: req.instance,
+      appliedLive
+    });
+  } catch (error) {
+    console.error('Update instance error:', error);
+    res.status(500).json({ error: 'Failed to update instance', details: error.message });
+  }
+});
+
+// POST /api/instances/:instanceId/stop - { force: true } beendet den Browser-Process sofort
+router.post('/:instanceId/stop', auth, loadInstance, requireInstanceManager, async (req, res) => {
+  try {
+    const force = req.body.force === true;
+    const { instanceId } = req.instance;
+
+    if (global.instanceManager.instances.has(instanceId)) {
+      await global.instanceManager.stopInstance(instanceId, !force);
+    } else if (req.instance.status !== 'stopped') {
+      // Nicht im Speicher (z.B. nach Crash) - nur Status korrigieren
+      await req.instance.setStatus('stopped');
+    }
+
+    res.json({
+      message: force ? 'Instance force-stopped' : 'Instance stopped',
+      instanceId
+    });
+  } catch (error) {
+    // Betriebsfehler (z.B. Lease auf anderem Knoten, Worker-Timeout) mit Status und Code weitergeben
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Stop instance error:', error);
+    res.status(500).json({ error: 'Failed to stop instance', details: error.message });
+  }
+});
+
+// POST /api/instances/:instanceId/restart
+router.post('/:instanceId/restart', auth, loadInstance, requireInstanceManager, async (req, res) => {
+  try {
+    await global.instanceManager.restartInstance(req.instance.instanceId);
+
+    res.json({
+      message: 'Instance restarted',
+      instanceId: req.instance.instanceId
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Restart instance error:', error);
+    res.status(500).json({ error: 'Failed to restart instance', details: error.message });
+  }
+});
+
+// POST /api/instances/:instanceId/logout - WhatsApp-Session abmelden (Instanz bleibt bestehen)
+router.post('/:instanceId/logout', auth, loadInstance, requireInstanceManager, async (req, res) => {
+  try {
+    await global.instanceManager.logoutInstance(req.instance.instanceId);
+
+    res.json({
+      message: 'Instance logged out. Use /repair to pair a new device.',
+      instanceId: req.instance.instanceId
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Logout instance error:', error);
+    res.status(500).json({ error: 'Failed to logout instance', details: error.message });
+  }
+});
+
+// POST /api/instances/:instanceId/repair - Abmelden und neu koppeln (neuer QR-Code)
+router.post('/:instanceId/repair', auth, loadInstance, requireInstanceManager, rateLimit({ max: 5, windowMs: 60000 }), async (req, res) => {
+  try {
+    await global.instanceManager.repairInstance(req.instance.instanceId);
+
+    res.json({
+      message: 'Re-pairing started. Fetch the new QR code from /qr.',
+      instanceId: req.instance.instanceId
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message, code: error.code });
+    }
+    console.error('Repair instance error:', error);
+    res.status(500).json({ error: 'Failed to repair instance', details: error.message });
+  }
+});
+
 // GET /api/instances/:instanceId/qr
 router.get('/:instanceId/qr', auth, async (req, res) => {
   try {
@@ -142,6 +465,301 @@ router.get('/:instanceId/qr', auth, async (req, res) => {
   }
 });
 
+// GET /api/instances/:instanceId/queue - Outbound-Queue (optional ?status=queued|sent|failed|...)
+router.get('/:instanceId/queue', auth, async (req, res) => {
+  try {
+    const instance = await Instance.findOne({
+      instanceId: req.params.instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const [items, stats] = await Promise.all([
+      OutboundMessage.findByInstance(instance.instanceId, req.query.status, limit),
+      global.instanceManager
+        ? global.instanceManager.messageQueue.getStats(instance.instanceId)
+        : null
+    ]);
+
+    res.json({ instanceId: instance.instanceId, stats, items });
+  } catch (error) {
+    console.error('Get queue error:', error);
+    res.status(500).json({ error: 'Failed to get queue', details: error.message });
+  }
+});
+
+// DELETE /api/instances/:instanceId/queue/:messageId - Wartende Nachricht abbrechen
+router.delete('/:instanceId/queue/:messageId', auth, async (req, res) => {
+  try {
+    const instance = await Instance.findOne({
+      instanceId: req.params.instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.messageId)) {
+      return res.status(404).json({ error: 'Queued message not found' });
+    }
+
+    if (!global.instanceManager) {
+      return res.status(503).json({ error: 'Instance manager not available' });
+    }
+
+    const item = await global.instanceManager.messageQueue.cancel(instance.instanceId, req.params.messageId);
+    res.json({ message: 'Queued message cancelled', item });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Cancel queued message error:', error);
+    res.status(500).json({ error: 'Failed to cancel queued message', details: error.message });
+  }
+});
+
+// Query-Parameter für den Nachrichtenverlauf prüfen
+const MESSAGE_FILTERS = {
+  direction: Message.schema.path('direction').enumValues,
+  type: Message.schema.path('type').enumValues,
+  status: Message.schema.path('status').enumValues
+};
+
+const parseMessageQuery = (query, defaultLimit) => {
+  const filters = {
+    limit: Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 200)
+  };
+  const details = [];
+
+  if (query.cursor) {
+    if (!Message.decodeCursor(query.cursor)) details.push('cursor is invalid');
+    filters.cursor = query.cursor;
+  }
+
+  if (query.chatId) filters.chatId = String(query.chatId);
+
+  Object.entries(MESSAGE_FILTERS).forEach(([key, allowed]) => {
+    if (query[key] === undefined) return;
+    if (!allowed.includes(query[key])) {
+      details.push(`${key} must be one of: ${allowed.join(', ')}`);
+    }
+    filters[key] = query[key];
+  });
+
+  ['since', 'until'].forEach(key => {
+    if (query[key] === undefined) return;
+    if (Number.isNaN(new Date(query[key]).getTime())) {
+      details.push(`${key} must be an ISO-8601 date`);
+    }
+    filters[key] = query[key];
+  });
+
+  return { filters, details };
+};
+
+// GET /api/instances/:instanceId/messages - Verlauf (neueste zuerst, Cursor-Pagination)
+// ?chatId=&direction=&type=&status=&since=&until=&limit=&cursor=
+router.get('/:instanceId/messages', auth, loadInstance, async (req, res) => {
+  try {
+    const { filters, details } = parseMessageQuery(req.query, 50);
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const docs = await Message.findByInstance(req.instance.instanceId, { ...filters, limit: filters.limit + 1 });
+
+    res.json({
+      instanceId: req.instance.instanceId,
+      ...Message.toPage(docs, filters.limit)
+    });
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({ error: 'Failed to get messages', details: error.message });
+  }
+});
+
+// GET /api/instances/:instanceId/messages/:messageId - Serialisierte WhatsApp-ID oder kurze messageId
+router.get('/:instanceId/messages/:messageId', auth, loadInstance, async (req, res) => {
+  try {
+    const message = await Message.findOne({
+      instanceId: req.instance.instanceId,
+      $or: [{ waMessageId: req.params.messageId }, { messageId: req.params.messageId }]
+    });
+
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    res.json({ message: message.toDTO() });
+  } catch (error) {
+    console.error('Get message error:', error);
+    res.status(500).json({ error: 'Failed to get message', details: error.message });
+  }
+});
+
+// GET /api/instances/:instanceId/chats/:chatId/messages - Konversation
+// Seite in chronologischer Reihenfolge, nextCursor blättert zu älteren Nachrichten
+router.get('/:instanceId/chats/:chatId/messages', auth, loadInstance, async (req, res) => {
+  try {
+    const { filters, details } = parseMessageQuery(req.query, 50);
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    const docs = await Message.findByChat(req.instance.instanceId, req.params.chatId, {
+      ...filters,
+      limit: filters.limit + 1
+    });
+    const page = Message.toPage(docs, filters.limit);
+
+    res.json({
+      instanceId: req.instance.instanceId,
+      chatId: req.params.chatId,
+      ...page,
+      messages: page.messages.reverse()
+    });
+  } catch (error) {
+    console.error('Get chat messages error:', error);
+    res.status(500).json({ error: 'Failed to get chat messages', details: error.message });
+  }
+});
+
+// POST /api/instances/:instanceId/export - Signiertes Bundle zum Umzug auf einen anderen Server
+// Die Instanz muss gestoppt sein; das Bundle gilt INSTANCE_TRANSFER_TTL_HOURS und nur einmal
+router.post('/:instanceId/export', auth, loadInstance, requireInstanceManager, rateLimit({ max: 5, windowMs: 60000 }), async (req, res) => {
+  const { instanceId } = req.instance;
+  const transfer = global.instanceManager.instanceTransfer;
+  const file = transfer.tempPath(`${instanceId}.wabundle`);
+
+  try {
+    if (global.instanceManager.instances.has(instanceId)) {
+      return res.status(409).json({ error: 'Instance is running. Stop the instance first.' });
+    }
+
+    const manifest = await transfer.exportBundle(req.instance, file);
+
+    res.set('X-Export-Id', manifest.exportId);
+    res.set('X-Export-Expires-At', manifest.expiresAt);
+    res.download(file, `${instanceId}.wabundle`, () => {
+      fs.rm(file, { force: true }).catch(() => {});
+    });
+  } catch (error) {
+    await fs.rm(file, { force: true });
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Export instance error:', error);
+    res.status(500).json({ error: 'Failed to export instance', details: error.message });
+  }
+});
+
+// Backup der Instanz laden (404 für fremde oder unbekannte IDs)
+const loadBackup = async (req, res, next) => {
+  try {
+    const backup = await SessionBackup.findOne({
+      backupId: req.params.backupId,
+      instanceId: req.instance.instanceId
+    });
+
+    if (!backup) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+
+    req.backup = backup;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load backup', details: error.message });
+  }
+};
+
+// GET /api/instances/:instanceId/backups - Session-Backups (neueste zuerst)
+router.get('/:instanceId/backups', auth, loadInstance, async (req, res) => {
+  try {
+    const backups = await SessionBackup.findByInstance(req.instance.instanceId);
+
+    res.json({
+      backups: backups.map(backup => backup.toDTO()),
+      enabled: req.instance.sessionBackup.enabled
+    });
+  } catch (error) {
+    console.error('List backups error:', error);
+    res.status(500).json({ error: 'Failed to list backups', details: error.message });
+  }
+});
+
+// POST /api/instances/:instanceId/backups - Manuelles Backup der aktuellen Session
+router.post('/:instanceId/backups', auth, loadInstance, requireInstanceManager, rateLimit({ max: 5, windowMs: 60000 }), async (req, res) => {
+  try {
+    const backup = await global.instanceManager.sessionBackups.create(req.instance, { reason: 'manual' });
+
+    if (!backup) {
+      return res.status(409).json({ error: 'Instance has no session to back up' });
+    }
+
+    res.status(201).json({ backup: backup.toDTO() });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Create backup error:', error);
+    res.status(500).json({ error: 'Failed to create backup', details: error.message });
+  }
+});
+
+// POST /api/instances/:instanceId/backups/:backupId/restore - Session zurückspielen (ohne neuen QR-Scan)
+// Die Instanz muss gestoppt sein; { start: true } startet sie danach
+router.post('/:instanceId/backups/:backupId/restore', auth, loadInstance, requireInstanceManager, loadBackup, async (req, res) => {
+  try {
+    const { instanceId } = req.instance;
+
+    if (global.instanceManager.instances.has(instanceId)) {
+      return res.status(409).json({ error: 'Instance is running. Stop the instance first.' });
+    }
+    global.instanceManager.cluster.assertNotLeasedElsewhere(req.instance);
+
+    await global.instanceManager.sessionBackups.restore(req.instance, req.backup);
+
+    let started = false;
+    if (req.body.start === true) {
+      await global.instanceManager.loadInstance(req.instance);
+      await global.instanceManager.startInstance(instanceId);
+      started = true;
+    }
+
+    res.json({
+      message: started ? 'Session restored, instance starting' : 'Session restored',
+      backup: req.backup.toDTO(),
+      started
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('Restore backup error:', error);
+    res.status(500).json({ error: 'Failed to restore backup', details: error.message });
+  }
+});
+
+// DELETE /api/instances/:instanceId/backups/:backupId
+router.delete('/:instanceId/backups/:backupId', auth, loadInstance, requireInstanceManager, loadBackup, async (req, res) => {
+  try {
+    await global.instanceManager.sessionBackups.remove(req.backup);
+
+    res.json({
+      message: 'Backup deleted',
+      backupId: req.backup.backupId
+    });
+  } catch (error) {
+    console.error('Delete backup error:', error);
+    res.status(500).json({ error: 'Failed to delete backup', details: error.message });
+  }
+});
+
 // DELETE /api/instances/:instanceId
 router.delete('/:instanceId', auth, async (req, res) => {
   try {
@@ -163,6 +781,19 @@ router.delete('/:instanceId', auth, async (req, res) => {
     }
 
     await Instance.deleteOne({ instanceId: req.params.instanceId });
+    await ApiKey.updateMany(
+      { instanceId: req.params.instanceId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+    const { deletedCount: deletedWebhooks } = await Webhook.deleteMany({ instanceId: req.params.instanceId });
+    if (global.instanceManager) {
+      await global.instanceManager.mediaService.deleteByInstance(req.params.instanceId);
+      await global.instanceManager.sessionBackups.deleteByInstance(req.params.instanceId);
+    }
+    await User.releaseInstanceSlot(instance.userId);
+    if (deletedWebhooks > 0) {
+      await User.releaseWebhookSlots(instance.userId, deletedWebhooks);
+    }
 
     res.json({
       message: 'Instance deleted successfully',
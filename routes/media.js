@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const Media = require('../models/Media');
+const User = require('../models/User');
+const MediaService = require('../services/MediaService');
+const { auth } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+
+// Gleiche Konfiguration wie im Instance-Manager (Storage ist zustandslos)
+const mediaService = global.instanceManager?.mediaService || new MediaService();
+
+// Media des eingeloggten Benutzers laden (Admins sehen alle)
+const loadMedia = async (req, res, next) => {
+  try {
+    const media = await Media.findOne({ mediaId: req.params.mediaId });
+
+    const isOwner = media && media.userId.equals(req.user._id);
+    if (!media || (!isOwner && !User.ADMIN_ROLES.includes(req.user.role))) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    req.media = media;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load media', details: error.message });
+  }
+};
+
+const sendFile = async (res, media, variant, asAttachment) => {
+  const file = await mediaService.read(media, variant);
+  if (!file) {
+    return res.status(404).json({ error: 'Media file not available' });
+  }
+
+  const filename = (media.filename || media.mediaId).replace(/["\r\n]/g, '');
+  res.set({
+    'Content-Type': file.contentType,
+    'Content-Length': file.buffer.length,
+    'Content-Disposition': `${asAttachment ? 'attachment' : 'inline'}; filename="${filename}"`,
+    'Cache-Control': 'private, max-age=300',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.send(file.buffer);
+};
+
+// GET /api/media/:mediaId/download?variant=&expires=&signature= - Signierte URL (ohne Login)
+router.get('/:mediaId/download', rateLimit({ max: 120, windowMs: 60000 }), async (req, res) => {
+  try {
+    const { variant = 'original', expires, signature } = req.query;
+
+    if (!mediaService.verifyUrl(req.params.mediaId, { variant, expires, signature })) {
+      return res.status(403).json({ error: 'Invalid or expired download link' });
+    }
+
+    const media = await Media.findOne({ mediaId: req.params.mediaId });
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    await sendFile(res, media, variant, req.query.attachment === 'true');
+  } catch (error) {
+    console.error('Signed media download error:', error);
+    res.status(500).json({ error: 'Failed to download media', details: error.message });
+  }
+});
+
+// GET /api/media/:mediaId - Datei (?download=true als Anhang)
+router.get('/:mediaId', auth, loadMedia, async (req, res) => {
+  try {
+    await sendFile(res, req.media, 'original', req.query.download === 'true');
+  } catch (error) {
+    console.error('Get media error:', error);
+    res.status(500).json({ error: 'Failed to get media', details: error.message });
+  }
+});
+
+// GET /api/media/:mediaId/thumbnail
+router.get('/:mediaId/thumbnail', auth, loadMedia, async (req, res) => {
+  try {
+    if (!req.media.thumbnailKey) {
+      return res.status(404).json({ error: 'No thumbnail for this media' });
+    }
+
+    await sendFile(res, req.media, 'thumbnail', false);
+  } catch (error) {
+    console.error('Get thumbnail error:', error);
+    res.status(500).json({ error: 'Failed to get thumbnail', details: error.message });
+  }
+});
+
+// GET /api/media/:mediaId/info - Metadaten
+router.get('/:mediaId/info', auth, loadMedia, (req, res) => {
+  res.json({ media: req.media.toDTO() });
+});
+
+// POST /api/media/:mediaId/url - Signierte Download-URL { variant, ttl (Sekunden) }
+router.post('/:mediaId/url', auth, loadMedia, (req, res) => {
+  const { variant = 'original', ttl } = req.body;
+
+  if (!MediaService.VARIANTS.includes(variant)) {
+    return res.status(400).json({ error: `variant must be one of: ${MediaService.VARIANTS.join(', ')}` });
+  }
+  if (variant === 'thumbnail' && !req.media.thumbnailKey) {
+    return res.status(400).json({ error: 'No thumbnail for this media' });
+  }
+  if (ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0)) {
+    return res.status(400).json({ error: 'ttl must be a positive integer (seconds)' });
+  }
+
+  res.json(mediaService.signUrl(req.media.mediaId, { variant, ttlSeconds: ttl }));
+});
+
+// DELETE /api/media/:mediaId - Datei vorzeitig löschen
+router.delete('/:mediaId', auth, loadMedia, async (req, res) => {
+  try {
+    await mediaService.remove(req.media);
+    res.json({ message: 'Media deleted', mediaId: req.media.mediaId });
+  } catch (error) {
+    console.error('Delete media error:', error);
+    res.status(500).json({ error: 'Failed to delete media', details: error.message });
+  }
+});
+
+module.exports = router;
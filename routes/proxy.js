@@ -1,50 +1,438 @@
 const express = require('express');
 const router = express.Router();
-const { apiKeyAuth } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { apiKeyAuth, createApiKeyAuth, requirePlan } = require('../middleware/auth');
 const rateLimit = require('../middleware/rateLimit');
+const { AppError, AuthorizationError, RateLimitError, ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const WhatsAppProxy = require('../services/WhatsAppProxy');
+const MediaService = require('../services/MediaService');
+const EventStream = require('../services/EventStream');
+const OutboundMessage = require('../models/OutboundMessage');
+const ApiKey = require('../models/ApiKey');
+const Media = require('../models/Media');
+const { logger } = require('../utils/logger');
 
-// Dummy WhatsApp methods for now
-const WHATSAPP_METHODS = [
-  'sendMessage', 'getChats', 'getContacts', 'createGroup', 'downloadMedia',
-  'sendMedia', 'react', 'forward', 'deleteMessage', 'archiveChat'
-];
+// Proxy lazy an den globalen InstanceManager binden (wird in server.js gesetzt)
+let whatsappProxy = null;
+const getProxy = () => {
+  if (!whatsappProxy) {
+    whatsappProxy = new WhatsAppProxy(global.instanceManager);
+  }
+  return whatsappProxy;
+};
+
+let fallbackMediaService = null;
+const getMediaService = () => {
+  if (global.instanceManager) return global.instanceManager.mediaService;
+  if (!fallbackMediaService) fallbackMediaService = new MediaService();
+  return fallbackMediaService;
+};
+
+// API-Key aus URL in Header übernehmen
+const apiKeyFromParams = (req, res, next) => {
+  req.headers['x-api-key'] = req.params.apiKey;
+  next();
+};
+
+// Plan muss API-Zugriff enthalten (Owner der Instanz, von apiKeyAuth gesetzt)
+const requireApiAccess = requirePlan({ feature: 'enableApiAccess' });
+
+// Rate-Limit pro API-Key (ApiKey.rateLimitPerMinute)
+const apiKeyRateLimit = rateLimit({
+  max: (req) => req.apiKeyRecord.rateLimitPerMinute,
+  keyGenerator: (req) => req.apiKeyRecord.keyId
+});
+
+// Queue- und Event-Routen funktionieren auch, während die Instanz (neu) verbindet
+const queueApiKeyAuth = createApiKeyAuth({ requireReady: false });
+
+const requireInstanceManager = (req, res, next) => {
+  if (!global.instanceManager) {
+    return next(new AppError('Instance manager not available', 503, 'INSTANCE_MANAGER_UNAVAILABLE'));
+  }
+  next();
+};
+
+// Eigenen Queue-Eintrag des API-Keys (bzw. seiner Instanz) laden
+const loadQueueItem = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw new NotFoundError('Queued message');
+    }
+
+    const item = await OutboundMessage.findOne({
+      _id: req.params.id,
+      instanceId: req.apiKeyRecord.instanceId
+    });
+
+    if (!item) {
+      throw new NotFoundError('Queued message');
+    }
+
+    req.queueItem = item;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Multipart-Upload für sendMedia (Datei im Feld 'file', hartes Limit MEDIA_MAX_SIZE_MB)
+let uploader = null;
+const mediaUpload = (req, res, next) => {
+  if (!uploader) {
+    uploader = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: getMediaService().config.maxSizeBytes, files: 1 }
+    }).single('file');
+  }
+
+  uploader(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return next(new AppError('Uploaded file exceeds the maximum media size', 413, 'MEDIA_TOO_LARGE'));
+    }
+    next(error instanceof multer.MulterError ? new ValidationError(error.message, error.field || 'file') : error);
+  });
+};
+
+// Multipart-Felder kommen als Strings
+const toBoolean = (value) => value === true || value === 'true' || value === '1';
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+/**
+ * sendMedia-Request normalisieren
+ *
+ * Genau eine Quelle: Upload (multipart 'file'), `media` { mimetype, data (base64), filename? }
+ * oder `mediaId` einer gespeicherten Datei. Das generische Format { params: [chatId, media, options] }
+ * wird weiterhin akzeptiert.
+ */
+const parseSendMediaRequest = async (req) => {
+  const body = req.body || {};
+  const [paramChatId, paramMedia, paramOptions] = Array.isArray(body.params) ? body.params : [];
+
+  const chatId = body.chatId || paramChatId;
+  const media = body.media || paramMedia;
+  const rawOptions = body.sendOptions || paramOptions || {};
+
+  if (typeof rawOptions !== 'object' || Array.isArray(rawOptions)) {
+    throw new ValidationError('sendOptions must be an object', 'sendOptions');
+  }
+
+  const sources = [req.file, media, body.mediaId].filter(Boolean);
+  if (sources.length !== 1) {
+    throw new ValidationError('Provide exactly one of: file (multipart upload), media (base64) or mediaId', 'media');
+  }
+
+  const caption = body.caption !== undefined ? body.caption : rawOptions.caption;
+  if (caption !== undefined && typeof caption !== 'string') {
+    throw new ValidationError('caption must be a string', 'caption');
+  }
+
+  const flags = {
+    sendAsDocument: toBoolean(body.sendAsDocument ?? rawOptions.sendMediaAsDocument),
+    sendAsSticker: toBoolean(body.sendAsSticker ?? rawOptions.sendMediaAsSticker),
+    sendAsVoice: toBoolean(body.sendAsVoice ?? rawOptions.sendAudioAsVoice)
+  };
+
+  let file;
+  let storedMedia = null;
+
+  if (req.file) {
+    file = {
+      buffer: req.file.buffer,
+      mimetype: req.file.mimetype,
+      filename: body.filename || req.file.originalname
+    };
+  } else if (media) {
+    if (typeof media !== 'object' || typeof media.data !== 'string' || typeof media.mimetype !== 'string') {
+      throw new ValidationError('media must be an object { mimetype, data (base64), filename? }', 'media');
+    }
+    const data = media.data.replace(/\s/g, '');
+    if (!BASE64_PATTERN.test(data)) {
+      throw new ValidationError('media.data must be base64 encoded', 'media.data');
+    }
+    file = {
+      buffer: Buffer.from(data, 'base64'),
+      mimetype: media.mimetype,
+      filename: body.filename || media.filename
+    };
+  } else {
+    storedMedia = typeof body.mediaId === 'string'
+      ? await Media.findOne({ mediaId: body.mediaId, userId: req.user._id })
+      : null;
+    if (!storedMedia) {
+      throw new NotFoundError('Media');
+    }
+
+    const stored = await getMediaService().read(storedMedia);
+    if (!stored) {
+      throw new NotFoundError('Media file');
+    }
+    file = {
+      buffer: stored.buffer,
+      mimetype: storedMedia.mimetype,
+      filename: body.filename || storedMedia.filename
+    };
+  }
+
+  // Zusätzliche whatsapp-web.js Optionen (z.B. quotedMessageId, mentions) bleiben erhalten
+  const sendOptions = {
+    ...rawOptions,
+    caption,
+    sendMediaAsDocument: flags.sendAsDocument,
+    sendMediaAsSticker: flags.sendAsSticker,
+    sendAudioAsVoice: flags.sendAsVoice
+  };
+  if (caption === undefined) delete sendOptions.caption;
+
+  return { chatId, file, flags, sendOptions, storedMedia };
+};
 
 // GET /api/proxy/methods
 router.get('/methods', (req, res) => {
+  const methods = getProxy().getAvailableMethods();
+
   res.json({
-    totalMethods: WHATSAPP_METHODS.length,
-    methods: WHATSAPP_METHODS.map(method => ({
-      name: method,
-      description: `Execute ${method} on WhatsApp client`
-    })),
-    usage: 'POST /api/proxy/{apiKey}/{method}'
+    totalMethods: methods.length,
+    methods,
+    usage: 'POST /api/proxy/{apiKey}/{method} with body { "params": [...], "options": {...} }'
   });
 });
 
-// POST /api/proxy/{apiKey}/sendMessage
-router.post('/:apiKey/sendMessage',
-  (req, res, next) => {
-    req.headers['x-api-key'] = req.params.apiKey;
-    next();
-  },
-  apiKeyAuth,
-  rateLimit({ max: 20 }),
-  async (req, res) => {
+// POST /api/proxy/{apiKey}/queue - Nachricht in die persistente Outbound-Queue stellen
+router.post('/:apiKey/queue',
+  apiKeyFromParams,
+  queueApiKeyAuth,
+  requireApiAccess,
+  apiKeyRateLimit,
+  requirePlan({ quota: 'messages' }),
+  requireInstanceManager,
+  async (req, res, next) => {
     try {
-      const { chatId, message } = req.body;
+      const { method = 'sendMessage', params = [], options = {}, maxAttempts, expiresAt } = req.body || {};
+
+      // Medien gegen Plan-Limits prüfen (Form wird beim Einreihen validiert)
+      const [, media, sendOptions = {}] = Array.isArray(params) ? params : [];
+      if (method === 'sendMedia' && typeof media?.data === 'string') {
+        getMediaService().validateOutgoing(req.user, {
+          mimetype: media.mimetype,
+          size: Buffer.byteLength(media.data, 'base64')
+        }, {
+          sendAsDocument: sendOptions.sendMediaAsDocument,
+          sendAsSticker: sendOptions.sendMediaAsSticker,
+          sendAsVoice: sendOptions.sendAudioAsVoice
+        });
+      }
+
+      const item = await global.instanceManager.messageQueue.enqueue({
+        instanceId: req.apiKeyRecord.instanceId,
+        userId: req.apiKeyRecord.userId,
+        keyId: req.apiKeyRecord.keyId,
+        scopes: req.apiKeyRecord.scopes,
+        method,
+        params,
+        options,
+        maxAttempts,
+        expiresAt
+      });
 
-      res.json({
+      res.status(202).json({
         success: true,
-        message: 'Message send requested',
-        instanceId: req.instance.instanceId,
-        chatId,
-        messageBody: message,
-        note: 'WhatsApp client integration in progress'
+        message: 'Message queued',
+        queued: item
       });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      next(error);
+    }
+  }
+);
+
+// GET /api/proxy/{apiKey}/queue/{id} - Zustellstatus abfragen
+router.get('/:apiKey/queue/:id',
+  apiKeyFromParams,
+  queueApiKeyAuth,
+  requireApiAccess,
+  apiKeyRateLimit,
+  loadQueueItem,
+  (req, res) => {
+    res.json({ queued: req.queueItem });
+  }
+);
+
+// DELETE /api/proxy/{apiKey}/queue/{id} - Noch nicht gesendete Nachricht abbrechen
+router.delete('/:apiKey/queue/:id',
+  apiKeyFromParams,
+  queueApiKeyAuth,
+  requireApiAccess,
+  apiKeyRateLimit,
+  requireInstanceManager,
+  loadQueueItem,
+  async (req, res, next) => {
+    try {
+      const item = await global.instanceManager.messageQueue.cancel(req.queueItem.instanceId, req.queueItem._id);
+      res.json({ success: true, message: 'Queued message cancelled', queued: item });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// GET /api/proxy/{apiKey}/events - Server-Sent Events (gleiche Payloads wie Webhooks)
+// Filter: ?events=message,message_ack&chatIds=&messageTypes= - Resume per Last-Event-ID
+router.get('/:apiKey/events',
+  apiKeyFromParams,
+  queueApiKeyAuth,
+  requireApiAccess,
+  apiKeyRateLimit,
+  requireInstanceManager,
+  (req, res, next) => {
+    try {
+      const eventStream = global.instanceManager.eventStream;
+      const { instanceId, keyId, scopes } = req.apiKeyRecord;
+
+      if (!scopes.includes('messages.read')) {
+        throw new AuthorizationError("API key lacks scope 'messages.read' required for the event stream");
+      }
+
+      const { filters, error } = EventStream.parseFilters(req.query);
+      if (error) {
+        throw new ValidationError(error, 'events');
+      }
+
+      if (eventStream.countSubscribers(keyId) >= eventStream.config.maxConnectionsPerKey) {
+        throw new RateLimitError(`At most ${eventStream.config.maxConnectionsPerKey} concurrent event streams per API key`);
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no' // nginx: nicht puffern
+      });
+      res.flushHeaders();
+      res.write(`retry: ${eventStream.config.retryMs}\n\n`);
+
+      const send = (payload) => {
+        if (res.writableEnded) return;
+        res.write(`id: ${payload.id}\nevent: ${payload.event}\ndata: ${JSON.stringify(payload)}\n\n`);
+      };
+
+      // EventSource kann beim ersten Verbindungsaufbau keine Header setzen -> auch als Query
+      const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+      if (lastEventId) {
+        const { events, complete } = eventStream.replay(instanceId, lastEventId, filters);
+        if (!complete) {
+          res.write(`event: stream_reset\ndata: ${JSON.stringify({ lastEventId, reason: 'events_lost' })}\n\n`);
+        }
+        events.forEach(send);
+      }
+
+      const unsubscribe = eventStream.subscribe({
+        instanceId,
+        keyId,
+        filters,
+        send,
+        close: () => res.end()
+      });
+
+      // Widerruf auf anderen Knoten und Ablauf (auch nach Rotation mit Übergangsfrist) beim Heartbeat erkennen
+      const heartbeat = setInterval(async () => {
+        if (res.writableEnded) return;
+        try {
+          if (!await ApiKey.isKeyActive(keyId)) {
+            res.write(`event: stream_closed\ndata: ${JSON.stringify({ reason: 'api_key_inactive' })}\n\n`);
+            return res.end();
+          }
+        } catch (error) {
+          logger.warn(`Event stream key check failed for ${keyId}: ${error.message}`);
+        }
+        if (!res.writableEnded) res.write(': ping\n\n');
+      }, eventStream.config.heartbeatMs);
+
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/proxy/{apiKey}/sendMedia - Datei senden (multipart, base64 oder mediaId)
+router.post('/:apiKey/sendMedia',
+  apiKeyFromParams,
+  apiKeyAuth,
+  requireApiAccess,
+  apiKeyRateLimit,
+  mediaUpload,
+  async (req, res, next) => {
+    try {
+      if (!global.instanceManager) {
+        throw new AppError('Instance manager not available', 503, 'INSTANCE_MANAGER_UNAVAILABLE');
+      }
+
+      const { chatId, file, flags, sendOptions, storedMedia } = await parseSendMediaRequest(req);
+      const mediaService = getMediaService();
+
+      mediaService.validateOutgoing(req.user, { mimetype: file.mimetype, size: file.buffer.length }, flags);
+
+      const payload = {
+        mimetype: file.mimetype,
+        data: file.buffer.toString('base64'),
+        filename: file.filename
+      };
+      const result = await getProxy().invoke(req.apiKey, 'sendMedia', [chatId, payload, sendOptions], {
+        caption: sendOptions.caption
+      }, req.apiKeyRecord);
+
+      // Nachricht ist gesendet - Fehler beim Ablegen der Datei nur protokollieren
+      let media = storedMedia;
+      if (result.result?.id) {
+        try {
+          media = await mediaService.recordOutgoing(req.instance.instanceId, req.user._id, result.result.id, {
+            ...file,
+            media: storedMedia,
+            storeFile: req.instance.config?.enableMedia !== false
+          });
+        } catch (error) {
+          logger.error(`Failed to record sent media for ${req.instance.instanceId}:`, error);
+        }
+      }
+
+      res.json({ ...result, media: media ? media.toDTO() : null });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// POST /api/proxy/{apiKey}/{method} - Generischer Methodenaufruf
+router.post('/:apiKey/:method',
+  apiKeyFromParams,
+  apiKeyAuth,
+  requireApiAccess,
+  apiKeyRateLimit,
+  async (req, res, next) => {
+    try {
+      if (!global.instanceManager) {
+        throw new AppError('Instance manager not available', 503, 'INSTANCE_MANAGER_UNAVAILABLE');
+      }
+
+      const { params = [], options = {} } = req.body || {};
+
+      if (!Array.isArray(params)) {
+        throw new ValidationError('params must be an array', 'params');
+      }
+
+      const result = await getProxy().invoke(req.apiKey, req.params.method, params, options, req.apiKeyRecord);
+      res.json(result);
+    } catch (error) {
+      next(error);
     }
   }
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,7 +1,104 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const User = require('../models/User');
-const { auth, requireAdmin } = require('../middleware/auth');
+const Instance = require('../models/Instance');
+const Webhook = require('../models/Webhook');
+const AuditLog = require('../models/AuditLog');
+const Setting = require('../models/Setting');
+const RefreshToken = require('../models/RefreshToken');
+const { auth, requireAdmin, requireSuperAdmin, requirePermission, generateToken } = require('../middleware/auth');
+
+const IMPERSONATION_TTL = process.env.IMPERSONATION_TTL || '30m';
+const MIN_PASSWORD_LENGTH = 8;
+
+const PLAN_LIMIT_VALIDATORS = {
+  maxInstances: v => (Number.isInteger(v) && v >= 0) || 'must be a non-negative integer',
+  maxMessagesPerMonth: v => (Number.isInteger(v) && v >= 0) || 'must be a non-negative integer',
+  maxWebhooks: v => (Number.isInteger(v) && v >= 0) || 'must be a non-negative integer',
+  maxMediaSizeMB: v => (typeof v === 'number' && v >= 0) || 'must be a non-negative number',
+  allowedMediaTypes: v => (Array.isArray(v) && v.every(type => User.MEDIA_TYPES.includes(type))) ||
+    `must be an array of: ${User.MEDIA_TYPES.join(', ')}`,
+  enableApiAccess: v => typeof v === 'boolean' || 'must be a boolean',
+  enableAnalytics: v => typeof v === 'boolean' || 'must be a boolean'
+};
+
+const PROFILE_FIELDS = ['username', 'email', 'firstName', 'lastName', 'company', 'isActive', 'isVerified'];
+
+const validatePlanLimits = (planLimits) => {
+  if (!planLimits || typeof planLimits !== 'object' || Array.isArray(planLimits)) {
+    return 'planLimits must be an object';
+  }
+
+  for (const [key, value] of Object.entries(planLimits)) {
+    const validator = PLAN_LIMIT_VALIDATORS[key];
+    if (!validator) {
+      return `Unknown plan limit '${key}'. Allowed: ${Object.keys(PLAN_LIMIT_VALIDATORS).join(', ')}`;
+    }
+    const result = validator(value);
+    if (result !== true) {
+      return `planLimits.${key} ${result}`;
+    }
+  }
+
+  return null;
+};
+
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Admins dürfen nur normale Benutzer verwalten, Superadmins alle
+const canManage = (actor, target) => actor.role === 'superadmin' || !User.ADMIN_ROLES.includes(target.role);
+
+// Alle Sitzungen eines Benutzers beenden (Access- und Refresh-Tokens)
+const revokeSessions = async (user, reason) => {
+  user.tokensRevokedAt = new Date();
+  await RefreshToken.revokeAllForUser(user._id, reason);
+};
+
+// Offene Socket-Verbindungen trennen - erst nach dem Speichern, sonst klappt der Reconnect
+const disconnectSockets = (user) => global.socketGateway?.disconnectUser(user._id);
+
+// Ziel-Benutzer laden und Verwaltungsrecht prüfen
+const loadTargetUser = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!canManage(req.user, user)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Only super admins can manage admin accounts'
+      });
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load user', details: error.message });
+  }
+};
+
+// Änderungen für den Audit-Trail (ohne Secrets)
+const diff = (before, after) => {
+  const changes = {};
+  Object.keys(after).forEach(key => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = { from: before[key], to: after[key] };
+    }
+  });
+  return changes;
+};
 
 // GET /api/users/profile
 router.get('/profile', auth, async (req, res) => {
@@ -20,14 +117,460 @@ router.get('/profile', auth, async (req, res) => {
   }
 });
 
-// GET /api/users (admin only)
+// Kontingent-Eintrag (Admins ohne Limit)
+const quotaEntry = (used, limit, unlimited) => ({
+  used,
+  limit: unlimited ? null : limit,
+  remaining: unlimited ? null : Math.max(0, limit - used)
+});
+
+// GET /api/users/usage - Plan-Limits und aktueller Verbrauch
+router.get('/usage', auth, async (req, res) => {
+  try {
+    const user = req.user;
+    const unlimited = user.isAdmin;
+
+    const now = new Date();
+    const resetsAt = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+    res.json({
+      plan: user.plan,
+      unlimited,
+      quotas: {
+        instances: quotaEntry(user.usage.currentInstances, user.planLimits.maxInstances, unlimited),
+        messages: quotaEntry(user.usage.monthlyMessages, user.planLimits.maxMessagesPerMonth, unlimited),
+        webhooks: quotaEntry(user.usage.currentWebhooks, user.planLimits.maxWebhooks, unlimited)
+      },
+      features: {
+        enableApiAccess: unlimited || user.planLimits.enableApiAccess,
+        enableAnalytics: unlimited || user.planLimits.enableAnalytics
+      },
+      media: {
+        maxSizeMB: unlimited ? null : user.planLimits.maxMediaSizeMB,
+        allowedTypes: unlimited ? User.MEDIA_TYPES : user.planLimits.allowedMediaTypes
+      },
+      totalMessages: user.usage.totalMessages,
+      lastReset: user.usage.lastReset,
+      resetsAt
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get usage', details: error.message });
+  }
+});
+
+// GET /api/users?search=&role=&plan=&isActive=&page=&limit= (admin only)
 router.get('/', auth, requireAdmin, async (req, res) => {
   try {
-    const users = await User.find({}).select('-password');
-    res.json({ users });
+    const { search, role, plan, isActive } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 200);
+
+    const query = {};
+    if (role) query.role = role;
+    if (plan) query.plan = plan;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ username: pattern }, { email: pattern }, { company: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query).select('-password').sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      User.countDocuments(query)
+    ]);
+
+    res.json({
+      users,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      plans: User.PLAN_LIMITS,
+      permissions: User.PERMISSIONS
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// GET /api/users/audit-log?targetId=&actorId=&action=&limit=&before= (admin only)
+router.get('/audit-log', auth, requireAdmin, async (req, res) => {
+  try {
+    const { targetId, actorId, action } = req.query;
+    const before = req.query.before ? new Date(req.query.before) : undefined;
+
+    const entries = await AuditLog.search({
+      targetId,
+      actorId: actorId && mongoose.isValidObjectId(actorId) ? actorId : undefined,
+      action,
+      before: before && !isNaN(before) ? before : undefined,
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({ entries });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load audit log', details: error.message });
+  }
+});
+
+// GET /api/users/security-policy (admin only)
+router.get('/security-policy', auth, requireAdmin, async (req, res) => {
+  try {
+    res.json({ twoFactorRequiredRoles: await User.getTwoFactorRequiredRoles() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get security policy', details: error.message });
+  }
+});
+
+// PUT /api/users/security-policy - 2FA-Pflicht je Rolle (superadmin only)
+router.put('/security-policy', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+    const roles = ['user', 'admin', 'superadmin'];
+
+    if (!Array.isArray(twoFactorRequiredRoles) || twoFactorRequiredRoles.some(role => !roles.includes(role))) {
+      return res.status(400).json({ error: `twoFactorRequiredRoles must be a subset of: ${roles.join(', ')}` });
+    }
+
+    // Nicht aussperren: wer die Pflicht für die eigene Rolle einführt, muss 2FA bereits nutzen
+    if (twoFactorRequiredRoles.includes(req.user.role) && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Enable two-factor authentication for your own account first'
+      });
+    }
+
+    const before = await User.getTwoFactorRequiredRoles();
+    const value = [...new Set(twoFactorRequiredRoles)];
+    await Setting.setValue('security.twoFactorRequiredRoles', value, req.user._id);
+
+    await AuditLog.record(req, 'policy.two_factor', {
+      targetType: 'setting',
+      targetId: 'security.twoFactorRequiredRoles',
+      changes: { from: before, to: value }
+    });
+
+    res.json({ message: 'Security policy updated', twoFactorRequiredRoles: value });
+  } catch (error) {
+    console.error('Update security policy error:', error);
+    res.status(500).json({ error: 'Failed to update security policy', details: error.message });
+  }
+});
+
+// POST /api/users - Benutzer anlegen
+router.post('/', auth, requirePermission('users.manage'), async (req, res) => {
+  try {
+    const { username, email, password, role = 'user', plan = 'free', planLimits = {}, permissions = [] } = req.body;
+
+    const errors = [];
+    if (typeof username !== 'string' || username.trim().length < 3) errors.push('username must be at least 3 characters');
+    if (typeof email !== 'string' || !email.includes('@')) errors.push('email must be a valid email address');
+    const passwordError = validatePassword(password);
+    if (passwordError) errors.push(passwordError);
+    if (!User.PLAN_LIMITS[plan]) errors.push(`plan must be one of: ${Object.keys(User.PLAN_LIMITS).join(', ')}`);
+    const limitsError = validatePlanLimits(planLimits);
+    if (limitsError) errors.push(limitsError);
+    if (!Array.isArray(permissions) || permissions.some(p => !User.PERMISSIONS.includes(p))) {
+      errors.push(`permissions must be a subset of: ${User.PERMISSIONS.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    // Admin-Konten und Berechtigungen vergibt nur ein Superadmin
+    if ((role !== 'user' || permissions.length > 0) && req.user.role !== 'superadmin') {
+      return res.status(403).json({
+        error: 'Super admin access required',
+        message: 'Only super admins can create admins or grant permissions'
+      });
+    }
+
+    const user = new User({
+      username: username.trim(),
+      email,
+      password,
+      role,
+      permissions,
+      firstName: req.body.firstName,
+      lastName: req.body.lastName,
+      company: req.body.company,
+      isVerified: req.body.isVerified !== false
+    });
+    user.applyPlan(plan, planLimits);
+    await user.save();
+
+    await AuditLog.record(req, 'user.create', {
+      targetId: user._id,
+      changes: { username: user.username, email: user.email, role, plan, planLimits: user.planLimits }
+    });
+
+    res.status(201).json({ message: 'User created', user });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Email or username already registered' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: Object.values(error.errors).map(e => e.message) });
+    }
+    console.error('Create user error:', error);
+    res.status(500).json({ error: 'Failed to create user', details: error.message });
+  }
+});
+
+// GET /api/users/:userId - Details inkl. Verbrauch (admin only)
+router.get('/:userId', auth, requireAdmin, loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    const [instanceCount, webhookCount, activeSessions] = await Promise.all([
+      Instance.countDocuments({ userId: user._id }),
+      Webhook.countDocuments({ userId: user._id }),
+      RefreshToken.countDocuments({ userId: user._id, revokedAt: null, expiresAt: { $gt: new Date() } })
+    ]);
+
+    res.json({
+      user,
+      stats: { instanceCount, webhookCount, activeSessions }
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get user', details: error.message });
+  }
+});
+
+// PATCH /api/users/:userId - Profil, Status, Passwort
+router.patch('/:userId', auth, requirePermission('users.manage'), loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    const updates = {};
+
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+
+    if (updates.isActive !== undefined && typeof updates.isActive !== 'boolean') {
+      return res.status(400).json({ error: 'isActive must be a boolean' });
+    }
+    if (updates.isVerified !== undefined && typeof updates.isVerified !== 'boolean') {
+      return res.status(400).json({ error: 'isVerified must be a boolean' });
+    }
+    if (updates.isActive === false && user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+    if (req.body.password !== undefined) {
+      const passwordError = validatePassword(req.body.password);
+      if (passwordError) return res.status(400).json({ error: passwordError });
+    }
+
+    if (Object.keys(updates).length === 0 && req.body.password === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const before = user.toObject();
+    user.set(updates);
+
+    // Neues Passwort bzw. Deaktivierung beendet alle Sitzungen
+    const passwordChanged = req.body.password !== undefined;
+    const deactivated = updates.isActive === false && before.isActive;
+    if (passwordChanged) {
+      user.password = req.body.password;
+      await revokeSessions(user, 'password_changed');
+    } else if (deactivated) {
+      await revokeSessions(user, 'logout_all');
+    }
+
+    await user.save();
+    if (passwordChanged || deactivated) disconnectSockets(user);
+
+    const changes = diff(before, updates);
+    if (req.body.password !== undefined) changes.password = 'changed';
+    await AuditLog.record(req, 'user.update', { targetId: user._id, changes });
+
+    res.json({ message: 'User updated', user });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Email or username already registered' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', details: Object.values(error.errors).map(e => e.message) });
+    }
+    console.error('Update user error:', error);
+    res.status(500).json({ error: 'Failed to update user', details: error.message });
+  }
+});
+
+// DELETE /api/users/:userId - Benutzer deaktivieren (Daten bleiben erhalten)
+router.delete('/:userId', auth, requirePermission('users.manage'), loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot deactivate your own account' });
+    }
+
+    if (user.isActive) {
+      user.isActive = false;
+      await revokeSessions(user, 'logout_all');
+      await user.save({ validateBeforeSave: false });
+      disconnectSockets(user);
+
+      await AuditLog.record(req, 'user.deactivate', { targetId: user._id });
+    }
+
+    res.json({ message: 'User deactivated', user });
+  } catch (error) {
+    console.error('Deactivate user error:', error);
+    res.status(500).json({ error: 'Failed to deactivate user', details: error.message });
+  }
+});
+
+// PUT /api/users/:userId/role - Rolle und Berechtigungen (superadmin only)
+router.put('/:userId/role', auth, requireSuperAdmin, loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    const { role, permissions } = req.body;
+
+    if (role !== undefined && !['user', 'admin', 'superadmin'].includes(role)) {
+      return res.status(400).json({ error: 'role must be one of: user, admin, superadmin' });
+    }
+    if (permissions !== undefined &&
+      (!Array.isArray(permissions) || permissions.some(p => !User.PERMISSIONS.includes(p)))) {
+      return res.status(400).json({ error: `permissions must be a subset of: ${User.PERMISSIONS.join(', ')}` });
+    }
+    if (role === undefined && permissions === undefined) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+    if (role !== undefined && role !== user.role && user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const before = { role: user.role, permissions: [...user.permissions] };
+    if (role !== undefined) user.role = role;
+    if (permissions !== undefined) user.permissions = [...new Set(permissions)];
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record(req, 'user.role', {
+      targetId: user._id,
+      changes: diff(before, { role: user.role, permissions: [...user.permissions] })
+    });
+
+    res.json({ message: 'Role updated', user });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: 'Failed to update role', details: error.message });
+  }
+});
+
+// PUT /api/users/:userId/plan - Plan zuweisen, optional einzelne Limits überschreiben
+router.put('/:userId/plan', auth, requirePermission('users.manage'), loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    const { plan = user.plan, planLimits = {} } = req.body;
+
+    if (!User.PLAN_LIMITS[plan]) {
+      return res.status(400).json({ error: `plan must be one of: ${Object.keys(User.PLAN_LIMITS).join(', ')}` });
+    }
+    const limitsError = validatePlanLimits(planLimits);
+    if (limitsError) {
+      return res.status(400).json({ error: limitsError });
+    }
+
+    const before = { plan: user.plan, planLimits: user.planLimits.toObject() };
+
+    // Gleicher Plan ohne reset: bestehende Overrides behalten
+    if (plan === user.plan && req.body.reset !== true) {
+      user.set(Object.fromEntries(Object.entries(planLimits).map(([key, value]) => [`planLimits.${key}`, value])));
+    } else {
+      user.applyPlan(plan, planLimits);
+    }
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record(req, 'user.plan', {
+      targetId: user._id,
+      changes: diff(before, { plan: user.plan, planLimits: user.planLimits.toObject() })
+    });
+
+    res.json({ message: 'Plan updated', user });
+  } catch (error) {
+    console.error('Update plan error:', error);
+    res.status(500).json({ error: 'Failed to update plan', details: error.message });
+  }
+});
+
+// POST /api/users/:userId/usage/reset - Monatsverbrauch zurücksetzen, Instanz- und Webhook-Zähler neu berechnen
+router.post('/:userId/usage/reset', auth, requirePermission('users.manage'), loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    const before = user.usage.toObject();
+
+    user.usage.monthlyMessages = 0;
+    user.usage.lastReset = new Date();
+    user.usage.currentInstances = await Instance.countDocuments({ userId: user._id });
+    user.usage.currentWebhooks = await Webhook.countDocuments({ userId: user._id });
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record(req, 'user.usage_reset', {
+      targetId: user._id,
+      changes: diff(before, user.usage.toObject())
+    });
+
+    res.json({ message: 'Usage reset', usage: user.usage });
+  } catch (error) {
+    console.error('Reset usage error:', error);
+    res.status(500).json({ error: 'Failed to reset usage', details: error.message });
+  }
+});
+
+// DELETE /api/users/:userId/2fa - 2FA zurücksetzen (Gerät verloren, keine Recovery-Codes)
+router.delete('/:userId/2fa', auth, requirePermission('users.manage'), loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await revokeSessions(user, 'logout_all');
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record(req, 'user.two_factor_reset', { targetId: user._id });
+
+    res.json({ message: 'Two-factor authentication reset', user });
+  } catch (error) {
+    console.error('Reset 2FA error:', error);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication', details: error.message });
+  }
+});
+
+// POST /api/users/:userId/impersonate - Kurzlebiges Access-Token für Support-Zugriff
+router.post('/:userId/impersonate', auth, requirePermission('users.manage'), loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    if (req.impersonatedBy) {
+      return res.status(400).json({ error: 'Already impersonating a user' });
+    }
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot impersonate yourself' });
+    }
+    if (!user.isActive) {
+      return res.status(400).json({ error: 'Cannot impersonate a deactivated user' });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.slice(0, 500) : undefined;
+    const accessToken = generateToken(user._id, { impersonatedBy: req.user._id, expiresIn: IMPERSONATION_TTL });
+
+    await AuditLog.record(req, 'user.impersonate', { targetId: user._id, changes: { reason } });
+
+    res.json({
+      message: `Impersonating ${user.username}`,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      },
+      tokens: { accessToken, tokenType: 'Bearer', expiresIn: IMPERSONATION_TTL }
+    });
+  } catch (error) {
+    console.error('Impersonate error:', error);
+    res.status(500).json({ error: 'Failed to impersonate user', details: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
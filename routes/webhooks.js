@@ -1,17 +1,457 @@
 const express = require('express');
 const router = express.Router();
+const Instance = require('../models/Instance');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+const Webhook = require('../models/Webhook');
+const User = require('../models/User');
+const { INSTANCE_EVENTS, EVENT_NAMES } = require('../services/instanceEvents');
 const { auth } = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+
+const getDispatcher = (res) => {
+  if (!global.instanceManager) {
+    res.status(503).json({ error: 'Instance manager not available' });
+    return null;
+  }
+  return global.instanceManager.webhookDispatcher;
+};
+
+// Filter auf eigene Daten (optional ?instanceId=)
+const ownerQuery = (req) => {
+  const query = { userId: req.user._id };
+  if (req.query.instanceId) query.instanceId = req.query.instanceId;
+  return query;
+};
+
+// Eingaben für Webhook-Endpunkte prüfen (partial = PATCH)
+const validateWebhookInput = (body, partial = false) => {
+  if (!partial || body.url !== undefined) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch (error) {
+      return 'url must be a valid http(s) URL';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return 'url must be a valid http(s) URL';
+    }
+  }
+
+  if (body.events !== undefined) {
+    if (!Array.isArray(body.events) || body.events.length === 0 ||
+        body.events.some(event => !EVENT_NAMES.includes(event))) {
+      return `events must be a non-empty array of: ${EVENT_NAMES.join(', ')}`;
+    }
+  }
+
+  if (body.filters !== undefined) {
+    const { chatIds = [], messageTypes = [] } = body.filters || {};
+    if (!Array.isArray(chatIds) || chatIds.some(id => typeof id !== 'string')) {
+      return 'filters.chatIds must be an array of chat IDs';
+    }
+    if (!Array.isArray(messageTypes) || messageTypes.some(type => typeof type !== 'string')) {
+      return 'filters.messageTypes must be an array of message types';
+    }
+  }
+
+  if (body.isActive !== undefined && typeof body.isActive !== 'boolean') {
+    return 'isActive must be a boolean';
+  }
+
+  return null;
+};
 
 // GET /api/webhooks/events
 router.get('/events', auth, async (req, res) => {
   try {
     res.json({
-      events: ['message', 'qr', 'ready', 'authenticated', 'disconnected'],
-      totalEvents: 5
+      events: EVENT_NAMES,
+      descriptions: INSTANCE_EVENTS,
+      totalEvents: EVENT_NAMES.length
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// GET /api/webhooks/deliveries?instanceId=&status=&event=&limit=
+router.get('/deliveries', auth, async (req, res) => {
+  try {
+    const query = ownerQuery(req);
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.event) query.event = req.query.event;
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const deliveries = await WebhookDelivery.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({ deliveries, total: deliveries.length });
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(500).json({ error: 'Failed to list webhook deliveries', details: error.message });
+  }
+});
+
+// GET /api/webhooks/deliveries/:deliveryId
+router.get('/deliveries/:deliveryId', auth, async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOne({
+      deliveryId: req.params.deliveryId,
+      userId: req.user._id
+    });
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+
+    res.json({ delivery });
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({ error: 'Failed to get webhook delivery', details: error.message });
+  }
+});
+
+// POST /api/webhooks/deliveries/:deliveryId/replay - Beliebige Zustellung erneut senden
+router.post('/deliveries/:deliveryId/replay', auth, rateLimit({ max: 30, windowMs: 60000 }), async (req, res) => {
+  try {
+    const dispatcher = getDispatcher(res);
+    if (!dispatcher) return;
+
+    const source = await WebhookDelivery.findOne({
+      deliveryId: req.params.deliveryId,
+      userId: req.user._id
+    });
+
+    if (!source) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+
+    const delivery = await dispatcher.replay(source);
+    res.status(202).json({ message: 'Webhook replay scheduled', delivery });
+  } catch (error) {
+    console.error('Replay webhook delivery error:', error);
+    res.status(500).json({ error: 'Failed to replay webhook delivery', details: error.message });
+  }
+});
+
+// GET /api/webhooks/dead-letters?instanceId=&includeReplayed=true
+router.get('/dead-letters', auth, async (req, res) => {
+  try {
+    const query = ownerQuery(req);
+    if (req.query.includeReplayed !== 'true') query.replayedAt = null;
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const deadLetters = await WebhookDeadLetter.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({ deadLetters, total: deadLetters.length });
+  } catch (error) {
+    console.error('List webhook dead letters error:', error);
+    res.status(500).json({ error: 'Failed to list dead letters', details: error.message });
+  }
+});
+
+// POST /api/webhooks/dead-letters/replay - Alle offenen Dead-Letters (optional pro Instanz) erneut senden
+router.post('/dead-letters/replay', auth, rateLimit({ max: 5, windowMs: 60000 }), async (req, res) => {
+  try {
+    const dispatcher = getDispatcher(res);
+    if (!dispatcher) return;
+
+    const query = { userId: req.user._id, replayedAt: null };
+    if (req.body.instanceId) query.instanceId = req.body.instanceId;
+
+    const deadLetters = await WebhookDeadLetter.find(query).sort({ createdAt: 1 }).limit(500);
+    const deliveries = [];
+    for (const deadLetter of deadLetters) {
+      deliveries.push(await dispatcher.replay(deadLetter));
+    }
+
+    res.status(202).json({
+      message: `${deliveries.length} webhook(s) scheduled for replay`,
+      replayed: deliveries.map(delivery => delivery.deliveryId)
+    });
+  } catch (error) {
+    console.error('Replay dead letters error:', error);
+    res.status(500).json({ error: 'Failed to replay dead letters', details: error.message });
+  }
+});
+
+// POST /api/webhooks/dead-letters/:deliveryId/replay
+router.post('/dead-letters/:deliveryId/replay', auth, rateLimit({ max: 30, windowMs: 60000 }), async (req, res) => {
+  try {
+    const dispatcher = getDispatcher(res);
+    if (!dispatcher) return;
+
+    const deadLetter = await WebhookDeadLetter.findOne({
+      deliveryId: req.params.deliveryId,
+      userId: req.user._id
+    });
+
+    if (!deadLetter) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    const delivery = await dispatcher.replay(deadLetter);
+    res.status(202).json({ message: 'Webhook replay scheduled', delivery });
+  } catch (error) {
+    console.error('Replay dead letter error:', error);
+    res.status(500).json({ error: 'Failed to replay dead letter', details: error.message });
+  }
+});
+
+// DELETE /api/webhooks/dead-letters/:deliveryId - Verwerfen
+router.delete('/dead-letters/:deliveryId', auth, async (req, res) => {
+  try {
+    const result = await WebhookDeadLetter.deleteOne({
+      deliveryId: req.params.deliveryId,
+      userId: req.user._id
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+
+    res.json({ message: 'Dead letter deleted', deliveryId: req.params.deliveryId });
+  } catch (error) {
+    console.error('Delete dead letter error:', error);
+    res.status(500).json({ error: 'Failed to delete dead letter', details: error.message });
+  }
+});
+
+// POST /api/webhooks/test - Test-Event an alle aktiven Endpunkte einer Instanz senden
+router.post('/test', auth, rateLimit({ max: 10, windowMs: 60000 }), async (req, res) => {
+  try {
+    const dispatcher = getDispatcher(res);
+    if (!dispatcher) return;
+
+    const instance = await Instance.findOne({
+      instanceId: req.body.instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    const deliveries = await dispatcher.sendTest(instance.instanceId);
+
+    if (deliveries.length === 0) {
+      return res.status(400).json({ error: 'No active webhooks configured for this instance' });
+    }
+
+    res.status(202).json({ message: 'Test webhook scheduled', deliveries });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ error: 'Failed to send test webhook', details: error.message });
+  }
+});
+
+// GET /api/webhooks/instances/:instanceId/secret - Secret zur Signaturprüfung
+router.get('/instances/:instanceId/secret', auth, async (req, res) => {
+  try {
+    const instance = await Instance.findOne({
+      instanceId: req.params.instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    res.json({
+      instanceId: instance.instanceId,
+      webhookSecret: await Instance.ensureWebhookSecret(instance.instanceId),
+      signatureHeader: 'X-Webhook-Signature',
+      algorithm: 'HMAC-SHA256 over `${t}.${rawBody}`'
+    });
+  } catch (error) {
+    console.error('Get webhook secret error:', error);
+    res.status(500).json({ error: 'Failed to get webhook secret', details: error.message });
+  }
+});
+
+// POST /api/webhooks/instances/:instanceId/secret/rotate
+router.post('/instances/:instanceId/secret/rotate', auth, rateLimit({ max: 5, windowMs: 60000 }), async (req, res) => {
+  try {
+    const instance = await Instance.findOne({
+      instanceId: req.params.instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    // Wird pro Zustellversuch aus der DB gelesen - gilt sofort
+    await instance.rotateWebhookSecret();
+
+    res.json({
+      message: 'Webhook secret rotated',
+      instanceId: instance.instanceId,
+      webhookSecret: instance.webhookSecret
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret', details: error.message });
+  }
+});
+
+// GET /api/webhooks?instanceId= - Webhook-Endpunkte
+router.get('/', auth, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find(ownerQuery(req)).sort({ createdAt: -1 });
+
+    res.json({
+      webhooks,
+      total: webhooks.length,
+      limit: req.user.planLimits.maxWebhooks
+    });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({ error: 'Failed to list webhooks', details: error.message });
+  }
+});
+
+// POST /api/webhooks - Endpunkt anlegen
+router.post('/', auth, rateLimit({ max: 20, windowMs: 60000 }), async (req, res) => {
+  try {
+    const validationError = validateWebhookInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const instance = await Instance.findOne({
+      instanceId: req.body.instanceId,
+      userId: req.user._id
+    });
+
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    // Kontingent atomar belegen - Zählen und Anlegen könnten parallel das Limit überschreiten
+    if (!await User.reserveWebhookSlot(req.user._id)) {
+      return res.status(402).json({
+        error: 'Quota exceeded',
+        message: `Your plan allows ${req.user.planLimits.maxWebhooks} webhook(s)`,
+        quota: 'webhooks',
+        used: req.user.usage.currentWebhooks,
+        limit: req.user.planLimits.maxWebhooks,
+        currentPlan: req.user.plan
+      });
+    }
+
+    const { url, description, events, filters, isActive } = req.body;
+    let webhook;
+    try {
+      webhook = await Webhook.create({
+        instanceId: instance.instanceId,
+        userId: req.user._id,
+        url,
+        description,
+        ...(events && { events }),
+        ...(filters && { filters }),
+        ...(isActive !== undefined && { isActive })
+      });
+    } catch (error) {
+      await User.releaseWebhookSlots(req.user._id);
+      throw error;
+    }
+
+    res.status(201).json({ message: 'Webhook created', webhook });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Failed to create webhook', details: error.message });
+  }
+});
+
+// GET /api/webhooks/:webhookId
+router.get('/:webhookId', auth, async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({ webhookId: req.params.webhookId, userId: req.user._id });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ webhook });
+  } catch (error) {
+    console.error('Get webhook error:', error);
+    res.status(500).json({ error: 'Failed to get webhook', details: error.message });
+  }
+});
+
+// PATCH /api/webhooks/:webhookId
+router.patch('/:webhookId', auth, async (req, res) => {
+  try {
+    const validationError = validateWebhookInput(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const webhook = await Webhook.findOne({ webhookId: req.params.webhookId, userId: req.user._id });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    ['url', 'description', 'events', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) webhook[field] = req.body[field];
+    });
+    if (req.body.filters !== undefined) {
+      webhook.filters = {
+        chatIds: req.body.filters?.chatIds || [],
+        messageTypes: req.body.filters?.messageTypes || []
+      };
+    }
+
+    await webhook.save();
+    res.json({ message: 'Webhook updated', webhook });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({ error: 'Failed to update webhook', details: error.message });
+  }
+});
+
+// DELETE /api/webhooks/:webhookId
+router.delete('/:webhookId', auth, async (req, res) => {
+  try {
+    const result = await Webhook.deleteOne({ webhookId: req.params.webhookId, userId: req.user._id });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    await User.releaseWebhookSlots(req.user._id);
+
+    res.json({ message: 'Webhook deleted', webhookId: req.params.webhookId });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Failed to delete webhook', details: error.message });
+  }
+});
+
+// POST /api/webhooks/:webhookId/test - Test-Event an diesen Endpunkt senden
+router.post('/:webhookId/test', auth, rateLimit({ max: 10, windowMs: 60000 }), async (req, res) => {
+  try {
+    const dispatcher = getDispatcher(res);
+    if (!dispatcher) return;
+
+    const webhook = await Webhook.findOne({ webhookId: req.params.webhookId, userId: req.user._id });
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const [delivery] = await dispatcher.sendTest(webhook.instanceId, webhook);
+    res.status(202).json({ message: 'Test webhook scheduled', delivery });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({ error: 'Failed to send test webhook', details: error.message });
+  }
+});
+
+module.exports = router;
@@ -50,6 +50,7 @@ async function createAdminUser() {
       role: 'superadmin',
       plan: 'enterprise',
       isActive: true,
+      isVerified: true,
       planLimits: {
         maxInstances: 999999,
         maxMessages: 999999,
@@ -0,0 +1,105 @@
+/**
+ * Local stand-in SMTP server for testing outgoing mail
+ *
+ * Accepts every message (no auth, no TLS) and prints it to the console instead of
+ * delivering it. Optionally stores each message as .eml file.
+ *
+ * Usage:
+ *   PORT=2525 node scripts/mail-catcher.js
+ *   OUT_DIR=./logs/mail-catcher node scripts/mail-catcher.js
+ *
+ * Then start the server with
+ *   MAIL_TRANSPORT=smtp MAIL_SMTP_HOST=localhost MAIL_SMTP_PORT=2525
+ */
+
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT) || 2525;
+const OUT_DIR = process.env.OUT_DIR || null;
+
+let received = 0;
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let inData = false;
+  let envelope = { from: null, to: [] };
+  let data = [];
+
+  const reply = line => socket.write(`${line}\r\n`);
+
+  const storeMessage = () => {
+    const raw = data.join('\r\n');
+    received += 1;
+
+    console.log(`[${new Date().toISOString()}] Mail #${received}`, envelope);
+    console.log(raw);
+    console.log('-'.repeat(60));
+
+    if (OUT_DIR) {
+      fs.mkdirSync(OUT_DIR, { recursive: true });
+      fs.writeFileSync(path.join(OUT_DIR, `${Date.now()}-${received}.eml`), raw);
+    }
+  };
+
+  const handleLine = (line) => {
+    if (inData) {
+      if (line === '.') {
+        inData = false;
+        storeMessage();
+        envelope = { from: null, to: [] };
+        data = [];
+        return reply(`250 OK queued as ${received}`);
+      }
+      // Dot-Stuffing rückgängig machen
+      return data.push(line.startsWith('..') ? line.slice(1) : line);
+    }
+
+    const command = line.split(' ')[0].toUpperCase();
+    switch (command) {
+      case 'EHLO':
+        return reply('250-mail-catcher\r\n250-8BITMIME\r\n250 SMTPUTF8');
+      case 'HELO':
+        return reply('250 mail-catcher');
+      case 'MAIL':
+        envelope.from = line.slice(line.indexOf(':') + 1).trim();
+        return reply('250 OK');
+      case 'RCPT':
+        envelope.to.push(line.slice(line.indexOf(':') + 1).trim());
+        return reply('250 OK');
+      case 'DATA':
+        inData = true;
+        return reply('354 End data with <CR><LF>.<CR><LF>');
+      case 'RSET':
+        envelope = { from: null, to: [] };
+        data = [];
+        return reply('250 OK');
+      case 'NOOP':
+        return reply('250 OK');
+      case 'QUIT':
+        reply('221 Bye');
+        return socket.end();
+      default:
+        return reply('502 Command not implemented');
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+      handleLine(line);
+    }
+  });
+
+  socket.on('error', () => {});
+  reply('220 mail-catcher ESMTP');
+});
+
+server.listen(PORT, () => {
+  console.log(`📬 Mail catcher listening on smtp://localhost:${PORT}`);
+  if (OUT_DIR) console.log(`💾 Storing messages in ${OUT_DIR}`);
+});
@@ -0,0 +1,163 @@
+/**
+ * Rotate session encryption keys (see SessionVault)
+ *
+ * Master key - re-wrap every data key that is not wrapped with the current key:
+ *   SESSION_ENCRYPTION_KEY=<new> SESSION_ENCRYPTION_OLD_KEY=<old> node scripts/rotate-session-keys.js
+ *   (several old keys comma-separated, or SESSION_ENCRYPTION_OLD_KEY_FILE)
+ *
+ * Data keys - new key per instance, re-encrypts sealed sessions and encrypted backups,
+ * then deletes the retired keys:
+ *   node scripts/rotate-session-keys.js --data-keys [--instance <instanceId>]
+ *
+ * Stop the server first: running instances re-seal their sessions on stop.
+ * --dry-run only reports what would change.
+ */
+
+require('dotenv').config();
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const SessionKey = require('../models/SessionKey');
+const SessionBackup = require('../models/SessionBackup');
+const SessionVault = require('../services/SessionVault');
+const SessionBackupService = require('../services/SessionBackupService');
+const { sha256File } = require('../utils/sessionArchive');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/whatsapp-manager';
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const DATA_KEYS = args.includes('--data-keys');
+const ONLY_INSTANCE = args.includes('--instance') ? args[args.indexOf('--instance') + 1] : null;
+
+function loadOldKeys() {
+  const values = (process.env.SESSION_ENCRYPTION_OLD_KEY || '').split(',').filter(Boolean);
+  const keys = values.map(value => SessionVault.loadMasterKey(value));
+  if (process.env.SESSION_ENCRYPTION_OLD_KEY_FILE) {
+    keys.push(SessionVault.loadMasterKey(null, process.env.SESSION_ENCRYPTION_OLD_KEY_FILE));
+  }
+  return new Map(keys.map(key => [SessionVault.fingerprint(key), key]));
+}
+
+async function rewrapKeys(vault, oldKeys) {
+  const query = { masterKeyId: { $ne: vault.masterKeyId } };
+  if (ONLY_INSTANCE) query.instanceId = ONLY_INSTANCE;
+
+  const records = await SessionKey.find(query);
+  let failures = 0;
+
+  for (const record of records) {
+    const oldKey = oldKeys.get(record.masterKeyId);
+    if (!oldKey) {
+      console.error(`❌ ${record.instanceId} ${record.keyId}: no old key with fingerprint ${record.masterKeyId}`);
+      failures++;
+      continue;
+    }
+
+    if (DRY_RUN) {
+      console.log(`   would re-wrap ${record.instanceId} ${record.keyId}`);
+      continue;
+    }
+
+    const dataKey = SessionVault.unwrapKey(record.wrappedKey, oldKey, record);
+    record.wrappedKey = SessionVault.wrapKey(dataKey, vault.masterKey, record);
+    record.masterKeyId = vault.masterKeyId;
+    await record.save();
+    console.log(`   re-wrapped ${record.instanceId} ${record.keyId}`);
+  }
+
+  console.log(`✅ Master key: ${records.length - failures} of ${records.length} data keys re-wrapped`);
+  return failures;
+}
+
+async function rotateInstance(vault, backups, instanceId) {
+  const encryptedBackups = await SessionBackup.find({ instanceId, encrypted: true });
+  const sealed = await vault.isSealed(instanceId);
+
+  if (DRY_RUN) {
+    console.log(`   would rotate ${instanceId} (${sealed ? 'sealed session, ' : ''}${encryptedBackups.length} backups)`);
+    return 0;
+  }
+
+  const { keyId } = await vault.rotateDataKey(instanceId);
+  let failures = 0;
+
+  if (sealed) {
+    try {
+      await vault.reencryptFile(instanceId, vault.sealedPath(instanceId));
+    } catch (error) {
+      console.error(`❌ ${instanceId}: sealed session: ${error.message}`);
+      failures++;
+    }
+  }
+
+  for (const backup of encryptedBackups) {
+    const file = backups.archivePath(backup);
+    try {
+      await vault.reencryptFile(instanceId, file);
+      const [{ size }, sha256] = await Promise.all([fs.stat(file), sha256File(file)]);
+      backup.set({ keyId, size, sha256 });
+      await backup.save();
+    } catch (error) {
+      console.error(`❌ ${instanceId}: backup ${backup.backupId}: ${error.message}`);
+      failures++;
+    }
+  }
+
+  // Alte Schlüssel nur löschen, wenn nichts mehr damit verschlüsselt ist
+  if (failures === 0) {
+    await SessionKey.deleteMany({ instanceId, active: false });
+  }
+
+  console.log(`   ${instanceId}: new key ${keyId}${failures ? `, ${failures} files failed (old keys kept)` : ''}`);
+  return failures;
+}
+
+async function rotateSessionKeys() {
+  let failures = 0;
+
+  try {
+    const vault = new SessionVault();
+    if (!vault.enabled) {
+      throw new Error('SESSION_ENCRYPTION_KEY or SESSION_ENCRYPTION_KEY_FILE must be set');
+    }
+
+    console.log('🔐 Rotating session keys...');
+    console.log('Database:', MONGODB_URI.replace(/\/\/.*@/, '//***:***@'));
+    console.log('Master key fingerprint:', vault.masterKeyId);
+    if (DRY_RUN) console.log('Dry run - nothing is changed');
+
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    failures += await rewrapKeys(vault, loadOldKeys());
+
+    if (DATA_KEYS) {
+      if (failures > 0) {
+        throw new Error('Data keys not rotated - fix the master key errors above first');
+      }
+
+      const backups = new SessionBackupService(vault);
+      const instanceIds = ONLY_INSTANCE ? [ONLY_INSTANCE] : await SessionKey.distinct('instanceId');
+      for (const instanceId of instanceIds) {
+        failures += await rotateInstance(vault, backups, instanceId);
+      }
+      console.log(`✅ Data keys: ${instanceIds.length} instances processed`);
+    }
+  } catch (error) {
+    console.error('❌ Key rotation failed:', error.message);
+    failures++;
+  } finally {
+    await mongoose.disconnect();
+  }
+
+  if (failures > 0) {
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  rotateSessionKeys();
+}
+
+module.exports = rotateSessionKeys;
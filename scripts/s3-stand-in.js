@@ -0,0 +1,143 @@
+/**
+ * Local stand-in for an S3-compatible object store (path-style only)
+ *
+ * Supports PUT, GET, HEAD and DELETE on objects and verifies AWS Signature Version 4
+ * with the same code the S3 backend uses to sign. Objects are written to OUT_DIR.
+ *
+ * Usage:
+ *   ACCESS_KEY_ID=local SECRET_ACCESS_KEY=secret PORT=9000 node scripts/s3-stand-in.js
+ *
+ * Then start the server with
+ *   MEDIA_STORAGE=s3 MEDIA_S3_ENDPOINT=http://localhost:9000 MEDIA_S3_BUCKET=media \
+ *   MEDIA_S3_ACCESS_KEY_ID=local MEDIA_S3_SECRET_ACCESS_KEY=secret
+ *
+ * Tests use createServer({ outDir, accessKeyId, secretAccessKey }) directly.
+ */
+
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { S3Storage } = require('../services/MediaStorage');
+
+const PORT = parseInt(process.env.PORT) || 9000;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+function createServer({
+  outDir = process.env.OUT_DIR || './logs/s3',
+  accessKeyId = process.env.ACCESS_KEY_ID || 'local',
+  secretAccessKey = process.env.SECRET_ACCESS_KEY || 'secret',
+  quiet = false
+} = {}) {
+  const root = path.resolve(outDir);
+
+  // Authorization: AWS4-HMAC-SHA256 Credential=<key>/<scope>, SignedHeaders=a;b, Signature=<hex>
+  function verifySignature(req, url, body) {
+    const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/
+      .exec(req.headers.authorization || '');
+    if (!match) return 'missing or malformed Authorization header';
+
+    const [, requestKeyId, , region, signedHeaders, signature] = match;
+    if (requestKeyId !== accessKeyId) return 'unknown access key';
+
+    const payloadHash = req.headers['x-amz-content-sha256'];
+    if (payloadHash !== sha256(body)) return 'payload hash mismatch';
+
+    const headers = {};
+    signedHeaders.split(';').forEach(name => { headers[name] = req.headers[name]; });
+
+    const expected = S3Storage.signature({
+      method: req.method,
+      url,
+      headers,
+      payloadHash,
+      amzDate: req.headers['x-amz-date'],
+      region,
+      secretAccessKey
+    });
+
+    return expected.signature === signature ? null : 'signature mismatch';
+  }
+
+  function objectPath(url) {
+    // /<bucket>/<key...>
+    const [, bucket, ...keyParts] = url.pathname.split('/');
+    const key = keyParts.map(decodeURIComponent).join('/');
+    if (!bucket || !key) return null;
+
+    const filePath = path.resolve(root, bucket, key);
+    return filePath.startsWith(root + path.sep) ? filePath : null;
+  }
+
+  return http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', async () => {
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      const log = (status, note = '') => quiet || console.log(`[${new Date().toISOString()}] ${req.method} ${url.pathname} -> ${status} ${note}`);
+
+      const error = verifySignature(req, url, body);
+      if (error) {
+        log(403, error);
+        res.writeHead(403, { 'Content-Type': 'application/xml' });
+        return res.end(`<Error><Code>SignatureDoesNotMatch</Code><Message>${error}</Message></Error>`);
+      }
+
+      const filePath = objectPath(url);
+      if (!filePath) {
+        log(400);
+        res.writeHead(400);
+        return res.end();
+      }
+
+      try {
+        switch (req.method) {
+          case 'PUT':
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, body);
+            res.writeHead(200, { ETag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+            res.end();
+            log(200, `${body.length} bytes`);
+            break;
+
+          case 'GET':
+          case 'HEAD': {
+            const data = await fs.readFile(filePath);
+            res.writeHead(200, { 'Content-Length': data.length, 'Content-Type': 'application/octet-stream' });
+            res.end(req.method === 'GET' ? data : undefined);
+            log(200, `${data.length} bytes`);
+            break;
+          }
+
+          case 'DELETE':
+            await fs.rm(filePath, { force: true });
+            res.writeHead(204);
+            res.end();
+            log(204);
+            break;
+
+          default:
+            res.writeHead(405);
+            res.end();
+            log(405);
+        }
+      } catch (err) {
+        const status = err.code === 'ENOENT' ? 404 : 500;
+        res.writeHead(status, { 'Content-Type': 'application/xml' });
+        res.end(status === 404 ? '<Error><Code>NoSuchKey</Code></Error>' : `<Error><Message>${err.message}</Message></Error>`);
+        log(status);
+      }
+    });
+  });
+}
+
+module.exports = { createServer };
+
+if (require.main === module) {
+  const server = createServer();
+  server.listen(PORT, () => {
+    console.log(`S3 stand-in listening on http://localhost:${PORT} (objects in ${path.resolve(process.env.OUT_DIR || './logs/s3')})`);
+  });
+}
@@ -0,0 +1,57 @@
+/**
+ * Local stand-in webhook receiver for testing webhook delivery
+ *
+ * Verifies the X-Webhook-Signature header and logs every delivery. Failures can be
+ * simulated to exercise retries and the dead-letter queue.
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=<secret> PORT=4000 node scripts/webhook-receiver.js
+ *   FAIL_FIRST=2 node scripts/webhook-receiver.js     # first 2 attempts per delivery -> 500
+ *   RESPONSE_STATUS=503 node scripts/webhook-receiver.js  # always fail
+ *
+ * Then set the instance webhookUrl to http://localhost:4000/webhook and call
+ *   POST /api/webhooks/test { "instanceId": "..." }
+ */
+
+const http = require('http');
+const WebhookDispatcher = require('../services/WebhookDispatcher');
+
+const PORT = parseInt(process.env.PORT) || 4000;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null;
+const FAIL_FIRST = parseInt(process.env.FAIL_FIRST) || 0;
+const RESPONSE_STATUS = parseInt(process.env.RESPONSE_STATUS) || 200;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const deliveryId = req.headers['x-webhook-id'];
+    const attempt = parseInt(req.headers['x-webhook-attempt']) || 1;
+    const signature = req.headers['x-webhook-signature'];
+
+    const signatureValid = WEBHOOK_SECRET
+      ? WebhookDispatcher.verifySignature(WEBHOOK_SECRET, signature, body)
+      : null;
+
+    let status = RESPONSE_STATUS;
+    if (WEBHOOK_SECRET && !signatureValid) status = 401;
+    else if (attempt <= FAIL_FIRST) status = 500;
+
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`, {
+      deliveryId,
+      event: req.headers['x-webhook-event'],
+      attempt,
+      signatureValid,
+      status
+    });
+    console.log(body);
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: status < 300, deliveryId }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🪝 Webhook receiver listening on http://localhost:${PORT}`);
+  console.log(WEBHOOK_SECRET ? '🔐 Verifying signatures' : '⚠️  WEBHOOK_SECRET not set - signatures not verified');
+});
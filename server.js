@@ -11,6 +11,7 @@ require('dotenv').config();
 
 // CRITICAL: Load ProductionInstanceManager for WhatsApp functionality
 const ProductionInstanceManager = require('./services/ProductionInstanceManager');
+const SocketGateway = require('./services/SocketGateway');
 
 const app = express();
 const server = http.createServer(app);
@@ -75,6 +76,14 @@ try {
   console.log('❌ Auth routes failed:', error.message);
 }
 
+try {
+  const apiKeyRoutes = require('./routes/apiKeys');
+  app.use('/api/instances/:instanceId/keys', apiKeyRoutes);
+  console.log('✅ API key routes loaded');
+} catch (error) {
+  console.log('❌ API key routes failed:', error.message);
+}
+
 try {
   const instanceRoutes = require('./routes/instances');
   app.use('/api/instances', instanceRoutes);
@@ -107,6 +116,14 @@ try {
   console.log('❌ Analytics routes failed:', error.message);
 }
 
+try {
+  const mediaRoutes = require('./routes/media');
+  app.use('/api/media', mediaRoutes);
+  console.log('✅ Media routes loaded');
+} catch (error) {
+  console.log('❌ Media routes failed:', error.message);
+}
+
 try {
   const webhookRoutes = require('./routes/webhooks');
   app.use('/api/webhooks', webhookRoutes);
@@ -115,35 +132,18 @@ try {
   console.log('❌ Webhook routes failed:', error.message);
 }
 
-// Simple WebSocket setup
-io.on('connection', (socket) => {
-  console.log('Frontend connected:', socket.id);
-
-  socket.on('join-instance', (instanceId) => {
-    socket.join(`instance-${instanceId}`);
-    console.log(`Socket joined instance: ${instanceId}`);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('Frontend disconnected:', socket.id);
-  });
-});
-
-// Connect instance manager events to WebSocket
-instanceManager.on('qrReceived', ({ instanceId, qr }) => {
-  console.log(`QR received for instance ${instanceId}`);
-  io.to(`instance-${instanceId}`).emit('qr-received', { instanceId, qr });
-});
-
-instanceManager.on('ready', ({ instanceId, info }) => {
-  console.log(`Instance ${instanceId} ready`);
-  io.to(`instance-${instanceId}`).emit('instance-ready', { instanceId, info });
-});
+try {
+  const clusterRoutes = require('./routes/cluster');
+  app.use('/api/cluster', clusterRoutes);
+  console.log('✅ Cluster routes loaded');
+} catch (error) {
+  console.log('❌ Cluster routes failed:', error.message);
+}
 
-instanceManager.on('disconnected', ({ instanceId, reason }) => {
-  console.log(`Instance ${instanceId} disconnected: ${reason}`);
-  io.to(`instance-${instanceId}`).emit('instance-disconnected', { instanceId, reason });
-});
+// Echtzeit-Events (authentifiziert, nur eigene Instanzen) - siehe services/SocketGateway
+const socketGateway = new SocketGateway(io, instanceManager);
+global.socketGateway = socketGateway;
+socketGateway.start();
 
 // CRITICAL: React frontend serving - MUST be LAST route
 app.get('*', (req, res) => {
@@ -214,11 +214,9 @@ app.get('*', (req, res) => {
   `);
 });
 
-// Error handler
-app.use((error, req, res, next) => {
-  console.error('Server error:', error);
-  res.status(500).json({ error: 'Internal server error' });
-});
+// Error handler (AppErrors -> strukturierte Antworten, Rest -> 500)
+const { globalErrorHandler } = require('./middleware/errorHandler');
+app.use(globalErrorHandler);
 
 // Database and startup
 async function startComplete() {
@@ -0,0 +1,373 @@
+const os = require('os');
+const Instance = require('../models/Instance');
+const ClusterNode = require('../models/ClusterNode');
+const { logger } = require('../utils/logger');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+
+// Status, in denen eine Instanz laufen soll - nur diese werden bei Ausfall übernommen
+const RUNNING_STATUSES = ['connecting', 'qr_pending', 'authenticated', 'ready'];
+
+/**
+ * Cluster-Koordination mehrerer Server über MongoDB
+ *
+ * - Knoten: jeder Manager meldet sich als ClusterNode (nodeId = serverId) an und erneuert
+ *   per Heartbeat `expiresAt`; ohne Heartbeat gilt der Knoten nach leaseTtlMs als ausgefallen
+ * - Leases: eine Instanz wird nur von dem Knoten betrieben, der ihr Lease hält (Instance.lease).
+ *   Übernahme ist atomar (findOneAndUpdate), jede Übernahme erhöht `lease.token`
+ * - Fencing: Status-Updates und Lease-Verlängerungen enthalten das Token - ein Knoten, dessen
+ *   Lease übernommen wurde, schreibt nichts mehr und beendet seine lokale Kopie
+ * - Failover: Instanzen mit abgelaufenem Lease übernimmt der am wenigsten ausgelastete
+ *   lebende Knoten (activeInstances / maxInstances), jeweils höchstens failoverBatchSize pro Heartbeat
+ */
+class ClusterCoordinator {
+  constructor(instanceManager, options = {}) {
+    this.instanceManager = instanceManager;
+    this.leases = new Map(); // instanceId -> { token, acquiredAt, renewedAt }
+    this.timer = null;
+    this.ticking = false;
+
+    this.config = {
+      heartbeatMs: parseInt(process.env.CLUSTER_HEARTBEAT_MS) || 10000,
+      leaseTtlMs: parseInt(process.env.CLUSTER_LEASE_TTL_MS) || 30000,
+      failover: process.env.CLUSTER_FAILOVER !== 'false',
+      failoverBatchSize: 5,
+      ...options
+    };
+  }
+
+  get nodeId() {
+    return this.instanceManager.serverId;
+  }
+
+  get maxInstances() {
+    return this.instanceManager.config.maxInstances;
+  }
+
+  leaseExpiry(now = Date.now()) {
+    return new Date(now + this.config.leaseTtlMs);
+  }
+
+  /**
+   * Knoten registrieren und Heartbeat starten
+   */
+  async start() {
+    if (this.config.leaseTtlMs < 2 * this.config.heartbeatMs) {
+      logger.warn('CLUSTER_LEASE_TTL_MS should be at least twice CLUSTER_HEARTBEAT_MS - leases may expire between heartbeats');
+    }
+
+    // Zwei Server mit derselben SERVER_ID würden sich gegenseitig die Leases "verlängern"
+    const existing = await ClusterNode.findOne({ nodeId: this.nodeId });
+    if (existing && existing.alive && existing.host !== os.hostname()) {
+      throw new AppError(
+        `Cluster node '${this.nodeId}' is already active on host ${existing.host} - set a unique SERVER_ID`,
+        409,
+        'NODE_ID_IN_USE'
+      );
+    }
+
+    const now = new Date();
+    await ClusterNode.findOneAndUpdate(
+      { nodeId: this.nodeId },
+      {
+        $set: {
+          host: os.hostname(),
+          pid: process.pid,
+          status: 'active',
+          maxInstances: this.maxInstances,
+          activeInstances: 0,
+          startedAt: now,
+          lastHeartbeat: now,
+          expiresAt: this.leaseExpiry(now.getTime())
+        }
+      },
+      { upsert: true }
+    );
+
+    this.timer = setInterval(() => this.tick(), this.config.heartbeatMs);
+    logger.info(`Cluster node ${this.nodeId} registered (heartbeat: ${this.config.heartbeatMs}ms, lease TTL: ${this.config.leaseTtlMs}ms)`);
+  }
+
+  /**
+   * Heartbeat stoppen, verbliebene Leases freigeben, Knoten abmelden
+   * (Instanzen sind zu diesem Zeitpunkt bereits gestoppt)
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    for (const instanceId of Array.from(this.leases.keys())) {
+      await this.release(instanceId);
+    }
+
+    await ClusterNode.updateOne(
+      { nodeId: this.nodeId },
+      { $set: { status: 'stopped', activeInstances: 0, expiresAt: new Date() } }
+    );
+    logger.info(`Cluster node ${this.nodeId} stopped`);
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.heartbeat();
+      await this.renewLeases();
+      if (this.config.failover) {
+        await this.claimOrphans();
+      }
+    } catch (error) {
+      logger.error('Cluster heartbeat failed:', error);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async heartbeat() {
+    const now = Date.now();
+    await ClusterNode.updateOne(
+      { nodeId: this.nodeId },
+      {
+        $set: {
+          status: 'active',
+          maxInstances: this.maxInstances,
+          activeInstances: this.instanceManager.instances.size,
+          lastHeartbeat: new Date(now),
+          expiresAt: this.leaseExpiry(now)
+        }
+      }
+    );
+
+    const expired = await ClusterNode.markExpired();
+    if (expired > 0) {
+      logger.warn(`${expired} cluster node(s) missed their heartbeat and are marked down`);
+    }
+  }
+
+  /**
+   * Eigene Leases verlängern - wurde ein Lease inzwischen übernommen (Token passt nicht mehr),
+   * wird die lokale Instanz beendet
+   */
+  async renewLeases() {
+    for (const [instanceId, lease] of Array.from(this.leases)) {
+      const now = Date.now();
+
+      // Lease ohne Instanz im Speicher (z.B. Client-Erstellung fehlgeschlagen) - nach einer TTL freigeben
+      if (!this.instanceManager.instances.has(instanceId)) {
+        if (now - lease.acquiredAt > this.config.leaseTtlMs) {
+          await this.release(instanceId);
+        }
+        continue;
+      }
+
+      try {
+        const result = await Instance.updateOne(
+          { instanceId, 'lease.nodeId': this.nodeId, 'lease.token': lease.token },
+          { $set: { 'lease.expiresAt': this.leaseExpiry(now) } }
+        );
+
+        if (result.matchedCount === 0) {
+          await this.leaseLost(instanceId, 'lease was taken over by another node');
+        } else {
+          lease.renewedAt = now;
+        }
+      } catch (error) {
+        // Datenbank nicht erreichbar - nach Ablauf der TTL darf ein anderer Knoten übernehmen
+        if (now - lease.renewedAt >= this.config.leaseTtlMs) {
+          await this.leaseLost(instanceId, `lease could not be renewed: ${error.message}`);
+        } else {
+          logger.warn(`Failed to renew lease for ${instanceId}: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  async leaseLost(instanceId, reason) {
+    this.leases.delete(instanceId);
+    logger.warn(`Lost lease for instance ${instanceId}: ${reason}`);
+    await this.instanceManager.handleLeaseLost(instanceId, reason);
+  }
+
+  /**
+   * Lease übernehmen - frei, eigenes oder abgelaufen
+   * @returns {Promise<{nodeId: string, token: number}>}
+   * @throws {AppError} 503 NODE_AT_CAPACITY, 409 LEASE_HELD
+   */
+  async acquire(instanceId) {
+    if (!this.leases.has(instanceId) && this.leases.size >= this.maxInstances) {
+      throw new AppError(`Cluster node '${this.nodeId}' is at capacity (${this.maxInstances} instances)`, 503, 'NODE_AT_CAPACITY');
+    }
+
+    const now = new Date();
+    const instance = await Instance.findOneAndUpdate(
+      {
+        instanceId,
+        $or: [
+          { 'lease.nodeId': null },
+          { 'lease.nodeId': this.nodeId },
+          { 'lease.expiresAt': { $lte: now } }
+        ]
+      },
+      {
+        $set: {
+          serverId: this.nodeId,
+          'lease.nodeId': this.nodeId,
+          'lease.acquiredAt': now,
+          'lease.expiresAt': this.leaseExpiry(now.getTime())
+        },
+        $inc: { 'lease.token': 1 }
+      },
+      { new: true }
+    );
+
+    if (!instance) {
+      const current = await Instance.findOne({ instanceId }).select('lease');
+      if (!current) {
+        throw new NotFoundError('Instance');
+      }
+      throw new AppError(`Instance is running on cluster node '${current.lease.nodeId}'`, 409, 'LEASE_HELD');
+    }
+
+    const { token } = instance.lease;
+    this.leases.set(instanceId, { token, acquiredAt: now.getTime(), renewedAt: now.getTime() });
+    logger.debug(`Lease for ${instanceId} acquired (token ${token})`);
+    return { nodeId: this.nodeId, token };
+  }
+
+  /**
+   * Lease freigeben (nur wenn es noch unseres ist - das Token bleibt für das Fencing erhalten)
+   */
+  async release(instanceId) {
+    const lease = this.leases.get(instanceId);
+    if (!lease) return;
+    this.leases.delete(instanceId);
+
+    await Instance.updateOne(
+      { instanceId, 'lease.nodeId': this.nodeId, 'lease.token': lease.token },
+      { $set: { 'lease.nodeId': null, 'lease.expiresAt': null } }
+    );
+  }
+
+  /**
+   * Session-Änderungen (Restore, Import) nur, wenn kein anderer Knoten die Instanz mit gültigem Lease betreibt
+   * @throws {AppError} 409 LEASE_HELD
+   */
+  assertNotLeasedElsewhere(instance) {
+    const { nodeId, expiresAt } = instance.lease || {};
+    if (nodeId && nodeId !== this.nodeId && expiresAt && expiresAt > new Date()) {
+      throw new AppError(`Instance is running on cluster node '${nodeId}' - stop it there first`, 409, 'LEASE_HELD');
+    }
+  }
+
+  /**
+   * Filter-Zusatz für Schreibzugriffe auf eine Instanz: mit eigenem Lease muss das Token passen,
+   * ohne Lease darf kein anderer Knoten die Instanz halten
+   */
+  fence(instanceId) {
+    const lease = this.leases.get(instanceId);
+    return lease
+      ? { 'lease.nodeId': this.nodeId, 'lease.token': lease.token }
+      : { 'lease.nodeId': { $in: [null, this.nodeId] } };
+  }
+
+  /**
+   * Sind wir der bevorzugte Knoten für die nächste Übernahme? (geringste Auslastung, dann nodeId)
+   */
+  isPreferredNode(nodes) {
+    const load = (node) => node.activeInstances / node.maxInstances;
+    const candidates = nodes
+      .map(node => node.nodeId === this.nodeId
+        ? { nodeId: node.nodeId, maxInstances: this.maxInstances, activeInstances: this.instanceManager.instances.size }
+        : node)
+      .filter(node => node.maxInstances > node.activeInstances)
+      .sort((a, b) => load(a) - load(b) || a.nodeId.localeCompare(b.nodeId));
+
+    return candidates.length > 0 && candidates[0].nodeId === this.nodeId;
+  }
+
+  /**
+   * Instanzen ausgefallener Knoten übernehmen
+   * @returns {Promise<number>} Anzahl übernommener Instanzen
+   */
+  async claimOrphans() {
+    const orphans = await Instance.find({
+      status: { $in: RUNNING_STATUSES },
+      'lease.nodeId': { $ne: null },
+      'lease.expiresAt': { $lte: new Date() }
+    })
+      .sort({ 'lease.expiresAt': 1 })
+      .limit(this.config.failoverBatchSize);
+
+    if (orphans.length === 0) return 0;
+
+    const nodes = await ClusterNode.findAlive();
+    let claimed = 0;
+
+    for (const orphan of orphans) {
+      const { instanceId } = orphan;
+      if (this.instanceManager.instances.has(instanceId)) continue;
+      if (!this.isPreferredNode(nodes)) break;
+
+      const fromNode = orphan.lease.nodeId;
+      try {
+        await this.acquire(instanceId);
+        await this.instanceManager.failoverInstance(orphan, fromNode);
+        claimed++;
+      } catch (error) {
+        // Anderer Knoten war schneller
+        if (error.code === 'LEASE_HELD') continue;
+        logger.error(`Failover of instance ${instanceId} from ${fromNode} failed:`, error);
+        await this.release(instanceId);
+      }
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Übersicht für Admins: Knoten mit zugewiesenen Instanzen, verwaiste Instanzen
+   * @param {string} [nodeId] nur diesen Knoten
+   */
+  async overview(nodeId = null) {
+    const nodeQuery = nodeId ? { nodeId } : {};
+    const instanceQuery = nodeId ? { 'lease.nodeId': nodeId } : { 'lease.nodeId': { $ne: null } };
+
+    const [nodes, instances] = await Promise.all([
+      ClusterNode.find(nodeQuery).sort({ nodeId: 1 }),
+      Instance.find(instanceQuery)
+        .select('instanceId name status userId lease')
+        .sort({ instanceId: 1 })
+    ]);
+
+    const now = new Date();
+    const assignment = (instance) => ({
+      instanceId: instance.instanceId,
+      name: instance.name,
+      status: instance.status,
+      userId: instance.userId,
+      leaseToken: instance.lease.token,
+      leaseExpiresAt: instance.lease.expiresAt ? instance.lease.expiresAt.toISOString() : null,
+      leaseExpired: !instance.lease.expiresAt || instance.lease.expiresAt <= now
+    });
+
+    return {
+      self: this.nodeId,
+      leaseTtlMs: this.config.leaseTtlMs,
+      failover: this.config.failover,
+      nodes: nodes.map(node => ({
+        ...node.toDTO(),
+        instances: instances
+          .filter(instance => instance.lease.nodeId === node.nodeId)
+          .map(assignment)
+      })),
+      // Abgelaufene Leases laufender Instanzen - warten auf Failover
+      orphaned: instances
+        .filter(instance => RUNNING_STATUSES.includes(instance.status) && instance.lease.expiresAt <= now)
+        .map(instance => ({ ...assignment(instance), nodeId: instance.lease.nodeId }))
+    };
+  }
+}
+
+module.exports = ClusterCoordinator;
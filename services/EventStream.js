@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { INSTANCE_EVENTS, MANAGER_EVENTS, toPublicEvent } = require('./instanceEvents');
+
+/**
+ * Event-Log und Live-Verteilung für Server-Sent Events (GET /api/proxy/{apiKey}/events)
+ *
+ * Abonniert die Manager-Events wie der WebhookDispatcher und hält pro Instanz die letzten
+ * `bufferSize` Events im Speicher. Die Payloads entsprechen den Webhook-Bodies
+ * ({ id, event, instanceId, timestamp, data }).
+ *
+ * Event-IDs haben die Form `<bootId>-<seq>`: seq steigt pro Prozess monoton, bootId ändert
+ * sich bei jedem Neustart. So erkennt ein Resume per Last-Event-ID, ob Events verloren
+ * gegangen sind (Neustart oder bereits aus dem Puffer verdrängt).
+ */
+class EventStream {
+  constructor(instanceManager, options = {}) {
+    this.instanceManager = instanceManager;
+    this.config = {
+      bufferSize: parseInt(process.env.EVENT_STREAM_BUFFER_SIZE) || 500,
+      heartbeatMs: parseInt(process.env.EVENT_STREAM_HEARTBEAT_MS) || 15000,
+      maxConnectionsPerKey: parseInt(process.env.EVENT_STREAM_MAX_CONNECTIONS) || 5,
+      retryMs: 3000,
+      ...options
+    };
+
+    this.bootId = crypto.randomBytes(4).toString('hex');
+    this.seq = 0;
+    this.buffers = new Map(); // instanceId -> { entries (älteste zuerst), evictedSeq }
+    this.subscribers = new Map(); // instanceId -> Set<Subscriber>
+    this.listeners = new Map(); // Manager-Event -> Listener
+  }
+
+  // Manager-Events abonnieren
+  attach() {
+    if (!this.instanceManager || this.listeners.size > 0) return;
+
+    // instanceDeleted nur zum Aufräumen (kein öffentliches Event)
+    for (const managerEvent of [...Object.keys(MANAGER_EVENTS), 'instanceDeleted']) {
+      const listener = (payload) => this.handleManagerEvent(managerEvent, payload);
+      this.listeners.set(managerEvent, listener);
+      this.instanceManager.on(managerEvent, listener);
+    }
+  }
+
+  detach() {
+    for (const [managerEvent, listener] of this.listeners) {
+      this.instanceManager.off(managerEvent, listener);
+    }
+    this.listeners.clear();
+  }
+
+  /**
+   * Alle offenen Streams beenden (Server-Shutdown)
+   */
+  stop() {
+    this.detach();
+    for (const subscribers of this.subscribers.values()) {
+      for (const subscriber of subscribers) {
+        subscriber.close();
+      }
+    }
+    this.subscribers.clear();
+  }
+
+  handleManagerEvent(managerEvent, payload) {
+    try {
+      if (managerEvent === 'instanceDeleted') {
+        return this.dropInstance(payload.instanceId);
+      }
+
+      const publicEvent = toPublicEvent(managerEvent, payload);
+      if (publicEvent) this.publish(publicEvent);
+    } catch (error) {
+      logger.error(`Event stream failed for ${managerEvent}:`, error);
+    }
+  }
+
+  /**
+   * Event protokollieren und an verbundene Streams der Instanz verteilen
+   * @param {{ event, instanceId, data, meta }} publicEvent
+   */
+  publish({ event, instanceId, data, meta = {} }) {
+    const seq = ++this.seq;
+    const entry = {
+      seq,
+      meta,
+      payload: {
+        id: `${this.bootId}-${seq}`,
+        event,
+        instanceId,
+        timestamp: new Date().toISOString(),
+        data
+      }
+    };
+
+    let buffer = this.buffers.get(instanceId);
+    if (!buffer) {
+      buffer = { entries: [], evictedSeq: 0 };
+      this.buffers.set(instanceId, buffer);
+    }
+    buffer.entries.push(entry);
+    if (buffer.entries.length > this.config.bufferSize) {
+      buffer.evictedSeq = buffer.entries.shift().seq;
+    }
+
+    for (const subscriber of this.subscribers.get(instanceId) || []) {
+      if (EventStream.matches(subscriber.filters, entry)) {
+        subscriber.send(entry.payload);
+      }
+    }
+
+    return entry.payload;
+  }
+
+  /**
+   * Filter aus Query-Parametern (kommagetrennt): events, chatIds, messageTypes
+   * Gleiche Semantik wie Webhook-Filter - leere Liste = alles
+   * @returns {{ filters: Object|null, error: string|null }}
+   */
+  static parseFilters(query = {}) {
+    const list = (value) => (typeof value === 'string' && value.trim()
+      ? value.split(',').map(item => item.trim()).filter(Boolean)
+      : []);
+
+    const filters = {
+      events: list(query.events),
+      chatIds: list(query.chatIds),
+      messageTypes: list(query.messageTypes)
+    };
+
+    const unknown = filters.events.filter(event => !INSTANCE_EVENTS[event]);
+    if (unknown.length > 0) {
+      return {
+        filters: null,
+        error: `Unknown events: ${unknown.join(', ')}. Allowed: ${Object.keys(INSTANCE_EVENTS).join(', ')}`
+      };
+    }
+
+    return { filters, error: null };
+  }
+
+  static matches(filters, { payload, meta }) {
+    const { events, chatIds, messageTypes } = filters;
+    if (events.length && !events.includes(payload.event)) return false;
+    if (chatIds.length && meta.chatId && !chatIds.includes(meta.chatId)) return false;
+    if (messageTypes.length && meta.messageType && !messageTypes.includes(meta.messageType)) return false;
+    return true;
+  }
+
+  /**
+   * Gepufferte Events nach einer Event-ID
+   * @returns {{ events: Object[], complete: boolean }} complete = false, wenn dazwischen
+   *          Events fehlen (anderer Prozess oder aus dem Puffer verdrängt)
+   */
+  replay(instanceId, lastEventId, filters) {
+    const { entries, evictedSeq } = this.buffers.get(instanceId) || { entries: [], evictedSeq: 0 };
+    const [bootId, seqPart] = String(lastEventId).split('-');
+    const lastSeq = parseInt(seqPart);
+
+    let after = 0;
+    let complete = false;
+
+    if (bootId === this.bootId && Number.isInteger(lastSeq) && lastSeq >= 0 && lastSeq <= this.seq) {
+      after = lastSeq;
+      // Lücke, wenn nach lastSeq schon Events verdrängt wurden
+      complete = evictedSeq <= lastSeq;
+    }
+
+    return {
+      events: entries.filter(entry => entry.seq > after && EventStream.matches(filters, entry)).map(entry => entry.payload),
+      complete
+    };
+  }
+
+  /**
+   * Stream registrieren
+   * @param {Object} subscriber - { instanceId, keyId, filters, send(payload), close() }
+   * @returns {Function} Abmelden
+   */
+  subscribe(subscriber) {
+    let subscribers = this.subscribers.get(subscriber.instanceId);
+    if (!subscribers) {
+      subscribers = new Set();
+      this.subscribers.set(subscriber.instanceId, subscribers);
+    }
+    subscribers.add(subscriber);
+
+    return () => {
+      subscribers.delete(subscriber);
+      if (subscribers.size === 0 && this.subscribers.get(subscriber.instanceId) === subscribers) {
+        this.subscribers.delete(subscriber.instanceId);
+      }
+    };
+  }
+
+  countSubscribers(keyId) {
+    let count = 0;
+    for (const subscribers of this.subscribers.values()) {
+      for (const subscriber of subscribers) {
+        if (subscriber.keyId === keyId) count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Streams eines API-Keys beenden (Widerruf oder Rotation ohne Übergangsfrist)
+   * @returns {number} Anzahl beendeter Streams
+   */
+  closeKey(keyId) {
+    let closed = 0;
+    for (const subscribers of this.subscribers.values()) {
+      for (const subscriber of subscribers) {
+        if (subscriber.keyId !== keyId) continue;
+        subscriber.close();
+        closed++;
+      }
+    }
+    return closed;
+  }
+
+  /**
+   * Puffer einer gelöschten Instanz verwerfen und deren Streams beenden
+   */
+  dropInstance(instanceId) {
+    for (const subscriber of this.subscribers.get(instanceId) || []) {
+      subscriber.close();
+    }
+    this.subscribers.delete(instanceId);
+    this.buffers.delete(instanceId);
+  }
+}
+
+module.exports = EventStream;
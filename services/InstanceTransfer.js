@@ -0,0 +1,357 @@
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const Instance = require('../models/Instance');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+const { AppError, ConflictError, NotFoundError, QuotaExceededError } = require('../middleware/errorHandler');
+const sessionArchive = require('../utils/sessionArchive');
+
+// Dateiformat: MAGIC | Version | Manifest-Länge (uint32 BE) | Manifest (JSON) | Payload | HMAC-SHA256 (32)
+// Payload = AES-256-GCM-verschlüsseltes tar.gz der Session, die Signatur deckt alles davor ab
+const MAGIC = Buffer.from('WAIB');
+const FORMAT_VERSION = 1;
+const PREFIX_LENGTH = MAGIC.length + 1 + 4;
+const SIGNATURE_LENGTH = 32;
+const IV_LENGTH = 12;
+const ALGORITHM = 'aes-256-gcm';
+
+// Felder, die ein Bundle von der Instanz mitnimmt
+const INSTANCE_FIELDS = ['instanceId', 'name', 'description', 'phoneNumber', 'config', 'browserProfile'];
+
+const invalidBundle = (detail) => new AppError(`Invalid instance bundle: ${detail}`, 422, 'TRANSFER_BUNDLE_INVALID');
+
+/**
+ * Instanzen zwischen Servern umziehen (Export/Import signierter Bundles)
+ *
+ * - Export: Session (tar.gz, auch aus einer verschlüsselten Session), Konfiguration,
+ *   Browser-Profil und Metadaten - mit INSTANCE_TRANSFER_KEY verschlüsselt und signiert
+ * - Import: Signatur, Ablaufzeit (INSTANCE_TRANSFER_TTL_HOURS) und Prüfsumme prüfen, Session
+ *   übernehmen und `serverId` auf diesen Server setzen
+ * - Gemeinsame Datenbank: nur das zuletzt exportierte Bundle einer Instanz ist gültig (einmalig),
+ *   ein erneuter Start auf dem Quellserver macht es ungültig
+ * - Eigene Datenbank: die Instanz wird für den importierenden Benutzer neu angelegt
+ *
+ * Alle Server, die Bundles austauschen, brauchen denselben INSTANCE_TRANSFER_KEY.
+ */
+class InstanceTransfer {
+  constructor(instanceManager, options = {}) {
+    this.instanceManager = instanceManager;
+    this.config = {
+      secret: process.env.INSTANCE_TRANSFER_KEY,
+      bundleTtlHours: parseInt(process.env.INSTANCE_TRANSFER_TTL_HOURS) || 24,
+      maxBundleSizeMB: parseInt(process.env.INSTANCE_TRANSFER_MAX_SIZE_MB) || 512,
+      tempDir: path.join(os.tmpdir(), 'wa-transfers'),
+      ...options
+    };
+  }
+
+  get enabled() {
+    return Boolean(this.config.secret && this.config.secret.length >= 32);
+  }
+
+  requireEnabled() {
+    if (!this.enabled) {
+      throw new AppError('Instance transfer is not configured (INSTANCE_TRANSFER_KEY, min. 32 characters)', 503, 'TRANSFER_NOT_CONFIGURED');
+    }
+  }
+
+  // Getrennte Schlüssel für Verschlüsselung und Signatur
+  deriveKey(purpose) {
+    return Buffer.from(crypto.hkdfSync('sha256', this.config.secret, 'wa-instance-transfer', purpose, 32));
+  }
+
+  tempPath(name) {
+    return path.join(this.config.tempDir, `${name}-${crypto.randomBytes(4).toString('hex')}`);
+  }
+
+  /**
+   * Gestoppte Instanz als Bundle nach `target` exportieren
+   * @returns {Promise<Object>} Manifest
+   */
+  async exportBundle(instance, target) {
+    this.requireEnabled();
+    const { instanceId } = instance;
+    const exportId = `exp_${crypto.randomBytes(12).toString('hex')}`;
+
+    await fs.mkdir(this.config.tempDir, { recursive: true, mode: 0o700 });
+    const archivePath = this.tempPath(`${instanceId}.tar.gz`);
+    const payloadPath = this.tempPath(`${instanceId}.payload`);
+
+    try {
+      const exported = await this.instanceManager.sessionVault.exportArchive(instanceId, archivePath);
+      if (!exported) {
+        throw new ConflictError('Instance has no session on this server');
+      }
+
+      const iv = crypto.randomBytes(IV_LENGTH);
+      const cipher = crypto.createCipheriv(ALGORITHM, this.deriveKey('encryption'), iv);
+      cipher.setAAD(Buffer.from(exportId));
+      await pipeline(createReadStream(archivePath), cipher, createWriteStream(payloadPath, { mode: 0o600 }));
+
+      const now = new Date();
+      const manifest = {
+        version: FORMAT_VERSION,
+        exportId,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + this.config.bundleTtlHours * 60 * 60 * 1000).toISOString(),
+        sourceServerId: this.instanceManager.serverId,
+        instance: {
+          ...Object.fromEntries(INSTANCE_FIELDS.map(field => [field, instance.toObject()[field] ?? null])),
+          userId: String(instance.userId),
+          createdAt: instance.createdAt
+        },
+        session: {
+          algorithm: ALGORITHM,
+          iv: iv.toString('base64'),
+          tag: cipher.getAuthTag().toString('base64'),
+          sha256: await sessionArchive.sha256File(archivePath),
+          fileCount: exported.fileCount
+        }
+      };
+
+      await this.writeBundle(manifest, payloadPath, target);
+
+      instance.transfer = {
+        exportId,
+        exportedAt: now,
+        sourceServerId: this.instanceManager.serverId,
+        importedAt: instance.transfer?.importedAt || null
+      };
+      await instance.save();
+
+      logger.info(`Instance ${instanceId} exported`, { exportId });
+      return manifest;
+    } finally {
+      await fs.rm(archivePath, { force: true });
+      await fs.rm(payloadPath, { force: true });
+    }
+  }
+
+  async writeBundle(manifest, payloadPath, target) {
+    const manifestBuffer = Buffer.from(JSON.stringify(manifest));
+    const prefix = Buffer.alloc(PREFIX_LENGTH);
+    MAGIC.copy(prefix);
+    prefix[MAGIC.length] = FORMAT_VERSION;
+    prefix.writeUInt32BE(manifestBuffer.length, MAGIC.length + 1);
+
+    const hmac = crypto.createHmac('sha256', this.deriveKey('signature'));
+    hmac.update(prefix);
+    hmac.update(manifestBuffer);
+
+    const output = createWriteStream(target, { mode: 0o600 });
+    output.write(prefix);
+    output.write(manifestBuffer);
+    const payload = createReadStream(payloadPath);
+    payload.on('data', chunk => hmac.update(chunk));
+    await pipeline(payload, output);
+
+    await fs.appendFile(target, hmac.digest());
+  }
+
+  /**
+   * Signatur und Ablaufzeit prüfen, Manifest lesen
+   * @returns {Promise<{ manifest: Object, payloadStart: number, payloadEnd: number }>}
+   */
+  async readBundle(file) {
+    this.requireEnabled();
+
+    const { size } = await fs.stat(file);
+    if (size < PREFIX_LENGTH + SIGNATURE_LENGTH) throw invalidBundle('file is truncated');
+
+    const handle = await fs.open(file, 'r');
+    const prefix = Buffer.alloc(PREFIX_LENGTH);
+    const signature = Buffer.alloc(SIGNATURE_LENGTH);
+    let manifestBuffer;
+    let payloadStart;
+    const payloadEnd = size - SIGNATURE_LENGTH;
+    try {
+      await handle.read(prefix, 0, PREFIX_LENGTH, 0);
+      if (!prefix.subarray(0, MAGIC.length).equals(MAGIC)) throw invalidBundle('not an instance bundle');
+      if (prefix[MAGIC.length] !== FORMAT_VERSION) throw invalidBundle(`unsupported format version ${prefix[MAGIC.length]}`);
+
+      const manifestLength = prefix.readUInt32BE(MAGIC.length + 1);
+      payloadStart = PREFIX_LENGTH + manifestLength;
+      if (payloadStart > payloadEnd) throw invalidBundle('file is truncated');
+
+      manifestBuffer = Buffer.alloc(manifestLength);
+      await handle.read(manifestBuffer, 0, manifestLength, PREFIX_LENGTH);
+      await handle.read(signature, 0, SIGNATURE_LENGTH, payloadEnd);
+    } finally {
+      await handle.close();
+    }
+
+    // Signatur über alles vor der Signatur - erst danach dem Inhalt vertrauen
+    const hmac = crypto.createHmac('sha256', this.deriveKey('signature'));
+    if (payloadEnd > 0) {
+      await pipeline(createReadStream(file, { start: 0, end: payloadEnd - 1 }), async (source) => {
+        for await (const chunk of source) hmac.update(chunk);
+      });
+    }
+    if (!crypto.timingSafeEqual(hmac.digest(), signature)) {
+      throw new AppError('Instance bundle signature is invalid', 422, 'TRANSFER_SIGNATURE_INVALID');
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(manifestBuffer.toString());
+    } catch (error) {
+      throw invalidBundle('manifest is not valid JSON');
+    }
+
+    if (!manifest.instance?.instanceId || !/^[\w-]+$/.test(manifest.instance.instanceId)) {
+      throw invalidBundle('missing instanceId');
+    }
+    if (new Date(manifest.expiresAt) < new Date()) {
+      throw new AppError('Instance bundle has expired - export it again', 410, 'TRANSFER_BUNDLE_EXPIRED');
+    }
+
+    return { manifest, payloadStart, payloadEnd };
+  }
+
+  /**
+   * Session aus dem Bundle nach `stagingDir/<instanceId>` entpacken
+   */
+  async extractSession(file, { manifest, payloadStart, payloadEnd }, stagingDir) {
+    const { instanceId } = manifest.instance;
+    const archivePath = path.join(stagingDir, 'session.tar.gz');
+
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      this.deriveKey('encryption'),
+      Buffer.from(manifest.session.iv, 'base64')
+    );
+    decipher.setAAD(Buffer.from(manifest.exportId));
+    decipher.setAuthTag(Buffer.from(manifest.session.tag, 'base64'));
+
+    try {
+      await pipeline(
+        createReadStream(file, { start: payloadStart, end: payloadEnd - 1 }),
+        decipher,
+        createWriteStream(archivePath, { mode: 0o600 })
+      );
+    } catch (error) {
+      throw invalidBundle(`session could not be decrypted (${error.message})`);
+    }
+
+    if (await sessionArchive.sha256File(archivePath) !== manifest.session.sha256) {
+      throw invalidBundle('session checksum mismatch');
+    }
+
+    const fileCount = await sessionArchive.unpack({ file: archivePath, cwd: stagingDir, instanceId });
+    if (fileCount === 0) throw invalidBundle('bundle contains no session files');
+  }
+
+  /**
+   * Bundle auf diesem Server übernehmen
+   * @param {string} file - hochgeladenes Bundle
+   * @param {User} user - importierender Benutzer
+   * @returns {Promise<{ instance: Instance, created: boolean, manifest: Object }>}
+   */
+  async importBundle(file, user) {
+    const bundle = await this.readBundle(file);
+    const { manifest } = bundle;
+    const { instanceId } = manifest.instance;
+    const manager = this.instanceManager;
+
+    let instance = await Instance.findOne({ instanceId });
+    if (instance) {
+      // Gemeinsame Datenbank - nur der Besitzer, nur das neueste Bundle
+      if (!user.isAdmin && String(instance.userId) !== String(user._id)) {
+        throw new NotFoundError('Instance');
+      }
+      if (instance.transfer?.exportId !== manifest.exportId) {
+        throw new ConflictError('Bundle is not the latest export of this instance (already imported or exported again)');
+      }
+      // Noch auf einem anderen Server aktiv - nicht auf zwei Servern gleichzeitig betreiben
+      if (instance.isActive && instance.serverId !== manager.serverId) {
+        throw new ConflictError(`Instance is running on server ${instance.serverId} - stop it there first`);
+      }
+      manager.cluster.assertNotLeasedElsewhere(instance);
+    }
+
+    if (manager.instances.has(instanceId)) {
+      throw new ConflictError('Instance is running on this server');
+    }
+
+    // Neue Instanz belegt das Kontingent atomar - bei Fehlern unten wieder freigeben
+    if (!instance && !await User.reserveInstanceSlot(user._id)) {
+      throw new QuotaExceededError(`Your plan allows ${user.planLimits.maxInstances} instances`);
+    }
+
+    try {
+      return await this.adoptBundle(file, bundle, user, instance);
+    } catch (error) {
+      if (!instance) await User.releaseInstanceSlot(user._id);
+      throw error;
+    }
+  }
+
+  /**
+   * Session und Instanz-Dokument aus einem geprüften Bundle übernehmen
+   */
+  async adoptBundle(file, bundle, user, instance) {
+    const { manifest } = bundle;
+    const { instanceId } = manifest.instance;
+    const manager = this.instanceManager;
+
+    // Session übernehmen (erst vollständig entpacken, dann tauschen)
+    const vault = manager.sessionVault;
+    await fs.mkdir(vault.config.sessionsDir, { recursive: true });
+    const staging = await fs.mkdtemp(path.join(vault.config.sessionsDir, `.import-${instanceId}-`));
+    try {
+      await this.extractSession(file, bundle, staging);
+
+      await fs.rm(vault.sessionPath(instanceId), { recursive: true, force: true });
+      await fs.rm(vault.sealedPath(instanceId), { force: true });
+      await fs.rename(path.join(staging, instanceId), vault.sessionPath(instanceId));
+    } finally {
+      await fs.rm(staging, { recursive: true, force: true });
+    }
+
+    if (vault.enabled) {
+      await vault.ensureActiveKey(instanceId);
+      await vault.seal(instanceId);
+    }
+
+    const transfer = {
+      exportId: null, // Bundle ist verbraucht
+      exportedAt: instance?.transfer?.exportedAt || new Date(manifest.createdAt),
+      sourceServerId: manifest.sourceServerId,
+      importedAt: new Date()
+    };
+
+    const created = !instance;
+    if (instance) {
+      instance.set({
+        serverId: manager.serverId,
+        status: 'stopped',
+        processId: null,
+        processPort: null,
+        qrCode: null,
+        transfer
+      });
+      await instance.save();
+      manager.emit('instanceUpdated', { instanceId, updates: { serverId: manager.serverId } });
+    } else {
+      const fields = manifest.instance;
+      instance = new Instance({
+        ...Object.fromEntries(INSTANCE_FIELDS.filter(field => fields[field] !== null).map(field => [field, fields[field]])),
+        userId: user._id,
+        serverId: manager.serverId,
+        status: 'stopped',
+        transfer
+      });
+      await instance.save();
+      manager.emit('instanceCreated', { instanceId, instance });
+    }
+
+    logger.info(`Instance ${instanceId} imported from ${manifest.sourceServerId}`, { exportId: manifest.exportId, created });
+    return { instance, created, manifest };
+  }
+}
+
+module.exports = InstanceTransfer;
@@ -0,0 +1,131 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+/**
+ * E-Mail-Versand mit austauschbarem Transport
+ *
+ * MAIL_TRANSPORT:
+ * - smtp: Versand über nodemailer (MAIL_SMTP_HOST/PORT/USER/PASS, lokal z.B. scripts/mail-catcher.js)
+ * - file: jede Mail als JSON-Datei in MAIL_FILE_DIR (für Tests und Entwicklung)
+ * - log:  nur ins Log schreiben (Default) - Token in Links werden geschwärzt, die Links sind
+ *         also nicht benutzbar; für lokale Tests den file-Transport verwenden
+ */
+class MailService {
+  constructor(options = {}) {
+    this.config = {
+      transport: process.env.MAIL_TRANSPORT || 'log',
+      from: process.env.MAIL_FROM || 'WhatsApp Manager <no-reply@localhost>',
+      appUrl: process.env.APP_URL || process.env.FRONTEND_URL || 'http://localhost:3000',
+      fileDir: process.env.MAIL_FILE_DIR || './logs/mail',
+      smtp: {
+        host: process.env.MAIL_SMTP_HOST || 'localhost',
+        port: parseInt(process.env.MAIL_SMTP_PORT) || 2525,
+        secure: process.env.MAIL_SMTP_SECURE === 'true',
+        user: process.env.MAIL_SMTP_USER,
+        pass: process.env.MAIL_SMTP_PASS
+      },
+      ...options
+    };
+
+    this.transport = this.createTransport(this.config.transport);
+
+    if (this.config.transport === 'log' && process.env.NODE_ENV === 'production') {
+      logger.warn('MAIL_TRANSPORT=log - verification and password reset emails are not delivered');
+    }
+  }
+
+  createTransport(type) {
+    switch (type) {
+      case 'smtp': {
+        const nodemailer = require('nodemailer');
+        const { host, port, secure, user, pass } = this.config.smtp;
+        const transporter = nodemailer.createTransport({
+          host,
+          port,
+          secure,
+          auth: user ? { user, pass } : undefined,
+          tls: { rejectUnauthorized: process.env.NODE_ENV === 'production' }
+        });
+        return mail => transporter.sendMail(mail);
+      }
+
+      case 'file':
+        return async mail => {
+          await fs.mkdir(this.config.fileDir, { recursive: true });
+          const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+          const filePath = path.join(this.config.fileDir, fileName);
+          await fs.writeFile(filePath, JSON.stringify({ ...mail, date: new Date().toISOString() }, null, 2));
+          return { messageId: fileName, path: filePath };
+        };
+
+      case 'log':
+        return async mail => {
+          logger.info(`Mail (not sent): ${mail.subject}`, { to: mail.to, text: redactTokens(mail.text) });
+          return { messageId: null };
+        };
+
+      default:
+        throw new Error(`Unknown mail transport: ${type}`);
+    }
+  }
+
+  /**
+   * Mail versenden
+   */
+  async send({ to, subject, text, html }) {
+    try {
+      const info = await this.transport({ from: this.config.from, to, subject, text, html });
+      logger.info(`Mail sent: ${subject}`, { to, transport: this.config.transport, messageId: info?.messageId });
+      return info;
+    } catch (error) {
+      logger.error(`Failed to send mail '${subject}' to ${to}:`, error);
+      throw error;
+    }
+  }
+
+  link(pathname, token) {
+    return `${this.config.appUrl}${pathname}?token=${encodeURIComponent(token)}`;
+  }
+
+  // Vorlagen
+
+  sendVerificationEmail(user, token, ttlHours) {
+    const url = this.link('/verify-email', token);
+    return this.send({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text: `Hello ${user.username},\n\nplease confirm your email address:\n${url}\n\n` +
+        `The link is valid for ${ttlHours} hours.`,
+      html: `<p>Hello ${escapeHtml(user.username)},</p><p>please confirm your email address:</p>` +
+        `<p><a href="${url}">${url}</a></p><p>The link is valid for ${ttlHours} hours.</p>`
+    });
+  }
+
+  sendPasswordResetEmail(user, token, ttlMinutes) {
+    const url = this.link('/reset-password', token);
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hello ${user.username},\n\nuse this link to set a new password:\n${url}\n\n` +
+        `The link is valid for ${ttlMinutes} minutes. If you did not request this, ignore this email.`,
+      html: `<p>Hello ${escapeHtml(user.username)},</p><p>use this link to set a new password:</p>` +
+        `<p><a href="${url}">${url}</a></p><p>The link is valid for ${ttlMinutes} minutes. ` +
+        'If you did not request this, ignore this email.</p>'
+    });
+  }
+}
+
+// Token aus Links entfernen (Log-Transport) - das Log darf keine gültigen Reset-/Bestätigungslinks enthalten
+function redactTokens(text) {
+  return String(text || '').replace(/([?&]token=)[^\s&]+/g, '$1[redacted]');
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+module.exports = MailService;
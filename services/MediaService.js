@@ -0,0 +1,389 @@
+const crypto = require('crypto');
+const Media = require('../models/Media');
+const Message = require('../models/Message');
+const { logger } = require('../utils/logger');
+const { createStorage } = require('./MediaStorage');
+const { AppError, ValidationError } = require('../middleware/errorHandler');
+
+const THUMBNAIL_VARIANT = 'thumbnail';
+const VARIANTS = ['original', THUMBNAIL_VARIANT];
+
+// Gängige Endungen für Storage-Keys (nur kosmetisch, Content-Type kommt aus dem Media-Dokument)
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'video/mp4': '.mp4',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'application/pdf': '.pdf'
+};
+
+// Von WhatsApp nativ unterstützte Formate je Medienart - alles andere geht als Dokument raus
+const OUTGOING_MEDIA_TYPES = {
+  image: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+  video: ['video/mp4', 'video/3gpp'],
+  audio: ['audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/amr', 'audio/opus']
+};
+
+const MIMETYPE_PATTERN = /^[a-z]+\/[a-z0-9][a-z0-9!#$&^_.+-]*$/;
+
+// 'audio/ogg; codecs=opus' -> 'audio/ogg'
+const baseMimetype = (mimetype) => String(mimetype).split(';')[0].trim().toLowerCase();
+
+/**
+ * Medien speichern, ausliefern und aufräumen
+ *
+ * - Empfangene Anhänge werden (wenn config.enableMedia der Instanz aktiv ist) heruntergeladen
+ *   und im Storage-Backend abgelegt, für Bilder entsteht ein JPEG-Thumbnail (sharp).
+ * - Auslieferung über /api/media/{mediaId} (JWT) oder zeitlich begrenzte signierte URLs.
+ * - Retention: Dateien laufen nach MEDIA_RETENTION_DAYS ab (0 = unbegrenzt).
+ */
+class MediaService {
+  constructor(options = {}) {
+    this.config = {
+      storage: process.env.MEDIA_STORAGE || 'local',
+      localDir: process.env.MEDIA_LOCAL_DIR || './media',
+      s3: {
+        endpoint: process.env.MEDIA_S3_ENDPOINT,
+        region: process.env.MEDIA_S3_REGION || 'us-east-1',
+        bucket: process.env.MEDIA_S3_BUCKET,
+        accessKeyId: process.env.MEDIA_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.MEDIA_S3_SECRET_ACCESS_KEY,
+        forcePathStyle: process.env.MEDIA_S3_FORCE_PATH_STYLE
+          ? process.env.MEDIA_S3_FORCE_PATH_STYLE === 'true'
+          : undefined
+      },
+      maxSizeBytes: (parseInt(process.env.MEDIA_MAX_SIZE_MB) || 64) * 1024 * 1024,
+      retentionDays: process.env.MEDIA_RETENTION_DAYS !== undefined
+        ? parseInt(process.env.MEDIA_RETENTION_DAYS) || 0
+        : 30,
+      urlSecret: process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET,
+      urlTtlSeconds: parseInt(process.env.MEDIA_URL_TTL) || 3600,
+      maxUrlTtlSeconds: 7 * 24 * 60 * 60,
+      thumbnailSize: 320,
+      ...options
+    };
+
+    this.storage = this.config.storageBackend || createStorage(this.config);
+  }
+
+  storageKey(instanceId, mediaId, mimetype, suffix = '') {
+    const now = new Date();
+    const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+    const extension = suffix ? '.jpg' : (EXTENSIONS[mimetype] || '');
+    return `${instanceId}/${now.getUTCFullYear()}/${month}/${mediaId}${suffix}${extension}`;
+  }
+
+  /**
+   * Datei ablegen und Media-Dokument anlegen
+   * @returns {Promise<Media>}
+   */
+  async store({ instanceId, userId, buffer, mimetype, filename, source, waMessageId }) {
+    if (buffer.length > this.config.maxSizeBytes) {
+      throw new Error(`Media exceeds maximum size of ${Math.round(this.config.maxSizeBytes / 1024 / 1024)} MB`);
+    }
+
+    const media = new Media({
+      instanceId,
+      userId,
+      waMessageId,
+      source,
+      mimetype: mimetype || 'application/octet-stream',
+      filename,
+      size: buffer.length,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      expiresAt: this.config.retentionDays > 0
+        ? new Date(Date.now() + this.config.retentionDays * 24 * 60 * 60 * 1000)
+        : undefined
+    });
+    media.storageKey = this.storageKey(instanceId, media.mediaId, media.mimetype);
+
+    await this.storage.put(media.storageKey, buffer, { contentType: media.mimetype });
+
+    const thumbnail = await this.createThumbnail(buffer, media.mimetype);
+    if (thumbnail) {
+      media.thumbnailKey = this.storageKey(instanceId, media.mediaId, media.mimetype, '_thumb');
+      await this.storage.put(media.thumbnailKey, thumbnail, { contentType: 'image/jpeg' });
+    }
+
+    try {
+      await media.save();
+    } catch (error) {
+      // Keine verwaisten Dateien zurücklassen
+      await this.deleteFiles(media);
+      throw error;
+    }
+
+    return media;
+  }
+
+  /**
+   * JPEG-Thumbnail für Bilder (null für andere Typen oder wenn sharp nicht verfügbar ist)
+   */
+  async createThumbnail(buffer, mimetype) {
+    if (!mimetype.startsWith('image/')) return null;
+
+    try {
+      const sharp = require('sharp');
+      const size = this.config.thumbnailSize;
+
+      return await sharp(buffer)
+        .rotate() // EXIF-Orientierung übernehmen
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 70 })
+        .toBuffer();
+    } catch (error) {
+      logger.warn(`Thumbnail generation failed (${mimetype}): ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Anhang einer empfangenen Nachricht herunterladen und mit der gespeicherten Nachricht verknüpfen
+   * @returns {Promise<Media|null>} null, wenn der Anhang nicht (mehr) verfügbar oder zu groß ist
+   */
+  async storeIncoming(instanceId, userId, waMessage) {
+    const waMessageId = waMessage.id._serialized;
+    const announcedSize = waMessage._data?.size;
+
+    if (announcedSize && announcedSize > this.config.maxSizeBytes) {
+      logger.warn(`Skipping media download for ${waMessageId}: ${announcedSize} bytes exceeds limit`);
+      return null;
+    }
+
+    const existing = await Media.findOne({ instanceId, waMessageId });
+    if (existing) return existing;
+
+    const download = await waMessage.downloadMedia();
+    if (!download || !download.data) {
+      logger.warn(`Media for ${waMessageId} is no longer available`);
+      return null;
+    }
+
+    const media = await this.store({
+      instanceId,
+      userId,
+      buffer: Buffer.from(download.data, 'base64'),
+      mimetype: download.mimetype,
+      filename: download.filename || undefined,
+      source: 'incoming',
+      waMessageId
+    });
+
+    await Message.updateOne({ instanceId, waMessageId }, {
+      'media.mediaUrl': media.url,
+      'media.thumbnailUrl': media.thumbnailUrl || undefined,
+      'media.filesize': media.size,
+      'media.mimetype': media.mimetype
+    });
+
+    logger.info(`Media stored for ${waMessageId}`, { instanceId, mediaId: media.mediaId, size: media.size });
+    return media;
+  }
+
+  /**
+   * Medienart einer ausgehenden Datei (image | video | audio | document)
+   */
+  static mediaCategory(mimetype, { sendAsDocument = false } = {}) {
+    if (sendAsDocument) return 'document';
+
+    const type = baseMimetype(mimetype);
+    const category = Object.keys(OUTGOING_MEDIA_TYPES).find(key => OUTGOING_MEDIA_TYPES[key].includes(type));
+    return category || 'document';
+  }
+
+  /**
+   * Ausgehende Datei gegen Format, Sendeoptionen und Plan-Limits des Owners prüfen
+   * @param {User} user - Owner der Instanz (Admins ohne Plan-Limits)
+   * @param {{ mimetype: string, size: number }} file
+   * @param {{ sendAsDocument?, sendAsSticker?, sendAsVoice? }} sendOptions
+   * @returns {string} Medienart
+   */
+  validateOutgoing(user, { mimetype, size }, sendOptions = {}) {
+    const type = baseMimetype(mimetype || '');
+    if (!MIMETYPE_PATTERN.test(type)) {
+      throw new ValidationError('mimetype must be a valid MIME type (e.g. image/jpeg)', 'mimetype');
+    }
+
+    const modes = ['sendAsDocument', 'sendAsSticker', 'sendAsVoice'].filter(option => sendOptions[option]);
+    if (modes.length > 1) {
+      throw new ValidationError(`Options ${modes.join(' and ')} cannot be combined`, modes[1]);
+    }
+
+    const category = MediaService.mediaCategory(type, sendOptions);
+
+    if (sendOptions.sendAsSticker && category !== 'image') {
+      throw new AppError(`Stickers require an image (${OUTGOING_MEDIA_TYPES.image.join(', ')})`, 415, 'UNSUPPORTED_MEDIA_TYPE');
+    }
+    if (sendOptions.sendAsVoice && category !== 'audio') {
+      throw new AppError(`Voice notes require audio (${OUTGOING_MEDIA_TYPES.audio.join(', ')})`, 415, 'UNSUPPORTED_MEDIA_TYPE');
+    }
+
+    if (!(size > 0)) {
+      throw new ValidationError('Media file is empty', 'media');
+    }
+
+    const maxBytes = user.isAdmin
+      ? this.config.maxSizeBytes
+      : Math.min(this.config.maxSizeBytes, user.planLimits.maxMediaSizeMB * 1024 * 1024);
+    if (size > maxBytes) {
+      throw new AppError(`Media exceeds the maximum size of ${+(maxBytes / 1024 / 1024).toFixed(2)} MB for this plan`, 413, 'MEDIA_TOO_LARGE');
+    }
+
+    if (!user.isAdmin && !user.planLimits.allowedMediaTypes.includes(category)) {
+      throw new AppError(`Your plan does not allow sending ${category} media`, 403, 'MEDIA_TYPE_NOT_ALLOWED');
+    }
+
+    return category;
+  }
+
+  /**
+   * Gesendete Datei mit der gespeicherten Nachricht verknüpfen
+   *
+   * Uploads werden als Media (source 'upload') abgelegt, wenn `storeFile` gesetzt ist;
+   * bereits gespeicherte Medien (mediaId) werden nur verlinkt.
+   * @returns {Promise<Media|null>}
+   */
+  async recordOutgoing(instanceId, userId, waMessageId, { buffer, mimetype, filename, media = null, storeFile = true }) {
+    if (!media && buffer && storeFile) {
+      media = await this.store({ instanceId, userId, buffer, mimetype, filename, source: 'upload', waMessageId });
+    }
+
+    const fields = {
+      'media.hasMedia': true,
+      'media.mimetype': mimetype,
+      'media.filesize': media ? media.size : buffer?.length
+    };
+    if (filename) fields['media.filename'] = filename;
+    if (media) {
+      fields['media.mediaUrl'] = media.url;
+      if (media.thumbnailUrl) fields['media.thumbnailUrl'] = media.thumbnailUrl;
+    }
+
+    await Message.updateOne({ instanceId, waMessageId }, { $set: fields });
+    return media;
+  }
+
+  /**
+   * Dateiinhalt lesen
+   * @param {'original'|'thumbnail'} variant
+   * @returns {Promise<{ buffer: Buffer, contentType: string }|null>}
+   */
+  async read(media, variant = 'original') {
+    const key = variant === THUMBNAIL_VARIANT ? media.thumbnailKey : media.storageKey;
+    if (!key) return null;
+
+    const buffer = await this.storage.get(key);
+    if (!buffer) return null;
+
+    return {
+      buffer,
+      contentType: variant === THUMBNAIL_VARIANT ? 'image/jpeg' : media.mimetype
+    };
+  }
+
+  signature(mediaId, variant, expires) {
+    return crypto
+      .createHmac('sha256', this.config.urlSecret)
+      .update(`${mediaId}:${variant}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Zeitlich begrenzte Download-URL (ohne Login nutzbar)
+   * @returns {{ url: string, expiresAt: string }}
+   */
+  signUrl(mediaId, { variant = 'original', ttlSeconds } = {}) {
+    if (!VARIANTS.includes(variant)) {
+      throw new Error(`variant must be one of: ${VARIANTS.join(', ')}`);
+    }
+
+    const ttl = Math.min(Math.max(parseInt(ttlSeconds) || this.config.urlTtlSeconds, 1), this.config.maxUrlTtlSeconds);
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const params = new URLSearchParams({
+      variant,
+      expires: String(expires),
+      signature: this.signature(mediaId, variant, expires)
+    });
+
+    return {
+      url: `/api/media/${mediaId}/download?${params.toString()}`,
+      expiresAt: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  verifyUrl(mediaId, { variant = 'original', expires, signature } = {}) {
+    const expiresAt = parseInt(expires);
+    if (!VARIANTS.includes(variant) || !expiresAt || !signature) return false;
+    if (expiresAt < Math.floor(Date.now() / 1000)) return false;
+
+    const expected = Buffer.from(this.signature(mediaId, variant, expiresAt));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  async deleteFiles(media) {
+    await this.storage.delete(media.storageKey);
+    if (media.thumbnailKey) {
+      await this.storage.delete(media.thumbnailKey);
+    }
+  }
+
+  /**
+   * Datei, Dokument und Verweis in der Nachricht entfernen
+   */
+  async remove(media) {
+    await this.deleteFiles(media);
+    await Media.deleteOne({ _id: media._id });
+
+    if (media.waMessageId) {
+      await Message.updateOne(
+        { instanceId: media.instanceId, waMessageId: media.waMessageId },
+        { $unset: { 'media.mediaUrl': 1, 'media.thumbnailUrl': 1 } }
+      );
+    }
+  }
+
+  /**
+   * Abgelaufene Medien löschen (Retention)
+   * @returns {Promise<number>} Anzahl gelöschter Dateien
+   */
+  async purgeExpired(batchSize = 100) {
+    let removed = 0;
+
+    for (;;) {
+      const batch = await Media.findExpired(batchSize);
+      if (batch.length === 0) break;
+
+      for (const media of batch) {
+        try {
+          await this.remove(media);
+          removed++;
+        } catch (error) {
+          logger.error(`Failed to purge media ${media.mediaId}:`, error);
+          return removed; // Storage-Problem - beim nächsten Lauf erneut versuchen
+        }
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`Media retention: ${removed} expired files removed`);
+    }
+    return removed;
+  }
+
+  async deleteByInstance(instanceId) {
+    const items = await Media.find({ instanceId });
+    for (const media of items) {
+      await this.remove(media);
+    }
+    return items.length;
+  }
+}
+
+MediaService.VARIANTS = VARIANTS;
+
+module.exports = MediaService;
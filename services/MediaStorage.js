@@ -0,0 +1,214 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+/**
+ * Austauschbare Speicher-Backends für Medien
+ *
+ * Alle Backends implementieren dieselbe Schnittstelle:
+ * - put(key, buffer, { contentType })  -> Promise<void>
+ * - get(key)                           -> Promise<Buffer|null> (null = nicht vorhanden)
+ * - delete(key)                        -> Promise<void> (fehlende Objekte sind kein Fehler)
+ *
+ * Keys sind relative Pfade mit '/' als Trenner (z.B. inst_123/2024/01/abc.jpg).
+ */
+
+/**
+ * Lokales Dateisystem (Default)
+ */
+class LocalStorage {
+  constructor({ root }) {
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key '${key}'`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Erst vollständig schreiben, dann umbenennen - keine halben Dateien bei Abbruch
+    const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempPath, buffer);
+    await fs.rename(tempPath, filePath);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 - wie von AWS für kanonische URIs verlangt ('/' bleibt erhalten)
+const encodeKey = (key) => key.split('/')
+  .map(segment => encodeURIComponent(segment).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`))
+  .join('/');
+
+/**
+ * S3-kompatibler Object-Storage (AWS S3, MinIO, ...) mit Signature Version 4
+ *
+ * Lokal testbar mit scripts/s3-stand-in.js.
+ */
+class S3Storage {
+  constructor({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle, timeoutMs = 30000 }) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage requires bucket, accessKeyId and secretAccessKey');
+    }
+
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.timeoutMs = timeoutMs;
+
+    // Eigener Endpoint (MinIO, Stand-in) -> Path-Style, sonst virtuelle Hosts von AWS
+    this.forcePathStyle = forcePathStyle !== undefined ? forcePathStyle : Boolean(endpoint);
+    this.endpoint = (endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/+$/, '');
+  }
+
+  objectUrl(key) {
+    const url = new URL(this.endpoint);
+    if (this.forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/+$/, '')}/${this.bucket}/${encodeKey(key)}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `/${encodeKey(key)}`;
+    }
+    return url;
+  }
+
+  /**
+   * SigV4-Signatur berechnen
+   * @param {Object} request - method, url (URL), headers (lowercase, inkl. host/x-amz-*), payloadHash,
+   *                           amzDate, region, secretAccessKey
+   * @returns {{ signature: string, scope: string, signedHeaders: string }}
+   */
+  static signature({ method, url, headers, payloadHash, amzDate, region, secretAccessKey }) {
+    const signedHeaders = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const canonicalHeaders = signedHeaders
+      .map(name => `${name}:${String(headers[name]).trim()}\n`)
+      .join('');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      url.searchParams.toString(),
+      canonicalHeaders,
+      signedHeaders.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+    );
+
+    return {
+      signature: crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex'),
+      scope,
+      signedHeaders: signedHeaders.join(';')
+    };
+  }
+
+  async request(method, key, body = null, contentType = null) {
+    const url = this.objectUrl(key);
+    const payloadHash = sha256(body || '');
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+
+    const headers = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+
+    const { signature, scope, signedHeaders } = S3Storage.signature({
+      method,
+      url,
+      headers,
+      payloadHash,
+      amzDate,
+      region: this.region,
+      secretAccessKey: this.secretAccessKey
+    });
+
+    return fetch(url.toString(), {
+      method,
+      body,
+      timeout: this.timeoutMs,
+      headers: {
+        ...headers,
+        ...(contentType && { 'Content-Type': contentType }),
+        Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      }
+    });
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    const response = await this.request('PUT', key, buffer, contentType || 'application/octet-stream');
+    if (!response.ok) {
+      throw new Error(`S3 PUT ${key} failed: HTTP ${response.status} ${await response.text()}`);
+    }
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`S3 GET ${key} failed: HTTP ${response.status}`);
+    }
+    return response.buffer();
+  }
+
+  async delete(key) {
+    const response = await this.request('DELETE', key);
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`S3 DELETE ${key} failed: HTTP ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Backend anhand der Konfiguration erzeugen (MEDIA_STORAGE: local | s3)
+ */
+function createStorage(config) {
+  switch (config.storage) {
+    case 'local':
+      return new LocalStorage({ root: config.localDir });
+    case 's3':
+      return new S3Storage(config.s3);
+    default:
+      throw new Error(`Unknown media storage '${config.storage}'`);
+  }
+}
+
+module.exports = {
+  LocalStorage,
+  S3Storage,
+  createStorage
+};
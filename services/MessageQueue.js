@@ -0,0 +1,387 @@
+const OutboundMessage = require('../models/OutboundMessage');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+const { ValidationError, NotFoundError, AppError } = require('../middleware/errorHandler');
+const { METHOD_SCHEMAS, getSchema, validateParams } = require('./methodSchemas');
+const WhatsAppProxy = require('./WhatsAppProxy');
+
+// Fehler, bei denen ein erneuter Versuch nichts ändert (ungültige Empfänger etc.)
+const PERMANENT_ERROR_PATTERNS = [/invalid wid/i, /wid error/i, /not a group/i];
+
+/**
+ * Persistente Outbound-Queue (MongoDB)
+ *
+ * - Nimmt Nachrichten auch an, während eine Instanz (neu) verbindet
+ * - Sendet pro Instanz sequenziell im Abstand von config.messageDelay und
+ *   innerhalb von config.rateLimitPerMinute (gemeinsames Fenster mit dem Proxy)
+ * - Wiederholt transiente Fehler mit exponentiellem Backoff bis maxAttempts
+ * - Aufträge, die beim Absturz in 'processing' hingen, werden beim Start bzw. beim
+ *   Failover auf einen anderen Knoten wieder eingereiht (at-least-once)
+ */
+class MessageQueue {
+  constructor(instanceManager, options = {}) {
+    this.instanceManager = instanceManager;
+    this.proxy = new WhatsAppProxy(instanceManager);
+    this.workers = new Map(); // instanceId -> Promise (laufender Sende-Worker)
+    this.pollTimer = null;
+    this.polling = false;
+    this.running = false;
+
+    this.config = {
+      pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL) || 2000,
+      retryBaseDelayMs: parseInt(process.env.QUEUE_RETRY_BASE_DELAY) || 5000,
+      retryMaxDelayMs: parseInt(process.env.QUEUE_RETRY_MAX_DELAY) || 10 * 60 * 1000,
+      ...options
+    };
+  }
+
+  get serverId() {
+    return this.instanceManager.serverId;
+  }
+
+  /**
+   * Queue starten - hängengebliebene Aufträge wieder einreihen, Polling starten
+   */
+  async start() {
+    const modifiedCount = await this.requeueLocked({ lockedBy: this.serverId });
+    if (modifiedCount > 0) {
+      logger.warn(`Requeued ${modifiedCount} outbound messages left in processing`);
+    }
+
+    this.running = true;
+    this.pollTimer = setInterval(() => this.poll(), this.config.pollIntervalMs);
+
+    logger.info(`Message queue started (poll interval: ${this.config.pollIntervalMs}ms)`);
+  }
+
+  /**
+   * Aufträge einer übernommenen Instanz wieder einreihen, die der ausgefallene Knoten gesperrt hatte
+   * (sonst bleiben sie für immer in 'processing')
+   * @returns {Promise<number>} Anzahl wieder eingereihter Aufträge
+   */
+  async requeueFromNode(instanceId, nodeId) {
+    const modifiedCount = await this.requeueLocked({ instanceId, lockedBy: nodeId });
+    if (modifiedCount > 0) {
+      logger.warn(`Requeued ${modifiedCount} outbound messages of ${instanceId} locked by ${nodeId}`);
+    }
+    return modifiedCount;
+  }
+
+  async requeueLocked(filter) {
+    const { modifiedCount } = await OutboundMessage.updateMany(
+      { status: 'processing', ...filter },
+      { status: 'queued', nextAttemptAt: new Date(), $unset: { lockedBy: 1, lockedAt: 1 } }
+    );
+    return modifiedCount;
+  }
+
+  /**
+   * Polling stoppen und laufende Sendevorgänge abwarten
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    await Promise.allSettled(Array.from(this.workers.values()));
+    logger.info('Message queue stopped');
+  }
+
+  /**
+   * Nachricht einreihen
+   * Mit `scopes` (API-Key) wird wie beim direkten Proxy-Aufruf die Berechtigung geprüft
+   * @returns {Promise<OutboundMessage>}
+   */
+  async enqueue({ instanceId, userId, keyId, scopes, method = 'sendMessage', params = [], options = {}, maxAttempts, expiresAt }) {
+    const schema = getSchema(method);
+    if (!schema || !schema.outgoing) {
+      throw new ValidationError(
+        `Method '${method}' cannot be queued. Queueable methods: ${MessageQueue.QUEUEABLE_METHODS.join(', ')}`,
+        'method'
+      );
+    }
+
+    if (scopes) {
+      this.proxy.authorize(method, scopes);
+    }
+
+    if (!Array.isArray(params)) {
+      throw new ValidationError('params must be an array', 'params');
+    }
+    validateParams(method, params);
+
+    if (expiresAt !== undefined && expiresAt !== null) {
+      expiresAt = new Date(expiresAt);
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        throw new ValidationError('expiresAt must be a future date', 'expiresAt');
+      }
+    }
+
+    if (maxAttempts !== undefined && (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 20)) {
+      throw new ValidationError('maxAttempts must be an integer between 1 and 20', 'maxAttempts');
+    }
+
+    const item = await OutboundMessage.create({
+      instanceId,
+      userId,
+      keyId,
+      method,
+      params,
+      options,
+      chatId: this.getChatId(schema, params),
+      ...(maxAttempts && { maxAttempts }),
+      ...(expiresAt && { expiresAt })
+    });
+
+    logger.info(`Outbound message queued: ${item._id}`, { instanceId, method });
+
+    // Nicht auf das nächste Polling warten, falls die Instanz bereit ist
+    this.startWorker(instanceId);
+
+    return item;
+  }
+
+  // Ziel-Chat für Filter/Anzeige (bei reply aus der Message-ID: true_<chatId>_<id>)
+  getChatId(schema, params) {
+    if (schema.target === 'message') {
+      return params[2] || params[0].split('_')[1];
+    }
+    return params[0];
+  }
+
+  /**
+   * Auftrag abbrechen (nur solange er noch nicht gesendet wird)
+   */
+  async cancel(instanceId, id) {
+    const item = await OutboundMessage.findOneAndUpdate(
+      { _id: id, instanceId, status: 'queued' },
+      { status: 'cancelled', completedAt: new Date() },
+      { new: true }
+    );
+
+    if (item) return item;
+
+    const existing = await OutboundMessage.findOne({ _id: id, instanceId });
+    if (!existing) {
+      throw new NotFoundError('Queued message');
+    }
+
+    throw new AppError(`Message cannot be cancelled (status: ${existing.status})`, 409, 'QUEUE_ITEM_NOT_CANCELLABLE');
+  }
+
+  /**
+   * Zähler pro Status für eine Instanz
+   */
+  async getStats(instanceId) {
+    const counts = await OutboundMessage.aggregate([
+      { $match: { instanceId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return counts.reduce((stats, { _id, count }) => {
+      stats[_id] = count;
+      return stats;
+    }, { queued: 0, processing: 0, sent: 0, failed: 0, cancelled: 0, expired: 0 });
+  }
+
+  /**
+   * Fällige Aufträge suchen und pro bereiter Instanz einen Worker starten
+   */
+  async poll() {
+    if (this.polling || !this.running) return;
+    this.polling = true;
+
+    try {
+      await this.expireItems();
+
+      const readyIds = Array.from(this.instanceManager.instances.entries())
+        .filter(([instanceId, data]) => data.instance.status === 'ready' && !this.workers.has(instanceId))
+        .map(([instanceId]) => instanceId);
+
+      if (readyIds.length === 0) return;
+
+      const dueIds = await OutboundMessage.distinct('instanceId', {
+        instanceId: { $in: readyIds },
+        status: 'queued',
+        nextAttemptAt: { $lte: new Date() }
+      });
+
+      dueIds.forEach(instanceId => this.startWorker(instanceId));
+    } catch (error) {
+      logger.error('Message queue poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Abgelaufene, noch nicht gesendete Aufträge abschließen
+  async expireItems() {
+    const now = new Date();
+    const { modifiedCount } = await OutboundMessage.updateMany(
+      { status: 'queued', expiresAt: { $ne: null, $lte: now } },
+      { status: 'expired', completedAt: now }
+    );
+
+    if (modifiedCount > 0) {
+      logger.info(`Expired ${modifiedCount} outbound messages`);
+    }
+  }
+
+  startWorker(instanceId) {
+    if (!this.running || this.workers.has(instanceId)) return;
+
+    const instanceData = this.instanceManager.instances.get(instanceId);
+    if (!instanceData || instanceData.instance.status !== 'ready') return;
+
+    const worker = this.drain(instanceId)
+      .catch(error => logger.error(`Message queue worker failed for ${instanceId}:`, error))
+      .finally(() => this.workers.delete(instanceId));
+
+    this.workers.set(instanceId, worker);
+  }
+
+  /**
+   * Fällige Aufträge einer Instanz nacheinander senden
+   */
+  async drain(instanceId) {
+    while (this.running) {
+      const instanceData = this.instanceManager.instances.get(instanceId);
+      if (!instanceData || instanceData.instance.status !== 'ready') return;
+
+      // Rate-Limit-Fenster voll -> beim nächsten Polling nach Fensterende weiter
+      if (this.getRateLimitDelay(instanceData) > 0) return;
+
+      const item = await this.claimNext(instanceId);
+      if (!item) return;
+
+      await this.deliver(instanceId, instanceData, item);
+
+      const messageDelay = instanceData.instance.config.messageDelay || 0;
+      if (messageDelay > 0) {
+        await new Promise(resolve => setTimeout(resolve, messageDelay));
+      }
+    }
+  }
+
+  // Ältesten fälligen Auftrag atomar sperren
+  claimNext(instanceId) {
+    const now = new Date();
+    return OutboundMessage.findOneAndUpdate(
+      {
+        instanceId,
+        status: 'queued',
+        nextAttemptAt: { $lte: now },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      },
+      {
+        status: 'processing',
+        lockedBy: this.serverId,
+        lockedAt: now,
+        $inc: { attempts: 1 }
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  // Millisekunden bis wieder gesendet werden darf (0 = sofort)
+  getRateLimitDelay(instanceData) {
+    const limit = instanceData.instance.config.rateLimitPerMinute || 20;
+    const now = Date.now();
+
+    if (!instanceData.rateLimitWindow || now - instanceData.rateLimitWindow > 60000) {
+      return 0;
+    }
+
+    return instanceData.rateLimitCount >= limit ? instanceData.rateLimitWindow + 60000 - now : 0;
+  }
+
+  async deliver(instanceId, instanceData, item) {
+    let quotaConsumed = false;
+
+    try {
+      await this.instanceManager.checkRateLimit(instanceId);
+
+      // Kontingent erst beim tatsächlichen Senden belasten
+      await this.proxy.consumeMessageQuota(item.userId);
+      quotaConsumed = true;
+
+      const result = await this.proxy.dispatch(instanceData.client, item.method, item.params);
+
+      if (result?.id) {
+        await this.instanceManager.saveOutgoingMessage(instanceId, result, result.body || '', item.options);
+      }
+
+      instanceData.messageCount++;
+      instanceData.lastActivity = Date.now();
+
+      const now = new Date();
+      await OutboundMessage.updateOne({ _id: item._id }, {
+        status: 'sent',
+        waMessageId: result?.id?._serialized,
+        sentAt: now,
+        completedAt: now,
+        $unset: { lockedBy: 1, lockedAt: 1 }
+      });
+
+      logger.info(`Outbound message sent: ${item._id}`, { instanceId, attempts: item.attempts });
+    } catch (error) {
+      if (quotaConsumed) await User.refundMessageQuota(item.userId);
+      await this.handleFailure(instanceId, item, error);
+    }
+  }
+
+  async handleFailure(instanceId, item, error) {
+    const lastError = {
+      message: error.message,
+      code: error.code || 'WHATSAPP_ERROR',
+      timestamp: new Date()
+    };
+
+    // Verbindung verloren oder Rate-Limit-Fenster (z.B. durch Proxy-Aufrufe) voll
+    // -> später erneut, ohne den Versuch zu zählen
+    const instanceData = this.instanceManager.instances.get(instanceId);
+    const deferred = !instanceData || instanceData.instance.status !== 'ready' ||
+      /rate limit exceeded/i.test(error.message || '');
+
+    if (!deferred && (this.isPermanentError(error) || item.attempts >= item.maxAttempts)) {
+      await OutboundMessage.updateOne({ _id: item._id }, {
+        status: 'failed',
+        lastError,
+        completedAt: new Date(),
+        $unset: { lockedBy: 1, lockedAt: 1 }
+      });
+
+      logger.error(`Outbound message failed: ${item._id}`, { instanceId, attempts: item.attempts, error: error.message });
+      return;
+    }
+
+    const delay = deferred ? 0 : Math.min(
+      this.config.retryBaseDelayMs * Math.pow(2, item.attempts - 1),
+      this.config.retryMaxDelayMs
+    );
+
+    await OutboundMessage.updateOne({ _id: item._id }, {
+      status: 'queued',
+      lastError,
+      nextAttemptAt: new Date(Date.now() + delay),
+      ...(deferred && { $inc: { attempts: -1 } }),
+      $unset: { lockedBy: 1, lockedAt: 1 }
+    });
+
+    logger.warn(`Outbound message retry scheduled: ${item._id}`, { instanceId, attempts: item.attempts, delay, error: error.message });
+  }
+
+  isPermanentError(error) {
+    if (error.isOperational && error.statusCode >= 400 && error.statusCode < 500 && error.statusCode !== 429) {
+      return true;
+    }
+    return PERMANENT_ERROR_PATTERNS.some(pattern => pattern.test(error.message || ''));
+  }
+}
+
+MessageQueue.QUEUEABLE_METHODS = Object.keys(METHOD_SCHEMAS).filter(method => METHOD_SCHEMAS[method].outgoing);
+
+module.exports = MessageQueue;
@@ -1,4 +1,3 @@
-const { Client, LocalAuth, NoAuth } = require('whatsapp-web.js');
 const puppeteerExtra = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const qrcode = require('qrcode');
@@ -10,7 +9,22 @@ const util = require('util');
 
 const Instance = require('../models/Instance');
 const Message = require('../models/Message');
+const OutboundMessage = require('../models/OutboundMessage');
+const SessionBackup = require('../models/SessionBackup');
+const User = require('../models/User');
 const { logger } = require('../utils/logger');
+const { serializeId } = require('../utils/serializers');
+const { QuotaExceededError } = require('../middleware/errorHandler');
+const MessageQueue = require('./MessageQueue');
+const WebhookDispatcher = require('./WebhookDispatcher');
+const MediaService = require('./MediaService');
+const EventStream = require('./EventStream');
+const SessionBackupService = require('./SessionBackupService');
+const SessionVault = require('./SessionVault');
+const InstanceTransfer = require('./InstanceTransfer');
+const ClusterCoordinator = require('./ClusterCoordinator');
+const WorkerClient = require('./WorkerClient');
+const { createClient } = require('./whatsappWorker');
 
 puppeteerExtra.use(StealthPlugin());
 
@@ -24,6 +38,15 @@ class ProductionInstanceManager extends EventEmitter {
     this.serverId = process.env.SERVER_ID || require('os').hostname();
     this.healthCheckInterval = null;
     this.recoveryInProgress = false;
+    this.messageQueue = new MessageQueue(this);
+    this.webhookDispatcher = new WebhookDispatcher(this);
+    this.mediaService = new MediaService();
+    this.eventStream = new EventStream(this);
+    this.sessionVault = new SessionVault();
+    this.sessionBackups = new SessionBackupService(this.sessionVault);
+    this.instanceTransfer = new InstanceTransfer(this);
+    this.cluster = new ClusterCoordinator(this);
+    this.groupInfoCache = new Map(); // "instanceId:chatId" -> { groupInfo, fetchedAt }
 
     // Production-Konfiguration
     this.config = {
@@ -32,7 +55,9 @@ class ProductionInstanceManager extends EventEmitter {
       maxMemoryPerInstance: parseInt(process.env.MAX_MEMORY_PER_INSTANCE) || 512, // MB
       maxErrorCount: parseInt(process.env.MAX_ERROR_COUNT) || 3,
       restartDelay: parseInt(process.env.RESTART_DELAY) || 5000, // 5 Sekunden
-      sessionCleanupDays: parseInt(process.env.SESSION_CLEANUP_DAYS) || 7
+      stopTimeoutMs: parseInt(process.env.STOP_TIMEOUT) || 15000, // 15 Sekunden
+      sessionCleanupDays: parseInt(process.env.SESSION_CLEANUP_DAYS) || 7,
+      clientWorkers: process.env.CLIENT_WORKERS !== 'false' // Jeder Client in eigenem Prozess (WorkerClient)
     };
 
     logger.info('ProductionInstanceManager initialized', {
@@ -48,15 +73,35 @@ class ProductionInstanceManager extends EventEmitter {
     try {
       logger.info('Starting ProductionInstanceManager...');
 
+      // 0. Event-Log für SSE (vor der Recovery, damit deren Events gepuffert werden)
+      this.eventStream.attach();
+
+      // 0b. Im Cluster anmelden (Heartbeat, Leases) - vor der Recovery
+      await this.cluster.start();
+
       // 1. Bestehende Browser-Processes recovern
       await this.recoverExistingInstances();
 
+      // 1b. Lokale Session-Kopien umgezogener Instanzen löschen, Klartext-Sessions verschlüsseln
+      await this.cleanupTransferredSessions();
+      if (this.sessionVault.enabled) {
+        await this.sessionVault.sealIdle(Array.from(this.instances.keys()));
+      } else if (process.env.NODE_ENV === 'production') {
+        logger.warn('SESSION_ENCRYPTION_KEY not set - WhatsApp sessions are stored unencrypted');
+      }
+
       // 2. Health-Monitoring starten
       this.startHealthMonitoring();
 
       // 3. Cleanup-Tasks starten
       this.startCleanupTasks();
 
+      // 4. Outbound-Queue starten (hängengebliebene Aufträge wieder einreihen)
+      await this.messageQueue.start();
+
+      // 5. Webhook-Retries starten
+      await this.webhookDispatcher.start();
+
       logger.info('ProductionInstanceManager started successfully');
     } catch (error) {
       logger.error('Failed to start ProductionInstanceManager:', error);
@@ -76,6 +121,11 @@ class ProductionInstanceManager extends EventEmitter {
       this.healthCheckInterval = null;
     }
 
+    // Outbound-Queue stoppen (laufende Sendevorgänge abschließen)
+    await this.messageQueue.stop();
+    await this.webhookDispatcher.stop();
+    this.eventStream.stop();
+
     // Alle Instanzen sauber beenden
     const instances = Array.from(this.instances.keys());
     for (const instanceId of instances) {
@@ -86,6 +136,13 @@ class ProductionInstanceManager extends EventEmitter {
       }
     }
 
+    // Verbliebene Leases freigeben, Knoten abmelden
+    try {
+      await this.cluster.stop();
+    } catch (error) {
+      logger.error('Error leaving cluster:', error);
+    }
+
     logger.info('ProductionInstanceManager stopped');
   }
 
@@ -112,6 +169,11 @@ class ProductionInstanceManager extends EventEmitter {
         try {
           await this.recoverSingleInstance(instance);
         } catch (error) {
+          // Inzwischen von einem anderen Knoten übernommen - dort läuft sie weiter
+          if (error.code === 'LEASE_HELD') {
+            logger.info(`Skipping recovery of ${instance.instanceId}: ${error.message}`);
+            continue;
+          }
           logger.error(`Failed to recover instance ${instance.instanceId}:`, error);
           await instance.logError(error);
           await instance.setStatus('error');
@@ -148,6 +210,7 @@ class ProductionInstanceManager extends EventEmitter {
         logger.info(`New instance ${instanceId} loaded into memory`);
         return true;
       } catch (error) {
+        if (error.code === 'LEASE_HELD') throw error;
         logger.error(`Failed to load new instance ${instanceId}:`, error);
         await instance.setStatus('error');
         return false;
@@ -185,6 +248,7 @@ class ProductionInstanceManager extends EventEmitter {
           return true;
         }
       } catch (error) {
+        if (error.code === 'LEASE_HELD') throw error;
         logger.warn(`Failed to reconnect to instance ${instanceId}:`, error.message);
       }
     }
@@ -221,6 +285,8 @@ class ProductionInstanceManager extends EventEmitter {
       return await this.createWhatsAppClient(instanceId, instance);
 
     } catch (error) {
+      // Nicht fremde Session-Dateien als "tot" aufräumen
+      if (error.code === 'LEASE_HELD') throw error;
       logger.warn(`Reconnect to ${instanceId} failed:`, error.message);
       return null;
     }
@@ -303,8 +369,16 @@ class ProductionInstanceManager extends EventEmitter {
         return;
       }
 
-      // 3. Client-Check
-      if (client && client.pupPage) {
+      // 3. Client-Check (Worker: Ping über IPC prüft Worker und Browser)
+      if (client instanceof WorkerClient && client.running) {
+        try {
+          await client.ping(5000);
+        } catch (error) {
+          logger.warn(`Instance ${instanceId} worker not responsive:`, error.message);
+          await this.handleInstanceCrash(instanceId, instanceData, 'worker_unresponsive');
+          return;
+        }
+      } else if (client && client.pupPage) {
         try {
           // Einfacher Ping zum Browser
           const isResponsive = await Promise.race([
@@ -332,6 +406,17 @@ class ProductionInstanceManager extends EventEmitter {
       // 5. Activity-Update
       instanceData.lastActivity = Date.now();
 
+      this.emit('instanceHealth', {
+        instanceId,
+        health: {
+          status: instance.status,
+          memory: memoryUsage || 0,
+          uptime: Math.floor((Date.now() - instanceData.startTime) / 1000),
+          messageCount: instanceData.messageCount,
+          lastActivity: new Date(instanceData.lastActivity).toISOString()
+        }
+      });
+
     } catch (error) {
       logger.error(`Health check failed for instance ${instanceId}:`, error);
       await instance.logError(error);
@@ -347,17 +432,22 @@ class ProductionInstanceManager extends EventEmitter {
 
       logger.warn(`Handling instance crash: ${instanceId}, reason: ${reason}`);
 
+      // Weitere Events des abgestürzten Clients (z.B. Browser nach Worker) ignorieren
+      instanceData.stopping = true;
+
       await instance.logError(new Error(`Instance crashed: ${reason}`));
       await instance.setStatus('error');
 
       // Aus Memory entfernen
       this.instances.delete(instanceId);
+      await this.cluster.release(instanceId);
 
-      // Cleanup
-      await this.cleanupBrowserFiles(instanceId);
+      // Reste beenden (Worker bzw. Browser) - die Session bleibt für den Neustart erhalten
+      this.killBrowserProcess(instanceId, instanceData);
 
-      // Auto-Restart prüfen
-      if (instance.config.autoReconnect && !instance.needsRestart()) {
+      // Auto-Restart prüfen (needsRestart() ist nach setStatus('error') immer true - Fehlerzähler
+      // begrenzt stattdessen Crash-Schleifen, er wird bei erfolgreicher Anmeldung zurückgesetzt)
+      if (instance.config.autoReconnect && instance.errorCount < this.config.maxErrorCount) {
         logger.info(`Auto-restarting instance ${instanceId}...`);
 
         setTimeout(async () => {
@@ -376,6 +466,50 @@ class ProductionInstanceManager extends EventEmitter {
     }
   }
 
+  /**
+   * Lease an einen anderen Knoten verloren - lokale Kopie sofort beenden
+   * Keine DB-Updates und kein Aufräumen der Session: die Instanz gehört jetzt dem anderen Knoten
+   */
+  async handleLeaseLost(instanceId, reason) {
+    const instanceData = this.instances.get(instanceId);
+    if (!instanceData) return;
+
+    instanceData.stopping = true;
+    this.instances.delete(instanceId);
+    this.killBrowserProcess(instanceId, instanceData);
+
+    logger.warn(`Instance ${instanceId} stopped locally: ${reason}`);
+    this.emit('instanceLeaseLost', { instanceId, reason });
+  }
+
+  /**
+   * Instanz eines ausgefallenen Knotens übernehmen (Lease hält bereits der ClusterCoordinator)
+   * Ohne lokale Session wird das neueste Session-Backup eingespielt (geteilter BACKUP_PATH),
+   * sonst ist ein neuer QR-Scan nötig.
+   */
+  async failoverInstance(instance, fromNode) {
+    const { instanceId } = instance;
+    logger.warn(`Failing over instance ${instanceId} from ${fromNode} to ${this.serverId}`);
+
+    const hasSession = await this.sessionVault.hasSession(instanceId) || await this.sessionVault.isSealed(instanceId);
+    if (!hasSession) {
+      const backup = await SessionBackup.findLatest(instanceId);
+      if (backup && await this.sessionBackups.archiveExists(backup)) {
+        await this.sessionBackups.restore(instance, backup);
+      } else {
+        logger.warn(`No session for ${instanceId} on this server - a new QR scan will be required`);
+      }
+    }
+
+    // Beim Ausfall gesperrte Aufträge - werden nach 'ready' von hier gesendet
+    await this.messageQueue.requeueFromNode(instanceId, fromNode);
+
+    await this.loadInstance(instance);
+    await this.startInstance(instanceId);
+
+    this.emit('instanceFailover', { instanceId, instance, fromNode, toNode: this.serverId });
+  }
+
   /**
    * Memory-Usage für Process ermitteln
    */
@@ -435,11 +569,64 @@ class ProductionInstanceManager extends EventEmitter {
 
     cron.schedule('0 2 * * *', async () => {
       await this.performSessionCleanup();
+      await this.cleanupTransferredSessions();
+    });
+
+    // Monatskontingente am 1. um 00:00 zurücksetzen (beim Start verpasste Resets nachholen)
+    cron.schedule('0 0 1 * *', async () => {
+      await this.performMonthlyUsageReset();
+    });
+    this.performMonthlyUsageReset();
+
+    // Abgelaufene Medien täglich um 03:30 löschen
+    cron.schedule('30 3 * * *', async () => {
+      await this.performMediaRetention();
+    });
+
+    // Abgelaufene Session-Backups täglich um 04:00 löschen
+    cron.schedule('0 4 * * *', async () => {
+      await this.performBackupRetention();
     });
 
     logger.info('Cleanup tasks scheduled');
   }
 
+  /**
+   * Monatliche Nachrichtenzähler zurücksetzen
+   */
+  async performMonthlyUsageReset() {
+    try {
+      const count = await User.resetMonthlyUsageForAll();
+      if (count > 0) {
+        logger.info(`Monthly usage reset for ${count} users`);
+      }
+    } catch (error) {
+      logger.error('Monthly usage reset failed:', error);
+    }
+  }
+
+  /**
+   * Medien-Retention (MEDIA_RETENTION_DAYS)
+   */
+  async performMediaRetention() {
+    try {
+      await this.mediaService.purgeExpired();
+    } catch (error) {
+      logger.error('Media retention failed:', error);
+    }
+  }
+
+  /**
+   * Session-Backup-Retention (BACKUP_RETENTION_DAYS)
+   */
+  async performBackupRetention() {
+    try {
+      await this.sessionBackups.purgeExpired();
+    } catch (error) {
+      logger.error('Session backup retention failed:', error);
+    }
+  }
+
   /**
    * Alte Sessions bereinigen
    */
@@ -450,8 +637,11 @@ class ProductionInstanceManager extends EventEmitter {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - this.config.sessionCleanupDays);
 
-      // Nicht-aktive Instanzen älter als N Tage
+      // Nicht-aktive Instanzen dieses Servers älter als N Tage
+      // (nicht die anderer Cluster-Knoten - bei geteiltem sessions-Ordner wären das deren Dateien)
       const oldInstances = await Instance.find({
+        serverId: this.serverId,
+        'lease.nodeId': { $in: [null, this.serverId] },
         lastHeartbeat: { $lt: cutoffDate },
         status: { $in: ['stopped', 'error', 'disconnected'] }
       });
@@ -472,6 +662,30 @@ class ProductionInstanceManager extends EventEmitter {
     }
   }
 
+  /**
+   * Session-Dateien von Instanzen löschen, die von hier auf einen anderen Server umgezogen sind
+   * (Export hier, Import dort - serverId zeigt danach auf den neuen Server)
+   */
+  async cleanupTransferredSessions() {
+    try {
+      const moved = await Instance.find({
+        'transfer.sourceServerId': this.serverId,
+        'transfer.importedAt': { $ne: null },
+        serverId: { $ne: this.serverId }
+      }).select('instanceId serverId');
+
+      for (const { instanceId, serverId } of moved) {
+        if (this.instances.has(instanceId)) continue;
+        if (!await this.sessionVault.hasSession(instanceId) && !await this.sessionVault.isSealed(instanceId)) continue;
+
+        await this.cleanupBrowserFiles(instanceId);
+        logger.info(`Removed local session of ${instanceId} (moved to ${serverId})`);
+      }
+    } catch (error) {
+      logger.error('Cleanup of transferred sessions failed:', error);
+    }
+  }
+
   /**
    * Browser-Files für Instanz bereinigen
    */
@@ -482,6 +696,7 @@ class ProductionInstanceManager extends EventEmitter {
 
       try {
         await fs.rm(sessionPath, { recursive: true, force: true });
+        await fs.rm(this.sessionVault.sealedPath(instanceId), { force: true });
         await fs.rm(profilePath, { recursive: true, force: true });
         logger.debug(`Cleaned up browser files for ${instanceId}`);
       } catch (error) {
@@ -517,8 +732,7 @@ class ProductionInstanceManager extends EventEmitter {
         userId,
         serverId: this.serverId,
         config: config || {},
-        browserProfile: browserProfile || this.generateBrowserProfile(),
-        apiKey: this.generateApiKey()
+        browserProfile: browserProfile || this.generateBrowserProfile()
       });
 
       await instance.save();
@@ -551,6 +765,12 @@ class ProductionInstanceManager extends EventEmitter {
     const sessionPath = path.join('./sessions', instanceId);
     const profilePath = path.join('./browser-profiles', instanceId);
 
+    // Lease übernehmen - läuft die Instanz auf einem anderen Knoten, bricht das hier ab (409 LEASE_HELD)
+    await this.cluster.acquire(instanceId);
+
+    // Verschlüsselte Session für LocalAuth entschlüsseln
+    await this.sessionVault.hydrate(instanceId);
+
     // Ordner erstellen
     await fs.mkdir(sessionPath, { recursive: true });
     await fs.mkdir(profilePath, { recursive: true });
@@ -580,11 +800,12 @@ class ProductionInstanceManager extends EventEmitter {
       `--lang=${instance.browserProfile.language || 'en-US'}`
     ];
 
-    const client = new Client({
-      authStrategy: new LocalAuth({
+    // Serialisierbare Optionen - werden bei Worker-Betrieb per IPC übergeben
+    const options = {
+      auth: {
         clientId: instanceId,
         dataPath: sessionPath
-      }),
+      },
       puppeteer: {
         executablePath: puppeteerExtra.executablePath(),
         headless: process.env.NODE_ENV === 'production' ? 'new' : true,
@@ -602,7 +823,11 @@ class ProductionInstanceManager extends EventEmitter {
         type: 'remote',
         remotePath: 'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/2.2412.54.html'
       }
-    });
+    };
+
+    const client = this.config.clientWorkers
+      ? new WorkerClient(instanceId, options)
+      : createClient(options);
 
     // Event-Handler registrieren
     this.setupClientEventHandlers(client, instanceId);
@@ -643,8 +868,7 @@ class ProductionInstanceManager extends EventEmitter {
         const info = client.info;
 
         // Process-ID speichern für Recovery
-        const browserProcess = client.pupBrowser?.process();
-        const processId = browserProcess?.pid;
+        const processId = client.browserPid || client.pupBrowser?.process()?.pid;
 
         await this.updateInstanceStatus(instanceId, 'ready', {
           phoneNumber: info.wid.user,
@@ -683,13 +907,16 @@ class ProductionInstanceManager extends EventEmitter {
     });
 
     client.on('disconnected', async (reason) => {
+      // Stop/Logout über die API - Status setzt der Aufrufer, kein Auto-Reconnect
+      const instanceData = this.instances.get(instanceId);
+      if (!instanceData || instanceData.stopping) return;
+
       await this.updateInstanceStatus(instanceId, 'disconnected');
       this.emit('disconnected', { instanceId, reason });
       logger.warn(`Instance ${instanceId} disconnected: ${reason}`);
 
       // Auto-Reconnect mit Production-Logic
-      const instanceData = this.instances.get(instanceId);
-      if (instanceData?.instance?.config?.autoReconnect) {
+      if (instanceData.instance?.config?.autoReconnect) {
         const instance = await Instance.findOne({ instanceId });
         if (instance && !instance.needsRestart()) {
           logger.info(`Scheduling auto-restart for ${instanceId}`);
@@ -702,15 +929,101 @@ class ProductionInstanceManager extends EventEmitter {
       await this.handleIncomingMessage(instanceId, message);
     });
 
+    // Auch auf anderen Geräten (Telefon, WhatsApp Web) gesendete Nachrichten speichern
+    client.on('message_create', async (message) => {
+      if (!message.fromMe) return;
+
+      try {
+        await this.saveOutgoingMessage(instanceId, message);
+      } catch (error) {
+        logger.error(`Failed to save outgoing message for ${instanceId}:`, error);
+      }
+    });
+
     client.on('message_ack', async (message, ack) => {
-      await this.updateMessageAck(instanceId, message.id.id, ack);
+      try {
+        // Veraltete ACKs (Reihenfolge ist nicht garantiert) lösen kein Event aus
+        if (await this.updateMessageAck(instanceId, message, ack)) {
+          this.emit('messageAck', { instanceId, message, ack });
+        }
+      } catch (error) {
+        logger.error(`Failed to handle message ack for ${instanceId}:`, error);
+      }
+    });
+
+    client.on('message_revoke_everyone', async (message, revokedMessage) => {
+      try {
+        const deletedAt = new Date();
+        await Message.markRevoked(instanceId, message.id._serialized, deletedAt);
+        this.emit('messageRevoked', { instanceId, message, revokedMessage, deletedAt });
+      } catch (error) {
+        logger.error(`Failed to handle message revoke for ${instanceId}:`, error);
+      }
+    });
+
+    client.on('message_edit', async (message, newBody, previousBody) => {
+      try {
+        const editedAt = message._data?.latestEditSenderTimestampMs
+          ? new Date(message._data.latestEditSenderTimestampMs)
+          : new Date();
+
+        const stored = await Message.applyEdit(instanceId, message.id._serialized, {
+          body: String(newBody ?? ''),
+          previousBody: String(previousBody ?? ''),
+          editedAt
+        });
+        // Nur verspätete ältere Bearbeitungen werden verworfen, unbekannte Nachrichten nicht
+        if (!stored && await Message.exists({ instanceId, waMessageId: message.id._serialized })) return;
+
+        this.emit('messageEdited', { instanceId, message, body: newBody, previousBody, editedAt });
+      } catch (error) {
+        logger.error(`Failed to handle message edit for ${instanceId}:`, error);
+      }
+    });
+
+    client.on('message_reaction', async (reaction) => {
+      try {
+        const timestamp = reaction.timestamp ? new Date(reaction.timestamp * 1000) : new Date();
+        await Message.applyReaction(instanceId, serializeId(reaction.msgId), {
+          emoji: reaction.reaction,
+          senderId: serializeId(reaction.senderId),
+          timestamp
+        });
+        this.emit('messageReaction', { instanceId, reaction, timestamp });
+      } catch (error) {
+        logger.error(`Failed to handle message reaction for ${instanceId}:`, error);
+      }
     });
 
+    client.on('group_join', (notification) => {
+      this.emit('groupJoin', { instanceId, notification });
+    });
+
+    client.on('group_leave', (notification) => {
+      this.emit('groupLeave', { instanceId, notification });
+    });
+
+    // Worker: Absturz von Worker bzw. Browser sofort behandeln (nicht erst beim Health-Check)
+    if (client instanceof WorkerClient) {
+      for (const event of ['worker_exit', 'browser_disconnected']) {
+        client.on(event, () => {
+          const instanceData = this.instances.get(instanceId);
+          if (!instanceData || instanceData.stopping || instanceData.client !== client) return;
+
+          logger.warn(`${event === 'worker_exit' ? 'Worker' : 'Browser'} of instance ${instanceId} exited`);
+          this.handleInstanceCrash(instanceId, instanceData, event === 'worker_exit' ? 'worker_exited' : 'browser_disconnected');
+        });
+      }
+    }
+
     // Production: Browser-Process-Events
     if (client.pupBrowser) {
       client.pupBrowser.on('disconnected', () => {
+        const instanceData = this.instances.get(instanceId);
+        if (!instanceData || instanceData.stopping) return;
+
         logger.warn(`Browser process disconnected for instance ${instanceId}`);
-        this.handleInstanceCrash(instanceId, this.instances.get(instanceId), 'browser_disconnected');
+        this.handleInstanceCrash(instanceId, instanceData, 'browser_disconnected');
       });
     }
   }
@@ -725,11 +1038,16 @@ class ProductionInstanceManager extends EventEmitter {
         throw new Error('Instance not found in memory');
       }
 
-      await this.updateInstanceStatus(instanceId, 'connecting');
+      // Offenes Export-Bundle verfällt - die Session läuft ab jetzt hier weiter
+      await this.updateInstanceStatus(instanceId, 'connecting', { 'transfer.exportId': null });
 
-      // Session-Backup erstellen vor Start
+      // Session-Backup vor Start (Browser läuft noch nicht) - Fehler verhindern den Start nicht
       if (instanceData.instance.sessionBackup.enabled) {
-        await instanceData.instance.createSessionBackup();
+        try {
+          await this.sessionBackups.create(instanceData.instance, { reason: 'start' });
+        } catch (error) {
+          logger.error(`Session backup failed for ${instanceId}:`, error);
+        }
       }
 
       await instanceData.client.initialize();
@@ -759,24 +1077,43 @@ class ProductionInstanceManager extends EventEmitter {
         return;
       }
 
+      // Erwartetes Ende - kein Auto-Reconnect bzw. Crash-Handling auslösen
+      instanceData.stopping = true;
+
       if (graceful) {
         logger.info(`Gracefully stopping instance ${instanceId}...`);
 
-        // WhatsApp-Client sauber beenden
+        // WhatsApp-Client sauber beenden, bei Hänger Browser-Process beenden
         if (instanceData.client) {
-          await instanceData.client.destroy();
+          try {
+            await this.withTimeout(instanceData.client.destroy(), this.config.stopTimeoutMs, 'Client destroy timed out');
+          } catch (error) {
+            logger.warn(`Graceful stop failed for ${instanceId}, forcing: ${error.message}`);
+            this.killBrowserProcess(instanceId, instanceData);
+          }
         }
+      } else {
+        logger.warn(`Force stopping instance ${instanceId}...`);
+        this.killBrowserProcess(instanceId, instanceData);
       }
 
       // Aus Memory entfernen
       this.instances.delete(instanceId);
 
+      // Session wieder verschlüsseln (Browser ist beendet)
+      try {
+        await this.sessionVault.seal(instanceId);
+      } catch (error) {
+        logger.error(`Failed to seal session for ${instanceId}:`, error);
+      }
+
       // Process-Info löschen
       const instance = await Instance.findOne({ instanceId });
       if (instance) {
         await instance.clearProcessInfo();
         await instance.setStatus('stopped');
       }
+      await this.cluster.release(instanceId);
 
       this.emit('instanceStopped', { instanceId });
       logger.info(`Instance ${instanceId} stopped`);
@@ -787,6 +1124,125 @@ class ProductionInstanceManager extends EventEmitter {
     }
   }
 
+  /**
+   * Browser-Process hart beenden (Force-Stop)
+   */
+  killBrowserProcess(instanceId, instanceData) {
+    const { client } = instanceData;
+    const processId = client?.browserPid || client?.pupBrowser?.process()?.pid || instanceData.processId;
+
+    if (client instanceof WorkerClient) {
+      client.kill();
+    }
+    if (!processId) return;
+
+    try {
+      process.kill(processId, 'SIGKILL');
+      logger.info(`Killed browser process ${processId} for instance ${instanceId}`);
+    } catch (error) {
+      logger.debug(`Browser process ${processId} for ${instanceId} already gone: ${error.message}`);
+    }
+  }
+
+  withTimeout(promise, timeoutMs, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Instanz aus DB in den Speicher laden (Client erstellen, noch nicht starten)
+   */
+  async loadInstance(instance) {
+    const { instanceId } = instance;
+    if (this.instances.has(instanceId)) {
+      return this.instances.get(instanceId);
+    }
+
+    const client = await this.createWhatsAppClient(instanceId, instance);
+    const instanceData = {
+      client,
+      instance,
+      startTime: Date.now(),
+      messageCount: 0,
+      lastActivity: Date.now()
+    };
+
+    this.instances.set(instanceId, instanceData);
+    logger.info(`Instance ${instanceId} loaded into memory`);
+    return instanceData;
+  }
+
+  /**
+   * WhatsApp-Session abmelden und lokale Session-Daten löschen
+   * Danach muss die Instanz neu gekoppelt werden (repairInstance)
+   */
+  async logoutInstance(instanceId) {
+    const instanceData = this.instances.get(instanceId);
+
+    if (instanceData) {
+      instanceData.stopping = true;
+
+      if (instanceData.instance.status === 'ready') {
+        try {
+          await this.withTimeout(instanceData.client.logout(), this.config.stopTimeoutMs, 'Logout timed out');
+        } catch (error) {
+          logger.warn(`WhatsApp logout failed for ${instanceId}: ${error.message}`);
+        }
+      }
+
+      await this.stopInstance(instanceId, true);
+    }
+
+    await this.cleanupBrowserFiles(instanceId);
+    await Instance.updateOne(
+      { instanceId },
+      { status: 'stopped', phoneNumber: null, qrCode: null, processId: null, updatedAt: new Date() }
+    );
+
+    this.emit('instanceLoggedOut', { instanceId });
+    logger.info(`Instance ${instanceId} logged out`);
+  }
+
+  /**
+   * Neu koppeln: abmelden, frischen Client starten -> neuer QR-Code
+   */
+  async repairInstance(instanceId) {
+    await this.logoutInstance(instanceId);
+
+    const instance = await Instance.findOne({ instanceId });
+    if (!instance) {
+      throw new Error('Instance not found in database');
+    }
+
+    await this.loadInstance(instance);
+    await this.startInstance(instanceId);
+
+    logger.info(`Instance ${instanceId} re-pairing started`);
+    return instance;
+  }
+
+  /**
+   * Geänderte Einstellungen auf laufende Instanz anwenden
+   * config (messageDelay, rateLimitPerMinute, webhookUrl, autoReconnect, ...) wird bei jeder
+   * Verwendung aus dem In-Memory-Dokument gelesen und gilt damit sofort
+   * @returns {boolean} true, wenn die Instanz im Speicher war
+   */
+  applyInstanceUpdate(instanceId, updates) {
+    const instanceData = this.instances.get(instanceId);
+    if (!instanceData) return false;
+
+    instanceData.instance.set(updates);
+
+    // Wartende Nachrichten mit neuem Tempo weiter senden
+    this.messageQueue.startWorker(instanceId);
+
+    this.emit('instanceUpdated', { instanceId, updates });
+    return true;
+  }
+
   /**
    * Instanz neustarten (Production-erweitert)
    */
@@ -842,8 +1298,8 @@ class ProductionInstanceManager extends EventEmitter {
    * Status aktualisieren (mit Process-Info)
    */
   async updateInstanceStatus(instanceId, status, additionalData = {}) {
-    await Instance.updateOne(
-      { instanceId },
+    const result = await Instance.updateOne(
+      { instanceId, ...this.cluster.fence(instanceId) },
       {
         status,
         ...additionalData,
@@ -851,6 +1307,23 @@ class ProductionInstanceManager extends EventEmitter {
         updatedAt: new Date()
       }
     );
+
+    // Lease inzwischen von einem anderen Knoten übernommen - dessen Status nicht überschreiben
+    if (result.matchedCount === 0) {
+      logger.warn(`Status update '${status}' for ${instanceId} rejected (instance deleted or lease lost)`);
+      return;
+    }
+
+    // In-Memory-Dokument synchron halten (Proxy prüft instanceData.instance.status)
+    const instanceData = this.instances.get(instanceId);
+    if (instanceData?.instance) {
+      instanceData.instance.set({ status, ...additionalData });
+    }
+
+    // Nach (Re-)Connect wartende Nachrichten sofort senden
+    if (status === 'ready') {
+      this.messageQueue.startWorker(instanceId);
+    }
   }
 
   // Weitere originale Methoden...
@@ -859,17 +1332,16 @@ class ProductionInstanceManager extends EventEmitter {
       // Nachricht in DB speichern
       await this.saveIncomingMessage(instanceId, message);
 
-      // Webhook senden falls konfiguriert
-      const instanceData = this.instances.get(instanceId);
-      if (instanceData?.instance?.config?.webhookUrl) {
-        const { sendWebhook } = require('../routes/webhooks');
-        await sendWebhook(instanceId, 'message', message);
-      }
-
-      // Event emittieren
+      // Event emittieren (Webhooks abonnieren Manager-Events, siehe instanceEvents)
       this.emit('messageReceived', { instanceId, message });
 
+      // Anhang im Hintergrund speichern (config.enableMedia der Instanz)
+      if (message.hasMedia) {
+        this.downloadIncomingMedia(instanceId, message);
+      }
+
       // Aktivität aktualisieren
+      const instanceData = this.instances.get(instanceId);
       if (instanceData) {
         instanceData.lastActivity = Date.now();
         instanceData.messageCount++;
@@ -880,48 +1352,65 @@ class ProductionInstanceManager extends EventEmitter {
     }
   }
 
+  async downloadIncomingMedia(instanceId, waMessage) {
+    const instanceData = this.instances.get(instanceId);
+    if (!instanceData || instanceData.instance.config?.enableMedia === false) return;
+
+    try {
+      await this.mediaService.storeIncoming(instanceId, instanceData.instance.userId, waMessage);
+    } catch (error) {
+      logger.error(`Failed to store media for ${instanceId}:`, error);
+    }
+  }
+
   async saveIncomingMessage(instanceId, waMessage) {
     const instanceData = this.instances.get(instanceId);
     if (!instanceData) return;
 
-    const message = new Message({
-      messageId: waMessage.id.id,
-      instanceId,
-      userId: instanceData.instance.userId,
-      waMessageId: waMessage.id.id,
-      chatId: waMessage.from,
-      from: waMessage.from,
-      to: waMessage.to,
-      type: waMessage.type,
-      body: waMessage.body,
-      direction: 'inbound',
-      isFromMe: waMessage.fromMe,
-      hasQuotedMsg: waMessage.hasQuotedMsg,
-      isForwarded: waMessage.isForwarded,
-      timestamp: new Date(waMessage.timestamp * 1000),
-      metadata: {
-        deviceType: waMessage.deviceType,
-        timestamp: new Date(waMessage.timestamp * 1000)
-      }
+    await Message.ingest(instanceId, instanceData.instance.userId, waMessage, {
+      groupInfo: await this.resolveGroupInfo(instanceId, waMessage)
     });
+  }
+
+  /**
+   * Gruppen-Infos für gespeicherte Nachrichten (pro Chat 5 Minuten gecacht,
+   * damit nicht jede Gruppennachricht einen Browser-Roundtrip kostet)
+   */
+  async resolveGroupInfo(instanceId, waMessage) {
+    const chatId = waMessage.fromMe ? waMessage.to : waMessage.from;
+    if (!chatId || !chatId.endsWith('@g.us')) return { isGroup: false };
 
-    if (waMessage.hasMedia) {
-      message.media = {
-        hasMedia: true,
-        mimetype: waMessage._data.mimetype,
-        filename: waMessage._data.filename,
-        filesize: waMessage._data.filesize
+    const cacheKey = `${instanceId}:${chatId}`;
+    const cached = this.groupInfoCache.get(cacheKey);
+    if (cached && Date.now() - cached.fetchedAt < 5 * 60 * 1000) return cached.groupInfo;
+
+    try {
+      const chat = await waMessage.getChat();
+      const groupInfo = {
+        isGroup: true,
+        groupName: chat.name,
+        groupParticipants: (chat.participants || []).map(participant => participant.id._serialized),
+        adminOnly: Boolean(chat.groupMetadata?.announce)
       };
-    }
 
-    await message.save();
+      this.groupInfoCache.set(cacheKey, { groupInfo, fetchedAt: Date.now() });
+      return groupInfo;
+    } catch (error) {
+      logger.warn(`Failed to resolve group info for ${chatId}: ${error.message}`);
+      return { isGroup: true };
+    }
   }
 
-  async updateMessageAck(instanceId, messageId, ack) {
-    await Message.updateOne(
-      { instanceId, messageId },
-      { ack }
-    );
+  /**
+   * ACK übernehmen
+   * @returns {Promise<boolean>} false, wenn der ACK veraltet ist (gespeicherter Stand ist neuer)
+   */
+  async updateMessageAck(instanceId, waMessage, ack) {
+    const waMessageId = waMessage.id._serialized;
+    if (await Message.applyAck(instanceId, waMessageId, ack)) return true;
+
+    // Nicht gespeicherte Nachricht (z.B. vor Einführung des Verlaufs) - Event trotzdem weitergeben
+    return !(await Message.exists({ instanceId, waMessageId }));
   }
 
   generateBrowserProfile() {
@@ -943,10 +1432,6 @@ class ProductionInstanceManager extends EventEmitter {
     };
   }
 
-  generateApiKey() {
-    return require('crypto').randomBytes(32).toString('hex');
-  }
-
   getInstances() {
     return Array.from(this.instances.keys());
   }
@@ -964,8 +1449,20 @@ class ProductionInstanceManager extends EventEmitter {
       // Rate-Limiting prüfen
       await this.checkRateLimit(instanceId);
 
+      // Monatliches Nachrichtenkontingent belasten
+      const userId = instanceData.instance.userId;
+      if (!await User.consumeMessageQuota(userId)) {
+        throw new QuotaExceededError('Monthly message quota exceeded for this plan');
+      }
+
       // Nachricht senden
-      const message = await instanceData.client.sendMessage(chatId, content, options);
+      let message;
+      try {
+        message = await instanceData.client.sendMessage(chatId, content, options);
+      } catch (error) {
+        await User.refundMessageQuota(userId);
+        throw error;
+      }
 
       // In DB speichern
       await this.saveOutgoingMessage(instanceId, message, content, options);
@@ -990,30 +1487,20 @@ class ProductionInstanceManager extends EventEmitter {
   /**
    * Ausgehende Nachricht speichern
    */
-  async saveOutgoingMessage(instanceId, waMessage, content, options) {
+  async saveOutgoingMessage(instanceId, waMessage, content, options = {}) {
     const instanceData = this.instances.get(instanceId);
     if (!instanceData) return;
 
-    const message = new Message({
-      messageId: waMessage.id.id,
-      instanceId,
-      userId: instanceData.instance.userId,
-      waMessageId: waMessage.id.id,
-      chatId: waMessage.to,
-      from: waMessage.from,
-      to: waMessage.to,
-      type: waMessage.type || 'chat',
-      body: typeof content === 'string' ? content : (content.caption || ''),
-      direction: 'outbound',
-      isFromMe: true,
-      timestamp: new Date(waMessage.timestamp * 1000),
-      metadata: {
-        deviceType: waMessage.deviceType,
-        timestamp: new Date(waMessage.timestamp * 1000)
-      }
-    });
+    const extra = {
+      groupInfo: await this.resolveGroupInfo(instanceId, waMessage)
+    };
+
+    // Rückgabe von sendMessage enthält bei Text nicht immer den body
+    if (!waMessage.body && content) {
+      extra.body = typeof content === 'string' ? content : (options.caption || content.caption || '');
+    }
 
-    await message.save();
+    await Message.ingest(instanceId, instanceData.instance.userId, waMessage, extra);
   }
 
   /**
@@ -1054,12 +1541,17 @@ class ProductionInstanceManager extends EventEmitter {
         await this.stopInstance(instanceId, true);
       }
 
-      // Session- und Profil-Ordner löschen
+      // Session- und Profil-Ordner sowie Datenschlüssel löschen
       await this.cleanupBrowserFiles(instanceId);
+      await this.sessionVault.purge(instanceId);
 
       // Aus DB entfernen
       await Instance.deleteOne({ instanceId });
       await Message.deleteMany({ instanceId });
+      await OutboundMessage.updateMany(
+        { instanceId, status: 'queued' },
+        { status: 'cancelled', completedAt: new Date() }
+      );
 
       this.emit('instanceDeleted', { instanceId });
       logger.info(`Instance ${instanceId} deleted successfully`);
@@ -1075,8 +1567,8 @@ class ProductionInstanceManager extends EventEmitter {
    */
   async sendWebhook(instanceId, event, data) {
     try {
-      const { sendWebhook } = require('../routes/webhooks');
-      return await sendWebhook(instanceId, event, data);
+      const deliveries = await this.webhookDispatcher.dispatch(instanceId, event, data);
+      return { success: true, deliveryIds: deliveries.map(delivery => delivery.deliveryId) };
     } catch (error) {
       logger.error('Webhook send error:', error);
       return { success: false, error: error.message };
@@ -1094,6 +1586,7 @@ class ProductionInstanceManager extends EventEmitter {
       messageCount: instanceData.messageCount,
       lastActivity: instanceData.lastActivity,
       processId: instanceData.processId,
+      workerPid: instanceData.client instanceof WorkerClient ? instanceData.client.pid : null,
       recovered: instanceData.recovered || false
     };
   }
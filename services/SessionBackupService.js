@@ -0,0 +1,247 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const SessionBackup = require('../models/SessionBackup');
+const { logger } = require('../utils/logger');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+const { unpack, sha256File } = require('../utils/sessionArchive');
+
+/**
+ * Backups der LocalAuth-Session-Ordner (./sessions/<instanceId>)
+ *
+ * - Archiv: tar.gz unter BACKUP_PATH/<instanceId>/, Prüfsumme (SHA-256) im SessionBackup-Dokument
+ * - Mit Session-Verschlüsselung (SessionVault) als .tar.gz.enc mit dem Datenschlüssel der Instanz
+ * - Automatisch vor jedem Start (Browser läuft dann nicht - konsistenter Stand), zusätzlich manuell
+ * - Unveränderte Sessions erzeugen kein neues Archiv (gleiche Prüfsumme wie das letzte)
+ * - Retention: BACKUP_RETENTION_DAYS und BACKUP_MAX_PER_INSTANCE, das neueste Backup bleibt immer
+ * - Restore prüft die Prüfsumme und tauscht den Session-Ordner erst nach vollständigem Entpacken
+ */
+class SessionBackupService {
+  constructor(vault, options = {}) {
+    this.vault = vault;
+    this.config = {
+      backupDir: process.env.BACKUP_PATH || './backups',
+      retentionDays: parseInt(process.env.BACKUP_RETENTION_DAYS) || 30,
+      maxPerInstance: parseInt(process.env.BACKUP_MAX_PER_INSTANCE) || 10,
+      ...options
+    };
+  }
+
+  archivePath(backup) {
+    const root = path.resolve(this.config.backupDir);
+    const filePath = path.resolve(root, backup.file);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new AppError(`Invalid backup path '${backup.file}'`, 500, 'INVALID_BACKUP_PATH');
+    }
+    return filePath;
+  }
+
+  /**
+   * Session-Ordner archivieren
+   * @param {Instance} instance
+   * @param {{ reason?: 'start'|'manual'|'pre_restore', keep?: Array }} options - keep: Backup-IDs (_id),
+   *        die das Limit nicht entfernen darf (z.B. das gerade wiederhergestellte)
+   * @returns {Promise<SessionBackup|null>} null, wenn (noch) keine Session existiert
+   */
+  async create(instance, { reason = 'manual', keep = [] } = {}) {
+    const { instanceId } = instance;
+    const encrypted = this.vault.enabled;
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(instanceId, `${instanceId}-${stamp}.tar.gz${encrypted ? '.enc' : ''}`);
+    const target = this.archivePath({ file });
+    const tempBase = `${target}.${crypto.randomBytes(4).toString('hex')}`;
+    const archivePath = `${tempBase}.tar.gz`;
+    const encryptedPath = `${tempBase}.enc`;
+
+    // Archive enthalten Zugangsdaten - nur für den Server-Benutzer lesbar
+    await fs.mkdir(path.dirname(target), { recursive: true, mode: 0o700 });
+
+    try {
+      const exported = await this.vault.exportArchive(instanceId, archivePath);
+      if (!exported) return null;
+      await fs.chmod(archivePath, 0o600);
+
+      // Unveränderte Session (z.B. mehrere Starts ohne Login dazwischen) - letztes Backup reicht
+      // Verglichen wird der Klartext, verschlüsselte Archive unterscheiden sich durch den IV
+      const contentSha256 = await sha256File(archivePath);
+      const latest = await SessionBackup.findLatest(instanceId);
+      if (latest && Boolean(latest.encrypted) === encrypted &&
+          (latest.contentSha256 || latest.sha256) === contentSha256 && await this.archiveExists(latest)) {
+        await this.recordOnInstance(instance, latest);
+        return latest;
+      }
+
+      let keyId = null;
+      let storedPath = archivePath;
+      if (encrypted) {
+        ({ keyId } = await this.vault.encryptFile(instanceId, archivePath, encryptedPath));
+        storedPath = encryptedPath;
+      }
+
+      const [{ size }, sha256] = await Promise.all([fs.stat(storedPath), sha256File(storedPath)]);
+      await fs.rename(storedPath, target);
+
+      const backup = await SessionBackup.create({
+        instanceId,
+        userId: instance.userId,
+        reason,
+        file,
+        size,
+        sha256,
+        contentSha256,
+        encrypted,
+        keyId,
+        fileCount: exported.fileCount
+      });
+
+      await this.recordOnInstance(instance, backup);
+      await this.enforceLimit(instanceId, { keep });
+
+      logger.info(`Session backup created for ${instanceId}`, { backupId: backup.backupId, size, reason, encrypted });
+      return backup;
+    } finally {
+      await fs.rm(archivePath, { force: true });
+      await fs.rm(encryptedPath, { force: true });
+    }
+  }
+
+  async recordOnInstance(instance, backup) {
+    instance.sessionBackup.lastBackup = backup.createdAt;
+    instance.sessionBackup.backupPath = this.archivePath(backup);
+    instance.sessionBackup.backupSize = backup.size;
+    await instance.save();
+  }
+
+  async archiveExists(backup) {
+    try {
+      await fs.access(this.archivePath(backup));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Archiv prüfen (Datei vorhanden, Prüfsumme stimmt)
+   */
+  async verify(backup) {
+    let sha256;
+    try {
+      sha256 = await sha256File(this.archivePath(backup));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new NotFoundError('Backup file');
+      throw error;
+    }
+
+    if (sha256 !== backup.sha256) {
+      throw new AppError('Backup checksum mismatch - archive is corrupted', 422, 'BACKUP_CORRUPTED');
+    }
+  }
+
+  /**
+   * Session aus Backup wiederherstellen - die Instanz darf nicht laufen
+   *
+   * Der aktuelle Session-Ordner wird vorher selbst gesichert (reason 'pre_restore'),
+   * sofern er sich vom Backup unterscheidet.
+   */
+  async restore(instance, backup) {
+    const { instanceId } = instance;
+    await this.verify(backup);
+
+    const sessionsDir = this.vault.config.sessionsDir;
+    await fs.mkdir(sessionsDir, { recursive: true });
+    const staging = await fs.mkdtemp(path.join(sessionsDir, `.restore-${instanceId}-`));
+
+    try {
+      let archivePath = this.archivePath(backup);
+      if (backup.encrypted) {
+        const decryptedPath = path.join(staging, 'archive.tar.gz');
+        await this.vault.decryptFile(instanceId, archivePath, decryptedPath);
+        archivePath = decryptedPath;
+      }
+
+      const fileCount = await unpack({ file: archivePath, cwd: staging, instanceId });
+      if (fileCount === 0) {
+        throw new AppError('Backup does not contain a session for this instance', 422, 'BACKUP_EMPTY');
+      }
+
+      // Das gewählte Backup kann das älteste sein - nicht dem Limit zum Opfer fallen lassen
+      await this.create(instance, { reason: 'pre_restore', keep: [backup._id] });
+
+      const sessionPath = this.vault.sessionPath(instanceId);
+      await fs.rm(sessionPath, { recursive: true, force: true });
+      await fs.rm(this.vault.sealedPath(instanceId), { force: true });
+      await fs.rename(path.join(staging, instanceId), sessionPath);
+    } finally {
+      await fs.rm(staging, { recursive: true, force: true });
+    }
+
+    // Instanz ist gestoppt - wiederhergestellte Session nicht im Klartext liegen lassen
+    await this.vault.seal(instanceId);
+
+    // Nur das Feld setzen - das Dokument kann inzwischen gelöscht sein (Retention, paralleles Löschen)
+    const restoredAt = new Date();
+    const result = await SessionBackup.updateOne({ _id: backup._id }, { $set: { restoredAt } });
+    if (result.matchedCount === 0) {
+      logger.warn(`Session backup ${backup.backupId} was removed during restore of ${instanceId}`);
+    }
+    backup.restoredAt = restoredAt;
+
+    logger.info(`Session restored for ${instanceId}`, { backupId: backup.backupId });
+    return backup;
+  }
+
+  async remove(backup) {
+    await fs.rm(this.archivePath(backup), { force: true });
+    await SessionBackup.deleteOne({ _id: backup._id });
+  }
+
+  // Höchstens maxPerInstance Backups je Instanz (Backups in `keep` bleiben zusätzlich erhalten)
+  async enforceLimit(instanceId, { keep = [] } = {}) {
+    const kept = new Set(keep.map(String));
+    const backups = await SessionBackup.findByInstance(instanceId);
+    for (const backup of backups.slice(this.config.maxPerInstance)) {
+      if (kept.has(String(backup._id))) continue;
+      await this.remove(backup);
+    }
+  }
+
+  /**
+   * Backups älter als BACKUP_RETENTION_DAYS löschen (das neueste je Instanz bleibt)
+   * @returns {Promise<number>} Anzahl gelöschter Backups
+   */
+  async purgeExpired() {
+    const cutoff = new Date(Date.now() - this.config.retentionDays * 24 * 60 * 60 * 1000);
+    const instanceIds = await SessionBackup.distinct('instanceId', { createdAt: { $lt: cutoff } });
+
+    let removed = 0;
+    for (const instanceId of instanceIds) {
+      const [, ...older] = await SessionBackup.findByInstance(instanceId);
+      for (const backup of older.filter(item => item.createdAt < cutoff)) {
+        try {
+          await this.remove(backup);
+          removed++;
+        } catch (error) {
+          logger.error(`Failed to remove session backup ${backup.backupId}:`, error);
+        }
+      }
+    }
+
+    if (removed > 0) {
+      logger.info(`Session backup retention: ${removed} backups removed`);
+    }
+    return removed;
+  }
+
+  async deleteByInstance(instanceId) {
+    const backups = await SessionBackup.find({ instanceId });
+    for (const backup of backups) {
+      await this.remove(backup);
+    }
+    await fs.rm(path.join(this.config.backupDir, instanceId), { recursive: true, force: true });
+    return backups.length;
+  }
+}
+
+module.exports = SessionBackupService;
@@ -0,0 +1,435 @@
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream, readFileSync } = require('fs');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+const crypto = require('crypto');
+const SessionKey = require('../models/SessionKey');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const sessionArchive = require('../utils/sessionArchive');
+
+// Dateiformat: MAGIC | Version | keyId-Länge | keyId | IV (12) | Ciphertext | Auth-Tag (16)
+// Der Header ist als AAD authentifiziert (keyId kann nicht ausgetauscht werden)
+const MAGIC = Buffer.from('WASV');
+const FORMAT_VERSION = 1;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const ALGORITHM = 'aes-256-gcm';
+
+const decryptError = (detail) =>
+  new AppError(`Session data could not be decrypted: ${detail}`, 422, 'SESSION_DECRYPT_FAILED');
+
+/**
+ * Verschlüsselung von Session-Daten im Ruhezustand (Envelope-Encryption)
+ *
+ * - Master-Key aus SESSION_ENCRYPTION_KEY (32 Byte, base64 oder hex) oder SESSION_ENCRYPTION_KEY_FILE
+ * - Pro Instanz ein zufälliger Datenschlüssel (SessionKey), mit dem Master-Key verschlüsselt gespeichert
+ * - Gestoppte Instanzen liegen nur als ./sessions/<instanceId>.enc vor (seal); createWhatsAppClient
+ *   entschlüsselt vor dem Start wieder nach ./sessions/<instanceId> (hydrate)
+ * - Ohne Master-Key bleibt alles im Klartext (bisheriges Verhalten)
+ */
+class SessionVault {
+  constructor(options = {}) {
+    this.config = {
+      sessionsDir: './sessions',
+      masterKey: process.env.SESSION_ENCRYPTION_KEY,
+      masterKeyFile: process.env.SESSION_ENCRYPTION_KEY_FILE,
+      ...options
+    };
+
+    this.masterKey = SessionVault.loadMasterKey(this.config.masterKey, this.config.masterKeyFile);
+    this.masterKeyId = this.masterKey ? SessionVault.fingerprint(this.masterKey) : null;
+    this.dataKeys = new Map(); // keyId -> Buffer (entschlüsselt)
+  }
+
+  get enabled() {
+    return Boolean(this.masterKey);
+  }
+
+  /**
+   * Master-Key aus Wert oder Datei lesen (32 Byte als base64 oder 64 Hex-Zeichen)
+   * @returns {Buffer|null}
+   */
+  static loadMasterKey(value, keyFile) {
+    let encoded = value;
+    if (!encoded && keyFile) {
+      encoded = readFileSync(keyFile, 'utf8');
+    }
+    if (!encoded || !encoded.trim()) return null;
+
+    encoded = encoded.trim();
+    const key = /^[0-9a-f]{64}$/i.test(encoded)
+      ? Buffer.from(encoded, 'hex')
+      : Buffer.from(encoded, 'base64');
+
+    if (key.length !== 32) {
+      throw new Error('Session encryption key must be 32 bytes (base64 or 64 hex characters)');
+    }
+    return key;
+  }
+
+  // Kurzer, nicht umkehrbarer Bezeichner eines Master-Keys
+  static fingerprint(masterKey) {
+    return crypto.createHmac('sha256', masterKey).update('session-master-key').digest('hex').slice(0, 16);
+  }
+
+  static wrapKey(dataKey, masterKey, { instanceId, keyId }) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, masterKey, iv);
+    cipher.setAAD(Buffer.from(`${instanceId}:${keyId}`));
+    const ciphertext = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  }
+
+  static unwrapKey(wrappedKey, masterKey, { instanceId, keyId }) {
+    const raw = Buffer.from(wrappedKey, 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, masterKey, raw.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(`${instanceId}:${keyId}`));
+    decipher.setAuthTag(raw.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(raw.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  }
+
+  requireEnabled() {
+    if (!this.enabled) {
+      throw new AppError('Session encryption key is not configured', 500, 'SESSION_KEY_MISSING');
+    }
+  }
+
+  unwrapRecord(record) {
+    if (record.masterKeyId !== this.masterKeyId) {
+      throw new AppError(
+        `Session key ${record.keyId} is wrapped with another master key - run scripts/rotate-session-keys.js`,
+        500,
+        'SESSION_KEY_MISMATCH'
+      );
+    }
+
+    const key = SessionVault.unwrapKey(record.wrappedKey, this.masterKey, record);
+    this.dataKeys.set(record.keyId, key);
+    return key;
+  }
+
+  /**
+   * Aktiven Datenschlüssel der Instanz laden oder anlegen
+   * @returns {Promise<{ keyId: string, key: Buffer }>}
+   */
+  async getActiveKey(instanceId) {
+    this.requireEnabled();
+
+    let record = await SessionKey.findActive(instanceId);
+    if (!record) {
+      record = await this.createKey(instanceId);
+    }
+
+    const key = this.dataKeys.get(record.keyId) || this.unwrapRecord(record);
+    return { keyId: record.keyId, key };
+  }
+
+  async createKey(instanceId) {
+    const record = new SessionKey({ instanceId, masterKeyId: this.masterKeyId, wrappedKey: 'pending' });
+    const key = crypto.randomBytes(32);
+    record.wrappedKey = SessionVault.wrapKey(key, this.masterKey, record);
+
+    try {
+      await record.save();
+    } catch (error) {
+      // Parallel angelegt (eindeutiger Index auf aktive Schlüssel) - den vorhandenen verwenden
+      if (error.code === 11000) return SessionKey.findActive(instanceId);
+      throw error;
+    }
+
+    this.dataKeys.set(record.keyId, key);
+    logger.info(`Session data key created for ${instanceId}`, { keyId: record.keyId });
+    return record;
+  }
+
+  async getKey(instanceId, keyId) {
+    this.requireEnabled();
+    if (this.dataKeys.has(keyId)) return this.dataKeys.get(keyId);
+
+    const record = await SessionKey.findOne({ keyId, instanceId });
+    if (!record) {
+      throw decryptError(`unknown key ${keyId}`);
+    }
+    return this.unwrapRecord(record);
+  }
+
+  /**
+   * Neuen aktiven Datenschlüssel erzeugen, der bisherige bleibt zum Entschlüsseln erhalten
+   * @returns {Promise<{ keyId: string, previousKeyId: string|null }>}
+   */
+  async rotateDataKey(instanceId) {
+    this.requireEnabled();
+
+    const previous = await SessionKey.findActive(instanceId);
+    if (previous) {
+      previous.active = false;
+      previous.retiredAt = new Date();
+      await previous.save();
+    }
+
+    const record = await this.createKey(instanceId);
+    return { keyId: record.keyId, previousKeyId: previous ? previous.keyId : null };
+  }
+
+  /**
+   * Nach einem Import von einem anderen Server: Ist der aktive Schlüssel mit einem fremden
+   * Master-Key verschlüsselt, einen neuen Datenschlüssel anlegen
+   */
+  async ensureActiveKey(instanceId) {
+    this.requireEnabled();
+
+    const record = await SessionKey.findActive(instanceId);
+    if (record && record.masterKeyId !== this.masterKeyId) {
+      await this.rotateDataKey(instanceId);
+    }
+  }
+
+  /**
+   * Datei mit dem aktiven Datenschlüssel der Instanz verschlüsseln
+   * @returns {Promise<{ keyId: string }>}
+   */
+  async encryptFile(instanceId, source, target) {
+    const { keyId, key } = await this.getActiveKey(instanceId);
+
+    const keyIdBuffer = Buffer.from(keyId);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const header = Buffer.concat([MAGIC, Buffer.from([FORMAT_VERSION, keyIdBuffer.length]), keyIdBuffer, iv]);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(header);
+
+    const output = createWriteStream(target, { mode: 0o600 });
+    output.write(header);
+    await pipeline(createReadStream(source), cipher, output);
+    await fs.appendFile(target, cipher.getAuthTag());
+
+    return { keyId };
+  }
+
+  /**
+   * Header einer verschlüsselten Datei lesen
+   * @returns {Promise<{ header: Buffer, keyId: string, iv: Buffer, tag: Buffer, dataStart: number, dataEnd: number }>}
+   */
+  static async readHeader(file) {
+    const handle = await fs.open(file, 'r');
+    try {
+      const { size } = await handle.stat();
+      const prefix = Buffer.alloc(MAGIC.length + 2);
+      await handle.read(prefix, 0, prefix.length, 0);
+
+      if (!prefix.subarray(0, MAGIC.length).equals(MAGIC)) throw decryptError('not an encrypted session file');
+      if (prefix[MAGIC.length] !== FORMAT_VERSION) throw decryptError(`unsupported format version ${prefix[MAGIC.length]}`);
+
+      const keyIdLength = prefix[MAGIC.length + 1];
+      const headerLength = prefix.length + keyIdLength + IV_LENGTH;
+      if (size < headerLength + TAG_LENGTH) throw decryptError('file is truncated');
+
+      const header = Buffer.alloc(headerLength);
+      await handle.read(header, 0, headerLength, 0);
+      const tag = Buffer.alloc(TAG_LENGTH);
+      await handle.read(tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+
+      return {
+        header,
+        keyId: header.subarray(prefix.length, prefix.length + keyIdLength).toString(),
+        iv: header.subarray(headerLength - IV_LENGTH),
+        tag,
+        dataStart: headerLength,
+        dataEnd: size - TAG_LENGTH
+      };
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Verschlüsselte Datei entschlüsseln (Schlüssel laut Header)
+   * `target` ist erst nach erfolgreicher Prüfung des Auth-Tags gültig - bei Fehler wird es gelöscht
+   * @returns {Promise<{ keyId: string }>}
+   */
+  async decryptFile(instanceId, source, target) {
+    const { header, keyId, iv, tag, dataStart, dataEnd } = await SessionVault.readHeader(source);
+    const key = await this.getKey(instanceId, keyId);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAAD(header);
+    decipher.setAuthTag(tag);
+
+    try {
+      // end ist inklusiv; leerer Ciphertext (dataStart === dataEnd) nicht lesen
+      const input = dataEnd > dataStart
+        ? createReadStream(source, { start: dataStart, end: dataEnd - 1 })
+        : Readable.from([]);
+      await pipeline(input, decipher, createWriteStream(target, { mode: 0o600 }));
+    } catch (error) {
+      await fs.rm(target, { force: true });
+      if (error.isOperational) throw error;
+      throw decryptError(error.message);
+    }
+
+    return { keyId };
+  }
+
+  /**
+   * Verschlüsselte Datei mit dem aktuell aktiven Datenschlüssel neu verschlüsseln (Key-Rotation)
+   * @returns {Promise<{ keyId: string, previousKeyId: string }>}
+   */
+  async reencryptFile(instanceId, file) {
+    const decrypted = `${file}.${crypto.randomBytes(4).toString('hex')}.plain`;
+    const encrypted = `${file}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      const { keyId: previousKeyId } = await this.decryptFile(instanceId, file, decrypted);
+      const { keyId } = await this.encryptFile(instanceId, decrypted, encrypted);
+      await fs.rename(encrypted, file);
+      return { keyId, previousKeyId };
+    } finally {
+      await fs.rm(decrypted, { force: true });
+      await fs.rm(encrypted, { force: true });
+    }
+  }
+
+  sessionPath(instanceId) {
+    return path.join(this.config.sessionsDir, instanceId);
+  }
+
+  sealedPath(instanceId) {
+    return path.join(this.config.sessionsDir, `${instanceId}.enc`);
+  }
+
+  tempPath(instanceId, suffix) {
+    return path.join(this.config.sessionsDir, `.${instanceId}-${crypto.randomBytes(4).toString('hex')}${suffix}`);
+  }
+
+  async hasSession(instanceId) {
+    try {
+      const entries = await fs.readdir(this.sessionPath(instanceId));
+      return entries.length > 0;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async isSealed(instanceId) {
+    try {
+      await fs.access(this.sealedPath(instanceId));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Klartext-Session einer gestoppten Instanz verschlüsseln und den Ordner löschen
+   * @returns {Promise<boolean>} true, wenn versiegelt wurde
+   */
+  async seal(instanceId) {
+    if (!this.enabled || !await this.hasSession(instanceId)) return false;
+
+    const archive = this.tempPath(instanceId, '.tar.gz');
+    const encrypted = this.tempPath(instanceId, '.enc');
+    try {
+      await sessionArchive.pack({ sessionsDir: this.config.sessionsDir, instanceId, file: archive });
+      await this.encryptFile(instanceId, archive, encrypted);
+      await fs.rename(encrypted, this.sealedPath(instanceId));
+      await fs.rm(this.sessionPath(instanceId), { recursive: true, force: true });
+    } finally {
+      await fs.rm(archive, { force: true });
+      await fs.rm(encrypted, { force: true });
+    }
+
+    logger.debug(`Session sealed for ${instanceId}`);
+    return true;
+  }
+
+  /**
+   * Versiegelte Session für den Browser entschlüsseln
+   * Liegt bereits ein Klartext-Ordner vor (z.B. nach einem Absturz), ist dieser aktueller und bleibt.
+   * Die .enc-Datei bleibt bis zum nächsten seal() als Rückfall erhalten.
+   * @returns {Promise<boolean>} true, wenn entschlüsselt wurde
+   */
+  async hydrate(instanceId) {
+    if (!await this.isSealed(instanceId) || await this.hasSession(instanceId)) return false;
+    this.requireEnabled();
+
+    const archive = this.tempPath(instanceId, '.tar.gz');
+    const staging = await fs.mkdtemp(path.join(this.config.sessionsDir, `.hydrate-${instanceId}-`));
+    try {
+      await this.decryptFile(instanceId, this.sealedPath(instanceId), archive);
+      await sessionArchive.unpack({ file: archive, cwd: staging, instanceId });
+
+      await fs.rm(this.sessionPath(instanceId), { recursive: true, force: true });
+      await fs.rename(path.join(staging, instanceId), this.sessionPath(instanceId));
+    } finally {
+      await fs.rm(archive, { force: true });
+      await fs.rm(staging, { recursive: true, force: true });
+    }
+
+    logger.debug(`Session hydrated for ${instanceId}`);
+    return true;
+  }
+
+  /**
+   * Aktuelle Session als unverschlüsseltes tar.gz nach `target` (aus dem Ordner oder der .enc-Datei)
+   * @returns {Promise<{ fileCount: number }|null>} null, wenn keine Session existiert
+   */
+  async exportArchive(instanceId, target) {
+    if (await this.hasSession(instanceId)) {
+      const fileCount = await sessionArchive.pack({ sessionsDir: this.config.sessionsDir, instanceId, file: target });
+      return { fileCount };
+    }
+
+    if (await this.isSealed(instanceId)) {
+      await this.decryptFile(instanceId, this.sealedPath(instanceId), target);
+      return { fileCount: await sessionArchive.countFiles({ file: target, instanceId }) };
+    }
+
+    return null;
+  }
+
+  /**
+   * Klartext-Sessions nicht geladener Instanzen versiegeln (Serverstart, Umstellung auf Verschlüsselung)
+   * @param {string[]} activeInstanceIds - laufende Instanzen bleiben unverändert
+   * @returns {Promise<number>} Anzahl versiegelter Sessions
+   */
+  async sealIdle(activeInstanceIds = []) {
+    if (!this.enabled) return 0;
+
+    let entries;
+    try {
+      entries = await fs.readdir(this.config.sessionsDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let sealed = 0;
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || activeInstanceIds.includes(entry.name)) continue;
+      try {
+        if (await this.seal(entry.name)) sealed++;
+      } catch (error) {
+        logger.error(`Failed to seal session ${entry.name}:`, error);
+      }
+    }
+
+    if (sealed > 0) {
+      logger.info(`Sealed ${sealed} idle sessions`);
+    }
+    return sealed;
+  }
+
+  /**
+   * Versiegelte Session und alle Datenschlüssel der Instanz löschen
+   */
+  async purge(instanceId) {
+    await fs.rm(this.sealedPath(instanceId), { force: true });
+    const keys = await SessionKey.find({ instanceId }).select('keyId');
+    keys.forEach(({ keyId }) => this.dataKeys.delete(keyId));
+    await SessionKey.deleteMany({ instanceId });
+  }
+}
+
+module.exports = SessionVault;
@@ -0,0 +1,312 @@
+const Instance = require('../models/Instance');
+const User = require('../models/User');
+const { socketAuth, isTokenRevoked } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const { MANAGER_EVENTS, toPublicEvent } = require('./instanceEvents');
+
+// Zusätzliche Live-Events, die es nur im Socket-Stream gibt (nicht als Webhook)
+const STREAM_EVENTS = {
+  instanceRecovered: ['instance_recovered', () => ({ data: {} })],
+  instanceStopped: ['instance_stopped', () => ({ data: {} })],
+  instanceLoggedOut: ['instance_logged_out', () => ({ data: {} })],
+  instanceHealth: ['health', ({ health }) => ({ data: health })]
+};
+
+// Manager-Events, nach denen sich die Dashboard-Übersicht eines Benutzers ändert
+const DASHBOARD_EVENTS = [
+  'instanceCreated', 'instanceDeleted', 'instanceUpdated', 'instanceStopped', 'instanceLoggedOut',
+  'instanceCrashed', 'instanceRestarted', 'instanceRecovered', 'instanceHealth',
+  'instanceFailover', 'instanceLeaseLost',
+  'qrReceived', 'authenticated', 'authFailure', 'ready', 'disconnected', 'messageReceived'
+];
+
+/**
+ * Echtzeit-Events über Socket.IO (Namespace /events)
+ *
+ * - Verbindung nur mit gültigem Access-Token (socketAuth); Logout-All, Deaktivierung und
+ *   Passwort-Änderung trennen bestehende Verbindungen (disconnectUser, checkSession)
+ * - `subscribe` / `unsubscribe` für einzelne Instanzen, nur eigene (Admins: alle)
+ * - Jede Instanz hat einen Raum `instance:{instanceId}`, Events kommen als
+ *   'instance-event' { event, instanceId, data, timestamp } (Namen wie bei Webhooks)
+ * - Jeder Benutzer ist automatisch im Raum `user:{userId}` und erhält dort
+ *   'dashboard' mit einer aggregierten Übersicht seiner Instanzen (gedrosselt)
+ */
+class SocketGateway {
+  constructor(io, instanceManager, options = {}) {
+    this.io = io;
+    this.instanceManager = instanceManager;
+    this.config = {
+      namespace: '/events',
+      dashboardThrottleMs: parseInt(process.env.SOCKET_DASHBOARD_THROTTLE_MS) || 2000,
+      ...options
+    };
+
+    this.namespace = null;
+    this.listeners = new Map();
+    this.owners = new Map(); // instanceId -> userId (String)
+    this.dashboardTimers = new Map(); // userId -> Timeout
+  }
+
+  start() {
+    // Default-Namespace ohne Funktion, aber ebenfalls nur mit Token
+    this.io.use(socketAuth);
+
+    this.namespace = this.io.of(this.config.namespace);
+    this.namespace.use(socketAuth);
+    this.namespace.on('connection', (socket) => this.handleConnection(socket));
+
+    this.attach();
+    logger.info(`Socket gateway started (namespace ${this.config.namespace})`);
+  }
+
+  stop() {
+    this.detach();
+    for (const timer of this.dashboardTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.dashboardTimers.clear();
+  }
+
+  // Manager-Events abonnieren
+  attach() {
+    if (!this.instanceManager || this.listeners.size > 0) return;
+
+    const managerEvents = new Set([...Object.keys(MANAGER_EVENTS), ...Object.keys(STREAM_EVENTS), ...DASHBOARD_EVENTS]);
+    for (const managerEvent of managerEvents) {
+      const listener = (payload) => this.handleManagerEvent(managerEvent, payload);
+      this.listeners.set(managerEvent, listener);
+      this.instanceManager.on(managerEvent, listener);
+    }
+  }
+
+  detach() {
+    for (const [managerEvent, listener] of this.listeners) {
+      this.instanceManager.off(managerEvent, listener);
+    }
+    this.listeners.clear();
+  }
+
+  handleConnection(socket) {
+    const userId = String(socket.user._id);
+    socket.join(`user:${userId}`);
+    logger.debug(`Socket connected: ${socket.id} (user ${userId})`);
+
+    socket.on('subscribe', async (instanceId, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      try {
+        if (!await this.checkSession(socket)) {
+          return reply({ ok: false, error: 'Session revoked' });
+        }
+
+        const instance = await this.authorize(socket.user, instanceId);
+        if (!instance) {
+          return reply({ ok: false, error: 'Instance not found' });
+        }
+
+        socket.join(`instance:${instance.instanceId}`);
+        reply({
+          ok: true,
+          instanceId: instance.instanceId,
+          status: instance.status,
+          // QR-Code sofort mitliefern, falls das Pairing schon läuft
+          qr: instance.status === 'qr_pending' ? instance.qrCode : null
+        });
+      } catch (error) {
+        logger.error(`Socket subscribe failed for ${instanceId}:`, error);
+        reply({ ok: false, error: 'Subscription failed' });
+      }
+    });
+
+    socket.on('unsubscribe', (instanceId, ack) => {
+      socket.leave(`instance:${instanceId}`);
+      if (typeof ack === 'function') ack({ ok: true, instanceId });
+    });
+
+    socket.on('dashboard', async (ack) => {
+      if (typeof ack !== 'function') return;
+      try {
+        if (!await this.checkSession(socket)) {
+          return ack({ ok: false, error: 'Session revoked' });
+        }
+        ack({ ok: true, dashboard: await this.buildDashboard(userId) });
+      } catch (error) {
+        ack({ ok: false, error: 'Failed to load dashboard' });
+      }
+    });
+
+    socket.on('disconnect', () => {
+      logger.debug(`Socket disconnected: ${socket.id}`);
+    });
+  }
+
+  /**
+   * Alle Verbindungen eines Benutzers trennen (nach Logout-All, Deaktivierung, Passwort-Änderung)
+   *
+   * Erreicht nur Sockets dieses Servers - auf anderen Knoten greift checkSession beim nächsten
+   * subscribe/dashboard.
+   */
+  disconnectUser(userId) {
+    if (!this.namespace) return;
+    this.namespace.in(`user:${userId}`).disconnectSockets(true);
+    logger.debug(`Sockets of user ${userId} disconnected`);
+  }
+
+  // socketAuth gilt nur beim Handshake - Benutzer neu laden und Token erneut prüfen
+  async checkSession(socket) {
+    const user = await User.findById(socket.user._id).select('-password');
+
+    if (!user || !user.isActive || isTokenRevoked(user, socket.tokenPayload)) {
+      socket.disconnect(true);
+      return false;
+    }
+
+    socket.user = user;
+    return true;
+  }
+
+  // Instanz laden, wenn der Benutzer sie sehen darf (sonst null - kein Hinweis auf fremde IDs)
+  async authorize(user, instanceId) {
+    if (typeof instanceId !== 'string' || !instanceId) return null;
+
+    const query = User.ADMIN_ROLES.includes(user.role)
+      ? { instanceId }
+      : { instanceId, userId: user._id };
+
+    const instance = await Instance.findOne(query).select('instanceId userId status qrCode');
+    if (instance) {
+      this.owners.set(instance.instanceId, String(instance.userId));
+    }
+    return instance;
+  }
+
+  async handleManagerEvent(managerEvent, payload) {
+    try {
+      const { instanceId } = payload;
+      const publicEvent = MANAGER_EVENTS[managerEvent]
+        ? toPublicEvent(managerEvent, payload)
+        : this.toStreamEvent(managerEvent, payload);
+
+      if (publicEvent) {
+        this.namespace.to(`instance:${instanceId}`).emit('instance-event', {
+          event: publicEvent.event,
+          instanceId,
+          data: publicEvent.data,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (DASHBOARD_EVENTS.includes(managerEvent)) {
+        const userId = await this.resolveOwner(instanceId, payload);
+        if (userId) this.scheduleDashboard(userId);
+      }
+
+      if (managerEvent === 'instanceDeleted') {
+        this.namespace.in(`instance:${instanceId}`).socketsLeave(`instance:${instanceId}`);
+        this.owners.delete(instanceId);
+      }
+    } catch (error) {
+      logger.error(`Socket event forwarding failed for ${managerEvent}:`, error);
+    }
+  }
+
+  toStreamEvent(managerEvent, payload) {
+    const mapping = STREAM_EVENTS[managerEvent];
+    if (!mapping) return null;
+
+    const [event, build] = mapping;
+    return { event, ...build(payload) };
+  }
+
+  // Owner einer Instanz (Speicher, Event-Payload oder Datenbank)
+  async resolveOwner(instanceId, payload = {}) {
+    const instance = this.instanceManager.instances.get(instanceId)?.instance || payload.instance;
+    if (instance?.userId) {
+      const userId = String(instance.userId._id || instance.userId);
+      this.owners.set(instanceId, userId);
+      return userId;
+    }
+
+    if (this.owners.has(instanceId)) {
+      return this.owners.get(instanceId);
+    }
+
+    const stored = await Instance.findOne({ instanceId }).select('userId').lean();
+    if (!stored) return null;
+
+    this.owners.set(instanceId, String(stored.userId));
+    return String(stored.userId);
+  }
+
+  // Höchstens eine Übersicht pro Benutzer und Intervall (Nachrichten-Events kommen gehäuft)
+  scheduleDashboard(userId) {
+    if (this.dashboardTimers.has(userId)) return;
+
+    const timer = setTimeout(async () => {
+      this.dashboardTimers.delete(userId);
+      try {
+        const room = `user:${userId}`;
+        if (this.namespace.adapter.rooms.get(room)?.size) {
+          this.namespace.to(room).emit('dashboard', await this.buildDashboard(userId));
+        }
+      } catch (error) {
+        logger.error(`Dashboard update failed for user ${userId}:`, error);
+      }
+    }, this.config.dashboardThrottleMs);
+
+    timer.unref();
+    this.dashboardTimers.set(userId, timer);
+  }
+
+  /**
+   * Aggregierte Übersicht der Instanzen eines Benutzers
+   */
+  async buildDashboard(userId) {
+    const [instances, user] = await Promise.all([
+      Instance.find({ userId }).select('instanceId name status lastHeartbeat').lean(),
+      User.findById(userId).select('usage planLimits').lean()
+    ]);
+
+    const byStatus = {};
+    let active = 0;
+    let messageCount = 0;
+
+    const items = instances.map((instance) => {
+      const runtime = this.instanceManager.getInstanceStatus(instance.instanceId);
+      const status = runtime ? runtime.status : instance.status;
+
+      byStatus[status] = (byStatus[status] || 0) + 1;
+      if (runtime) {
+        active++;
+        messageCount += runtime.messageCount;
+      }
+
+      return {
+        instanceId: instance.instanceId,
+        name: instance.name,
+        status,
+        lastHeartbeat: instance.lastHeartbeat || null,
+        uptime: runtime ? runtime.uptime : null,
+        messageCount: runtime ? runtime.messageCount : 0
+      };
+    });
+
+    return {
+      instances: {
+        total: instances.length,
+        active,
+        byStatus,
+        items
+      },
+      messages: {
+        sinceStart: messageCount,
+        monthly: user?.usage?.monthlyMessages || 0,
+        monthlyLimit: user?.planLimits?.maxMessagesPerMonth ?? null
+      },
+      updatedAt: new Date().toISOString()
+    };
+  }
+}
+
+SocketGateway.STREAM_EVENTS = STREAM_EVENTS;
+
+module.exports = SocketGateway;
@@ -0,0 +1,472 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const Instance = require('../models/Instance');
+const Message = require('../models/Message');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const WebhookDeadLetter = require('../models/WebhookDeadLetter');
+const { logger } = require('../utils/logger');
+const { INSTANCE_EVENTS, LEGACY_WEBHOOK_EVENTS, MANAGER_EVENTS, toPublicEvent } = require('./instanceEvents');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const MAX_RESPONSE_LENGTH = 1000;
+
+/**
+ * Webhook-Zustellung mit HMAC-Signatur, Retries und Dead-Letter
+ *
+ * Manager-Events werden auf öffentliche Events abgebildet (instanceEvents) und an alle
+ * passenden Webhook-Endpunkte der Instanz verteilt (plus Legacy config.webhookUrl).
+ * Jedes Event wird pro Endpunkt als WebhookDelivery gespeichert und sofort zugestellt. Fehlschläge
+ * (Netzwerkfehler, Timeout, Nicht-2xx) werden mit exponentiellem Backoff wiederholt;
+ * nach maxAttempts landet die Zustellung in der WebhookDeadLetter-Collection und kann
+ * von dort erneut ausgelöst werden.
+ *
+ * Signatur: `X-Webhook-Signature: t=<unix>,v1=<hex>` mit
+ * hex = HMAC-SHA256(Instance.webhookSecret, `${t}.${rawBody}`)
+ */
+class WebhookDispatcher {
+  constructor(instanceManager, options = {}) {
+    this.instanceManager = instanceManager;
+    this.pollTimer = null;
+    this.polling = false;
+    this.running = false;
+    this.inFlight = new Set();
+    this.listeners = new Map(); // Manager-Event -> Listener
+
+    this.config = {
+      pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 5000,
+      timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+      retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 10000,
+      retryMaxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY) || 60 * 60 * 1000,
+      lockTimeoutMs: 5 * 60 * 1000,
+      batchSize: 20,
+      ...options
+    };
+  }
+
+  get serverId() {
+    return this.instanceManager ? this.instanceManager.serverId : require('os').hostname();
+  }
+
+  /**
+   * Signatur-Header für einen Body berechnen
+   */
+  static sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Signatur-Header prüfen (für Empfänger, z.B. scripts/webhook-receiver.js)
+   */
+  static verifySignature(secret, header, body, toleranceSeconds = 300) {
+    const parts = Object.fromEntries(
+      String(header || '').split(',').map(part => part.trim().split('='))
+    );
+    const timestamp = parseInt(parts.t);
+    if (!timestamp || !parts.v1) return false;
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) return false;
+
+    const expected = WebhookDispatcher.sign(secret, body, timestamp).split('v1=')[1];
+    const received = Buffer.from(parts.v1, 'hex');
+    return received.length === expected.length / 2 &&
+      crypto.timingSafeEqual(received, Buffer.from(expected, 'hex'));
+  }
+
+  /**
+   * Retry-Polling starten, hängengebliebene Zustellungen dieses Servers freigeben
+   */
+  async start() {
+    await WebhookDelivery.updateMany(
+      { status: 'delivering', lockedBy: this.serverId },
+      { status: 'pending', nextAttemptAt: new Date(), $unset: { lockedBy: 1, lockedAt: 1 } }
+    );
+
+    this.running = true;
+    this.pollTimer = setInterval(() => this.poll(), this.config.pollIntervalMs);
+    this.attach();
+
+    logger.info(`Webhook dispatcher started (poll interval: ${this.config.pollIntervalMs}ms)`);
+  }
+
+  async stop() {
+    this.running = false;
+    this.detach();
+
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    await Promise.allSettled(Array.from(this.inFlight));
+    logger.info('Webhook dispatcher stopped');
+  }
+
+  // Manager-Events abonnieren
+  attach() {
+    if (!this.instanceManager || this.listeners.size > 0) return;
+
+    for (const managerEvent of Object.keys(MANAGER_EVENTS)) {
+      const listener = (payload) => this.handleManagerEvent(managerEvent, payload);
+      this.listeners.set(managerEvent, listener);
+      this.instanceManager.on(managerEvent, listener);
+    }
+  }
+
+  detach() {
+    for (const [managerEvent, listener] of this.listeners) {
+      this.instanceManager.off(managerEvent, listener);
+    }
+    this.listeners.clear();
+  }
+
+  async handleManagerEvent(managerEvent, payload) {
+    try {
+      const publicEvent = toPublicEvent(managerEvent, payload);
+      if (!publicEvent) return;
+
+      await this.dispatch(publicEvent.instanceId, publicEvent.event, publicEvent.data, publicEvent.meta);
+    } catch (error) {
+      logger.error(`Webhook dispatch failed for ${managerEvent}:`, error);
+    }
+  }
+
+  /**
+   * Empfänger eines Events: passende Webhook-Endpunkte + Legacy config.webhookUrl
+   * Eigene Events (nicht in INSTANCE_EVENTS, z.B. aus executeWithWebhook) gehen nur an config.webhookUrl
+   */
+  async resolveTargets(instance, event, meta = {}) {
+    const targets = [];
+
+    if (INSTANCE_EVENTS[event]) {
+      const webhooks = await Webhook.findActiveForEvent(instance.instanceId, event);
+      webhooks
+        .filter(webhook => webhook.matches(event, meta))
+        .forEach(webhook => targets.push({ webhookId: webhook.webhookId, url: webhook.url }));
+    }
+
+    const legacyUrl = instance.config?.webhookUrl;
+    const legacySubscribed = !INSTANCE_EVENTS[event] || LEGACY_WEBHOOK_EVENTS.includes(event);
+    if (legacyUrl && legacySubscribed && !targets.some(target => target.url === legacyUrl)) {
+      targets.push({ webhookId: null, url: legacyUrl });
+    }
+
+    return targets;
+  }
+
+  /**
+   * Event an alle passenden Endpunkte einer Instanz zustellen
+   * @param {Object} meta  chatId/messageType für Filter, messageId für Message.webhook
+   * @returns {Promise<WebhookDelivery[]>}
+   */
+  async dispatch(instanceId, event, data, meta = {}) {
+    const instance = await this.getInstance(instanceId);
+    if (!instance) return [];
+
+    const targets = await this.resolveTargets(instance, event, meta);
+
+    return Promise.all(targets.map(target => this.createDelivery({
+      instanceId,
+      userId: instance.userId,
+      event,
+      data,
+      messageId: meta.messageId,
+      ...target
+    })));
+  }
+
+  /**
+   * Test-Event an einen Endpunkt bzw. alle aktiven Endpunkte der Instanz senden
+   * @returns {Promise<WebhookDelivery[]>}
+   */
+  async sendTest(instanceId, webhook = null) {
+    const instance = await this.getInstance(instanceId);
+    if (!instance) return [];
+
+    let targets;
+    if (webhook) {
+      targets = [{ webhookId: webhook.webhookId, url: webhook.url }];
+    } else {
+      const webhooks = await Webhook.find({ instanceId, isActive: true });
+      targets = webhooks.map(item => ({ webhookId: item.webhookId, url: item.url }));
+      if (instance.config?.webhookUrl && !targets.some(target => target.url === instance.config.webhookUrl)) {
+        targets.push({ webhookId: null, url: instance.config.webhookUrl });
+      }
+    }
+
+    return Promise.all(targets.map(target => this.createDelivery({
+      instanceId,
+      userId: instance.userId,
+      event: 'test',
+      data: { message: 'Webhook test from WhatsApp Manager' },
+      ...target
+    })));
+  }
+
+  /**
+   * Zustellung bzw. Dead-Letter erneut auslösen (neue Zustellung, aktuelle Endpunkt-URL)
+   */
+  async replay(source) {
+    let url = source.url;
+    if (source.webhookId) {
+      const webhook = await Webhook.findOne({ webhookId: source.webhookId });
+      if (webhook) url = webhook.url;
+    } else {
+      const instance = await this.getInstance(source.instanceId);
+      url = instance?.config?.webhookUrl || url;
+    }
+
+    const delivery = await this.createDelivery({
+      instanceId: source.instanceId,
+      userId: source.userId,
+      webhookId: source.webhookId,
+      event: source.event,
+      url,
+      data: source.payload.data,
+      messageId: source.messageId,
+      replayOf: source.deliveryId
+    });
+
+    if (source instanceof WebhookDeadLetter) {
+      source.replayedAt = new Date();
+      source.replayDeliveryId = delivery.deliveryId;
+      await source.save();
+    }
+
+    return delivery;
+  }
+
+  async createDelivery({ instanceId, userId, webhookId, event, url, data, messageId, replayOf }) {
+    const deliveryId = `whd_${crypto.randomBytes(12).toString('hex')}`;
+    const now = new Date();
+
+    const delivery = await WebhookDelivery.create({
+      deliveryId,
+      instanceId,
+      userId,
+      webhookId,
+      event,
+      url,
+      messageId,
+      replayOf,
+      payload: {
+        id: deliveryId,
+        event,
+        instanceId,
+        timestamp: now.toISOString(),
+        data
+      },
+      maxAttempts: this.config.maxAttempts,
+      status: 'delivering',
+      lockedBy: this.serverId,
+      lockedAt: now
+    });
+
+    // Erster Versuch sofort, ohne den Aufrufer (z.B. Message-Handler) zu blockieren
+    this.track(this.attempt(delivery));
+
+    return delivery;
+  }
+
+  // In-Memory-Instanz bevorzugen, sonst DB
+  async getInstance(instanceId) {
+    const instanceData = this.instanceManager?.instances.get(instanceId);
+    if (instanceData?.instance) return instanceData.instance;
+    return Instance.findOne({ instanceId }).lean();
+  }
+
+  track(promise) {
+    this.inFlight.add(promise);
+    promise
+      .catch(error => logger.error('Webhook delivery failed unexpectedly:', error))
+      .finally(() => this.inFlight.delete(promise));
+    return promise;
+  }
+
+  /**
+   * Fällige Retries claimen und zustellen
+   */
+  async poll() {
+    if (this.polling || !this.running) return;
+    this.polling = true;
+
+    try {
+      // Locks abgestürzter Server freigeben
+      await WebhookDelivery.updateMany(
+        { status: 'delivering', lockedAt: { $lt: new Date(Date.now() - this.config.lockTimeoutMs) } },
+        { status: 'pending', $unset: { lockedBy: 1, lockedAt: 1 } }
+      );
+
+      const batch = [];
+      while (batch.length < this.config.batchSize) {
+        const now = new Date();
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'delivering', lockedBy: this.serverId, lockedAt: now },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!delivery) break;
+        batch.push(this.track(this.attempt(delivery)));
+      }
+
+      await Promise.allSettled(batch);
+    } catch (error) {
+      logger.error('Webhook poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Einen Zustellversuch ausführen und Ergebnis speichern
+   */
+  async attempt(delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const startTime = Date.now();
+    const attempts = delivery.attempts + 1;
+    const lastAttempt = { timestamp: new Date() };
+
+    try {
+      const secret = await Instance.ensureWebhookSecret(delivery.instanceId);
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'WhatsApp-Manager-Webhook/1.0',
+        'X-Webhook-Id': delivery.deliveryId,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Attempt': String(attempts)
+      };
+      if (secret) {
+        headers[SIGNATURE_HEADER] = WebhookDispatcher.sign(secret, body);
+      }
+
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers,
+        body,
+        timeout: this.config.timeoutMs,
+        redirect: 'manual'
+      });
+
+      lastAttempt.statusCode = response.status;
+      lastAttempt.response = (await response.text()).substring(0, MAX_RESPONSE_LENGTH);
+    } catch (error) {
+      lastAttempt.error = error.message;
+    }
+
+    lastAttempt.duration = Date.now() - startTime;
+    const success = lastAttempt.statusCode >= 200 && lastAttempt.statusCode < 300;
+
+    await this.recordMessageStatus(delivery, success, lastAttempt);
+
+    if (success) {
+      const now = new Date();
+      await WebhookDelivery.updateOne({ _id: delivery._id }, {
+        status: 'delivered',
+        attempts,
+        lastAttempt,
+        deliveredAt: now,
+        completedAt: now,
+        $unset: { lockedBy: 1, lockedAt: 1 }
+      });
+
+      await this.recordWebhookStatus(delivery, 'delivered');
+      logger.info(`Webhook delivered: ${delivery.deliveryId}`, { event: delivery.event, attempts });
+      return;
+    }
+
+    if (attempts >= delivery.maxAttempts) {
+      await this.deadLetter(delivery, attempts, lastAttempt);
+      await this.recordWebhookStatus(delivery, 'dead');
+      return;
+    }
+
+    const delay = Math.min(
+      this.config.retryBaseDelayMs * Math.pow(2, attempts - 1),
+      this.config.retryMaxDelayMs
+    );
+
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      status: 'pending',
+      attempts,
+      lastAttempt,
+      nextAttemptAt: new Date(Date.now() + delay),
+      $unset: { lockedBy: 1, lockedAt: 1 }
+    });
+
+    logger.warn(`Webhook attempt ${attempts} failed: ${delivery.deliveryId}`, {
+      event: delivery.event,
+      statusCode: lastAttempt.statusCode,
+      error: lastAttempt.error,
+      retryInMs: delay
+    });
+  }
+
+  async deadLetter(delivery, attempts, lastAttempt) {
+    await WebhookDeadLetter.create({
+      deliveryId: delivery.deliveryId,
+      instanceId: delivery.instanceId,
+      userId: delivery.userId,
+      webhookId: delivery.webhookId,
+      event: delivery.event,
+      url: delivery.url,
+      payload: delivery.payload,
+      messageId: delivery.messageId,
+      attempts,
+      lastAttempt
+    });
+
+    const now = new Date();
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      status: 'dead',
+      attempts,
+      lastAttempt,
+      completedAt: now,
+      $unset: { lockedBy: 1, lockedAt: 1 }
+    });
+
+    logger.error(`Webhook dead-lettered after ${attempts} attempts: ${delivery.deliveryId}`, {
+      instanceId: delivery.instanceId,
+      event: delivery.event,
+      statusCode: lastAttempt.statusCode,
+      error: lastAttempt.error
+    });
+  }
+
+  // Letztes Ergebnis am Webhook-Endpunkt vermerken
+  async recordWebhookStatus(delivery, status) {
+    if (!delivery.webhookId || delivery.event === 'test') return;
+
+    await Webhook.updateOne(
+      { webhookId: delivery.webhookId },
+      { lastDeliveryAt: new Date(), lastDeliveryStatus: status }
+    );
+  }
+
+  // Message.webhook für nachrichtenbezogene Events aktualisieren
+  async recordMessageStatus(delivery, success, lastAttempt) {
+    if (!delivery.messageId) return;
+
+    try {
+      const message = await Message.findOne({
+        instanceId: delivery.instanceId,
+        waMessageId: delivery.messageId
+      });
+      if (!message) return;
+
+      const response = lastAttempt.statusCode
+        ? `${lastAttempt.statusCode} ${lastAttempt.response || ''}`.trim()
+        : lastAttempt.error;
+      await message.updateWebhookStatus(success, response);
+    } catch (error) {
+      logger.error(`Failed to record webhook status for message ${delivery.messageId}:`, error);
+    }
+  }
+}
+
+module.exports = WebhookDispatcher;
@@ -1,188 +1,120 @@
+const { MessageMedia, Poll, Location } = require('whatsapp-web.js');
 const Instance = require('../models/Instance');
-const logger = require('../utils/logger');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { logger } = require('../utils/logger');
+const { AppError, AuthorizationError, NotFoundError, QuotaExceededError, RateLimitError, ValidationError, WhatsAppError } = require('../middleware/errorHandler');
+const { METHOD_SCHEMAS, getSchema, validateParams, isPublicMethod, requiredScope, describeMethod } = require('./methodSchemas');
+const { serializeResult } = require('../utils/serializers');
+const WorkerClient = require('./WorkerClient');
 
 class WhatsAppProxy {
   constructor(instanceManager) {
     this.instanceManager = instanceManager;
 
-    // Alle verfügbaren whatsapp-web.js Methoden
-    this.whatsappMethods = [
-      // Messaging
-      'sendMessage',
-      'reply',
-      'forward',
-      'react',
-      'edit',
-      'delete',
-      'star',
-      'unstar',
-      'pin',
-      'unpin',
-
-      // Media
-      'downloadMedia',
-      'sendMedia',
-
-      // Chats
-      'getChats',
-      'getChatById',
-      'archiveChat',
-      'unarchiveChat',
-      'pinChat',
-      'unpinChat',
-      'muteChat',
-      'unmuteChat',
-      'deleteChat',
-      'clearChat',
-      'markChatUnread',
-      'sendSeen',
-      'sendStateTyping',
-      'sendStateRecording',
-
-      // Contacts
-      'getContacts',
-      'getContactById',
-      'getNumberId',
-      'getFormattedNumber',
-      'getCountryCode',
-      'isRegisteredUser',
-      'blockContact',
-      'unblockContact',
-      'getBlockedContacts',
-
-      // Groups
-      'createGroup',
-      'getGroupMembersIds',
-      'addParticipants',
-      'removeParticipants',
-      'promoteParticipants',
-      'demoteParticipants',
-      'setSubject',
-      'setDescription',
-      'setGroupIcon',
-      'deleteGroupIcon',
-      'getInviteInfo',
-      'getGroupInviteLink',
-      'revokeGroupInviteLink',
-      'setGroupInfoAdminsOnly',
-      'setGroupSettingAddMembersAdminsOnly',
-      'setGroupSettingMessagesAdminsOnly',
-      'leaveGroup',
-
-      // Status/Stories
-      'getStatus',
-      'setStatus',
-      'getStories',
-
-      // Profile
-      'getProfilePicUrl',
-      'setProfilePic',
-      'deleteProfilePic',
-      'getMyContacts',
-      'getMe',
-      'logout',
-
-      // Labels (Business)
-      'getLabels',
-      'getChatLabels',
-      'addOrRemoveLabels',
-
-      // Polls
-      'vote',
-      'sendPoll',
-
-      // Location
-      'sendLocation',
-
-      // Misc
-      'searchMessages',
-      'getWWebVersion',
-      'getState',
-      'getInfo',
-      'pupPage',
-      'pupBrowser',
-
-      // Business
-      'getBusinessProfile',
-      'updateBusinessProfile'
-    ];
+    // Alle über HTTP verfügbaren whatsapp-web.js Methoden (aus den Schemas)
+    this.whatsappMethods = Object.keys(METHOD_SCHEMAS).filter(isPublicMethod);
   }
 
-  // API-Key zu Instance-ID auflösen
-  async resolveInstance(apiKey) {
-    try {
-      const instance = await Instance.findOne({ apiKey }).lean();
-      if (!instance) {
-        throw new Error('Invalid API key');
-      }
+  // API-Key zu Instance-ID auflösen - ein bereits von apiKeyAuth geladener Key wird übernommen
+  async resolveInstance(apiKey, apiKeyRecord = null) {
+    apiKeyRecord = apiKeyRecord || await ApiKey.findByKey(apiKey);
+    if (!apiKeyRecord) {
+      throw new AppError('Invalid API key', 401, 'INVALID_API_KEY');
+    }
 
-      // Prüfen ob Instanz aktiv ist
-      const instanceData = this.instanceManager.instances.get(instance.instanceId);
-      if (!instanceData) {
-        throw new Error('Instance not active');
-      }
+    const instance = await Instance.findOne({ instanceId: apiKeyRecord.instanceId }).lean();
+    if (!instance) {
+      throw new AppError('Invalid API key', 401, 'INVALID_API_KEY');
+    }
 
-      if (instanceData.instance.status !== 'ready') {
-        throw new Error(`Instance not ready (status: ${instanceData.instance.status})`);
-      }
+    // Prüfen ob Instanz aktiv ist
+    const instanceData = this.instanceManager.instances.get(instance.instanceId);
+    if (!instanceData) {
+      throw new AppError('Instance not active', 503, 'INSTANCE_NOT_ACTIVE');
+    }
 
-      return {
-        instanceId: instance.instanceId,
-        instance: instanceData.instance,
-        client: instanceData.client
-      };
-    } catch (error) {
-      logger.error('Error resolving instance:', error);
-      throw error;
+    if (instanceData.instance.status !== 'ready') {
+      throw new AppError(`Instance not ready (status: ${instanceData.instance.status})`, 503, 'INSTANCE_NOT_READY');
     }
+
+    return {
+      instanceId: instance.instanceId,
+      userId: instance.userId,
+      instance: instanceData.instance,
+      client: instanceData.client,
+      scopes: apiKeyRecord.scopes
+    };
   }
 
-  // Dynamischer Methodenaufruf
-  async executeMethod(apiKey, methodName, params = [], options = {}) {
-    try {
-      // Validierung
-      if (!this.whatsappMethods.includes(methodName)) {
-        throw new Error(`Method '${methodName}' not supported`);
-      }
+  // Prüfen ob der API-Key die Methode aufrufen darf
+  authorize(methodName, scopes) {
+    const scope = requiredScope(methodName);
+    if (!scope || !scopes.includes(scope)) {
+      throw new AuthorizationError(`API key lacks scope '${scope}' required for '${methodName}'`);
+    }
+  }
 
-      // Instance auflösen
-      const { instanceId, client } = await this.resolveInstance(apiKey);
-
-      // Rate-Limiting prüfen
-      await this.checkRateLimit(instanceId);
-
-      // Method auf WhatsApp-Client ausführen
-      let result;
-      if (methodName === 'sendMessage') {
-        // Spezielle Behandlung für sendMessage
-        result = await client.sendMessage(...params);
-
-        // Nachricht in DB speichern
-        await this.instanceManager.saveOutgoingMessage(instanceId, result, params[1], options);
-      } else if (typeof client[methodName] === 'function') {
-        // Standard-Methodenaufruf
-        result = await client[methodName](...params);
-      } else {
-        // Property-Zugriff
-        result = client[methodName];
-      }
+  // Methodenaufruf ausführen - wirft AppErrors (für HTTP-Routen)
+  async invoke(apiKey, methodName, params = [], options = {}, apiKeyRecord = null) {
+    // Validierung (interne Methoden sind über HTTP nicht erreichbar)
+    if (!isPublicMethod(methodName)) {
+      throw new NotFoundError(`Method '${methodName}'`);
+    }
+    validateParams(methodName, params);
 
-      // Logging
-      logger.info(`API Call: ${methodName}`, {
-        instanceId,
-        apiKey: apiKey.substring(0, 8) + '...',
-        params: params.length,
-        success: true
-      });
+    // Instance auflösen und Scope prüfen
+    const { instanceId, userId, client, scopes } = await this.resolveInstance(apiKey, apiKeyRecord);
+    this.authorize(methodName, scopes);
 
-      return {
-        success: true,
-        instanceId,
-        method: methodName,
-        result,
-        timestamp: new Date().toISOString()
-      };
+    // Rate-Limiting prüfen
+    await this.checkRateLimit(instanceId);
+
+    // Ausgehende Nachrichten belasten das Monatskontingent des Owners
+    const schema = getSchema(methodName);
+    const outgoing = Boolean(schema.outgoing);
+    if (outgoing) {
+      await this.consumeMessageQuota(userId);
+    }
 
+    // Method auf WhatsApp-Client ausführen - Lebenszyklus-Methoden über den Manager
+    let result;
+    try {
+      result = schema.target === 'manager'
+        ? await this.instanceManager[schema.call](instanceId)
+        : await this.dispatch(client, methodName, params);
+    } catch (error) {
+      if (outgoing) await User.refundMessageQuota(userId);
+      if (error.isOperational) throw error;
+      throw new WhatsAppError(error.message, instanceId);
+    }
+
+    // Gesendete Nachrichten in DB speichern
+    if (outgoing && result?.id) {
+      await this.instanceManager.saveOutgoingMessage(instanceId, result, result.body || '', options);
+    }
+
+    // Logging
+    logger.info(`API Call: ${methodName}`, {
+      instanceId,
+      apiKey: apiKey.substring(0, 8) + '...',
+      params: params.length,
+      success: true
+    });
+
+    return {
+      success: true,
+      instanceId,
+      method: methodName,
+      result: serializeResult(result),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Dynamischer Methodenaufruf - liefert immer ein Ergebnis-Objekt (für Bulk)
+  async executeMethod(apiKey, methodName, params = [], options = {}) {
+    try {
+      return await this.invoke(apiKey, methodName, params, options);
     } catch (error) {
       logger.error(`API Call Failed: ${methodName}`, {
         apiKey: apiKey.substring(0, 8) + '...',
@@ -193,11 +125,106 @@ class WhatsAppProxy {
         success: false,
         method: methodName,
         error: error.message,
+        code: error.code || 'WHATSAPP_ERROR',
         timestamp: new Date().toISOString()
       };
     }
   }
 
+  // Schema-basierter Aufruf auf Client bzw. Chat/Group/Message/Contact
+  async dispatch(client, methodName, params) {
+    // Client läuft in eigenem Prozess - Aufruf dort ausführen (siehe whatsappWorker)
+    if (client instanceof WorkerClient) {
+      return client.dispatch(methodName, params);
+    }
+
+    const schema = getSchema(methodName);
+    if (!schema) {
+      throw new NotFoundError(`Method '${methodName}'`);
+    }
+    if (schema.target === 'manager') {
+      throw new AppError(`Method '${methodName}' must be called through the instance manager`, 500, 'INVALID_METHOD_SCHEMA');
+    }
+    const call = schema.call || methodName;
+
+    let args = params.map((value, index) => this.coerceArgument(schema.params[index], value));
+    let target = client;
+
+    if (schema.target !== 'client') {
+      const targetId = schema.boundId || args[0];
+      if (!schema.boundId) args = args.slice(1);
+      target = await this.resolveTarget(client, schema.target, targetId);
+    }
+
+    if (schema.prepare) {
+      args = schema.prepare(args, { MessageMedia, Poll, Location });
+    }
+
+    let result;
+    if (schema.property) {
+      result = target[call];
+    } else {
+      if (typeof target[call] !== 'function') {
+        throw new WhatsAppError(`Method '${methodName}' is not supported by this WhatsApp client version`);
+      }
+      result = await target[call](...args);
+    }
+
+    return schema.transform ? schema.transform(result) : result;
+  }
+
+  // Ziel-Objekt für Nicht-Client-Methoden laden
+  async resolveTarget(client, targetType, targetId) {
+    let target;
+
+    switch (targetType) {
+      case 'message':
+        target = await client.getMessageById(targetId);
+        break;
+      case 'contact':
+        target = await client.getContactById(targetId);
+        break;
+      case 'chat':
+      case 'group':
+        target = await client.getChatById(targetId);
+        break;
+      default:
+        throw new AppError(`Unknown method target '${targetType}'`, 500, 'INVALID_METHOD_SCHEMA');
+    }
+
+    if (!target) {
+      throw new NotFoundError(`${targetType.charAt(0).toUpperCase() + targetType.slice(1)} '${targetId}'`);
+    }
+
+    if (targetType === 'group' && !target.isGroup) {
+      throw new ValidationError(`Chat '${targetId}' is not a group`, 'params[0]');
+    }
+
+    return target;
+  }
+
+  // Validierte JSON-Werte in whatsapp-web.js Typen umwandeln
+  coerceArgument(param, value) {
+    if (value === undefined || value === null || !param) return value;
+
+    switch (param.type) {
+      case 'media':
+        return new MessageMedia(value.mimetype, value.data, value.filename || null);
+      case 'date':
+        return new Date(value);
+      default:
+        return value;
+    }
+  }
+
+  // Monatliches Nachrichtenkontingent belasten - wirft QuotaExceededError (402)
+  async consumeMessageQuota(userId) {
+    const consumed = await User.consumeMessageQuota(userId);
+    if (!consumed) {
+      throw new QuotaExceededError('Monthly message quota exceeded for this plan');
+    }
+  }
+
   // Rate-Limiting pro Instance
   async checkRateLimit(instanceId) {
     const instanceData = this.instanceManager.instances.get(instanceId);
@@ -216,7 +243,7 @@ class WhatsAppProxy {
     }
 
     if (instanceData.rateLimitCount >= limit) {
-      throw new Error(`Rate limit exceeded: ${limit} requests per minute`);
+      throw new RateLimitError(`Rate limit exceeded: ${limit} requests per minute`);
     }
 
     instanceData.rateLimitCount++;
@@ -262,39 +289,7 @@ class WhatsAppProxy {
 
   // Method-Informationen abrufen
   getAvailableMethods() {
-    return this.whatsappMethods.map(method => ({
-      name: method,
-      description: this.getMethodDescription(method),
-      parameters: this.getMethodParameters(method)
-    }));
-  }
-
-  // Method-Beschreibungen
-  getMethodDescription(method) {
-    const descriptions = {
-      sendMessage: 'Send a text message to a chat',
-      sendMedia: 'Send media (image, video, document) to a chat',
-      getChats: 'Get all chats',
-      getContacts: 'Get all contacts',
-      createGroup: 'Create a new group',
-      downloadMedia: 'Download media from a message',
-      // ... weitere Beschreibungen
-    };
-    return descriptions[method] || `Execute ${method} on WhatsApp client`;
-  }
-
-  // Method-Parameter
-  getMethodParameters(method) {
-    const parameters = {
-      sendMessage: ['chatId (string)', 'content (string)', 'options (object)'],
-      sendMedia: ['chatId (string)', 'media (MessageMedia)', 'options (object)'],
-      getChats: [],
-      getContacts: [],
-      createGroup: ['name (string)', 'participants (array)'],
-      downloadMedia: ['message (Message)'],
-      // ... weitere Parameter
-    };
-    return parameters[method] || ['Dynamic parameters based on whatsapp-web.js method'];
+    return this.whatsappMethods.map(method => describeMethod(method));
   }
 }
 
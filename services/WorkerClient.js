@@ -0,0 +1,267 @@
+const path = require('path');
+const EventEmitter = require('events');
+const { fork } = require('child_process');
+const { logger } = require('../utils/logger');
+const { AppError } = require('../middleware/errorHandler');
+const { encode, decode } = require('../utils/ipcCodec');
+const { MESSAGE_METHODS } = require('./whatsappWorker');
+
+const WORKER_SCRIPT = path.join(__dirname, 'whatsappWorker.js');
+
+// Prototyp-Methoden je whatsapp-web.js Klasse (inkl. geerbter, ohne constructor)
+const prototypeMethods = new Map();
+const methodsOf = (object, className) => {
+  if (!prototypeMethods.has(className)) {
+    const names = new Set();
+    for (let proto = Object.getPrototypeOf(object); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+      for (const name of Object.getOwnPropertyNames(proto)) {
+        if (name !== 'constructor' && typeof Object.getOwnPropertyDescriptor(proto, name).value === 'function') {
+          names.add(name);
+        }
+      }
+    }
+    prototypeMethods.set(className, [...names]);
+  }
+  return prototypeMethods.get(className);
+};
+
+/**
+ * WhatsApp-Client in eigenem Worker-Prozess (services/whatsappWorker.js)
+ *
+ * Bietet dem Manager dieselbe Oberfläche wie ein whatsapp-web.js Client (initialize, destroy,
+ * logout, sendMessage, Events, info). Aufrufe laufen per IPC mit Timeout - ein hängender Browser
+ * blockiert so nur seinen Worker, nie den API-Server.
+ *
+ * Zusätzliche Events:
+ * - 'browser_disconnected' Browser im Worker beendet/abgestürzt
+ * - 'worker_exit'          Worker unerwartet beendet ({ code, signal })
+ *
+ * Der Worker wird erst mit initialize() gestartet; geladene, nicht gestartete Instanzen kosten
+ * keinen Prozess.
+ */
+class WorkerClient extends EventEmitter {
+  constructor(instanceId, options, config = {}) {
+    super();
+    this.instanceId = instanceId;
+    this.options = options;
+    this.worker = null;
+    this.exiting = false;
+    this.pending = new Map(); // callId -> { resolve, reject, timer }
+    this.nextCallId = 0;
+    this.info = null;
+    this.browserPid = null;
+
+    this.config = {
+      initTimeoutMs: parseInt(process.env.WORKER_INIT_TIMEOUT) || 120000, // 2 Minuten
+      callTimeoutMs: parseInt(process.env.WORKER_CALL_TIMEOUT) || 60000, // 1 Minute
+      exitTimeoutMs: 10000,
+      ...config
+    };
+  }
+
+  get pid() {
+    return this.worker ? this.worker.pid : null;
+  }
+
+  get running() {
+    return Boolean(this.worker && this.worker.connected);
+  }
+
+  spawn() {
+    this.exiting = false;
+    this.worker = fork(WORKER_SCRIPT, [], {
+      execArgv: [], // --inspect o.ä. des API-Servers nicht erben
+      env: { ...process.env, WHATSAPP_WORKER_INSTANCE: this.instanceId }
+    });
+
+    const worker = this.worker;
+    worker.on('message', (message) => this.handleMessage(message));
+    worker.on('error', (error) => logger.error(`Worker for ${this.instanceId} failed:`, error));
+    worker.on('exit', (code, signal) => this.handleExit(worker, code, signal));
+
+    worker.send({ type: 'create', instanceId: this.instanceId, options: this.options });
+    logger.info(`Worker for ${this.instanceId} started (PID ${worker.pid})`);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'result':
+      case 'error': {
+        const call = this.pending.get(message.id);
+        if (!call) return;
+        this.pending.delete(message.id);
+        clearTimeout(call.timer);
+
+        if (message.type === 'result') {
+          call.resolve(this.decode(message.value));
+        } else {
+          call.reject(this.toError(message.error));
+        }
+        break;
+      }
+
+      case 'event':
+        if (message.info) {
+          this.info = this.decode(message.info);
+        }
+        this.emit(message.event, ...this.decode(message.args));
+        break;
+
+      case 'browser':
+        this.browserPid = message.pid;
+        break;
+
+      default:
+        logger.warn(`Unknown message from worker ${this.instanceId}: ${message.type}`);
+    }
+  }
+
+  handleExit(worker, code, signal) {
+    if (worker !== this.worker) return;
+    this.worker = null;
+
+    for (const call of this.pending.values()) {
+      clearTimeout(call.timer);
+      call.reject(new AppError('WhatsApp worker exited', 503, 'WORKER_EXITED'));
+    }
+    this.pending.clear();
+
+    if (this.exiting) {
+      logger.debug(`Worker for ${this.instanceId} exited`);
+      return;
+    }
+
+    logger.warn(`Worker for ${this.instanceId} exited unexpectedly (code ${code}, signal ${signal})`);
+    this.emit('worker_exit', { code, signal });
+  }
+
+  // Fehler aus dem Worker - AppErrors (z.B. 404 aus WhatsAppProxy) behalten Status und Code
+  toError({ message, code, statusCode }) {
+    if (statusCode) return new AppError(message, statusCode, code);
+    return Object.assign(new Error(message), { code });
+  }
+
+  /**
+   * Übertragene Objekte ohne Client-Referenz: Nachrichten bekommen MESSAGE_METHODS als IPC-Aufruf,
+   * alle anderen Prototyp-Methoden lehnen mit WORKER_METHOD_UNSUPPORTED ab (statt im Browser-Code
+   * an der fehlenden Client-Referenz zu scheitern)
+   */
+  decode(value) {
+    return decode(value, (object, className) => {
+      const forwarded = className === 'Message' && object.id ? MESSAGE_METHODS : [];
+
+      for (const name of methodsOf(object, className)) {
+        Object.defineProperty(object, name, {
+          value: forwarded.includes(name)
+            ? (...args) => this.call('message', [object.id._serialized, name, ...args])
+            : () => Promise.reject(new AppError(
+              `${className}.${name}() is not available for objects received from a WhatsApp worker` +
+                (className === 'Message' ? ` (supported: ${MESSAGE_METHODS.join(', ')})` : ''),
+              501,
+              'WORKER_METHOD_UNSUPPORTED'
+            ))
+        });
+      }
+    });
+  }
+
+  call(method, args = [], timeoutMs = this.config.callTimeoutMs) {
+    if (!this.running) {
+      return Promise.reject(new AppError('WhatsApp worker not running', 503, 'WORKER_NOT_RUNNING'));
+    }
+
+    const id = ++this.nextCallId;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new AppError(`WhatsApp worker call '${method}' timed out`, 504, 'WORKER_TIMEOUT'));
+      }, timeoutMs);
+
+      this.pending.set(id, { resolve, reject, timer });
+      this.worker.send({ type: 'call', id, method, args: encode(args) });
+    });
+  }
+
+  /**
+   * Worker starten und Client initialisieren - hängt die Initialisierung, wird der Worker beendet
+   */
+  async initialize() {
+    if (!this.running) this.spawn();
+
+    try {
+      await this.call('initialize', [], this.config.initTimeoutMs);
+    } catch (error) {
+      if (error.code === 'WORKER_TIMEOUT') this.kill();
+      throw error;
+    }
+  }
+
+  /**
+   * Client beenden, der Worker beendet sich danach selbst (sonst nach exitTimeoutMs hart)
+   */
+  async destroy() {
+    if (!this.running) return;
+
+    const worker = this.worker;
+    this.exiting = true;
+    const exited = new Promise(resolve => worker.once('exit', resolve));
+
+    try {
+      await this.call('destroy', [], this.config.exitTimeoutMs);
+    } finally {
+      const timer = setTimeout(() => this.kill(), this.config.exitTimeoutMs);
+      await exited;
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Worker sofort beenden (Force-Stop) - den Browser beendet der Manager über browserPid
+   */
+  kill() {
+    if (!this.worker) return;
+    this.exiting = true;
+
+    try {
+      this.worker.kill('SIGKILL');
+    } catch (error) {
+      logger.debug(`Worker for ${this.instanceId} already gone: ${error.message}`);
+    }
+  }
+
+  logout() {
+    return this.call('logout');
+  }
+
+  // Lebenszeichen von Worker und Browser (Health-Check)
+  ping(timeoutMs) {
+    return this.call('ping', [], timeoutMs);
+  }
+
+  // Schema-basierter Proxy-Aufruf (WhatsAppProxy.dispatch) im Worker
+  dispatch(methodName, params) {
+    return this.call('dispatch', [methodName, params]);
+  }
+
+  sendMessage(chatId, content, options = {}) {
+    return this.call('client', ['sendMessage', chatId, content, options]);
+  }
+
+  getState() {
+    return this.call('client', ['getState']);
+  }
+
+  getChatById(chatId) {
+    return this.call('client', ['getChatById', chatId]);
+  }
+
+  getContactById(contactId) {
+    return this.call('client', ['getContactById', contactId]);
+  }
+
+  getMessageById(messageId) {
+    return this.call('client', ['getMessageById', messageId]);
+  }
+}
+
+module.exports = WorkerClient;
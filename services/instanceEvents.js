@@ -0,0 +1,143 @@
+const { serializeId, serializeMessage, ackToStatus } = require('../utils/serializers');
+
+/**
+ * Öffentliche Instanz-Events (Webhooks, Live-Streams)
+ *
+ * Der ProductionInstanceManager emittiert intern camelCase-Events mit Roh-Objekten
+ * (whatsapp-web.js Messages, Mongoose-Dokumente). Hier werden sie auf stabile
+ * Event-Namen und JSON-Payloads abgebildet.
+ */
+
+const INSTANCE_EVENTS = {
+  message: 'Incoming message',
+  message_ack: 'Delivery/read status of a sent message changed',
+  message_revoke_everyone: 'Message was deleted for everyone',
+  message_edit: 'Message was edited',
+  message_reaction: 'Reaction added to or removed from a message',
+  qr: 'New QR code for pairing',
+  authenticated: 'Session authenticated',
+  auth_failure: 'Authentication failed',
+  ready: 'Instance connected and ready',
+  disconnected: 'Instance disconnected from WhatsApp',
+  group_join: 'Participant joined or was added to a group',
+  group_leave: 'Participant left or was removed from a group',
+  instanceCrashed: 'Browser process crashed',
+  instanceRestarted: 'Instance was restarted'
+};
+
+// Events, die eine Instanz mit config.webhookUrl (ohne eigene Webhook-Endpunkte) erhält
+const LEGACY_WEBHOOK_EVENTS = ['message', 'qr', 'ready', 'authenticated', 'disconnected'];
+
+const groupNotificationPayload = ({ notification }) => ({
+  data: {
+    chatId: serializeId(notification.chatId || notification.id?.remote),
+    type: notification.type,
+    author: notification.author || null,
+    recipientIds: (notification.recipientIds || []).map(serializeId),
+    timestamp: notification.timestamp ? new Date(notification.timestamp * 1000).toISOString() : null
+  },
+  meta: { chatId: serializeId(notification.chatId || notification.id?.remote) }
+});
+
+// Manager-Event -> [öffentliches Event, Payload-Builder]
+// Builder liefern { data, meta }; meta (chatId, messageType, messageId) dient nur Filtern/Zuordnung
+// (messageId nur bei 'message' - dafür wird Message.webhook aktualisiert)
+const MANAGER_EVENTS = {
+  messageReceived: ['message', ({ message }) => {
+    const data = serializeMessage(message);
+    return {
+      data,
+      meta: { chatId: data.chatId, messageType: data.type, messageId: data.id }
+    };
+  }],
+  messageAck: ['message_ack', ({ message, ack }) => {
+    const data = {
+      messageId: serializeId(message.id),
+      chatId: message.fromMe ? message.to : message.from,
+      ack,
+      status: ackToStatus(ack)
+    };
+    return {
+      data,
+      meta: { chatId: data.chatId, messageType: message.type }
+    };
+  }],
+  messageRevoked: ['message_revoke_everyone', ({ message, revokedMessage, deletedAt }) => {
+    const chatId = message.fromMe ? message.to : message.from;
+    const data = {
+      messageId: serializeId(message.id),
+      chatId,
+      // Ursprüngliche Nachricht, sofern whatsapp-web.js sie noch kannte
+      original: revokedMessage ? serializeMessage(revokedMessage) : null,
+      deletedAt: deletedAt.toISOString()
+    };
+    return {
+      data,
+      meta: { chatId, messageType: revokedMessage?.type || message.type }
+    };
+  }],
+  messageEdited: ['message_edit', ({ message, body, previousBody, editedAt }) => {
+    const chatId = message.fromMe ? message.to : message.from;
+    const data = {
+      messageId: serializeId(message.id),
+      chatId,
+      body: body ?? '',
+      previousBody: previousBody ?? '',
+      editedAt: editedAt.toISOString()
+    };
+    return {
+      data,
+      meta: { chatId, messageType: message.type }
+    };
+  }],
+  messageReaction: ['message_reaction', ({ reaction, timestamp }) => {
+    const chatId = serializeId(reaction.msgId?.remote);
+    const data = {
+      messageId: serializeId(reaction.msgId),
+      chatId,
+      senderId: serializeId(reaction.senderId),
+      emoji: reaction.reaction || null, // null = Reaktion entfernt
+      timestamp: timestamp.toISOString()
+    };
+    return {
+      data,
+      meta: { chatId }
+    };
+  }],
+  qrReceived: ['qr', ({ qr }) => ({ data: { qr } })],
+  authenticated: ['authenticated', () => ({ data: {} })],
+  authFailure: ['auth_failure', ({ error }) => ({ data: { error: String(error) } })],
+  ready: ['ready', ({ info }) => ({
+    data: {
+      phoneNumber: info?.wid?.user || null,
+      pushname: info?.pushname || null
+    }
+  })],
+  disconnected: ['disconnected', ({ reason }) => ({ data: { reason } })],
+  groupJoin: ['group_join', groupNotificationPayload],
+  groupLeave: ['group_leave', groupNotificationPayload],
+  instanceCrashed: ['instanceCrashed', ({ reason }) => ({ data: { reason } })],
+  instanceRestarted: ['instanceRestarted', () => ({ data: {} })]
+};
+
+/**
+ * Manager-Event in öffentliches Event umwandeln
+ * @returns {{ event: string, instanceId: string, data: Object, meta: Object }|null}
+ */
+function toPublicEvent(managerEvent, payload) {
+  const mapping = MANAGER_EVENTS[managerEvent];
+  if (!mapping) return null;
+
+  const [event, build] = mapping;
+  const { data, meta = {} } = build(payload);
+
+  return { event, instanceId: payload.instanceId, data, meta };
+}
+
+module.exports = {
+  INSTANCE_EVENTS,
+  EVENT_NAMES: Object.keys(INSTANCE_EVENTS),
+  LEGACY_WEBHOOK_EVENTS,
+  MANAGER_EVENTS,
+  toPublicEvent
+};
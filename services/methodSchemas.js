@@ -0,0 +1,896 @@
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Deklarative Schemas für alle über den Proxy erreichbaren whatsapp-web.js Methoden
+ *
+ * Jede Methode beschreibt:
+ * - risk:     read | write | destructive | internal (siehe RISK_SCOPES)
+ * - target:   Objekt, auf dem aufgerufen wird (client, chat, group, message, contact).
+ *             Bei allen Targets außer 'client' ist der erste Parameter die ID des Objekts.
+ *             'manager': Lebenszyklus-Methode des InstanceManagers (call), aufgerufen mit der
+ *             instanceId - räumt Status, Session und Client mit auf
+ * - call:     Name der Methode/Property auf dem Target (Default: Schema-Name)
+ * - property: true, wenn `call` eine Property statt einer Funktion ist
+ * - boundId:  Feste Target-ID (z.B. 'status@broadcast'), entfällt dann als Parameter
+ * - params:   Argumente in Aufruf-Reihenfolge ({ name, type, required, description })
+ * - prepare:  Optional - wandelt validierte Argumente in die Client-Argumente um
+ * - transform: Optional - bereitet das Ergebnis nach
+ * - outgoing: true, wenn das Ergebnis eine gesendete Nachricht ist (wird gespeichert)
+ */
+
+// Risiko-Klassen -> benötigter API-Key-Scope (Werte aus User.permissions)
+// 'internal' ist über HTTP nie erreichbar
+const RISK_SCOPES = {
+  read: 'messages.read',
+  write: 'messages.send',
+  destructive: 'instances.update',
+  internal: null
+};
+
+// Scopes, die ein API-Key haben kann - der Instanz-Besitzer darf alle davon vergeben
+const API_KEY_SCOPES = [...new Set(Object.values(RISK_SCOPES).filter(Boolean))];
+
+// Standard-Scopes für neue API-Keys (destruktive Methoden nur bei expliziter Freigabe)
+const DEFAULT_API_KEY_SCOPES = ['messages.read', 'messages.send'];
+
+// Format-Prüfungen für WhatsApp-IDs
+const ID_PATTERNS = {
+  contactId: /^\d{5,20}@(c\.us|lid)$/,
+  groupId: /^[\d-]{5,40}@g\.us$/,
+  chatId: /^(\d{5,20}@(c\.us|lid)|[\d-]{5,40}@g\.us|\d+@newsletter|status@broadcast)$/,
+  messageId: /^(true|false)_[^_\s]+@[a-z.]+_[A-Za-z0-9]+(_\S+)?$/,
+  phoneNumber: /^\+?\d{5,20}$/
+};
+
+const PARAM_TYPES = {
+  string: {
+    description: 'string',
+    check: (value) => typeof value === 'string'
+  },
+  number: {
+    description: 'number',
+    check: (value) => typeof value === 'number' && Number.isFinite(value)
+  },
+  boolean: {
+    description: 'boolean',
+    check: (value) => typeof value === 'boolean'
+  },
+  object: {
+    description: 'object',
+    check: (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  },
+  date: {
+    description: 'ISO-8601 date string or unix timestamp (ms)',
+    check: (value) => !Number.isNaN(new Date(value).getTime()) && (typeof value === 'string' || typeof value === 'number')
+  },
+  stringArray: {
+    description: 'array of strings',
+    check: (value) => Array.isArray(value) && value.every(item => typeof item === 'string')
+  },
+  chatId: {
+    description: 'chat id (e.g. 491701234567@c.us or 1203630xxxx@g.us)',
+    check: (value) => typeof value === 'string' && ID_PATTERNS.chatId.test(value)
+  },
+  chatIdArray: {
+    description: 'array of chat ids',
+    check: (value) => Array.isArray(value) && value.length > 0 && value.every(item => ID_PATTERNS.chatId.test(item))
+  },
+  contactId: {
+    description: 'contact id (e.g. 491701234567@c.us)',
+    check: (value) => typeof value === 'string' && ID_PATTERNS.contactId.test(value)
+  },
+  contactIdArray: {
+    description: 'array of contact ids',
+    check: (value) => Array.isArray(value) && value.length > 0 && value.every(item => ID_PATTERNS.contactId.test(item))
+  },
+  groupId: {
+    description: 'group id (e.g. 120363012345678901@g.us)',
+    check: (value) => typeof value === 'string' && ID_PATTERNS.groupId.test(value)
+  },
+  messageId: {
+    description: 'serialized message id (e.g. true_491701234567@c.us_3EB0...)',
+    check: (value) => typeof value === 'string' && ID_PATTERNS.messageId.test(value)
+  },
+  phoneNumber: {
+    description: 'phone number in international format without spaces',
+    check: (value) => typeof value === 'string' && ID_PATTERNS.phoneNumber.test(value)
+  },
+  media: {
+    description: 'object { mimetype, data (base64), filename? }',
+    check: (value) => PARAM_TYPES.object.check(value) &&
+      typeof value.mimetype === 'string' &&
+      typeof value.data === 'string' &&
+      (value.filename === undefined || typeof value.filename === 'string')
+  }
+};
+
+// Kurzschreibweisen für Parameter
+const required = (name, type, description) => ({ name, type, required: true, description });
+const optional = (name, type, description) => ({ name, type, required: false, description });
+
+const METHOD_SCHEMAS = {
+  // Messaging
+  sendMessage: {
+    category: 'messaging',
+    risk: 'write',
+    description: 'Send a text message to a chat',
+    target: 'client',
+    outgoing: true,
+    params: [
+      required('chatId', 'chatId', 'Recipient chat'),
+      required('content', 'string', 'Message text'),
+      optional('options', 'object', 'whatsapp-web.js MessageSendOptions')
+    ]
+  },
+  reply: {
+    category: 'messaging',
+    risk: 'write',
+    description: 'Reply to a message',
+    target: 'message',
+    outgoing: true,
+    params: [
+      required('messageId', 'messageId', 'Message to reply to'),
+      required('content', 'string', 'Reply text'),
+      optional('chatId', 'chatId', 'Reply in a different chat'),
+      optional('options', 'object', 'whatsapp-web.js MessageSendOptions')
+    ]
+  },
+  forward: {
+    category: 'messaging',
+    risk: 'write',
+    description: 'Forward a message to another chat',
+    target: 'message',
+    params: [
+      required('messageId', 'messageId', 'Message to forward'),
+      required('chatId', 'chatId', 'Destination chat')
+    ]
+  },
+  react: {
+    category: 'messaging',
+    risk: 'write',
+    description: 'React to a message with an emoji (empty string removes the reaction)',
+    target: 'message',
+    params: [
+      required('messageId', 'messageId', 'Message to react to'),
+      { ...required('reaction', 'string', 'Emoji'), allowEmpty: true }
+    ]
+  },
+  edit: {
+    category: 'messaging',
+    risk: 'write',
+    description: 'Edit a sent text message',
+    target: 'message',
+    params: [
+      required('messageId', 'messageId', 'Message to edit'),
+      required('content', 'string', 'New message text'),
+      optional('options', 'object', 'Edit options')
+    ]
+  },
+  delete: {
+    category: 'messaging',
+    risk: 'destructive',
+    description: 'Delete a message',
+    target: 'message',
+    params: [
+      required('messageId', 'messageId', 'Message to delete'),
+      optional('everyone', 'boolean', 'Delete for everyone')
+    ]
+  },
+  star: {
+    category: 'messaging',
+    risk: 'write',
+    description: 'Star a message',
+    target: 'message',
+    params: [required('messageId', 'messageId', 'Message to star')]
+  },
+  unstar: {
+    category: 'messaging',
+    risk: 'write',
+    description: 'Unstar a message',
+    target: 'message',
+    params: [required('messageId', 'messageId', 'Message to unstar')]
+  },
+  pin: {
+    category: 'messaging',
+    risk: 'write',
+    description: 'Pin a message in its chat',
+    target: 'message',
+    params: [
+      required('messageId', 'messageId', 'Message to pin'),
+      required('duration', 'number', 'Pin duration in seconds (86400, 604800 or 2592000)')
+    ]
+  },
+  unpin: {
+    category: 'messaging',
+    risk: 'write',
+    description: 'Unpin a message',
+    target: 'message',
+    params: [required('messageId', 'messageId', 'Message to unpin')]
+  },
+
+  // Media
+  downloadMedia: {
+    category: 'media',
+    risk: 'read',
+    description: 'Download media from a message',
+    target: 'message',
+    params: [required('messageId', 'messageId', 'Message with media')]
+  },
+  sendMedia: {
+    category: 'media',
+    risk: 'write',
+    description: 'Send media (image, video, document) to a chat',
+    target: 'client',
+    call: 'sendMessage',
+    outgoing: true,
+    params: [
+      required('chatId', 'chatId', 'Recipient chat'),
+      required('media', 'media', 'Media payload'),
+      optional('options', 'object', 'whatsapp-web.js MessageSendOptions (caption, sendMediaAsDocument, ...)')
+    ]
+  },
+
+  // Chats
+  getChats: {
+    category: 'chats',
+    risk: 'read',
+    description: 'Get all chats',
+    target: 'client',
+    params: []
+  },
+  getChatById: {
+    category: 'chats',
+    risk: 'read',
+    description: 'Get a chat by its id',
+    target: 'client',
+    params: [required('chatId', 'chatId', 'Chat id')]
+  },
+  archiveChat: {
+    category: 'chats',
+    risk: 'write',
+    description: 'Archive a chat',
+    target: 'client',
+    params: [required('chatId', 'chatId', 'Chat id')]
+  },
+  unarchiveChat: {
+    category: 'chats',
+    risk: 'write',
+    description: 'Unarchive a chat',
+    target: 'client',
+    params: [required('chatId', 'chatId', 'Chat id')]
+  },
+  pinChat: {
+    category: 'chats',
+    risk: 'write',
+    description: 'Pin a chat',
+    target: 'client',
+    params: [required('chatId', 'chatId', 'Chat id')]
+  },
+  unpinChat: {
+    category: 'chats',
+    risk: 'write',
+    description: 'Unpin a chat',
+    target: 'client',
+    params: [required('chatId', 'chatId', 'Chat id')]
+  },
+  muteChat: {
+    category: 'chats',
+    risk: 'write',
+    description: 'Mute a chat until a date (forever if omitted)',
+    target: 'client',
+    params: [
+      required('chatId', 'chatId', 'Chat id'),
+      optional('unmuteDate', 'date', 'Date when the chat is unmuted')
+    ]
+  },
+  unmuteChat: {
+    category: 'chats',
+    risk: 'write',
+    description: 'Unmute a chat',
+    target: 'client',
+    params: [required('chatId', 'chatId', 'Chat id')]
+  },
+  deleteChat: {
+    category: 'chats',
+    risk: 'destructive',
+    description: 'Delete a chat',
+    target: 'chat',
+    call: 'delete',
+    params: [required('chatId', 'chatId', 'Chat id')]
+  },
+  clearChat: {
+    category: 'chats',
+    risk: 'destructive',
+    description: 'Clear all messages of a chat',
+    target: 'chat',
+    call: 'clearMessages',
+    params: [required('chatId', 'chatId', 'Chat id')]
+  },
+  markChatUnread: {
+    category: 'chats',
+    risk: 'write',
+    description: 'Mark a chat as unread',
+    target: 'client',
+    params: [required('chatId', 'chatId', 'Chat id')]
+  },
+  sendSeen: {
+    category: 'chats',
+    risk: 'write',
+    description: 'Mark all messages of a chat as seen',
+    target: 'client',
+    params: [required('chatId', 'chatId', 'Chat id')]
+  },
+  sendStateTyping: {
+    category: 'chats',
+    risk: 'write',
+    description: 'Show "typing..." in a chat for 25 seconds',
+    target: 'chat',
+    params: [required('chatId', 'chatId', 'Chat id')]
+  },
+  sendStateRecording: {
+    category: 'chats',
+    risk: 'write',
+    description: 'Show "recording audio..." in a chat for 25 seconds',
+    target: 'chat',
+    params: [required('chatId', 'chatId', 'Chat id')]
+  },
+
+  // Contacts
+  getContacts: {
+    category: 'contacts',
+    risk: 'read',
+    description: 'Get all contacts',
+    target: 'client',
+    params: []
+  },
+  getContactById: {
+    category: 'contacts',
+    risk: 'read',
+    description: 'Get a contact by its id',
+    target: 'client',
+    params: [required('contactId', 'contactId', 'Contact id')]
+  },
+  getNumberId: {
+    category: 'contacts',
+    risk: 'read',
+    description: 'Resolve a phone number to a WhatsApp id (null if not registered)',
+    target: 'client',
+    params: [required('number', 'phoneNumber', 'Phone number')]
+  },
+  getFormattedNumber: {
+    category: 'contacts',
+    risk: 'read',
+    description: 'Get the formatted version of a phone number',
+    target: 'client',
+    params: [required('number', 'phoneNumber', 'Phone number')]
+  },
+  getCountryCode: {
+    category: 'contacts',
+    risk: 'read',
+    description: 'Get the country code of a phone number',
+    target: 'client',
+    params: [required('number', 'phoneNumber', 'Phone number')]
+  },
+  isRegisteredUser: {
+    category: 'contacts',
+    risk: 'read',
+    description: 'Check if a contact id is registered on WhatsApp',
+    target: 'client',
+    params: [required('contactId', 'contactId', 'Contact id')]
+  },
+  blockContact: {
+    category: 'contacts',
+    risk: 'destructive',
+    description: 'Block a contact',
+    target: 'contact',
+    call: 'block',
+    params: [required('contactId', 'contactId', 'Contact id')]
+  },
+  unblockContact: {
+    category: 'contacts',
+    risk: 'destructive',
+    description: 'Unblock a contact',
+    target: 'contact',
+    call: 'unblock',
+    params: [required('contactId', 'contactId', 'Contact id')]
+  },
+  getBlockedContacts: {
+    category: 'contacts',
+    risk: 'read',
+    description: 'Get all blocked contacts',
+    target: 'client',
+    params: []
+  },
+
+  // Groups
+  createGroup: {
+    category: 'groups',
+    risk: 'write',
+    description: 'Create a new group',
+    target: 'client',
+    params: [
+      required('title', 'string', 'Group name'),
+      required('participants', 'contactIdArray', 'Initial participants'),
+      optional('options', 'object', 'Group creation options')
+    ]
+  },
+  getGroupMembersIds: {
+    category: 'groups',
+    risk: 'read',
+    description: 'Get the participants of a group',
+    target: 'group',
+    call: 'participants',
+    property: true,
+    params: [required('groupId', 'groupId', 'Group id')]
+  },
+  addParticipants: {
+    category: 'groups',
+    risk: 'write',
+    description: 'Add participants to a group',
+    target: 'group',
+    params: [
+      required('groupId', 'groupId', 'Group id'),
+      required('participantIds', 'contactIdArray', 'Participants to add'),
+      optional('options', 'object', 'AddParticipantsOptions')
+    ]
+  },
+  removeParticipants: {
+    category: 'groups',
+    risk: 'destructive',
+    description: 'Remove participants from a group',
+    target: 'group',
+    params: [
+      required('groupId', 'groupId', 'Group id'),
+      required('participantIds', 'contactIdArray', 'Participants to remove')
+    ]
+  },
+  promoteParticipants: {
+    category: 'groups',
+    risk: 'write',
+    description: 'Promote participants to group admins',
+    target: 'group',
+    params: [
+      required('groupId', 'groupId', 'Group id'),
+      required('participantIds', 'contactIdArray', 'Participants to promote')
+    ]
+  },
+  demoteParticipants: {
+    category: 'groups',
+    risk: 'write',
+    description: 'Demote group admins to regular participants',
+    target: 'group',
+    params: [
+      required('groupId', 'groupId', 'Group id'),
+      required('participantIds', 'contactIdArray', 'Participants to demote')
+    ]
+  },
+  setSubject: {
+    category: 'groups',
+    risk: 'write',
+    description: 'Change the group name',
+    target: 'group',
+    params: [
+      required('groupId', 'groupId', 'Group id'),
+      required('subject', 'string', 'New group name')
+    ]
+  },
+  setDescription: {
+    category: 'groups',
+    risk: 'write',
+    description: 'Change the group description',
+    target: 'group',
+    params: [
+      required('groupId', 'groupId', 'Group id'),
+      { ...required('description', 'string', 'New group description'), allowEmpty: true }
+    ]
+  },
+  setGroupIcon: {
+    category: 'groups',
+    risk: 'write',
+    description: 'Change the group picture',
+    target: 'group',
+    call: 'setPicture',
+    params: [
+      required('groupId', 'groupId', 'Group id'),
+      required('media', 'media', 'Image payload')
+    ]
+  },
+  deleteGroupIcon: {
+    category: 'groups',
+    risk: 'destructive',
+    description: 'Remove the group picture',
+    target: 'group',
+    call: 'deletePicture',
+    params: [required('groupId', 'groupId', 'Group id')]
+  },
+  getInviteInfo: {
+    category: 'groups',
+    risk: 'read',
+    description: 'Get information about a group invite code',
+    target: 'client',
+    params: [required('inviteCode', 'string', 'Invite code')]
+  },
+  getGroupInviteLink: {
+    category: 'groups',
+    risk: 'read',
+    description: 'Get the invite code of a group',
+    target: 'group',
+    call: 'getInviteCode',
+    params: [required('groupId', 'groupId', 'Group id')]
+  },
+  revokeGroupInviteLink: {
+    category: 'groups',
+    risk: 'destructive',
+    description: 'Revoke the current invite code of a group',
+    target: 'group',
+    call: 'revokeInvite',
+    params: [required('groupId', 'groupId', 'Group id')]
+  },
+  setGroupInfoAdminsOnly: {
+    category: 'groups',
+    risk: 'write',
+    description: 'Allow only admins to edit group info',
+    target: 'group',
+    call: 'setInfoAdminsOnly',
+    params: [
+      required('groupId', 'groupId', 'Group id'),
+      optional('adminsOnly', 'boolean', 'Default: true')
+    ]
+  },
+  setGroupSettingAddMembersAdminsOnly: {
+    category: 'groups',
+    risk: 'write',
+    description: 'Allow only admins to add members',
+    target: 'group',
+    call: 'setAddMembersAdminsOnly',
+    params: [
+      required('groupId', 'groupId', 'Group id'),
+      optional('adminsOnly', 'boolean', 'Default: true')
+    ]
+  },
+  setGroupSettingMessagesAdminsOnly: {
+    category: 'groups',
+    risk: 'write',
+    description: 'Allow only admins to send messages',
+    target: 'group',
+    call: 'setMessagesAdminsOnly',
+    params: [
+      required('groupId', 'groupId', 'Group id'),
+      optional('adminsOnly', 'boolean', 'Default: true')
+    ]
+  },
+  leaveGroup: {
+    category: 'groups',
+    risk: 'destructive',
+    description: 'Leave a group',
+    target: 'group',
+    call: 'leave',
+    params: [required('groupId', 'groupId', 'Group id')]
+  },
+
+  // Status/Stories
+  getStatus: {
+    category: 'status',
+    risk: 'read',
+    description: 'Get the "about" text of a contact',
+    target: 'contact',
+    call: 'getAbout',
+    params: [required('contactId', 'contactId', 'Contact id')]
+  },
+  setStatus: {
+    category: 'status',
+    risk: 'write',
+    description: 'Set the "about" text of this account',
+    target: 'client',
+    params: [{ ...required('status', 'string', 'New about text'), allowEmpty: true }]
+  },
+  getStories: {
+    category: 'status',
+    risk: 'read',
+    description: 'Get recent status updates (stories)',
+    target: 'chat',
+    call: 'fetchMessages',
+    boundId: 'status@broadcast',
+    params: [optional('searchOptions', 'object', '{ limit, fromMe }')],
+    prepare: ([searchOptions]) => [searchOptions || { limit: 50 }]
+  },
+
+  // Profile
+  getProfilePicUrl: {
+    category: 'profile',
+    risk: 'read',
+    description: 'Get the profile picture URL of a contact or group',
+    target: 'client',
+    params: [required('chatId', 'chatId', 'Contact or group id')]
+  },
+  setProfilePic: {
+    category: 'profile',
+    risk: 'write',
+    description: 'Set the profile picture of this account',
+    target: 'client',
+    call: 'setProfilePicture',
+    params: [required('media', 'media', 'Image payload')]
+  },
+  deleteProfilePic: {
+    category: 'profile',
+    risk: 'destructive',
+    description: 'Remove the profile picture of this account',
+    target: 'client',
+    call: 'deleteProfilePicture',
+    params: []
+  },
+  getMyContacts: {
+    category: 'profile',
+    risk: 'read',
+    description: 'Get all contacts saved in the address book',
+    target: 'client',
+    call: 'getContacts',
+    params: [],
+    transform: (contacts) => contacts.filter(contact => contact.isMyContact)
+  },
+  getMe: {
+    category: 'profile',
+    risk: 'read',
+    description: 'Get information about the connected account',
+    target: 'client',
+    call: 'info',
+    property: true,
+    params: []
+  },
+  logout: {
+    category: 'profile',
+    risk: 'destructive',
+    description: 'Log out the WhatsApp session and stop the instance (requires a new QR scan)',
+    target: 'manager',
+    call: 'logoutInstance',
+    params: []
+  },
+
+  // Labels (Business)
+  getLabels: {
+    category: 'labels',
+    risk: 'read',
+    description: 'Get all labels (WhatsApp Business)',
+    target: 'client',
+    params: []
+  },
+  getChatLabels: {
+    category: 'labels',
+    risk: 'read',
+    description: 'Get the labels of a chat (WhatsApp Business)',
+    target: 'client',
+    params: [required('chatId', 'chatId', 'Chat id')]
+  },
+  addOrRemoveLabels: {
+    category: 'labels',
+    risk: 'write',
+    description: 'Set the labels of chats (WhatsApp Business)',
+    target: 'client',
+    params: [
+      required('labelIds', 'stringArray', 'Labels to apply'),
+      required('chatIds', 'chatIdArray', 'Chats to label')
+    ]
+  },
+
+  // Polls
+  vote: {
+    category: 'polls',
+    risk: 'write',
+    description: 'Vote in a poll',
+    target: 'message',
+    params: [
+      required('messageId', 'messageId', 'Poll message'),
+      required('selectedOptions', 'stringArray', 'Selected option names')
+    ]
+  },
+  sendPoll: {
+    category: 'polls',
+    risk: 'write',
+    description: 'Send a poll to a chat',
+    target: 'client',
+    call: 'sendMessage',
+    outgoing: true,
+    params: [
+      required('chatId', 'chatId', 'Recipient chat'),
+      required('pollName', 'string', 'Poll question'),
+      required('pollOptions', 'stringArray', 'Poll options'),
+      optional('options', 'object', '{ allowMultipleAnswers }')
+    ],
+    prepare: ([chatId, pollName, pollOptions, options], { Poll }) => [
+      chatId,
+      new Poll(pollName, pollOptions, options || {})
+    ]
+  },
+
+  // Location
+  sendLocation: {
+    category: 'location',
+    risk: 'write',
+    description: 'Send a location to a chat',
+    target: 'client',
+    call: 'sendMessage',
+    outgoing: true,
+    params: [
+      required('chatId', 'chatId', 'Recipient chat'),
+      required('latitude', 'number', 'Latitude'),
+      required('longitude', 'number', 'Longitude'),
+      optional('options', 'object', '{ name, address, url }')
+    ],
+    prepare: ([chatId, latitude, longitude, options], { Location }) => [
+      chatId,
+      new Location(latitude, longitude, options || {})
+    ]
+  },
+
+  // Misc
+  searchMessages: {
+    category: 'misc',
+    risk: 'read',
+    description: 'Search messages',
+    target: 'client',
+    params: [
+      required('query', 'string', 'Search text'),
+      optional('options', 'object', '{ chatId, page, limit }')
+    ]
+  },
+  getWWebVersion: {
+    category: 'misc',
+    risk: 'read',
+    description: 'Get the WhatsApp Web version',
+    target: 'client',
+    params: []
+  },
+  getState: {
+    category: 'misc',
+    risk: 'read',
+    description: 'Get the connection state',
+    target: 'client',
+    params: []
+  },
+  getInfo: {
+    category: 'misc',
+    risk: 'read',
+    description: 'Get client information',
+    target: 'client',
+    call: 'info',
+    property: true,
+    params: []
+  },
+  pupPage: {
+    category: 'misc',
+    risk: 'internal',
+    description: 'Puppeteer page of the client',
+    target: 'client',
+    property: true,
+    params: []
+  },
+  pupBrowser: {
+    category: 'misc',
+    risk: 'internal',
+    description: 'Puppeteer browser of the client',
+    target: 'client',
+    property: true,
+    params: []
+  },
+
+  // Business
+  getBusinessProfile: {
+    category: 'business',
+    risk: 'read',
+    description: 'Get the business profile of a contact',
+    target: 'contact',
+    call: 'businessProfile',
+    property: true,
+    params: [required('contactId', 'contactId', 'Business contact id')]
+  }
+};
+
+/**
+ * Schema zu einem Methodennamen - nur eigene Einträge, damit Namen wie 'constructor'
+ * oder 'toString' nicht über den Prototyp aufgelöst werden
+ * @returns {Object|null}
+ */
+function getSchema(methodName) {
+  return Object.prototype.hasOwnProperty.call(METHOD_SCHEMAS, methodName) ? METHOD_SCHEMAS[methodName] : null;
+}
+
+/**
+ * Parameter eines Methodenaufrufs validieren
+ * Wirft einen ValidationError mit allen Fehlern in `errors`
+ */
+function validateParams(methodName, params) {
+  const schema = getSchema(methodName);
+  if (!schema) {
+    throw new ValidationError(`Unknown method '${methodName}'`, 'method');
+  }
+  const errors = [];
+
+  if (params.length > schema.params.length) {
+    errors.push({
+      field: 'params',
+      message: `Method '${methodName}' accepts at most ${schema.params.length} parameter(s), got ${params.length}`
+    });
+  }
+
+  schema.params.forEach((param, index) => {
+    const value = params[index];
+    const field = `params[${index}]`;
+
+    if (value === undefined || value === null || (value === '' && !param.allowEmpty)) {
+      if (param.required) {
+        errors.push({ field, param: param.name, message: `${param.name} is required` });
+      }
+      return;
+    }
+
+    const type = PARAM_TYPES[param.type];
+    if (!type.check(value)) {
+      errors.push({
+        field,
+        param: param.name,
+        message: `${param.name} must be ${type.description}`
+      });
+    }
+  });
+
+  if (errors.length > 0) {
+    const error = new ValidationError(
+      `Invalid parameters for '${methodName}': ${errors.map(e => e.message).join('; ')}`,
+      errors[0].field
+    );
+    error.errors = errors;
+    throw error;
+  }
+}
+
+/**
+ * Über HTTP erreichbar? (interne Methoden wie pupPage/pupBrowser nicht)
+ */
+function isPublicMethod(methodName) {
+  const schema = getSchema(methodName);
+  return Boolean(schema) && schema.risk !== 'internal';
+}
+
+/**
+ * Scope, den ein API-Key für die Methode benötigt
+ */
+function requiredScope(methodName) {
+  const schema = getSchema(methodName);
+  return schema ? RISK_SCOPES[schema.risk] : null;
+}
+
+/**
+ * Öffentliche Beschreibung eines Schemas (für /api/proxy/methods)
+ */
+function describeMethod(methodName) {
+  const schema = getSchema(methodName);
+
+  return {
+    name: methodName,
+    category: schema.category,
+    risk: schema.risk,
+    requiredScope: requiredScope(methodName),
+    description: schema.description,
+    parameters: schema.params.map(param => ({
+      name: param.name,
+      type: param.type,
+      format: PARAM_TYPES[param.type].description,
+      required: param.required,
+      description: param.description
+    }))
+  };
+}
+
+module.exports = {
+  METHOD_SCHEMAS,
+  PARAM_TYPES,
+  ID_PATTERNS,
+  RISK_SCOPES,
+  API_KEY_SCOPES,
+  DEFAULT_API_KEY_SCOPES,
+  getSchema,
+  validateParams,
+  isPublicMethod,
+  requiredScope,
+  describeMethod
+};
@@ -0,0 +1,181 @@
+const { Client, LocalAuth } = require('whatsapp-web.js');
+const { logger } = require('../utils/logger');
+const { encode, decode, encodeError } = require('../utils/ipcCodec');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Worker-Prozess für genau einen WhatsApp-Client (gestartet von services/WorkerClient)
+ *
+ * Ein hängender Browser oder ein Chrome-Absturz trifft nur diesen Prozess, nicht den API-Server.
+ * Protokoll (process.send / process.on('message')):
+ *   Manager -> Worker  { type: 'create', options }, { type: 'call', id, method, args }
+ *   Worker -> Manager  { type: 'result', id, value }, { type: 'error', id, error },
+ *                      { type: 'event', event, args, info? }, { type: 'browser', pid }
+ */
+
+// Client-Events, die an den Manager weitergereicht werden
+const FORWARDED_EVENTS = [
+  'qr', 'authenticated', 'ready', 'auth_failure', 'disconnected', 'change_state', 'loading_screen',
+  'message', 'message_create', 'message_ack', 'message_revoke_everyone', 'message_edit', 'message_reaction',
+  'group_join', 'group_leave'
+];
+
+// Nachrichten-Methoden, die der Manager auf übertragenen Nachrichten aufrufen darf
+const MESSAGE_METHODS = ['downloadMedia', 'getChat', 'getContact', 'getQuotedMessage'];
+
+const DESTROY_TIMEOUT_MS = 10000;
+
+/**
+ * whatsapp-web.js Client aus serialisierbaren Optionen erstellen (auch ohne Worker verwendet)
+ * @param {{ auth: { clientId: string, dataPath: string } }} options plus Client-Optionen (puppeteer, webVersionCache)
+ */
+function createClient({ auth, ...options }) {
+  return new Client({
+    ...options,
+    authStrategy: new LocalAuth(auth)
+  });
+}
+
+function run() {
+  let client = null;
+  let instanceId = null;
+  let browserTimer = null;
+  let proxy = null;
+
+  const send = (message, callback) => {
+    if (process.connected) process.send(message, callback);
+  };
+
+  // Browser-PID melden, sobald puppeteer gestartet ist (für Force-Stop und Memory-Check)
+  const reportBrowser = () => {
+    if (!browserTimer || !client || !client.pupBrowser) return;
+    clearInterval(browserTimer);
+    browserTimer = null;
+
+    const browserProcess = client.pupBrowser.process();
+    send({ type: 'browser', pid: browserProcess ? browserProcess.pid : null });
+    client.pupBrowser.on('disconnected', () => send({ type: 'event', event: 'browser_disconnected', args: [] }));
+  };
+
+  const shutdown = async (code) => {
+    if (browserTimer) clearInterval(browserTimer);
+    try {
+      if (client) {
+        await Promise.race([
+          client.destroy(),
+          new Promise(resolve => setTimeout(resolve, DESTROY_TIMEOUT_MS))
+        ]);
+      }
+    } catch (error) {
+      logger.warn(`Worker ${instanceId}: destroy failed: ${error.message}`);
+    }
+    process.exit(code);
+  };
+
+  const handlers = {
+    initialize: async () => {
+      browserTimer = setInterval(reportBrowser, 500);
+      await client.initialize();
+    },
+
+    destroy: async () => {
+      if (browserTimer) clearInterval(browserTimer);
+      await client.destroy();
+      client = null;
+    },
+
+    logout: () => client.logout(),
+
+    // Lebenszeichen von Worker und Browser (Health-Check)
+    ping: async () => {
+      if (client.pupPage) await client.pupPage.evaluate(() => true);
+      return true;
+    },
+
+    // Schema-basierter Proxy-Aufruf (WhatsAppProxy.dispatch) im Worker ausführen
+    dispatch: (methodName, params) => {
+      if (!proxy) {
+        const WhatsAppProxy = require('./WhatsAppProxy');
+        proxy = new WhatsAppProxy(null);
+      }
+      return proxy.dispatch(client, methodName, params);
+    },
+
+    client: (name, ...args) => {
+      if (name.startsWith('_') || typeof client[name] !== 'function' || handlers[name]) {
+        throw new Error(`Client method '${name}' is not available`);
+      }
+      return client[name](...args);
+    },
+
+    message: async (messageId, name, ...args) => {
+      if (!MESSAGE_METHODS.includes(name)) {
+        throw new Error(`Message method '${name}' is not available`);
+      }
+      const message = await client.getMessageById(messageId);
+      if (!message) {
+        throw new NotFoundError(`Message '${messageId}'`);
+      }
+      return message[name](...args);
+    }
+  };
+
+  process.on('message', async (message) => {
+    if (message.type === 'create') {
+      instanceId = message.instanceId;
+      client = createClient(message.options);
+
+      for (const event of FORWARDED_EVENTS) {
+        client.on(event, (...args) => {
+          // PID vor 'ready' melden - der Manager speichert sie dort
+          reportBrowser();
+          send({
+            type: 'event',
+            event,
+            args: encode(args),
+            ...(event === 'ready' && { info: encode(client.info) })
+          });
+        });
+      }
+      return;
+    }
+
+    if (message.type !== 'call') return;
+
+    const { id, method, args } = message;
+    let reply;
+    try {
+      if (!client || !handlers[method]) {
+        throw new Error(client ? `Unknown worker method '${method}'` : 'Client not created');
+      }
+      const value = await handlers[method](...decode(args));
+      reply = { type: 'result', id, value: encode(value) };
+    } catch (error) {
+      reply = { type: 'error', id, error: encodeError(error) };
+    }
+
+    // Nach destroy beendet sich der Worker, sobald die Antwort übertragen ist
+    send(reply, method === 'destroy' ? () => process.exit(0) : undefined);
+  });
+
+  // Manager beendet oder abgestürzt - Browser nicht verwaist zurücklassen
+  process.on('disconnect', () => shutdown(0));
+
+  // Strg+C trifft die ganze Prozessgruppe - Beenden steuert der Manager
+  process.on('SIGINT', () => {});
+
+  process.on('unhandledRejection', (reason) => {
+    logger.error(`Worker ${instanceId}: unhandled rejection:`, reason);
+  });
+
+  process.on('uncaughtException', (error) => {
+    logger.error(`Worker ${instanceId}: uncaught exception:`, error);
+    shutdown(1);
+  });
+}
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { createClient, FORWARDED_EVENTS, MESSAGE_METHODS };
@@ -0,0 +1,60 @@
+const User = require('../../models/User');
+const ApiKey = require('../../models/ApiKey');
+const Instance = require('../../models/Instance');
+const { generateToken } = require('../../middleware/auth');
+
+/**
+ * Benutzer für die auth-Middleware bereitstellen (ohne MongoDB)
+ *
+ * User.findById liefert den Benutzer direkt und über .select() - so wie auth und die Routen laden.
+ * otherUsers findet User.findById ebenfalls (z.B. Ziel einer Admin-Aktion).
+ * @returns {{ user: User, header: string }} header für 'Authorization'
+ */
+function mockAuthenticatedUser(fields = {}, tokenOptions = {}, otherUsers = []) {
+  const user = new User({
+    username: 'alice',
+    email: 'alice@example.com',
+    password: 'secret-password',
+    lastLogin: new Date(),
+    ...fields
+  });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+
+  jest.spyOn(User, 'findById').mockImplementation((id) => {
+    const found = [user, ...otherUsers].find(candidate => String(candidate._id) === String(id)) || null;
+    return Object.assign(Promise.resolve(found), { select: () => Promise.resolve(found) });
+  });
+
+  return { user, header: `Bearer ${generateToken(String(user._id), tokenOptions)}` };
+}
+
+/**
+ * API-Key für apiKeyAuth bereitstellen (ohne MongoDB)
+ *
+ * ApiKey.findByKey liefert den Key, Instance.findOne die Instanz mit populiertem Owner (populate)
+ * bzw. als Plain-Object (lean, WhatsAppProxy.resolveInstance).
+ * @returns {{ user: User, apiKey: ApiKey, instance: Object, key: string }} key für die Proxy-URL
+ */
+function mockApiKeyAuth({ scopes = ['messages.read', 'messages.send'], user: userFields = {}, instance: instanceFields = {} } = {}) {
+  const user = new User({
+    username: 'alice',
+    email: 'alice@example.com',
+    password: 'secret-password',
+    planLimits: { enableApiAccess: true, maxMessagesPerMonth: 1000 },
+    ...userFields
+  });
+  const key = 'wam_test_key';
+  const apiKey = new ApiKey({ keyId: 'key_1', instanceId: 'inst_1', userId: user._id, keyHash: ApiKey.hashKey(key), scopes });
+  jest.spyOn(apiKey, 'touch').mockResolvedValue();
+  jest.spyOn(ApiKey, 'findByKey').mockImplementation(async (value) => (value === key ? apiKey : null));
+
+  const instance = { instanceId: 'inst_1', name: 'Shop', status: 'ready', config: {}, ...instanceFields };
+  jest.spyOn(Instance, 'findOne').mockImplementation(() => ({
+    populate: () => Promise.resolve({ ...instance, userId: user }),
+    lean: () => Promise.resolve({ ...instance, userId: user._id })
+  }));
+
+  return { user, apiKey, instance, key };
+}
+
+module.exports = { mockAuthenticatedUser, mockApiKeyAuth };
@@ -0,0 +1,129 @@
+const Message = require('../../models/Message');
+
+// MongoDB-Filter im Speicher auswerten (nur die von den Übergängen verwendeten Operatoren)
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(sub => matches(doc, sub));
+
+  const value = key.split('.').reduce((object, part) => object?.[part], doc);
+  if (condition === null) return value === undefined || value === null;
+  if (typeof condition !== 'object' || condition instanceof Date) return value === condition;
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$ne': return value !== operand;
+      case '$in': return operand.includes(value);
+      case '$lt': return value !== undefined && value !== null && value < operand;
+      case '$exists': return (value !== undefined) === operand;
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+});
+
+const WA_MESSAGE_ID = 'true_491701234567@c.us_3EB0ABCDEF';
+
+describe('Message transitions', () => {
+  let findOneAndUpdate;
+
+  beforeEach(() => {
+    findOneAndUpdate = jest.spyOn(Message, 'findOneAndUpdate').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Filter und Update des letzten findOneAndUpdate
+  const lastCall = () => {
+    const [filter, update] = findOneAndUpdate.mock.calls[findOneAndUpdate.mock.calls.length - 1];
+    return { filter, update };
+  };
+
+  describe('applyAck', () => {
+    test.each([
+      [{ ack: 0, status: 'pending' }, 1, 'sent'],
+      [{ ack: 1, status: 'sent' }, 2, 'delivered'],
+      [{ ack: 1, status: 'sent' }, 3, 'read'],
+      [{ ack: 3, status: 'read' }, 4, 'read'],
+      [{ ack: 0, status: 'pending' }, -1, 'failed'],
+      [{ ack: 1, status: 'sent' }, -1, 'failed']
+    ])('moves %p forward on ack %i to %s', async (stored, ack, status) => {
+      await Message.applyAck('inst_1', WA_MESSAGE_ID, ack);
+
+      const { filter, update } = lastCall();
+      expect(matches({ instanceId: 'inst_1', waMessageId: WA_MESSAGE_ID, ...stored }, filter)).toBe(true);
+      expect(update).toEqual({ ack, status });
+    });
+
+    test.each([
+      [{ ack: 3, status: 'read' }, 2, 'late delivery ack'],
+      [{ ack: 2, status: 'delivered' }, 2, 'repeated ack'],
+      [{ ack: 2, status: 'delivered' }, -1, 'error after delivery'],
+      [{ ack: 1, status: 'deleted' }, 3, 'ack of a deleted message']
+    ])('ignores %p on ack %i (%s)', async (stored, ack) => {
+      await Message.applyAck('inst_1', WA_MESSAGE_ID, ack);
+
+      expect(matches({ instanceId: 'inst_1', waMessageId: WA_MESSAGE_ID, ...stored }, lastCall().filter)).toBe(false);
+    });
+  });
+
+  describe('markRevoked', () => {
+    test('marks the message deleted once and records deletedAt', async () => {
+      const deletedAt = new Date('2026-10-19T12:00:00Z');
+
+      await Message.markRevoked('inst_1', WA_MESSAGE_ID, deletedAt);
+
+      const { filter, update } = lastCall();
+      expect(update).toEqual({ status: 'deleted', 'metadata.deletedAt': deletedAt });
+      expect(matches({ instanceId: 'inst_1', waMessageId: WA_MESSAGE_ID, status: 'read' }, filter)).toBe(true);
+      expect(matches({ instanceId: 'inst_1', waMessageId: WA_MESSAGE_ID, status: 'deleted' }, filter)).toBe(false);
+    });
+  });
+
+  describe('applyEdit', () => {
+    const editedAt = new Date('2026-10-19T12:00:00Z');
+
+    test('stores the new body, editedAt and the previous body in the history', async () => {
+      await Message.applyEdit('inst_1', WA_MESSAGE_ID, { body: 'Neu', previousBody: 'Alt', editedAt });
+
+      expect(lastCall().update).toEqual({
+        body: 'Neu',
+        'metadata.editedAt': editedAt,
+        $push: { editHistory: { body: 'Alt', editedAt } }
+      });
+    });
+
+    test.each([
+      ['never edited', {}, true],
+      ['editedAt unset', { editedAt: null }, true],
+      ['edited before', { editedAt: new Date('2026-10-19T11:00:00Z') }, true],
+      ['edited later already', { editedAt: new Date('2026-10-19T13:00:00Z') }, false],
+      ['the same edit again', { editedAt }, false]
+    ])('applies to a message %s: %s', async (label, metadata, applied) => {
+      await Message.applyEdit('inst_1', WA_MESSAGE_ID, { body: 'Neu', previousBody: 'Alt', editedAt });
+
+      expect(matches({ instanceId: 'inst_1', waMessageId: WA_MESSAGE_ID, metadata }, lastCall().filter)).toBe(applied);
+    });
+  });
+
+  describe('applyReaction', () => {
+    const timestamp = new Date('2026-10-19T12:00:00Z');
+
+    test('replaces the earlier reaction of the same sender', async () => {
+      await Message.applyReaction('inst_1', WA_MESSAGE_ID, { emoji: '👍', senderId: '$491701234567@c.us', timestamp });
+
+      const [{ $set: { reactions } }] = lastCall().update;
+      const [others, added] = reactions.$concatArrays;
+      // Absender-IDs als Literal - sonst würde '$...' als Feldpfad gelesen
+      expect(others.$filter.cond).toEqual({ $ne: ['$$this.senderId', { $literal: '$491701234567@c.us' }] });
+      expect(added).toEqual([{ $literal: { emoji: '👍', senderId: '$491701234567@c.us', timestamp } }]);
+    });
+
+    test('removes the reaction of the sender for an empty emoji', async () => {
+      await Message.applyReaction('inst_1', WA_MESSAGE_ID, { emoji: '', senderId: '491701234567@c.us', timestamp });
+
+      const [{ $set: { reactions } }] = lastCall().update;
+      expect(reactions.$filter).toBeDefined();
+      expect(reactions.$concatArrays).toBeUndefined();
+    });
+  });
+});
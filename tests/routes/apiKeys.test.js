@@ -0,0 +1,85 @@
+const express = require('express');
+const request = require('supertest');
+const Instance = require('../../models/Instance');
+const ApiKey = require('../../models/ApiKey');
+const apiKeyRoutes = require('../../routes/apiKeys');
+const { mockAuthenticatedUser } = require('../helpers/auth');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/instances/:instanceId/keys', apiKeyRoutes);
+  return app;
+};
+
+describe('POST /api/instances/:instanceId/keys', () => {
+  const app = createApp();
+  let header;
+
+  beforeEach(() => {
+    // Selbst registrierter Benutzer: keine Admin-Permissions
+    const auth = mockAuthenticatedUser({ permissions: [] });
+    header = auth.header;
+
+    jest.spyOn(Instance, 'findOne').mockResolvedValue(new Instance({
+      instanceId: 'inst_1',
+      name: 'Test',
+      userId: auth.user._id,
+      serverId: 'server-a'
+    }));
+    jest.spyOn(ApiKey.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createKey = (body) => request(app)
+    .post('/api/instances/inst_1/keys')
+    .set('Authorization', header)
+    .send(body);
+
+  test('uses the default scopes when none are given', async () => {
+    const response = await createKey({ label: 'CRM' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.apiKey.scopes).toEqual(['messages.read', 'messages.send']);
+    expect(response.body.apiKey.key).toMatch(/^wam_[0-9a-f]{64}$/);
+  });
+
+  test('accepts the default scopes given explicitly', async () => {
+    const response = await createKey({ scopes: ['messages.send', 'messages.read'] });
+
+    expect(response.status).toBe(201);
+    expect(response.body.apiKey.scopes).toEqual(['messages.send', 'messages.read']);
+  });
+
+  test('accepts a narrower read-only key', async () => {
+    const response = await createKey({ scopes: ['messages.read'] });
+
+    expect(response.status).toBe(201);
+    expect(response.body.apiKey.scopes).toEqual(['messages.read']);
+  });
+
+  test('accepts destructive methods for the instance owner', async () => {
+    const response = await createKey({ scopes: ['messages.read', 'instances.update'] });
+
+    expect(response.status).toBe(201);
+    expect(response.body.apiKey.scopes).toEqual(['messages.read', 'instances.update']);
+  });
+
+  test.each([
+    [['users.manage']],
+    [['messages.read', 'system.admin']],
+    [[]],
+    ['messages.read']
+  ])('rejects scopes %p', async (scopes) => {
+    const response = await createKey({ scopes });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('scopes must be a non-empty array of: messages.read, messages.send, instances.update');
+    expect(ApiKey.prototype.save).not.toHaveBeenCalled();
+  });
+});
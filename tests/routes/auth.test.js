@@ -0,0 +1,274 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+// Mails landen als Dateien im Testverzeichnis (MailService liest die Umgebung beim Laden der Route)
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-mail-test-'));
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_DIR = mailDir;
+process.env.APP_URL = 'https://app.example.com';
+
+const User = require('../../models/User');
+const AuthToken = require('../../models/AuthToken');
+const AuditLog = require('../../models/AuditLog');
+const RefreshToken = require('../../models/RefreshToken');
+const MailService = require('../../services/MailService');
+const { generateToken } = require('../../middleware/auth');
+const authRoutes = require('../../routes/auth');
+const { mockAuthenticatedUser } = require('../helpers/auth');
+
+const GENERIC_MESSAGE = 'If the address is registered, an email has been sent';
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  return app;
+};
+
+const readMails = () => (fs.existsSync(mailDir) ? fs.readdirSync(mailDir) : [])
+  .map(file => JSON.parse(fs.readFileSync(path.join(mailDir, file), 'utf8')));
+
+describe('POST /api/auth/forgot-password', () => {
+  const app = createApp();
+  const user = { _id: 'user-1', id: 'user-1', username: 'alice', email: 'alice@example.com', isActive: true };
+
+  beforeEach(() => {
+    fs.rmSync(mailDir, { recursive: true, force: true });
+    jest.spyOn(AuthToken, 'issue').mockResolvedValue({ token: 'reset-token-123' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(mailDir, { recursive: true, force: true });
+  });
+
+  test('sends a reset link to a registered address', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+
+    const response = await request(app).post('/api/auth/forgot-password').send({ email: 'Alice@Example.com' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ message: GENERIC_MESSAGE });
+    expect(User.findOne).toHaveBeenCalledWith({ email: 'alice@example.com' });
+
+    const mails = readMails();
+    expect(mails).toHaveLength(1);
+    expect(mails[0].to).toBe('alice@example.com');
+    expect(mails[0].text).toContain('https://app.example.com/reset-password?token=reset-token-123');
+  });
+
+  test('answers unknown addresses identically without sending mail', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const response = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ message: GENERIC_MESSAGE });
+    expect(AuthToken.issue).not.toHaveBeenCalled();
+    expect(readMails()).toHaveLength(0);
+  });
+
+  test('answers identically when sending fails', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(MailService.prototype, 'sendPasswordResetEmail').mockRejectedValue(new Error('SMTP connection refused'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await request(app).post('/api/auth/forgot-password').send({ email: 'alice@example.com' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ message: GENERIC_MESSAGE });
+  });
+});
+
+describe('two-factor routes while impersonating', () => {
+  const app = createApp();
+
+  const createUser = () => ({
+    _id: 'user-1',
+    id: 'user-1',
+    username: 'alice',
+    email: 'alice@example.com',
+    isActive: true,
+    lastLogin: new Date(),
+    twoFactor: { enabled: false },
+    save: jest.fn().mockResolvedValue()
+  });
+
+  let user;
+
+  beforeEach(() => {
+    user = createUser();
+    // auth lädt mit .select(), die Routen direkt
+    const query = Object.assign(Promise.resolve(user), { select: () => Promise.resolve(user) });
+    jest.spyOn(User, 'findById').mockReturnValue(query);
+    jest.spyOn(AuditLog, 'record').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    '/api/auth/2fa/setup',
+    '/api/auth/2fa/enable',
+    '/api/auth/2fa/disable',
+    '/api/auth/2fa/recovery-codes',
+    '/api/auth/logout-all'
+  ])('POST %s is rejected for an impersonating admin', async (endpoint) => {
+    const token = generateToken('user-1', { impersonatedBy: 'admin-1' });
+
+    const response = await request(app)
+      .post(endpoint)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: '123456', password: 'secret' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toBe('Not allowed while impersonating');
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  test('the user can still start the setup', async () => {
+    const token = generateToken('user-1');
+
+    const response = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+    expect(user.twoFactor.pendingSecret).toBe(response.body.secret);
+  });
+});
+
+/**
+ * RefreshToken-Collection im Speicher (findOne/create/updateOne/updateMany mit Gleichheitsfiltern)
+ */
+function mockRefreshTokenStore() {
+  const docs = [];
+  const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => (
+    value === null ? doc[key] == null : String(doc[key]) === String(value)
+  ));
+  const update = (filter, changes, limit) => {
+    const found = docs.filter(doc => matches(doc, filter)).slice(0, limit);
+    found.forEach(doc => doc.set(changes));
+    return Promise.resolve({ modifiedCount: found.length });
+  };
+
+  jest.spyOn(RefreshToken, 'create').mockImplementation(async (data) => {
+    const doc = new RefreshToken(data);
+    docs.push(doc);
+    return doc;
+  });
+  jest.spyOn(RefreshToken, 'findOne').mockImplementation(async (filter) => docs.find(doc => matches(doc, filter)) || null);
+  jest.spyOn(RefreshToken, 'updateOne').mockImplementation((filter, changes) => update(filter, changes, 1));
+  jest.spyOn(RefreshToken, 'updateMany').mockImplementation((filter, changes) => update(filter, changes));
+
+  return docs;
+}
+
+describe('refresh token rotation', () => {
+  const app = createApp();
+  let user;
+  let header;
+  let tokens;
+
+  beforeEach(() => {
+    ({ user, header } = mockAuthenticatedUser());
+    jest.spyOn(User, 'getTwoFactorRequiredRoles').mockResolvedValue([]);
+    tokens = mockRefreshTokenStore();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const login = async () => (await RefreshToken.issue(user._id, { ttlMs: 60000 })).token;
+  const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+  test('rotates the token within the same family', async () => {
+    const token = await login();
+
+    const response = await refresh(token);
+
+    expect(response.status).toBe(200);
+    expect(response.body.tokens).toMatchObject({ tokenType: 'Bearer', accessToken: expect.any(String) });
+    expect(response.body.tokens.refreshToken).not.toBe(token);
+
+    const [previous, next] = tokens;
+    expect(previous).toMatchObject({ revokedReason: 'rotated', replacedBy: next.tokenHash });
+    expect(next.family).toBe(previous.family);
+    expect(next.tokenHash).toBe(RefreshToken.hashToken(response.body.tokens.refreshToken));
+    expect(next.revokedAt).toBeNull();
+  });
+
+  test('revokes the whole family when a rotated token is presented again', async () => {
+    const stolen = await login();
+    const { body } = await refresh(stolen);
+
+    const reuse = await refresh(stolen);
+
+    expect(reuse.status).toBe(401);
+    expect(tokens[1].revokedReason).toBe('reuse_detected');
+    expect((await refresh(body.tokens.refreshToken)).status).toBe(401);
+  });
+
+  test('treats a lost rotation race like reuse', async () => {
+    const token = await login();
+    jest.spyOn(RefreshToken.prototype, 'rotate').mockResolvedValue(null);
+
+    const response = await refresh(token);
+
+    expect(response.status).toBe(401);
+    expect(tokens[0].revokedReason).toBe('reuse_detected');
+  });
+
+  test('rejects expired and unknown tokens', async () => {
+    const token = await login();
+    tokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    expect((await refresh(token)).status).toBe(401);
+    expect((await refresh('unknown-token')).status).toBe(401);
+    expect((await refresh(undefined)).status).toBe(400);
+  });
+
+  test('ends the session of deactivated users', async () => {
+    const token = await login();
+    user.isActive = false;
+
+    const response = await refresh(token);
+
+    expect(response.status).toBe(401);
+    expect(tokens[0].revokedReason).toBe('logout');
+  });
+
+  test('logout revokes the family of the token', async () => {
+    const token = await login();
+    const { body } = await refresh(token);
+
+    const response = await request(app).post('/api/auth/logout').send({ refreshToken: body.tokens.refreshToken });
+
+    expect(response.status).toBe(200);
+    expect(tokens[1].revokedReason).toBe('logout');
+    expect((await refresh(body.tokens.refreshToken)).status).toBe(401);
+  });
+
+  test('logout-all revokes every session of the user', async () => {
+    const [first, second] = [await login(), await login()];
+
+    const response = await request(app).post('/api/auth/logout-all').set('Authorization', header);
+
+    expect(response.status).toBe(200);
+    expect(response.body.revokedSessions).toBe(2);
+    expect(tokens.map(token => token.revokedReason)).toEqual(['logout_all', 'logout_all']);
+    expect(user.tokensRevokedAt).toBeInstanceOf(Date);
+    expect((await refresh(first)).status).toBe(401);
+    expect((await refresh(second)).status).toBe(401);
+  });
+});
@@ -0,0 +1,159 @@
+const express = require('express');
+const request = require('supertest');
+const Instance = require('../../models/Instance');
+const ApiKey = require('../../models/ApiKey');
+const User = require('../../models/User');
+const instanceRoutes = require('../../routes/instances');
+const { AppError, ConflictError, QuotaExceededError } = require('../../middleware/errorHandler');
+const { mockAuthenticatedUser } = require('../helpers/auth');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/instances', instanceRoutes);
+  return app;
+};
+
+const saveMock = function() {
+  return Promise.resolve(this);
+};
+
+describe('POST /api/instances', () => {
+  const app = createApp();
+  let header;
+
+  beforeEach(() => {
+    ({ header } = mockAuthenticatedUser({ permissions: [] }));
+    jest.spyOn(User, 'reserveInstanceSlot').mockResolvedValue(true);
+    jest.spyOn(User, 'releaseInstanceSlot').mockResolvedValue();
+    jest.spyOn(Instance.prototype, 'save').mockImplementation(saveMock);
+    jest.spyOn(ApiKey.prototype, 'save').mockImplementation(saveMock);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createInstance = (body) => request(app)
+    .post('/api/instances')
+    .set('Authorization', header)
+    .send({ name: 'Shop', ...body });
+
+  test.each([
+    ['omitted', undefined, ['messages.read', 'messages.send']],
+    ['the defaults', ['messages.read', 'messages.send'], ['messages.read', 'messages.send']],
+    ['a narrower set', ['messages.read'], ['messages.read']]
+  ])('creates the default key with %s apiKeyScopes', async (label, apiKeyScopes, expected) => {
+    const response = await createInstance({ apiKeyScopes });
+
+    expect(response.status).toBe(201);
+    expect(response.body.apiKey.scopes).toEqual(expected);
+    expect(response.body.apiKey.instanceId).toBe(response.body.instance.instanceId);
+  });
+
+  test('rejects apiKeyScopes beyond what an API key may do', async () => {
+    const response = await createInstance({ apiKeyScopes: ['messages.read', 'users.manage'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/^apiKeyScopes: scopes must be a non-empty array of/);
+    expect(User.reserveInstanceSlot).not.toHaveBeenCalled();
+    expect(Instance.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('removes the instance and releases the slot when the key cannot be created', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    ApiKey.prototype.save.mockRejectedValue(new Error('write conflict'));
+    jest.spyOn(Instance, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    const response = await createInstance();
+
+    expect(response.status).toBe(500);
+    expect(response.body.details).toBe('write conflict');
+    const { instanceId } = Instance.prototype.save.mock.contexts[0];
+    expect(Instance.deleteOne).toHaveBeenCalledWith({ instanceId });
+    expect(User.releaseInstanceSlot).toHaveBeenCalledTimes(1);
+  });
+
+  test('deletes through the instance manager when it created the instance', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(ApiKey, 'generate').mockRejectedValue(new Error('write conflict'));
+    global.instanceManager = {
+      createInstance: jest.fn(async data => new Instance(data)),
+      deleteInstance: jest.fn().mockResolvedValue()
+    };
+
+    try {
+      const response = await createInstance();
+
+      expect(response.status).toBe(500);
+      const [{ instanceId }] = global.instanceManager.createInstance.mock.calls[0];
+      expect(global.instanceManager.deleteInstance).toHaveBeenCalledWith(instanceId);
+      expect(User.releaseInstanceSlot).toHaveBeenCalledTimes(1);
+    } finally {
+      delete global.instanceManager;
+    }
+  });
+});
+
+describe('instance lifecycle routes', () => {
+  const app = createApp();
+  let header;
+  let instance;
+
+  beforeEach(() => {
+    ({ header } = mockAuthenticatedUser());
+    instance = new Instance({ instanceId: 'inst_1', userId: 'u1', name: 'Shop', status: 'ready' });
+    jest.spyOn(Instance, 'findOne').mockResolvedValue(instance);
+
+    global.instanceManager = {
+      instances: new Map(),
+      restartInstance: jest.fn().mockResolvedValue(),
+      logoutInstance: jest.fn().mockResolvedValue(),
+      repairInstance: jest.fn().mockResolvedValue()
+    };
+  });
+
+  afterEach(() => {
+    delete global.instanceManager;
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['restart', 'restartInstance', new ConflictError('Instance is running on node-b'), 409, 'CONFLICT_ERROR'],
+    ['logout', 'logoutInstance', new AppError("WhatsApp worker call 'logout' timed out", 504, 'WORKER_TIMEOUT'), 504, 'WORKER_TIMEOUT'],
+    ['repair', 'repairInstance', new QuotaExceededError('No capacity left on this node'), 402, 'QUOTA_EXCEEDED']
+  ])('%s passes status and code of operational errors through', async (action, method, error, status, code) => {
+    global.instanceManager[method].mockRejectedValue(error);
+
+    const response = await request(app)
+      .post(`/api/instances/inst_1/${action}`)
+      .set('Authorization', header);
+
+    expect(global.instanceManager[method]).toHaveBeenCalledWith('inst_1');
+    expect(response.status).toBe(status);
+    expect(response.body).toEqual({ error: error.message, code });
+  });
+
+  test('keeps unexpected errors as 500', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    global.instanceManager.restartInstance.mockRejectedValue(new Error('browser crashed'));
+
+    const response = await request(app)
+      .post('/api/instances/inst_1/restart')
+      .set('Authorization', header);
+
+    expect(response.status).toBe(500);
+    expect(response.body).toEqual({ error: 'Failed to restart instance', details: 'browser crashed' });
+  });
+
+  test('returns 404 for instances of other users', async () => {
+    Instance.findOne.mockResolvedValue(null);
+
+    const response = await request(app)
+      .post('/api/instances/inst_1/logout')
+      .set('Authorization', header);
+
+    expect(response.status).toBe(404);
+    expect(global.instanceManager.logoutInstance).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,263 @@
+const express = require('express');
+const request = require('supertest');
+const proxyRoutes = require('../../routes/proxy');
+const Media = require('../../models/Media');
+const User = require('../../models/User');
+const MediaService = require('../../services/MediaService');
+const { globalErrorHandler } = require('../../middleware/errorHandler');
+const { mockApiKeyAuth } = require('../helpers/auth');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json({ limit: '50mb' }));
+  app.use('/api/proxy', proxyRoutes);
+  app.use(globalErrorHandler);
+  return app;
+};
+
+// Der Router bindet seinen WhatsAppProxy beim ersten Aufruf an global.instanceManager - ein Manager je Datei
+// Hartes Upload-Limit 64 KB (MEDIA_MAX_SIZE_MB) - der Multipart-Upload übernimmt es beim ersten Aufruf
+const manager = {
+  instances: new Map(),
+  saveOutgoingMessage: jest.fn().mockResolvedValue(),
+  mediaService: new MediaService({ maxSizeBytes: 64 * 1024, storageBackend: {} })
+};
+
+const CHAT_ID = '491701234567@c.us';
+
+describe('proxy routes', () => {
+  const app = createApp();
+  let key;
+  let client;
+
+  beforeEach(() => {
+    ({ key } = mockApiKeyAuth());
+    client = {
+      getState: jest.fn().mockResolvedValue('CONNECTED'),
+      getWWebVersion: jest.fn().mockResolvedValue('2.3000.0')
+    };
+    manager.instances = new Map([['inst_1', { instance: { status: 'ready', config: {} }, client }]]);
+    global.instanceManager = manager;
+  });
+
+  afterEach(() => {
+    delete global.instanceManager;
+    jest.restoreAllMocks();
+  });
+
+  test('GET /methods lists every public method with its schema', async () => {
+    const response = await request(app).get('/api/proxy/methods');
+
+    expect(response.status).toBe(200);
+    expect(response.body.totalMethods).toBe(response.body.methods.length);
+    expect(response.body.methods).toContainEqual(expect.objectContaining({
+      name: 'sendMessage',
+      requiredScope: 'messages.send',
+      parameters: expect.arrayContaining([expect.objectContaining({ name: 'chatId', required: true })])
+    }));
+    expect(response.body.methods.map(method => method.name)).not.toContain('pupPage');
+  });
+
+  test('dispatches a method to the live client of the key\'s instance', async () => {
+    const response = await request(app).post(`/api/proxy/${key}/getState`).send({ params: [] });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, instanceId: 'inst_1', method: 'getState', result: 'CONNECTED' });
+    expect(client.getState).toHaveBeenCalledTimes(1);
+  });
+
+  test.each([
+    ['unknown', 'doesNotExist'],
+    ['internal', 'pupPage']
+  ])('rejects %s methods with 404', async (label, method) => {
+    const response = await request(app).post(`/api/proxy/${key}/${method}`).send({});
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.type).toBe('NOT_FOUND');
+  });
+
+  test('answers invalid parameters with a structured 400', async () => {
+    const response = await request(app).post(`/api/proxy/${key}/sendMessage`).send({ params: ['0170 1234567'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({
+      type: 'VALIDATION_ERROR',
+      field: 'params[0]',
+      errors: [
+        expect.objectContaining({ field: 'params[0]', param: 'chatId' }),
+        expect.objectContaining({ field: 'params[1]', param: 'content', message: 'content is required' })
+      ]
+    });
+  });
+
+  test('rejects params that are not an array', async () => {
+    const response = await request(app).post(`/api/proxy/${key}/getState`).send({ params: { chatId: 'x' } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({ type: 'VALIDATION_ERROR', field: 'params' });
+  });
+
+  test('rejects invalid API keys before touching the client', async () => {
+    const response = await request(app).post('/api/proxy/wam_wrong/getState').send({});
+
+    expect(response.status).toBe(401);
+    expect(client.getState).not.toHaveBeenCalled();
+  });
+
+  test('answers 503 instead of a fake success when the instance is not loaded', async () => {
+    manager.instances.clear();
+
+    const response = await request(app).post(`/api/proxy/${key}/getWWebVersion`).send({});
+
+    expect(response.status).toBe(503);
+    expect(response.body.error.type).toBe('INSTANCE_NOT_ACTIVE');
+  });
+
+  test('answers 503 without an instance manager', async () => {
+    delete global.instanceManager;
+
+    const response = await request(app).post(`/api/proxy/${key}/getState`).send({});
+
+    expect(response.status).toBe(503);
+    expect(response.body.error.type).toBe('INSTANCE_MANAGER_UNAVAILABLE');
+  });
+
+  describe('sendMedia', () => {
+    // Plan mit 16 KB Medienlimit, nur Bilder und Audio
+    const planLimits = { enableApiAccess: true, maxMessagesPerMonth: 1000, maxMediaSizeMB: 16 / 1024, allowedMediaTypes: ['image', 'audio'] };
+    let user;
+
+    beforeEach(() => {
+      ({ key, user } = mockApiKeyAuth({ user: { planLimits } }));
+      client.sendMessage = jest.fn().mockResolvedValue({ id: { _serialized: `true_${CHAT_ID}_3EB0MEDIA` }, body: '' });
+      jest.spyOn(User, 'consumeMessageQuota').mockResolvedValue(true);
+      // Gespeicherte Medien werden nur verlinkt, Uploads nicht abgelegt
+      jest.spyOn(manager.mediaService, 'recordOutgoing').mockImplementation(async (instanceId, userId, waMessageId, { media }) => media);
+    });
+
+    const base64 = (size) => Buffer.alloc(size, 1).toString('base64');
+
+    test('sends a multipart upload as MessageMedia with its options', async () => {
+      const response = await request(app)
+        .post(`/api/proxy/${key}/sendMedia`)
+        .field('chatId', CHAT_ID)
+        .field('caption', 'Foto')
+        .attach('file', Buffer.alloc(1024, 1), { filename: 'foto.jpg', contentType: 'image/jpeg' });
+
+      expect(response.status).toBe(200);
+      const [chatId, media, options] = client.sendMessage.mock.calls[0];
+      expect(chatId).toBe(CHAT_ID);
+      expect(media).toMatchObject({ mimetype: 'image/jpeg', filename: 'foto.jpg', data: base64(1024) });
+      expect(options).toMatchObject({ caption: 'Foto', sendMediaAsDocument: false });
+    });
+
+    test('rejects uploads above the hard limit while receiving them', async () => {
+      const response = await request(app)
+        .post(`/api/proxy/${key}/sendMedia`)
+        .field('chatId', CHAT_ID)
+        .attach('file', Buffer.alloc(64 * 1024 + 1, 1), { filename: 'foto.jpg', contentType: 'image/jpeg' });
+
+      expect(response.status).toBe(413);
+      expect(response.body.error.type).toBe('MEDIA_TOO_LARGE');
+      expect(client.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ['a multipart upload', (req) => req.field('chatId', CHAT_ID).attach('file', Buffer.alloc(17 * 1024, 1), { filename: 'a.png', contentType: 'image/png' })],
+      ['base64 media', (req) => req.send({ chatId: CHAT_ID, media: { mimetype: 'image/png', data: base64(17 * 1024) } })]
+    ])('applies the plan size limit to %s', async (label, send) => {
+      const response = await send(request(app).post(`/api/proxy/${key}/sendMedia`));
+
+      expect(response.status).toBe(413);
+      expect(response.body.error).toMatchObject({ type: 'MEDIA_TOO_LARGE', message: 'Media exceeds the maximum size of 0.02 MB for this plan' });
+      expect(client.sendMessage).not.toHaveBeenCalled();
+      expect(User.consumeMessageQuota).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ['media types outside the plan', { mimetype: 'video/mp4' }, {}, 403, 'MEDIA_TYPE_NOT_ALLOWED'],
+      ['documents outside the plan', { mimetype: 'image/png' }, { sendAsDocument: true }, 403, 'MEDIA_TYPE_NOT_ALLOWED'],
+      ['stickers that are not images', { mimetype: 'audio/ogg' }, { sendAsSticker: true }, 415, 'UNSUPPORTED_MEDIA_TYPE'],
+      ['voice notes that are not audio', { mimetype: 'image/png' }, { sendAsVoice: true }, 415, 'UNSUPPORTED_MEDIA_TYPE'],
+      ['invalid MIME types', { mimetype: 'jpeg' }, {}, 400, 'VALIDATION_ERROR'],
+      ['data that is not base64', { mimetype: 'image/png', data: 'kein base64!' }, {}, 400, 'VALIDATION_ERROR'],
+      ['empty files', { mimetype: 'image/png', data: '' }, {}, 400, 'VALIDATION_ERROR']
+    ])('rejects %s', async (label, media, flags, status, type) => {
+      const response = await request(app)
+        .post(`/api/proxy/${key}/sendMedia`)
+        .send({ chatId: CHAT_ID, media: { data: base64(1024), ...media }, ...flags });
+
+      expect(response.status).toBe(status);
+      expect(response.body.error.type).toBe(type);
+      expect(client.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('lets admins send beyond the plan limits up to the hard limit', async () => {
+      ({ key } = mockApiKeyAuth({ user: { planLimits, role: 'admin' } }));
+
+      const response = await request(app)
+        .post(`/api/proxy/${key}/sendMedia`)
+        .send({ chatId: CHAT_ID, media: { mimetype: 'video/mp4', data: base64(32 * 1024) } });
+
+      expect(response.status).toBe(200);
+      expect(client.sendMessage).toHaveBeenCalledTimes(1);
+    });
+
+    describe('with a mediaId', () => {
+      const storedMedia = (fields = {}) => new Media({
+        instanceId: 'inst_1',
+        userId: user._id,
+        source: 'incoming',
+        storageKey: 'inst_1/a.png',
+        mimetype: 'image/png',
+        filename: 'a.png',
+        size: 1024,
+        ...fields
+      });
+
+      test('resends a stored file of the owner', async () => {
+        const media = storedMedia();
+        jest.spyOn(Media, 'findOne').mockResolvedValue(media);
+        jest.spyOn(manager.mediaService, 'read').mockResolvedValue({ buffer: Buffer.alloc(1024, 1) });
+
+        const response = await request(app).post(`/api/proxy/${key}/sendMedia`).send({ chatId: CHAT_ID, mediaId: media.mediaId });
+
+        expect(response.status).toBe(200);
+        expect(Media.findOne).toHaveBeenCalledWith({ mediaId: media.mediaId, userId: user._id });
+        expect(client.sendMessage.mock.calls[0][1]).toMatchObject({ mimetype: 'image/png', filename: 'a.png', data: base64(1024) });
+        expect(manager.mediaService.recordOutgoing).toHaveBeenCalledWith('inst_1', user._id, `true_${CHAT_ID}_3EB0MEDIA`, expect.objectContaining({ media }));
+        expect(response.body.media).toMatchObject({ mediaId: media.mediaId });
+      });
+
+      test('applies the plan limits to stored files', async () => {
+        const media = storedMedia({ mimetype: 'video/mp4', filename: 'a.mp4' });
+        jest.spyOn(Media, 'findOne').mockResolvedValue(media);
+        jest.spyOn(manager.mediaService, 'read').mockResolvedValue({ buffer: Buffer.alloc(1024, 1) });
+
+        const response = await request(app).post(`/api/proxy/${key}/sendMedia`).send({ chatId: CHAT_ID, mediaId: media.mediaId });
+
+        expect(response.status).toBe(403);
+        expect(response.body.error.type).toBe('MEDIA_TYPE_NOT_ALLOWED');
+        expect(client.sendMessage).not.toHaveBeenCalled();
+      });
+
+      test('answers 404 for media of other users', async () => {
+        jest.spyOn(Media, 'findOne').mockResolvedValue(null);
+
+        const response = await request(app).post(`/api/proxy/${key}/sendMedia`).send({ chatId: CHAT_ID, mediaId: 'med_foreign' });
+
+        expect(response.status).toBe(404);
+        expect(client.sendMessage).not.toHaveBeenCalled();
+      });
+    });
+
+    test('requires exactly one media source', async () => {
+      const response = await request(app)
+        .post(`/api/proxy/${key}/sendMedia`)
+        .send({ chatId: CHAT_ID, media: { mimetype: 'image/png', data: base64(16) }, mediaId: 'med_1' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toMatchObject({ type: 'VALIDATION_ERROR', field: 'media' });
+    });
+  });
+});
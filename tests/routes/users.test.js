@@ -0,0 +1,125 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../../models/User');
+const AuditLog = require('../../models/AuditLog');
+const { generateToken } = require('../../middleware/auth');
+const userRoutes = require('../../routes/users');
+const { mockAuthenticatedUser } = require('../helpers/auth');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/users', userRoutes);
+  return app;
+};
+
+const createUser = (fields) => new User({ password: 'secret-password', lastLogin: new Date(), ...fields });
+
+describe('POST /api/users/:userId/impersonate', () => {
+  const app = createApp();
+  let customer;
+  let otherAdmin;
+
+  beforeEach(() => {
+    customer = createUser({ username: 'bob', email: 'bob@example.com' });
+    otherAdmin = createUser({ username: 'carol', email: 'carol@example.com', role: 'admin', permissions: ['users.manage'] });
+    jest.spyOn(AuditLog, 'record').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const impersonate = (header, target, body = {}) => request(app)
+    .post(`/api/users/${target._id}/impersonate`)
+    .set('Authorization', header)
+    .send(body);
+
+  const asAdmin = (fields = {}) => mockAuthenticatedUser(
+    { role: 'admin', permissions: ['users.manage'], ...fields },
+    {},
+    [customer, otherAdmin]
+  );
+
+  test('issues a short-lived access token for the user and audits the reason', async () => {
+    const { user: admin, header } = asAdmin();
+
+    const response = await impersonate(header, customer, { reason: `Ticket 42 ${'x'.repeat(600)}` });
+
+    expect(response.status).toBe(200);
+    expect(response.body.user).toMatchObject({ username: 'bob', role: 'user' });
+    expect(response.body.tokens).toMatchObject({ tokenType: 'Bearer', expiresIn: '30m' });
+    expect(response.body.tokens.refreshToken).toBeUndefined();
+
+    const decoded = jwt.decode(response.body.tokens.accessToken);
+    expect(decoded).toMatchObject({ userId: String(customer._id), impersonatedBy: String(admin._id) });
+    expect(decoded.exp - decoded.iat).toBe(30 * 60);
+
+    const [, action, { targetId, changes }] = AuditLog.record.mock.calls[0];
+    expect(action).toBe('user.impersonate');
+    expect(targetId).toEqual(customer._id);
+    expect(changes.reason).toHaveLength(500);
+  });
+
+  test('requires the users.manage permission', async () => {
+    const { header } = asAdmin({ permissions: [] });
+
+    const response = await impersonate(header, customer);
+
+    expect(response.status).toBe(403);
+    expect(AuditLog.record).not.toHaveBeenCalled();
+  });
+
+  test('keeps admins from impersonating other admins', async () => {
+    const { header } = asAdmin();
+
+    const response = await impersonate(header, otherAdmin);
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('Only super admins can manage admin accounts');
+  });
+
+  test('lets super admins impersonate admins', async () => {
+    const { header } = asAdmin({ role: 'superadmin', permissions: [] });
+
+    expect((await impersonate(header, otherAdmin)).status).toBe(200);
+  });
+
+  test('refuses to impersonate oneself', async () => {
+    const { user: admin, header } = asAdmin({ role: 'superadmin' });
+
+    const response = await impersonate(header, admin);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('You cannot impersonate yourself');
+  });
+
+  test('refuses deactivated users', async () => {
+    const { header } = asAdmin();
+    customer.isActive = false;
+
+    const response = await impersonate(header, customer);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Cannot impersonate a deactivated user');
+  });
+
+  test('refuses to chain impersonations', async () => {
+    const { user: superadmin } = asAdmin({ role: 'superadmin' });
+    // Super-Admin agiert als Admin und versucht von dort, einen Kunden zu übernehmen
+    const header = `Bearer ${generateToken(String(otherAdmin._id), { impersonatedBy: superadmin._id })}`;
+
+    const response = await impersonate(header, customer);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Already impersonating a user');
+  });
+
+  test('answers 404 for unknown and malformed ids', async () => {
+    const { header } = asAdmin();
+
+    expect((await impersonate(header, { _id: 'not-an-id' })).status).toBe(404);
+    expect((await impersonate(header, createUser({ username: 'ghost', email: 'ghost@example.com' }))).status).toBe(404);
+  });
+});
@@ -0,0 +1,79 @@
+const express = require('express');
+const request = require('supertest');
+const Instance = require('../../models/Instance');
+const Webhook = require('../../models/Webhook');
+const User = require('../../models/User');
+const webhookRoutes = require('../../routes/webhooks');
+const { mockAuthenticatedUser } = require('../helpers/auth');
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/webhooks', webhookRoutes);
+  return app;
+};
+
+describe('webhook quota', () => {
+  const app = createApp();
+  let user;
+  let header;
+
+  beforeEach(() => {
+    ({ user, header } = mockAuthenticatedUser({ planLimits: { maxWebhooks: 1 }, usage: { currentWebhooks: 1 } }));
+    jest.spyOn(Instance, 'findOne').mockResolvedValue(new Instance({ instanceId: 'inst_1', userId: user._id, name: 'Shop' }));
+    jest.spyOn(Webhook, 'create').mockImplementation(async data => new Webhook(data));
+    jest.spyOn(User, 'reserveWebhookSlot').mockResolvedValue(true);
+    jest.spyOn(User, 'releaseWebhookSlots').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createWebhook = () => request(app)
+    .post('/api/webhooks')
+    .set('Authorization', header)
+    .send({ instanceId: 'inst_1', url: 'https://example.com/hook' });
+
+  test('reserves a slot before creating the webhook', async () => {
+    const response = await createWebhook();
+
+    expect(response.status).toBe(201);
+    expect(User.reserveWebhookSlot).toHaveBeenCalledWith(user._id);
+    expect(Webhook.create).toHaveBeenCalledTimes(1);
+    expect(User.releaseWebhookSlots).not.toHaveBeenCalled();
+  });
+
+  test('rejects the webhook when no slot is left', async () => {
+    User.reserveWebhookSlot.mockResolvedValue(false);
+
+    const response = await createWebhook();
+
+    expect(response.status).toBe(402);
+    expect(response.body).toMatchObject({ quota: 'webhooks', used: 1, limit: 1 });
+    expect(Webhook.create).not.toHaveBeenCalled();
+  });
+
+  test('releases the slot when the webhook cannot be created', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Webhook.create.mockRejectedValue(new Error('write conflict'));
+
+    const response = await createWebhook();
+
+    expect(response.status).toBe(500);
+    expect(User.releaseWebhookSlots).toHaveBeenCalledWith(user._id);
+  });
+
+  test('releases the slot only when a webhook was deleted', async () => {
+    const deleteOne = jest.spyOn(Webhook, 'deleteOne').mockResolvedValue({ deletedCount: 0 });
+
+    const missing = await request(app).delete('/api/webhooks/wh_missing').set('Authorization', header);
+    expect(missing.status).toBe(404);
+    expect(User.releaseWebhookSlots).not.toHaveBeenCalled();
+
+    deleteOne.mockResolvedValue({ deletedCount: 1 });
+    const deleted = await request(app).delete('/api/webhooks/wh_1').set('Authorization', header);
+    expect(deleted.status).toBe(200);
+    expect(User.releaseWebhookSlots).toHaveBeenCalledWith(user._id);
+  });
+});
@@ -0,0 +1,228 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Jedes Laden des Skripts würde sonst einen eigenen winston-Logger samt Prozess-Handlern anlegen
+jest.mock('../../utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const INSTANCE_ID = 'inst_rotate_test';
+const OLD_KEY = crypto.randomBytes(32).toString('base64');
+const NEW_KEY = crypto.randomBytes(32).toString('base64');
+
+/**
+ * Skript mit eigenen Argumenten laden (liest argv beim Laden) - Modelle und Vault aus derselben Registry
+ */
+function loadScript(args = []) {
+  const argv = process.argv;
+  process.argv = [argv[0], 'scripts/rotate-session-keys.js', ...args];
+
+  let modules;
+  try {
+    jest.isolateModules(() => {
+      modules = {
+        mongoose: require('mongoose'),
+        SessionKey: require('../../models/SessionKey'),
+        SessionBackup: require('../../models/SessionBackup'),
+        SessionVault: require('../../services/SessionVault'),
+        rotateSessionKeys: require('../../scripts/rotate-session-keys')
+      };
+    });
+  } finally {
+    process.argv = argv;
+  }
+
+  jest.spyOn(modules.mongoose, 'connect').mockResolvedValue();
+  jest.spyOn(modules.mongoose, 'disconnect').mockResolvedValue();
+  return { ...modules, keys: mockKeyStore(modules.SessionKey) };
+}
+
+// SessionKey-Dokumente im Speicher statt in MongoDB (Gleichheit und $ne)
+function mockKeyStore(SessionKey) {
+  const store = [];
+  const matches = (record, query) => Object.entries(query).every(([field, condition]) =>
+    condition && typeof condition === 'object' ? record[field] !== condition.$ne : record[field] === condition);
+
+  jest.spyOn(SessionKey.prototype, 'save').mockImplementation(async function() {
+    if (!store.includes(this)) store.push(this);
+    return this;
+  });
+  jest.spyOn(SessionKey, 'findOne').mockImplementation(async (query) => store.find(record => matches(record, query)) || null);
+  jest.spyOn(SessionKey, 'find').mockImplementation(async (query) => store.filter(record => matches(record, query)));
+  jest.spyOn(SessionKey, 'distinct').mockImplementation(async (field) => [...new Set(store.map(record => record[field]))]);
+  jest.spyOn(SessionKey, 'deleteMany').mockImplementation(async (query) => {
+    const deleted = store.filter(record => matches(record, query));
+    store.splice(0, store.length, ...store.filter(record => !deleted.includes(record)));
+    return { deletedCount: deleted.length };
+  });
+
+  return store;
+}
+
+describe('scripts/rotate-session-keys', () => {
+  let root;
+  let cwd;
+  let env;
+
+  beforeEach(async () => {
+    // Das Skript arbeitet mit ./sessions und BACKUP_PATH
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'rotate-session-keys-test-'));
+    await fs.mkdir(path.join(root, 'sessions'));
+    await fs.mkdir(path.join(root, 'backups', INSTANCE_ID), { recursive: true });
+    cwd = process.cwd();
+    process.chdir(root);
+
+    env = { ...process.env };
+    Object.assign(process.env, { SESSION_ENCRYPTION_KEY: NEW_KEY, BACKUP_PATH: path.join(root, 'backups') });
+    delete process.env.SESSION_ENCRYPTION_KEY_FILE;
+    delete process.env.SESSION_ENCRYPTION_OLD_KEY;
+    delete process.env.SESSION_ENCRYPTION_OLD_KEY_FILE;
+
+    jest.spyOn(process, 'exit').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    process.env = env;
+    process.chdir(cwd);
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  const errors = () => console.error.mock.calls.map(args => args.join(' '));
+
+  describe('master key', () => {
+    test('re-wraps data keys of an old master key without changing them', async () => {
+      process.env.SESSION_ENCRYPTION_OLD_KEY = OLD_KEY;
+      const { SessionVault, keys, rotateSessionKeys } = loadScript();
+      const oldVault = new SessionVault({ masterKey: OLD_KEY });
+      const { key: dataKey } = await oldVault.getActiveKey(INSTANCE_ID);
+
+      await rotateSessionKeys();
+
+      const newVault = new SessionVault();
+      expect(keys[0].masterKeyId).toBe(newVault.masterKeyId);
+      expect(SessionVault.unwrapKey(keys[0].wrappedKey, newVault.masterKey, keys[0])).toEqual(dataKey);
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    test('changes nothing in a dry run', async () => {
+      process.env.SESSION_ENCRYPTION_OLD_KEY = OLD_KEY;
+      const { SessionVault, keys, rotateSessionKeys } = loadScript(['--dry-run']);
+      const oldVault = new SessionVault({ masterKey: OLD_KEY });
+      await oldVault.getActiveKey(INSTANCE_ID);
+      const { wrappedKey } = keys[0];
+
+      await rotateSessionKeys();
+
+      expect(keys[0]).toMatchObject({ wrappedKey, masterKeyId: oldVault.masterKeyId });
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    test('fails without the old key and does not rotate data keys', async () => {
+      const { SessionVault, keys, rotateSessionKeys } = loadScript(['--data-keys']);
+      const oldVault = new SessionVault({ masterKey: OLD_KEY });
+      await oldVault.getActiveKey(INSTANCE_ID);
+
+      await rotateSessionKeys();
+
+      expect(errors()).toEqual(expect.arrayContaining([
+        expect.stringContaining(`no old key with fingerprint ${oldVault.masterKeyId}`),
+        expect.stringContaining('Data keys not rotated')
+      ]));
+      expect(keys).toHaveLength(1);
+      expect(keys[0].masterKeyId).toBe(oldVault.masterKeyId);
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+
+    test('fails without a current master key', async () => {
+      delete process.env.SESSION_ENCRYPTION_KEY;
+      const { mongoose, rotateSessionKeys } = loadScript();
+
+      await rotateSessionKeys();
+
+      expect(errors()).toContainEqual(expect.stringContaining('SESSION_ENCRYPTION_KEY or SESSION_ENCRYPTION_KEY_FILE must be set'));
+      expect(mongoose.connect).not.toHaveBeenCalled();
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+  });
+
+  describe('data keys', () => {
+    let modules;
+    let vault;
+    let backup;
+
+    // Versiegelte Session und verschlüsseltes Backup mit dem bisherigen Datenschlüssel
+    beforeEach(async () => {
+      modules = loadScript(['--data-keys']);
+      vault = new modules.SessionVault();
+
+      const plain = path.join(root, 'plain');
+      await fs.writeFile(plain, 'session');
+      await vault.encryptFile(INSTANCE_ID, plain, vault.sealedPath(INSTANCE_ID));
+      await fs.writeFile(plain, 'backup');
+      await vault.encryptFile(INSTANCE_ID, plain, path.join(root, 'backups', INSTANCE_ID, 'a.tar.gz.enc'));
+
+      backup = new modules.SessionBackup({
+        instanceId: INSTANCE_ID,
+        userId: new modules.mongoose.Types.ObjectId(),
+        reason: 'manual',
+        file: `${INSTANCE_ID}/a.tar.gz.enc`,
+        size: 0,
+        sha256: 'old',
+        encrypted: true,
+        keyId: modules.keys[0].keyId
+      });
+      jest.spyOn(backup, 'save').mockResolvedValue(backup);
+      jest.spyOn(modules.SessionBackup, 'find').mockResolvedValue([backup]);
+    });
+
+    // Inhalt und Schlüssel einer Datei mit frischem Vault (ohne zwischengespeicherte Schlüssel)
+    const decrypt = async (file) => {
+      const target = path.join(root, 'decrypted');
+      const { keyId } = await new modules.SessionVault().decryptFile(INSTANCE_ID, file, target);
+      return { keyId, content: await fs.readFile(target, 'utf8') };
+    };
+
+    test('re-encrypts the sealed session and backups, then deletes the old key', async () => {
+      const { keyId: oldKeyId } = modules.keys[0];
+
+      await modules.rotateSessionKeys();
+
+      expect(modules.keys).toHaveLength(1);
+      const [{ keyId, active }] = modules.keys;
+      expect(keyId).not.toBe(oldKeyId);
+      expect(active).toBe(true);
+
+      expect(await decrypt(vault.sealedPath(INSTANCE_ID))).toEqual({ keyId, content: 'session' });
+      const archive = path.join(root, 'backups', INSTANCE_ID, 'a.tar.gz.enc');
+      expect(await decrypt(archive)).toEqual({ keyId, content: 'backup' });
+
+      const { size } = await fs.stat(archive);
+      const sha256 = crypto.createHash('sha256').update(await fs.readFile(archive)).digest('hex');
+      expect(backup).toMatchObject({ keyId, size, sha256 });
+      expect(backup.save).toHaveBeenCalled();
+      expect(process.exit).not.toHaveBeenCalled();
+    });
+
+    test('keeps the old key when a file cannot be re-encrypted', async () => {
+      await fs.writeFile(path.join(root, 'backups', INSTANCE_ID, 'a.tar.gz.enc'), 'kaputt');
+      const { keyId: oldKeyId } = modules.keys[0];
+
+      await modules.rotateSessionKeys();
+
+      expect(errors()).toContainEqual(expect.stringContaining(`backup ${backup.backupId}`));
+      expect(backup.save).not.toHaveBeenCalled();
+      expect(modules.keys.map(({ keyId, active }) => ({ keyId, active }))).toEqual([
+        { keyId: oldKeyId, active: false },
+        { keyId: expect.not.stringMatching(oldKeyId), active: true }
+      ]);
+      // Die Session ist trotzdem neu verschlüsselt
+      expect((await decrypt(vault.sealedPath(INSTANCE_ID))).keyId).toBe(modules.keys[1].keyId);
+      expect(process.exit).toHaveBeenCalledWith(1);
+    });
+  });
+});
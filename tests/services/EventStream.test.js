@@ -0,0 +1,35 @@
+const EventStream = require('../../services/EventStream');
+
+const createSubscriber = (instanceId, keyId) => ({
+  instanceId,
+  keyId,
+  filters: { events: [], chatIds: [], messageTypes: [] },
+  send: jest.fn(),
+  close: jest.fn()
+});
+
+describe('EventStream', () => {
+  test('closeKey ends only the streams of that key', () => {
+    const stream = new EventStream(null);
+    const revoked = [createSubscriber('inst_1', 'key_a'), createSubscriber('inst_2', 'key_a')];
+    const other = createSubscriber('inst_1', 'key_b');
+    [...revoked, other].forEach(subscriber => stream.subscribe(subscriber));
+
+    expect(stream.closeKey('key_a')).toBe(2);
+    revoked.forEach(subscriber => expect(subscriber.close).toHaveBeenCalledTimes(1));
+    expect(other.close).not.toHaveBeenCalled();
+  });
+
+  test('stops delivering events once a closed stream unsubscribes', () => {
+    const stream = new EventStream(null);
+    const subscriber = createSubscriber('inst_1', 'key_a');
+    const unsubscribe = stream.subscribe(subscriber);
+
+    stream.closeKey('key_a');
+    unsubscribe(); // res.end() löst im Route-Handler 'close' aus
+    stream.publish({ event: 'message', instanceId: 'inst_1', data: {} });
+
+    expect(subscriber.send).not.toHaveBeenCalled();
+    expect(stream.countSubscribers('key_a')).toBe(0);
+  });
+});
@@ -0,0 +1,69 @@
+const Instance = require('../../models/Instance');
+const InstanceTransfer = require('../../services/InstanceTransfer');
+const ClusterCoordinator = require('../../services/ClusterCoordinator');
+
+const SERVER_ID = 'server-b';
+
+describe('InstanceTransfer.importBundle', () => {
+  const manifest = { exportId: 'exp_1', sourceServerId: 'server-a', instance: { instanceId: 'inst_1' } };
+  let transfer;
+
+  const storedInstance = (overrides = {}) => new Instance({
+    instanceId: 'inst_1',
+    name: 'Test',
+    userId: '64b000000000000000000001',
+    serverId: 'server-a',
+    status: 'stopped',
+    transfer: { exportId: 'exp_1' },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    const manager = { serverId: SERVER_ID, instances: new Map(), config: { maxInstances: 10 } };
+    manager.cluster = new ClusterCoordinator(manager);
+    transfer = new InstanceTransfer(manager, { secret: 'x'.repeat(32) });
+    jest.spyOn(transfer, 'readBundle').mockResolvedValue({ manifest });
+    jest.spyOn(transfer, 'adoptBundle').mockResolvedValue({ created: false });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const importAs = (instance) => {
+    jest.spyOn(Instance, 'findOne').mockResolvedValue(instance);
+    return transfer.importBundle('/tmp/bundle.waib', { _id: instance.userId, isAdmin: false });
+  };
+
+  test('adopts the latest export of a stopped instance', async () => {
+    await expect(importAs(storedInstance())).resolves.toEqual({ created: false });
+    expect(transfer.adoptBundle).toHaveBeenCalled();
+  });
+
+  test.each(['connecting', 'qr_pending', 'authenticated', 'ready'])(
+    'rejects an instance that is %s on another server',
+    async (status) => {
+      await expect(importAs(storedInstance({ status }))).rejects.toMatchObject({
+        statusCode: 409,
+        message: expect.stringContaining('running on server server-a')
+      });
+      expect(transfer.adoptBundle).not.toHaveBeenCalled();
+    }
+  );
+
+  test('rejects a bundle that is no longer the latest export', async () => {
+    await expect(importAs(storedInstance({ transfer: { exportId: null } }))).rejects.toMatchObject({ statusCode: 409 });
+    expect(transfer.adoptBundle).not.toHaveBeenCalled();
+  });
+
+  test('rejects a stopped instance while another node holds a valid lease', async () => {
+    const lease = { nodeId: 'server-c', token: 3, expiresAt: new Date(Date.now() + 30000) };
+    await expect(importAs(storedInstance({ lease }))).rejects.toMatchObject({ statusCode: 409, code: 'LEASE_HELD' });
+    expect(transfer.adoptBundle).not.toHaveBeenCalled();
+  });
+
+  test('ignores an expired lease of another node', async () => {
+    const lease = { nodeId: 'server-c', token: 3, expiresAt: new Date(Date.now() - 1000) };
+    await expect(importAs(storedInstance({ lease }))).resolves.toEqual({ created: false });
+  });
+});
@@ -0,0 +1,48 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const MailService = require('../../services/MailService');
+const { logger } = require('../../utils/logger');
+
+const user = { username: 'alice', email: 'alice@example.com' };
+
+describe('MailService', () => {
+  let fileDir;
+
+  beforeEach(async () => {
+    fileDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-test-'));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(fileDir, { recursive: true, force: true });
+  });
+
+  test('file transport writes every mail as JSON', async () => {
+    const mailService = new MailService({ transport: 'file', fileDir, appUrl: 'https://app.example.com' });
+    const info = await mailService.sendPasswordResetEmail(user, 'reset/token+1', 60);
+
+    const files = await fs.readdir(fileDir);
+    expect(files).toEqual([info.messageId]);
+
+    const mail = JSON.parse(await fs.readFile(info.path, 'utf8'));
+    expect(mail).toMatchObject({ to: 'alice@example.com', subject: 'Reset your password' });
+    expect(mail.text).toContain('https://app.example.com/reset-password?token=reset%2Ftoken%2B1');
+    expect(mail.html).toContain('Hello alice');
+  });
+
+  test('log transport does not write usable links to the log', async () => {
+    const info = jest.spyOn(logger, 'info').mockImplementation(() => logger);
+    const mailService = new MailService({ transport: 'log' });
+
+    await mailService.sendVerificationEmail(user, 'secret-verification-token', 24);
+
+    const logged = JSON.stringify(info.mock.calls);
+    expect(logged).not.toContain('secret-verification-token');
+    expect(logged).toContain('/verify-email?token=[redacted]');
+  });
+
+  test('rejects unknown transports', () => {
+    expect(() => new MailService({ transport: 'carrier-pigeon' })).toThrow('Unknown mail transport');
+  });
+});
@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { LocalStorage, S3Storage, createStorage } = require('../../services/MediaStorage');
+const { createServer } = require('../../scripts/s3-stand-in');
+
+const listen = (server) => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+describe('LocalStorage', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'media-local-test-'));
+    storage = new LocalStorage({ root });
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('stores, reads and deletes objects', async () => {
+    await storage.put('inst_1/2024/01/a.jpg', Buffer.from('image'));
+
+    expect((await storage.get('inst_1/2024/01/a.jpg')).toString()).toBe('image');
+    expect(await fs.readdir(path.join(root, 'inst_1/2024/01'))).toEqual(['a.jpg']);
+
+    await storage.delete('inst_1/2024/01/a.jpg');
+    expect(await storage.get('inst_1/2024/01/a.jpg')).toBeNull();
+    await expect(storage.delete('inst_1/2024/01/a.jpg')).resolves.toBeUndefined();
+  });
+
+  test.each([
+    '../outside.txt',
+    'inst_1/../../outside.txt',
+    '/etc/passwd',
+    '',
+    '.'
+  ])('rejects key %p outside the storage root', async (key) => {
+    expect(() => storage.resolve(key)).toThrow('Invalid storage key');
+    await expect(storage.put(key, Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    await expect(storage.get(key)).rejects.toThrow('Invalid storage key');
+  });
+
+  test('does not treat a sibling directory with the same prefix as inside', () => {
+    expect(() => storage.resolve(`../${path.basename(root)}-evil/file`)).toThrow('Invalid storage key');
+    expect(storage.resolve('inst_1/../inst_2/file')).toBe(path.join(root, 'inst_2', 'file'));
+  });
+});
+
+describe('S3Storage', () => {
+  test('signs like the AWS Signature Version 4 example (GET object)', () => {
+    // docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-header-based-auth.html - "GET Object"
+    const result = S3Storage.signature({
+      method: 'GET',
+      url: new URL('https://examplebucket.s3.amazonaws.com/test.txt'),
+      headers: {
+        host: 'examplebucket.s3.amazonaws.com',
+        range: 'bytes=0-9',
+        'x-amz-content-sha256': 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+        'x-amz-date': '20130524T000000Z'
+      },
+      payloadHash: 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+      amzDate: '20130524T000000Z',
+      region: 'us-east-1',
+      secretAccessKey: 'wJalrXUtnFEMI/K7MDENG/bPxRfiCYEXAMPLEKEY'
+    });
+
+    expect(result).toEqual({
+      signature: 'f0e8bdb87c964420e857bd35b5d6ed310bd44f0170aba48dd91039c6036bdb41',
+      scope: '20130524/us-east-1/s3/aws4_request',
+      signedHeaders: 'host;range;x-amz-content-sha256;x-amz-date'
+    });
+  });
+
+  test('builds path-style URLs for custom endpoints and virtual-host URLs for AWS', () => {
+    const credentials = { bucket: 'media', accessKeyId: 'key', secretAccessKey: 'secret' };
+
+    const local = new S3Storage({ ...credentials, endpoint: 'http://localhost:9000/' });
+    expect(local.objectUrl("inst_1/a b(1).jpg").toString()).toBe('http://localhost:9000/media/inst_1/a%20b%281%29.jpg');
+
+    const aws = new S3Storage({ ...credentials, region: 'eu-central-1' });
+    expect(aws.objectUrl('inst_1/a.jpg').toString()).toBe('https://media.s3.eu-central-1.amazonaws.com/inst_1/a.jpg');
+  });
+
+  describe('against the local stand-in', () => {
+    let outDir;
+    let server;
+    let endpoint;
+
+    beforeAll(async () => {
+      outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-s3-test-'));
+      server = createServer({ outDir, accessKeyId: 'local', secretAccessKey: 'secret', quiet: true });
+      endpoint = await listen(server);
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+      await fs.rm(outDir, { recursive: true, force: true });
+    });
+
+    const createS3 = (secretAccessKey = 'secret') => createStorage({
+      storage: 's3',
+      s3: { endpoint, bucket: 'media', accessKeyId: 'local', secretAccessKey }
+    });
+
+    test('stores, reads and deletes objects', async () => {
+      const storage = createS3();
+      const data = Buffer.from([0, 1, 2, 255]);
+
+      await storage.put('inst_1/2024/01/voice note.ogg', data, { contentType: 'audio/ogg' });
+      expect(await fs.readFile(path.join(outDir, 'media/inst_1/2024/01/voice note.ogg'))).toEqual(data);
+      expect(await storage.get('inst_1/2024/01/voice note.ogg')).toEqual(data);
+
+      await storage.delete('inst_1/2024/01/voice note.ogg');
+      expect(await storage.get('inst_1/2024/01/voice note.ogg')).toBeNull();
+    });
+
+    test('returns null for missing objects', async () => {
+      expect(await createS3().get('inst_1/missing.jpg')).toBeNull();
+    });
+
+    test('fails when the signature does not match', async () => {
+      const storage = createS3('wrong-secret');
+
+      await expect(storage.put('inst_1/a.jpg', Buffer.from('x'))).rejects.toThrow('HTTP 403');
+      await expect(storage.get('inst_1/a.jpg')).rejects.toThrow('HTTP 403');
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const OutboundMessage = require('../../models/OutboundMessage');
+const User = require('../../models/User');
+const MessageQueue = require('../../services/MessageQueue');
+
+const CHAT_ID = '491701234567@c.us';
+
+/**
+ * Queue mit einer Instanz im Speicher - `client` enthält die aufgerufenen Methoden
+ */
+function createQueue({ status = 'ready', config = {}, client = {} } = {}) {
+  const instanceData = { instance: { status, config }, client, messageCount: 0 };
+  const manager = {
+    serverId: 'server-a',
+    instances: new Map([['inst_1', instanceData]]),
+    checkRateLimit: jest.fn().mockResolvedValue(),
+    saveOutgoingMessage: jest.fn().mockResolvedValue()
+  };
+
+  return { queue: new MessageQueue(manager, { retryBaseDelayMs: 1000, retryMaxDelayMs: 5000 }), manager, instanceData };
+}
+
+const queuedItem = (fields = {}) => ({
+  _id: 'out_1',
+  userId: 'user-1',
+  method: 'sendMessage',
+  params: [CHAT_ID, 'Hallo'],
+  options: {},
+  attempts: 1,
+  maxAttempts: 3,
+  ...fields
+});
+
+describe('MessageQueue', () => {
+  let updateOne;
+
+  beforeEach(() => {
+    updateOne = jest.spyOn(OutboundMessage, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(User, 'consumeMessageQuota').mockResolvedValue(true);
+    jest.spyOn(User, 'refundMessageQuota').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('enqueue', () => {
+    beforeEach(() => {
+      jest.spyOn(OutboundMessage, 'create').mockImplementation(async data => ({ _id: 'out_1', ...data }));
+    });
+
+    test('accepts messages while the instance is reconnecting', async () => {
+      const { queue } = createQueue({ status: 'connecting' });
+      queue.running = true;
+      const drain = jest.spyOn(queue, 'drain');
+
+      const item = await queue.enqueue({ instanceId: 'inst_1', userId: 'user-1', params: [CHAT_ID, 'Hallo'], maxAttempts: 5 });
+
+      expect(item).toMatchObject({ instanceId: 'inst_1', method: 'sendMessage', chatId: CHAT_ID, maxAttempts: 5 });
+      expect(drain).not.toHaveBeenCalled();
+    });
+
+    test('derives the chat of replies from the message id', async () => {
+      const { queue } = createQueue();
+
+      const item = await queue.enqueue({ instanceId: 'inst_1', method: 'reply', params: [`false_${CHAT_ID}_3EB0ABCDEF`, 'Ok'] });
+
+      expect(item.chatId).toBe(CHAT_ID);
+    });
+
+    test.each([
+      ['methods without an outgoing message', { method: 'getChats', params: [] }, { field: 'method' }],
+      ['invalid parameters', { params: ['not-a-chat', 'Hallo'] }, { field: 'params[0]' }],
+      ['past expiry dates', { params: [CHAT_ID, 'Hallo'], expiresAt: '2020-01-01' }, { field: 'expiresAt' }],
+      ['too many attempts', { params: [CHAT_ID, 'Hallo'], maxAttempts: 50 }, { field: 'maxAttempts' }],
+      ['keys without the send scope', { params: [CHAT_ID, 'Hallo'], scopes: ['messages.read'] }, { statusCode: 403 }]
+    ])('rejects %s', async (label, input, expected) => {
+      const { queue } = createQueue();
+
+      await expect(queue.enqueue({ instanceId: 'inst_1', ...input })).rejects.toMatchObject(expected);
+      expect(OutboundMessage.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('delivery', () => {
+    test('sends through the client and records the sent state', async () => {
+      const sent = { id: { _serialized: `true_${CHAT_ID}_3EB0SENT` }, body: 'Hallo' };
+      const { queue, manager, instanceData } = createQueue({ client: { sendMessage: jest.fn().mockResolvedValue(sent) } });
+
+      await queue.deliver('inst_1', instanceData, queuedItem());
+
+      expect(instanceData.client.sendMessage).toHaveBeenCalledWith(CHAT_ID, 'Hallo');
+      expect(manager.saveOutgoingMessage).toHaveBeenCalledWith('inst_1', sent, 'Hallo', {});
+      expect(updateOne).toHaveBeenCalledWith({ _id: 'out_1' }, expect.objectContaining({
+        status: 'sent',
+        waMessageId: `true_${CHAT_ID}_3EB0SENT`
+      }));
+      expect(instanceData.messageCount).toBe(1);
+    });
+
+    test('retries transient failures with exponential backoff and refunds the quota', async () => {
+      const { queue, instanceData } = createQueue({ client: { sendMessage: jest.fn().mockRejectedValue(new Error('Protocol error')) } });
+
+      const before = Date.now();
+      await queue.deliver('inst_1', instanceData, queuedItem({ attempts: 2 }));
+
+      const [, update] = updateOne.mock.calls[0];
+      expect(update).toMatchObject({ status: 'queued', lastError: { message: 'Protocol error', code: 'WHATSAPP_ERROR' } });
+      expect(update.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+      expect(update.$inc).toBeUndefined();
+      expect(User.refundMessageQuota).toHaveBeenCalledWith('user-1');
+    });
+
+    test.each([
+      ['permanent errors', new Error('invalid wid'), 1],
+      ['the last attempt', new Error('Protocol error'), 3]
+    ])('fails the message on %s', async (label, error, attempts) => {
+      const { queue, instanceData } = createQueue({ client: { sendMessage: jest.fn().mockRejectedValue(error) } });
+
+      await queue.deliver('inst_1', instanceData, queuedItem({ attempts }));
+
+      expect(updateOne.mock.calls[0][1]).toMatchObject({ status: 'failed', lastError: { message: error.message } });
+    });
+
+    test('defers without counting the attempt when the instance disconnected meanwhile', async () => {
+      const { queue, instanceData } = createQueue({ client: { sendMessage: jest.fn() } });
+      instanceData.client.sendMessage.mockImplementation(async () => {
+        instanceData.instance.status = 'disconnected';
+        throw new Error('Session closed');
+      });
+
+      await queue.deliver('inst_1', instanceData, queuedItem({ attempts: 3 }));
+
+      expect(updateOne.mock.calls[0][1]).toMatchObject({ status: 'queued', $inc: { attempts: -1 } });
+    });
+  });
+
+  describe('pacing', () => {
+    test('waits messageDelay between two messages of an instance', async () => {
+      const { queue } = createQueue({ config: { messageDelay: 50 } });
+      queue.running = true;
+      jest.spyOn(queue, 'claimNext')
+        .mockResolvedValueOnce(queuedItem({ _id: 'out_1' }))
+        .mockResolvedValueOnce(queuedItem({ _id: 'out_2' }))
+        .mockResolvedValue(null);
+      const deliveredAt = [];
+      jest.spyOn(queue, 'deliver').mockImplementation(async () => deliveredAt.push(Date.now()));
+
+      await queue.drain('inst_1');
+
+      expect(deliveredAt).toHaveLength(2);
+      expect(deliveredAt[1] - deliveredAt[0]).toBeGreaterThanOrEqual(45);
+    });
+
+    test('stops draining while the rate limit window is full', async () => {
+      const { queue, instanceData } = createQueue({ config: { rateLimitPerMinute: 2 } });
+      queue.running = true;
+      Object.assign(instanceData, { rateLimitWindow: Date.now(), rateLimitCount: 2 });
+      const claimNext = jest.spyOn(queue, 'claimNext');
+
+      await queue.drain('inst_1');
+
+      expect(queue.getRateLimitDelay(instanceData)).toBeGreaterThan(0);
+      expect(claimNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restart', () => {
+    test('requeues its own messages left in processing on start', async () => {
+      const updateMany = jest.spyOn(OutboundMessage, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      const { queue } = createQueue();
+
+      await queue.start();
+      await queue.stop();
+
+      expect(updateMany.mock.calls[0][0]).toEqual({ status: 'processing', lockedBy: 'server-a' });
+    });
+
+    test('requeues only the processing messages of the instance locked by the failed node', async () => {
+      const updateMany = jest.spyOn(OutboundMessage, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      const { queue } = createQueue();
+
+      expect(await queue.requeueFromNode('inst_1', 'server-b')).toBe(2);
+
+      const [filter, update] = updateMany.mock.calls[0];
+      expect(filter).toEqual({ status: 'processing', instanceId: 'inst_1', lockedBy: 'server-b' });
+      expect(update).toMatchObject({ status: 'queued', $unset: { lockedBy: 1, lockedAt: 1 } });
+      expect(update.nextAttemptAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('cancel', () => {
+    test('refuses messages that are already being sent', async () => {
+      jest.spyOn(OutboundMessage, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(OutboundMessage, 'findOne').mockResolvedValue({ status: 'processing' });
+      const { queue } = createQueue();
+
+      await expect(queue.cancel('inst_1', 'out_1')).rejects.toMatchObject({ statusCode: 409, code: 'QUEUE_ITEM_NOT_CANCELLABLE' });
+    });
+
+    test('reports unknown messages as 404', async () => {
+      jest.spyOn(OutboundMessage, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(OutboundMessage, 'findOne').mockResolvedValue(null);
+      const { queue } = createQueue();
+
+      await expect(queue.cancel('inst_1', 'out_1')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const EventEmitter = require('events');
+const Message = require('../../models/Message');
+const ProductionInstanceManager = require('../../services/ProductionInstanceManager');
+const { toPublicEvent } = require('../../services/instanceEvents');
+
+const CHAT_ID = '491701234567@c.us';
+const WA_MESSAGE_ID = `true_${CHAT_ID}_3EB0ABCDEF`;
+
+const sentMessage = (fields = {}) => ({
+  id: { _serialized: WA_MESSAGE_ID, remote: CHAT_ID },
+  fromMe: true,
+  to: CHAT_ID,
+  type: 'chat',
+  ...fields
+});
+
+// Client-Events laufen asynchron - auf die Handler warten
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ProductionInstanceManager message transitions', () => {
+  let manager;
+  let client;
+  let emitted;
+
+  beforeEach(() => {
+    manager = new ProductionInstanceManager();
+    client = new EventEmitter();
+    manager.setupClientEventHandlers(client, 'inst_1');
+
+    emitted = [];
+    for (const event of ['messageAck', 'messageRevoked', 'messageEdited', 'messageReaction']) {
+      manager.on(event, payload => emitted.push(toPublicEvent(event, payload)));
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('message_ack', () => {
+    test('publishes acks that moved the stored status forward', async () => {
+      jest.spyOn(Message, 'applyAck').mockResolvedValue({ ack: 3 });
+
+      client.emit('message_ack', sentMessage(), 3);
+      await settle();
+
+      expect(Message.applyAck).toHaveBeenCalledWith('inst_1', WA_MESSAGE_ID, 3);
+      expect(emitted).toEqual([{
+        event: 'message_ack',
+        instanceId: 'inst_1',
+        data: { messageId: WA_MESSAGE_ID, chatId: CHAT_ID, ack: 3, status: 'read' },
+        meta: { chatId: CHAT_ID, messageType: 'chat' }
+      }]);
+    });
+
+    test('drops stale acks of stored messages', async () => {
+      jest.spyOn(Message, 'applyAck').mockResolvedValue(null);
+      jest.spyOn(Message, 'exists').mockResolvedValue({ _id: 'msg_1' });
+
+      client.emit('message_ack', sentMessage(), 2);
+      await settle();
+
+      expect(emitted).toEqual([]);
+    });
+
+    test('still publishes acks of messages that were never stored', async () => {
+      jest.spyOn(Message, 'applyAck').mockResolvedValue(null);
+      jest.spyOn(Message, 'exists').mockResolvedValue(null);
+
+      client.emit('message_ack', sentMessage(), 2);
+      await settle();
+
+      expect(emitted.map(({ data }) => data.status)).toEqual(['delivered']);
+    });
+  });
+
+  test('message_revoke_everyone marks the message deleted and publishes the original', async () => {
+    jest.spyOn(Message, 'markRevoked').mockResolvedValue({});
+    const revoked = sentMessage({ type: 'revoked' });
+    const original = sentMessage({ body: 'Hallo', timestamp: 1792411200 });
+
+    client.emit('message_revoke_everyone', revoked, original);
+    await settle();
+
+    const [, , deletedAt] = Message.markRevoked.mock.calls[0];
+    expect(Message.markRevoked).toHaveBeenCalledWith('inst_1', WA_MESSAGE_ID, expect.any(Date));
+    expect(emitted).toHaveLength(1);
+    expect(emitted[0]).toMatchObject({
+      event: 'message_revoke_everyone',
+      data: { messageId: WA_MESSAGE_ID, chatId: CHAT_ID, deletedAt: deletedAt.toISOString() },
+      meta: { messageType: 'chat' }
+    });
+    expect(emitted[0].data.original).toMatchObject({ id: WA_MESSAGE_ID, body: 'Hallo' });
+  });
+
+  describe('message_edit', () => {
+    const editedAt = new Date('2026-10-19T12:00:00Z');
+    const editedMessage = () => sentMessage({ _data: { latestEditSenderTimestampMs: editedAt.getTime() } });
+
+    test('stores the edit with the sender timestamp and publishes it', async () => {
+      jest.spyOn(Message, 'applyEdit').mockResolvedValue({});
+
+      client.emit('message_edit', editedMessage(), 'Neu', 'Alt');
+      await settle();
+
+      expect(Message.applyEdit).toHaveBeenCalledWith('inst_1', WA_MESSAGE_ID, { body: 'Neu', previousBody: 'Alt', editedAt });
+      expect(emitted).toEqual([expect.objectContaining({
+        event: 'message_edit',
+        data: { messageId: WA_MESSAGE_ID, chatId: CHAT_ID, body: 'Neu', previousBody: 'Alt', editedAt: editedAt.toISOString() }
+      })]);
+    });
+
+    test('drops edits older than the stored one', async () => {
+      jest.spyOn(Message, 'applyEdit').mockResolvedValue(null);
+      jest.spyOn(Message, 'exists').mockResolvedValue({ _id: 'msg_1' });
+
+      client.emit('message_edit', editedMessage(), 'Älter', 'Alt');
+      await settle();
+
+      expect(emitted).toEqual([]);
+    });
+
+    test('publishes edits of messages that were never stored', async () => {
+      jest.spyOn(Message, 'applyEdit').mockResolvedValue(null);
+      jest.spyOn(Message, 'exists').mockResolvedValue(null);
+
+      client.emit('message_edit', editedMessage(), 'Neu', 'Alt');
+      await settle();
+
+      expect(emitted).toHaveLength(1);
+    });
+  });
+
+  describe('message_reaction', () => {
+    const reaction = (emoji) => ({
+      msgId: { _serialized: WA_MESSAGE_ID, remote: CHAT_ID },
+      senderId: '491709876543@c.us',
+      reaction: emoji,
+      timestamp: 1792411200
+    });
+
+    test('stores and publishes a reaction', async () => {
+      jest.spyOn(Message, 'applyReaction').mockResolvedValue({});
+
+      client.emit('message_reaction', reaction('👍'));
+      await settle();
+
+      const timestamp = new Date(1792411200 * 1000);
+      expect(Message.applyReaction).toHaveBeenCalledWith('inst_1', WA_MESSAGE_ID, {
+        emoji: '👍',
+        senderId: '491709876543@c.us',
+        timestamp
+      });
+      expect(emitted).toEqual([{
+        event: 'message_reaction',
+        instanceId: 'inst_1',
+        data: { messageId: WA_MESSAGE_ID, chatId: CHAT_ID, senderId: '491709876543@c.us', emoji: '👍', timestamp: timestamp.toISOString() },
+        meta: { chatId: CHAT_ID }
+      }]);
+    });
+
+    test('publishes a removed reaction with emoji null', async () => {
+      jest.spyOn(Message, 'applyReaction').mockResolvedValue({});
+
+      client.emit('message_reaction', reaction(''));
+      await settle();
+
+      expect(Message.applyReaction.mock.calls[0][2].emoji).toBe('');
+      expect(emitted[0].data.emoji).toBeNull();
+    });
+  });
+
+  test('does not publish a transition whose update failed', async () => {
+    jest.spyOn(Message, 'markRevoked').mockRejectedValue(new Error('connection lost'));
+
+    client.emit('message_revoke_everyone', sentMessage(), null);
+    await settle();
+
+    expect(emitted).toEqual([]);
+  });
+});
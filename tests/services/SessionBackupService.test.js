@@ -0,0 +1,100 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const SessionBackup = require('../../models/SessionBackup');
+const SessionVault = require('../../services/SessionVault');
+const SessionBackupService = require('../../services/SessionBackupService');
+
+const INSTANCE_ID = 'inst_backup_test';
+
+// SessionBackup-Dokumente im Speicher statt in MongoDB
+function mockBackupStore() {
+  const store = [];
+  let clock = Date.now();
+
+  jest.spyOn(SessionBackup, 'create').mockImplementation(async (data) => {
+    const backup = new SessionBackup({ ...data, _id: new mongoose.Types.ObjectId() });
+    backup.createdAt = new Date(++clock);
+    store.push(backup);
+    return backup;
+  });
+  const sorted = () => [...store].sort((a, b) => b.createdAt - a.createdAt);
+  jest.spyOn(SessionBackup, 'findByInstance').mockImplementation(async () => sorted());
+  jest.spyOn(SessionBackup, 'findLatest').mockImplementation(async () => sorted()[0] || null);
+  jest.spyOn(SessionBackup, 'deleteOne').mockImplementation(async ({ _id }) => {
+    const index = store.findIndex(backup => backup._id.equals(_id));
+    if (index >= 0) store.splice(index, 1);
+    return { deletedCount: index >= 0 ? 1 : 0 };
+  });
+  jest.spyOn(SessionBackup, 'updateOne').mockImplementation(async ({ _id }, { $set }) => {
+    const backup = store.find(item => item._id.equals(_id));
+    if (backup) Object.assign(backup, $set);
+    return { matchedCount: backup ? 1 : 0 };
+  });
+
+  return store;
+}
+
+describe('SessionBackupService.restore', () => {
+  let root;
+  let vault;
+  let service;
+  let store;
+  let instance;
+
+  const writeSession = (content) => fs.writeFile(path.join(vault.sessionPath(INSTANCE_ID), 'Default', 'state.json'), content);
+  const readSession = () => fs.readFile(path.join(vault.sessionPath(INSTANCE_ID), 'Default', 'state.json'), 'utf8');
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'session-backup-test-'));
+    vault = new SessionVault({ sessionsDir: path.join(root, 'sessions'), masterKey: '' });
+    service = new SessionBackupService(vault, { backupDir: path.join(root, 'backups'), maxPerInstance: 1 });
+    store = mockBackupStore();
+    instance = { instanceId: INSTANCE_ID, userId: new mongoose.Types.ObjectId(), sessionBackup: {}, save: jest.fn() };
+
+    await fs.mkdir(path.join(vault.sessionPath(INSTANCE_ID), 'Default'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('keeps the chosen backup when the pre-restore backup exceeds the limit', async () => {
+    await writeSession('v1');
+    const backup = await service.create(instance);
+
+    await writeSession('v2');
+    const restored = await service.restore(instance, backup);
+
+    expect(await readSession()).toBe('v1');
+    expect(restored.restoredAt).toBeInstanceOf(Date);
+    expect(store.map(item => item.reason).sort()).toEqual(['manual', 'pre_restore']);
+    expect(store.find(item => item._id.equals(backup._id)).restoredAt).toEqual(restored.restoredAt);
+    expect(await service.archiveExists(backup)).toBe(true);
+  });
+
+  test('prunes the kept backup on the next regular backup', async () => {
+    await writeSession('v1');
+    const backup = await service.create(instance);
+    await writeSession('v2');
+    await service.restore(instance, backup);
+
+    await writeSession('v3');
+    await service.create(instance);
+
+    expect(store).toHaveLength(1);
+    expect(await service.archiveExists(backup)).toBe(false);
+  });
+
+  test('does not fail when the backup document disappears during the restore', async () => {
+    await writeSession('v1');
+    const backup = await service.create(instance);
+    store.splice(0, store.length);
+
+    await writeSession('v2');
+    await expect(service.restore(instance, backup)).resolves.toBe(backup);
+    expect(await readSession()).toBe('v1');
+  });
+});
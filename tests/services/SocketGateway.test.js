@@ -0,0 +1,61 @@
+const User = require('../../models/User');
+const SocketGateway = require('../../services/SocketGateway');
+
+const createSocket = (user, issuedAt) => ({
+  user,
+  tokenPayload: { userId: String(user._id), type: 'access', iat: issuedAt },
+  disconnect: jest.fn()
+});
+
+const mockFindUser = (user) => jest.spyOn(User, 'findById').mockReturnValue({
+  select: jest.fn().mockResolvedValue(user)
+});
+
+describe('SocketGateway', () => {
+  const issuedAt = Math.floor(Date.now() / 1000) - 60;
+  const user = { _id: 'user-1', role: 'user', isActive: true };
+  let gateway;
+
+  beforeEach(() => {
+    gateway = new SocketGateway(null, null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkSession', () => {
+    test('keeps the connection and refreshes the user while the token is valid', async () => {
+      const fresh = { ...user, role: 'admin' };
+      mockFindUser(fresh);
+      const socket = createSocket(user, issuedAt);
+
+      expect(await gateway.checkSession(socket)).toBe(true);
+      expect(socket.user).toBe(fresh);
+      expect(socket.disconnect).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      ['after logout-all', { ...user, tokensRevokedAt: new Date() }],
+      ['after a password change', { ...user, passwordChangedAt: new Date() }],
+      ['for a deactivated user', { ...user, isActive: false }],
+      ['for a deleted user', null]
+    ])('disconnects %s', async (label, stored) => {
+      mockFindUser(stored);
+      const socket = createSocket(user, issuedAt);
+
+      expect(await gateway.checkSession(socket)).toBe(false);
+      expect(socket.disconnect).toHaveBeenCalledWith(true);
+    });
+  });
+
+  test('disconnectUser closes all sockets in the user room', () => {
+    const disconnectSockets = jest.fn();
+    gateway.namespace = { in: jest.fn(() => ({ disconnectSockets })) };
+
+    gateway.disconnectUser('user-1');
+
+    expect(gateway.namespace.in).toHaveBeenCalledWith('user:user-1');
+    expect(disconnectSockets).toHaveBeenCalledWith(true);
+  });
+});
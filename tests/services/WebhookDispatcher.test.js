@@ -0,0 +1,171 @@
+const http = require('http');
+const Instance = require('../../models/Instance');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const WebhookDeadLetter = require('../../models/WebhookDeadLetter');
+const WebhookDispatcher = require('../../services/WebhookDispatcher');
+
+const SECRET = 'test-webhook-secret';
+
+/**
+ * Lokaler Empfänger (wie scripts/webhook-receiver.js): prüft die Signatur und antwortet
+ * mit dem nächsten Status aus `statuses` (danach immer mit dem letzten)
+ */
+function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const signatureValid = WebhookDispatcher.verifySignature(SECRET, req.headers['x-webhook-signature'], body);
+      requests.push({ headers: req.headers, body: JSON.parse(body), signatureValid });
+
+      const status = signatureValid ? statuses[Math.min(requests.length, statuses.length) - 1] : 401;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: status < 300 }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/webhook` });
+    });
+  });
+}
+
+const createDelivery = (url, overrides = {}) => ({
+  _id: 'delivery-object-id',
+  deliveryId: 'whd_test',
+  instanceId: 'inst_test',
+  userId: 'user_test',
+  event: 'message.received',
+  url,
+  payload: { id: 'whd_test', event: 'message.received', instanceId: 'inst_test', data: { body: 'Hallo' } },
+  attempts: 0,
+  maxAttempts: 3,
+  ...overrides
+});
+
+describe('WebhookDispatcher', () => {
+  describe('sign / verifySignature', () => {
+    const body = JSON.stringify({ event: 'test' });
+
+    test('accepts its own signature', () => {
+      const header = WebhookDispatcher.sign(SECRET, body);
+      expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+      expect(WebhookDispatcher.verifySignature(SECRET, header, body)).toBe(true);
+    });
+
+    test('rejects a modified body or a different secret', () => {
+      const header = WebhookDispatcher.sign(SECRET, body);
+      expect(WebhookDispatcher.verifySignature(SECRET, header, body + ' ')).toBe(false);
+      expect(WebhookDispatcher.verifySignature('other-secret', header, body)).toBe(false);
+    });
+
+    test('rejects timestamps outside the tolerance and malformed headers', () => {
+      const old = Math.floor(Date.now() / 1000) - 600;
+      expect(WebhookDispatcher.verifySignature(SECRET, WebhookDispatcher.sign(SECRET, body, old), body)).toBe(false);
+      expect(WebhookDispatcher.verifySignature(SECRET, 'v1=abc', body)).toBe(false);
+      expect(WebhookDispatcher.verifySignature(SECRET, undefined, body)).toBe(false);
+    });
+  });
+
+  describe('delivery against a local receiver', () => {
+    let receiver;
+    let dispatcher;
+    let updates;
+    let deadLetters;
+
+    beforeEach(() => {
+      updates = [];
+      deadLetters = [];
+      jest.spyOn(Instance, 'ensureWebhookSecret').mockResolvedValue(SECRET);
+      jest.spyOn(WebhookDelivery, 'updateOne').mockImplementation(async (filter, update) => {
+        updates.push(update);
+        return { matchedCount: 1 };
+      });
+      jest.spyOn(WebhookDeadLetter, 'create').mockImplementation(async (data) => {
+        deadLetters.push(data);
+        return data;
+      });
+
+      dispatcher = new WebhookDispatcher(null, {
+        timeoutMs: 2000,
+        maxAttempts: 3,
+        retryBaseDelayMs: 1000,
+        retryMaxDelayMs: 3000
+      });
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      if (receiver) {
+        await new Promise(resolve => receiver.server.close(resolve));
+        receiver = null;
+      }
+    });
+
+    test('delivers a signed payload', async () => {
+      receiver = await startReceiver([200]);
+      await dispatcher.attempt(createDelivery(receiver.url));
+
+      expect(receiver.requests).toHaveLength(1);
+      const [request] = receiver.requests;
+      expect(request.signatureValid).toBe(true);
+      expect(request.headers['x-webhook-id']).toBe('whd_test');
+      expect(request.headers['x-webhook-event']).toBe('message.received');
+      expect(request.headers['x-webhook-attempt']).toBe('1');
+      expect(request.body.data).toEqual({ body: 'Hallo' });
+
+      expect(updates).toHaveLength(1);
+      expect(updates[0]).toMatchObject({ status: 'delivered', attempts: 1, lastAttempt: { statusCode: 200 } });
+      expect(deadLetters).toHaveLength(0);
+    });
+
+    test('retries with exponential backoff and dead-letters after maxAttempts', async () => {
+      receiver = await startReceiver([500, 503, 500]);
+      let delivery = createDelivery(receiver.url, { maxAttempts: 4 });
+      const delays = [];
+
+      for (let attempt = 1; attempt <= 4; attempt++) {
+        const before = Date.now();
+        await dispatcher.attempt(delivery);
+        const update = updates[updates.length - 1];
+
+        if (update.status === 'pending') {
+          delays.push(update.nextAttemptAt.getTime() - before);
+        }
+        delivery = { ...delivery, attempts: update.attempts };
+      }
+
+      expect(receiver.requests.map(request => request.headers['x-webhook-attempt'])).toEqual(['1', '2', '3', '4']);
+      expect(updates.map(update => update.status)).toEqual(['pending', 'pending', 'pending', 'dead']);
+
+      // 1000ms, 2000ms, dann auf retryMaxDelayMs (3000ms) begrenzt
+      [1000, 2000, 3000].forEach((expected, index) => {
+        expect(delays[index]).toBeGreaterThanOrEqual(expected);
+        expect(delays[index]).toBeLessThan(expected + 1000);
+      });
+
+      expect(deadLetters).toHaveLength(1);
+      expect(deadLetters[0]).toMatchObject({
+        deliveryId: 'whd_test',
+        attempts: 4,
+        lastAttempt: { statusCode: 500 }
+      });
+    });
+
+    test('treats network errors as failed attempts', async () => {
+      receiver = await startReceiver([200]);
+      const url = receiver.url;
+      await new Promise(resolve => receiver.server.close(resolve));
+      receiver = null;
+
+      await dispatcher.attempt(createDelivery(url, { attempts: 2, maxAttempts: 3 }));
+
+      expect(updates).toHaveLength(1);
+      expect(updates[0].status).toBe('dead');
+      expect(deadLetters).toHaveLength(1);
+      expect(deadLetters[0].lastAttempt.error).toBeTruthy();
+    });
+  });
+});
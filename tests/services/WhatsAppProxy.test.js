@@ -0,0 +1,105 @@
+const Instance = require('../../models/Instance');
+const User = require('../../models/User');
+const WhatsAppProxy = require('../../services/WhatsAppProxy');
+
+const API_KEY = 'wam_test';
+
+/**
+ * Proxy mit einer bereiten Instanz im Speicher - `client` enthält die aufgerufenen Methoden
+ */
+function createProxy(client = {}) {
+  const instanceData = {
+    instance: { status: 'ready', config: {} },
+    client
+  };
+  const manager = {
+    instances: new Map([['inst_1', instanceData]]),
+    logoutInstance: jest.fn().mockResolvedValue(),
+    saveOutgoingMessage: jest.fn().mockResolvedValue()
+  };
+
+  jest.spyOn(Instance, 'findOne').mockReturnValue({
+    lean: () => Promise.resolve({ instanceId: 'inst_1', userId: 'user-1' })
+  });
+
+  return { proxy: new WhatsAppProxy(manager), manager, client };
+}
+
+const apiKeyRecord = (scopes) => ({ instanceId: 'inst_1', keyId: 'key_1', scopes });
+
+const CHAT_ID = '491701234567@c.us';
+
+describe('WhatsAppProxy', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validation and scopes', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'consumeMessageQuota').mockResolvedValue(true);
+      jest.spyOn(User, 'refundMessageQuota').mockResolvedValue();
+    });
+
+    test('rejects invalid parameters before the instance or client is touched', async () => {
+      const { proxy, client } = createProxy({ sendMessage: jest.fn() });
+
+      await expect(proxy.invoke(API_KEY, 'sendMessage', ['not-a-chat', 42], {}, apiKeyRecord(['messages.send'])))
+        .rejects.toMatchObject({ statusCode: 400, code: 'VALIDATION_ERROR', field: 'params[0]' });
+      expect(Instance.findOne).not.toHaveBeenCalled();
+      expect(client.sendMessage).not.toHaveBeenCalled();
+    });
+
+    test('rejects keys without the scope of the method', async () => {
+      const { proxy, client } = createProxy({ sendMessage: jest.fn() });
+
+      await expect(proxy.invoke(API_KEY, 'sendMessage', [CHAT_ID, 'Hello'], {}, apiKeyRecord(['messages.read'])))
+        .rejects.toMatchObject({ statusCode: 403, message: "API key lacks scope 'messages.send' required for 'sendMessage'" });
+      expect(client.sendMessage).not.toHaveBeenCalled();
+      expect(User.consumeMessageQuota).not.toHaveBeenCalled();
+    });
+
+    test('calls the client with the validated parameters', async () => {
+      const { proxy, client } = createProxy({ getChatById: jest.fn().mockResolvedValue({ id: { _serialized: CHAT_ID } }) });
+
+      await proxy.invoke(API_KEY, 'getChatById', [CHAT_ID], {}, apiKeyRecord(['messages.read']));
+
+      expect(client.getChatById).toHaveBeenCalledWith(CHAT_ID);
+    });
+
+    test('refunds the message quota when sending fails', async () => {
+      const { proxy } = createProxy({ sendMessage: jest.fn().mockRejectedValue(new Error('Evaluation failed')) });
+
+      await expect(proxy.invoke(API_KEY, 'sendMessage', [CHAT_ID, 'Hello'], {}, apiKeyRecord(['messages.send'])))
+        .rejects.toMatchObject({ statusCode: 500, code: 'WHATSAPP_ERROR' });
+      expect(User.consumeMessageQuota).toHaveBeenCalledWith('user-1');
+      expect(User.refundMessageQuota).toHaveBeenCalledWith('user-1');
+    });
+  });
+
+  describe('lifecycle methods', () => {
+    test('logout goes through the instance manager instead of the client', async () => {
+      const { proxy, manager, client } = createProxy({ logout: jest.fn() });
+
+      const response = await proxy.invoke(API_KEY, 'logout', [], {}, apiKeyRecord(['instances.update']));
+
+      expect(response).toMatchObject({ success: true, instanceId: 'inst_1', method: 'logout' });
+      expect(manager.logoutInstance).toHaveBeenCalledWith('inst_1');
+      expect(client.logout).not.toHaveBeenCalled();
+    });
+
+    test('logout still requires the destructive scope', async () => {
+      const { proxy, manager } = createProxy();
+
+      await expect(proxy.invoke(API_KEY, 'logout', [], {}, apiKeyRecord(['messages.read', 'messages.send'])))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(manager.logoutInstance).not.toHaveBeenCalled();
+    });
+
+    test('dispatch refuses manager methods (e.g. inside a worker)', async () => {
+      const { proxy, client } = createProxy({ logout: jest.fn() });
+
+      await expect(proxy.dispatch(client, 'logout', [])).rejects.toMatchObject({ code: 'INVALID_METHOD_SCHEMA' });
+      expect(client.logout).not.toHaveBeenCalled();
+    });
+  });
+});
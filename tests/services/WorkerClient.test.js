@@ -0,0 +1,145 @@
+const os = require('os');
+const path = require('path');
+const { Message } = require('whatsapp-web.js');
+const WorkerClient = require('../../services/WorkerClient');
+const ProductionInstanceManager = require('../../services/ProductionInstanceManager');
+const { encode } = require('../../utils/ipcCodec');
+
+const createClient = (config = {}) => new WorkerClient('inst_worker_test', {
+  auth: { clientId: 'inst_worker_test', dataPath: path.join(os.tmpdir(), 'worker-client-test') }
+}, config);
+
+const exited = (client) => new Promise(resolve => client.worker.once('exit', resolve));
+
+describe('WorkerClient', () => {
+  describe('without a worker process', () => {
+    test('rejects calls while the worker is not running', async () => {
+      await expect(createClient().call('ping')).rejects.toMatchObject({ statusCode: 503, code: 'WORKER_NOT_RUNNING' });
+    });
+
+    test('times out calls the worker does not answer', async () => {
+      const client = createClient();
+      client.worker = { connected: true, send: jest.fn() };
+
+      await expect(client.call('ping', [], 20)).rejects.toMatchObject({ statusCode: 504, code: 'WORKER_TIMEOUT' });
+      expect(client.pending.size).toBe(0);
+    });
+
+    test('toError keeps status and code of operational errors', () => {
+      const client = createClient();
+
+      const appError = client.toError({ message: 'Chat not found', code: 'NOT_FOUND', statusCode: 404 });
+      expect(appError).toMatchObject({ message: 'Chat not found', statusCode: 404, code: 'NOT_FOUND', isOperational: true });
+
+      const plain = client.toError({ message: 'boom', code: null, statusCode: null });
+      expect(plain.isOperational).toBeUndefined();
+      expect(plain.message).toBe('boom');
+    });
+
+    test('forwards message methods to the worker and rejects all others clearly', async () => {
+      const client = createClient();
+      const call = jest.spyOn(client, 'call').mockResolvedValue('chat');
+      const message = Object.assign(Object.create(Message.prototype), { id: { _serialized: 'false_123@c.us_ABC' }, body: 'Hi' });
+
+      const decoded = client.decode(encode(message));
+
+      await expect(decoded.getChat()).resolves.toBe('chat');
+      expect(call).toHaveBeenCalledWith('message', ['false_123@c.us_ABC', 'getChat']);
+
+      for (const name of ['reply', 'react', 'getInfo', 'forward']) {
+        await expect(decoded[name]('x')).rejects.toMatchObject({
+          statusCode: 501,
+          code: 'WORKER_METHOD_UNSUPPORTED',
+          message: expect.stringContaining(`Message.${name}() is not available for objects received from a WhatsApp worker`)
+        });
+      }
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(Object.keys(decoded)).not.toContain('reply');
+    });
+  });
+
+  describe('with a worker process', () => {
+    let client;
+
+    beforeEach(() => {
+      client = createClient({ callTimeoutMs: 20000 });
+    });
+
+    afterEach(async () => {
+      if (client.worker) {
+        const done = exited(client);
+        client.kill();
+        await done;
+      }
+    });
+
+    test('answers calls over IPC and forwards AppErrors', async () => {
+      client.spawn();
+
+      await expect(client.call('ping')).resolves.toBe(true);
+      await expect(client.dispatch('noSuchMethod', [])).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'NOT_FOUND',
+        message: "Method 'noSuchMethod' not found"
+      });
+      await expect(client.call('client', ['_private'])).rejects.toThrow("Client method '_private' is not available");
+    });
+
+    test('reports a crash, fails pending calls and can be started again', async () => {
+      client.spawn();
+      await client.call('ping');
+
+      const crashed = new Promise(resolve => client.once('worker_exit', resolve));
+      client.worker.send = () => {}; // Aufruf bleibt offen, bis der Worker stirbt
+      const pending = client.call('ping');
+      process.kill(client.pid, 'SIGKILL');
+
+      await expect(pending).rejects.toMatchObject({ statusCode: 503, code: 'WORKER_EXITED' });
+      expect(await crashed).toEqual({ code: null, signal: 'SIGKILL' });
+      expect(client.running).toBe(false);
+
+      client.spawn();
+      await expect(client.call('ping')).resolves.toBe(true);
+    });
+
+    test('does not report an intended kill as a crash', async () => {
+      client.spawn();
+      await client.call('ping');
+
+      const crashListener = jest.fn();
+      client.on('worker_exit', crashListener);
+      const done = exited(client);
+      client.kill();
+      await done;
+
+      expect(crashListener).not.toHaveBeenCalled();
+    });
+
+    test('lets the manager restart the instance after a worker crash', async () => {
+      const manager = new ProductionInstanceManager();
+      manager.config.restartDelay = 10;
+      jest.spyOn(manager.cluster, 'release').mockResolvedValue();
+      const restarted = new Promise(resolve => {
+        jest.spyOn(manager, 'restartInstance').mockImplementation(async (instanceId) => resolve(instanceId));
+      });
+
+      const instance = {
+        config: { autoReconnect: true },
+        errorCount: 0,
+        logError: jest.fn().mockResolvedValue(),
+        setStatus: jest.fn().mockResolvedValue()
+      };
+      manager.instances.set('inst_worker_test', { client, instance });
+      manager.setupClientEventHandlers(client, 'inst_worker_test');
+
+      client.spawn();
+      await client.call('ping');
+      process.kill(client.pid, 'SIGKILL');
+
+      expect(await restarted).toBe('inst_worker_test');
+      expect(instance.setStatus).toHaveBeenCalledWith('error');
+      expect(manager.instances.has('inst_worker_test')).toBe(false);
+      jest.restoreAllMocks();
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const {
+  METHOD_SCHEMAS,
+  PARAM_TYPES,
+  RISK_SCOPES,
+  getSchema,
+  validateParams,
+  isPublicMethod,
+  requiredScope
+} = require('../../services/methodSchemas');
+const { ValidationError } = require('../../middleware/errorHandler');
+
+const CHAT_ID = '491701234567@c.us';
+
+// Fehler von validateParams abfangen (für Assertions auf `errors`)
+const validationErrorOf = (methodName, params) => {
+  try {
+    validateParams(methodName, params);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Expected '${methodName}' to reject its parameters`);
+};
+
+describe('methodSchemas', () => {
+  describe('schemas', () => {
+    test.each(Object.keys(METHOD_SCHEMAS))('%s is well-formed', (methodName) => {
+      const schema = METHOD_SCHEMAS[methodName];
+
+      expect(Object.keys(RISK_SCOPES)).toContain(schema.risk);
+      expect(['client', 'chat', 'group', 'message', 'contact', 'manager']).toContain(schema.target);
+      schema.params.forEach((param, index) => {
+        expect(PARAM_TYPES).toHaveProperty(param.type);
+        // Pflichtparameter stehen vor optionalen
+        if (param.required && index > 0) expect(schema.params[index - 1].required).toBe(true);
+      });
+    });
+
+    test('does not resolve Object.prototype members as methods', () => {
+      expect(getSchema('constructor')).toBeNull();
+      expect(getSchema('toString')).toBeNull();
+      expect(isPublicMethod('hasOwnProperty')).toBe(false);
+    });
+
+    test('keeps internal methods off the API', () => {
+      expect(isPublicMethod('pupPage')).toBe(false);
+      expect(requiredScope('pupPage')).toBeNull();
+      expect(isPublicMethod('sendMessage')).toBe(true);
+    });
+
+    test('maps the risk of a method to the scope an API key needs', () => {
+      expect(requiredScope('getChats')).toBe('messages.read');
+      expect(requiredScope('sendMessage')).toBe('messages.send');
+      expect(requiredScope('logout')).toBe('instances.update');
+    });
+  });
+
+  describe('validateParams', () => {
+    test('accepts required and optional parameters of the right type', () => {
+      expect(() => validateParams('sendMessage', [CHAT_ID, 'Hello'])).not.toThrow();
+      expect(() => validateParams('sendMessage', [CHAT_ID, 'Hello', { linkPreview: false }])).not.toThrow();
+      expect(() => validateParams('sendMessage', ['120363012345678901@g.us', 'Hello'])).not.toThrow();
+    });
+
+    test('reports every invalid parameter as a ValidationError', () => {
+      const error = validationErrorOf('sendMessage', ['0170 1234567', undefined]);
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.statusCode).toBe(400);
+      expect(error.field).toBe('params[0]');
+      expect(error.errors).toEqual([
+        { field: 'params[0]', param: 'chatId', message: `chatId must be ${PARAM_TYPES.chatId.description}` },
+        { field: 'params[1]', param: 'content', message: 'content is required' }
+      ]);
+    });
+
+    test('rejects surplus parameters', () => {
+      const error = validationErrorOf('getState', ['unexpected']);
+
+      expect(error.errors[0]).toMatchObject({ field: 'params', message: expect.stringContaining('at most 0 parameter(s)') });
+    });
+
+    test('rejects unknown methods', () => {
+      expect(validationErrorOf('doesNotExist', [])).toMatchObject({ field: 'method' });
+    });
+
+    test.each([
+      ['contactId', '491701234567@g.us', false],
+      ['contactId', '491701234567@lid', true],
+      ['messageId', 'true_491701234567@c.us_3EB0ABCDEF', true],
+      ['messageId', '3EB0ABCDEF', false],
+      ['media', { mimetype: 'image/png', data: 'aGVsbG8=' }, true],
+      ['media', { mimetype: 'image/png', data: 'aGVsbG8=', filename: 42 }, false],
+      ['date', '2026-10-19T12:00:00Z', true],
+      ['date', 'tomorrow', false],
+      ['chatIdArray', [], false]
+    ])('type %s %p is valid: %s', (type, value, valid) => {
+      expect(PARAM_TYPES[type].check(value)).toBe(valid);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { Message, MessageMedia, Location } = require('whatsapp-web.js');
+const { encode, decode, encodeError } = require('../../utils/ipcCodec');
+const { AppError } = require('../../middleware/errorHandler');
+
+// Wie über IPC: nur JSON kommt an
+const roundTrip = (value, wrap) => decode(JSON.parse(JSON.stringify(encode(value))), wrap);
+
+// Nachricht wie von whatsapp-web.js erzeugt, ohne Browser
+const createMessage = (fields) => Object.assign(Object.create(Message.prototype), fields);
+
+describe('ipcCodec', () => {
+  test('keeps primitives and plain structures', () => {
+    const value = { text: 'Hallo', count: 3, flag: false, empty: null, list: [1, 'a', { nested: [true] }] };
+    expect(roundTrip(value)).toEqual(value);
+  });
+
+  test('restores dates and buffers', () => {
+    const value = { at: new Date('2024-05-01T12:00:00.000Z'), data: Buffer.from([0, 1, 254, 255]) };
+    const decoded = roundTrip(value);
+
+    expect(encode(value)).toEqual({ at: { $date: '2024-05-01T12:00:00.000Z' }, data: { $buffer: 'AAH+/w==' } });
+    expect(decoded.at).toBeInstanceOf(Date);
+    expect(decoded.at.toISOString()).toBe('2024-05-01T12:00:00.000Z');
+    expect(Buffer.isBuffer(decoded.data)).toBe(true);
+    expect(decoded.data).toEqual(value.data);
+  });
+
+  test('drops functions', () => {
+    expect(roundTrip({ a: 1, fn: () => {} })).toEqual({ a: 1 });
+    expect(roundTrip([() => {}, 2])).toEqual([null, 2]);
+  });
+
+  test('cuts cycles but keeps shared references', () => {
+    const id = { _serialized: 'true_123@c.us_ABC' };
+    const value = { id, _data: { id } };
+    value.self = value;
+    value._data.parent = value;
+
+    const decoded = roundTrip(value);
+
+    expect(decoded.self).toBeNull();
+    expect(decoded._data.parent).toBeNull();
+    expect(decoded.id).toEqual(id);
+    expect(decoded._data.id).toEqual(id);
+  });
+
+  test('restores whatsapp-web.js classes with their prototype', () => {
+    const media = new MessageMedia('image/png', 'aGVsbG8=', 'a.png');
+    const message = createMessage({
+      id: { _serialized: 'false_123@c.us_ABC' },
+      body: 'Hallo',
+      location: new Location(52.52, 13.4, { name: 'Berlin' }),
+      timestamp: 1714564800
+    });
+
+    const [decodedMedia, decodedMessage] = roundTrip([media, message]);
+
+    expect(encode(media)).toMatchObject({ $wa: 'MessageMedia' });
+    expect(decodedMedia).toBeInstanceOf(MessageMedia);
+    expect(decodedMedia).toEqual(media);
+    expect(decodedMessage).toBeInstanceOf(Message);
+    expect(decodedMessage.location).toBeInstanceOf(Location);
+    expect(decodedMessage.location.latitude).toBe(52.52);
+    expect(decodedMessage.body).toBe('Hallo');
+  });
+
+  test('calls wrap for every restored object', () => {
+    const wrapped = [];
+    roundTrip({ list: [createMessage({ id: { _serialized: 'x' } })], media: new MessageMedia('text/plain', 'YQ==') },
+      (object, className) => wrapped.push(className));
+
+    expect(wrapped.sort()).toEqual(['Message', 'MessageMedia']);
+  });
+
+  test('rejects unknown classes', () => {
+    expect(() => decode({ $wa: 'Client', fields: {} })).toThrow("Unknown whatsapp-web.js class 'Client'");
+    expect(() => decode({ $wa: 'constructor', fields: {} })).toThrow('Unknown whatsapp-web.js class');
+  });
+
+  test('encodeError keeps status and code of AppErrors', () => {
+    expect(encodeError(new AppError('Chat not found', 404, 'NOT_FOUND'))).toEqual({
+      name: 'Error',
+      message: 'Chat not found',
+      code: 'NOT_FOUND',
+      statusCode: 404
+    });
+    expect(encodeError(new TypeError('boom'))).toEqual({ name: 'TypeError', message: 'boom', code: null, statusCode: null });
+  });
+});
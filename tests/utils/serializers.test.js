@@ -0,0 +1,164 @@
+const { Message: WAMessage, GroupChat, Contact } = require('whatsapp-web.js');
+const Message = require('../../models/Message');
+const {
+  DTO_VERSION,
+  ackToStatus,
+  serializeMessage,
+  serializeStoredMessage,
+  serializeResult
+} = require('../../utils/serializers');
+
+// whatsapp-web.js Objekte ohne Browser (nur Felder, Prototyp für instanceof)
+const createWA = (Class, fields) => Object.assign(Object.create(Class.prototype), fields);
+
+const CHAT_ID = '491701234567@c.us';
+const ME = '491709999999@c.us';
+
+const createMessage = (fields = {}) => createWA(WAMessage, {
+  id: { fromMe: false, remote: CHAT_ID, id: '3EB0ABCDEF', _serialized: `false_${CHAT_ID}_3EB0ABCDEF` },
+  from: CHAT_ID,
+  to: ME,
+  fromMe: false,
+  type: 'chat',
+  body: 'Hallo',
+  timestamp: 1714564800,
+  ack: 1,
+  hasMedia: false,
+  hasQuotedMsg: false,
+  mentionedIds: [],
+  _data: {},
+  client: { pupPage: {} },
+  ...fields
+});
+
+// Wie beim Speichern: fieldsFromWhatsApp -> Message-Dokument
+const store = (waMessage) => new Message({
+  instanceId: 'inst_1',
+  userId: '6ad6781534d5333ee6d4020a',
+  ...Message.fieldsFromWhatsApp(waMessage)
+});
+
+describe('serializers', () => {
+  test('serializes a message into the documented DTO', () => {
+    const dto = serializeMessage(createMessage({ ack: 2, mentionedIds: [{ _serialized: ME }] }));
+
+    expect(dto).toEqual({
+      object: 'message',
+      version: DTO_VERSION,
+      id: `false_${CHAT_ID}_3EB0ABCDEF`,
+      chatId: CHAT_ID,
+      from: CHAT_ID,
+      to: ME,
+      author: null,
+      fromMe: false,
+      isGroup: false,
+      type: 'chat',
+      body: 'Hallo',
+      timestamp: '2024-05-01T12:00:00.000Z',
+      ack: 2,
+      status: 'delivered',
+      media: null,
+      quotedMsgId: null,
+      mentionedIds: [ME],
+      isForwarded: false,
+      forwardingScore: 0,
+      isStarred: false,
+      isStatus: false,
+      location: null,
+      vCards: []
+    });
+  });
+
+  test('uses the recipient as chat of sent messages', () => {
+    const dto = serializeMessage(createMessage({ fromMe: true, from: ME, to: '120363012345678901@g.us' }));
+
+    expect(dto.chatId).toBe('120363012345678901@g.us');
+    expect(dto.isGroup).toBe(true);
+  });
+
+  test('stores the serialized id as waMessageId, the short id as messageId', () => {
+    const fields = Message.fieldsFromWhatsApp(createMessage());
+
+    expect(fields.waMessageId).toBe(`false_${CHAT_ID}_3EB0ABCDEF`);
+    expect(fields.messageId).toBe('3EB0ABCDEF');
+  });
+
+  test.each([
+    ['a text message', {}],
+    ['a voice note', { type: 'ptt', hasMedia: true, body: '', _data: { mimetype: 'audio/ogg; codecs=opus', size: 4096 } }],
+    ['an image with caption and quote', {
+      type: 'image',
+      hasMedia: true,
+      body: 'Foto',
+      hasQuotedMsg: true,
+      _data: { mimetype: 'image/jpeg', filename: 'a.jpg', size: 1024, quotedStanzaID: '3EB0QUOTED' }
+    }],
+    ['a location', { type: 'location', body: '', location: { latitude: '52.52', longitude: '13.4', description: 'Berlin' } }],
+    ['a contact card', { type: 'multi_vcard', body: '', vCards: ['BEGIN:VCARD', 'BEGIN:VCARD'] }],
+    ['a revoked message', { type: 'revoked', body: '' }]
+  ])('gives %s the same DTO live and stored', (label, fields) => {
+    const waMessage = createMessage(fields);
+
+    expect(store(waMessage).toDTO()).toEqual(serializeMessage(waMessage));
+  });
+
+  test('maps ack codes to statuses', () => {
+    expect([-1, 0, 1, 2, 3, 4, undefined].map(ackToStatus))
+      .toEqual(['failed', 'pending', 'sent', 'delivered', 'read', 'read', 'pending']);
+  });
+
+  test('fills media urls only from stored messages', () => {
+    const doc = store(createMessage({ type: 'image', hasMedia: true, _data: { mimetype: 'image/png' } }));
+    doc.media.mediaUrl = '/api/media/med_1/download';
+
+    expect(serializeStoredMessage(doc).media).toEqual({
+      mimetype: 'image/png',
+      filename: null,
+      filesize: null,
+      url: '/api/media/med_1/download',
+      thumbnailUrl: null
+    });
+  });
+
+  describe('serializeResult', () => {
+    test('serializes groups with participants', () => {
+      const group = createWA(GroupChat, {
+        id: { _serialized: '120363012345678901@g.us' },
+        name: 'Team',
+        isGroup: true,
+        timestamp: 1714564800,
+        groupMetadata: {
+          owner: { _serialized: ME },
+          creation: 1714564800,
+          desc: 'Intern',
+          participants: [{ id: { _serialized: CHAT_ID }, isAdmin: true, isSuperAdmin: false }]
+        },
+        lastMessage: createMessage()
+      });
+
+      expect(serializeResult(group)).toMatchObject({
+        object: 'group',
+        id: '120363012345678901@g.us',
+        owner: ME,
+        createdAt: '2024-05-01T12:00:00.000Z',
+        description: 'Intern',
+        participants: [{ id: CHAT_ID, isAdmin: true, isSuperAdmin: false }],
+        lastMessage: { object: 'message', id: `false_${CHAT_ID}_3EB0ABCDEF` }
+      });
+    });
+
+    test('serializes arrays of contacts', () => {
+      const contact = createWA(Contact, { id: { _serialized: CHAT_ID }, number: '491701234567', isMyContact: true });
+
+      expect(serializeResult([contact])).toEqual([expect.objectContaining({ object: 'contact', id: CHAT_ID, isMyContact: true })]);
+    });
+
+    test('strips client references, private fields and cycles from plain results', () => {
+      const value = { ok: true, client: {}, _internal: 1, at: new Date('2024-05-01T12:00:00.000Z'), id: { _serialized: CHAT_ID } };
+      value.self = value;
+
+      expect(serializeResult(value)).toEqual({ ok: true, at: '2024-05-01T12:00:00.000Z', id: CHAT_ID, self: null });
+      expect(serializeResult(undefined)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const totp = require('../../utils/totp');
+const User = require('../../models/User');
+
+// RFC 6238 Anhang B / RFC 4226 Anhang D: Secret "12345678901234567890" (ASCII)
+const RFC_SECRET = Buffer.from('12345678901234567890');
+const RFC_SECRET_BASE32 = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  test('base32 round trip matches the RFC secret', () => {
+    expect(totp.base32Encode(RFC_SECRET)).toBe(RFC_SECRET_BASE32);
+    expect(totp.base32Decode(RFC_SECRET_BASE32).equals(RFC_SECRET)).toBe(true);
+    expect(totp.base32Decode('gezd gnbv-gy3t')).toEqual(totp.base32Decode('GEZDGNBVGY3T'));
+    expect(() => totp.base32Decode('GEZD1')).toThrow('Invalid base32 character');
+  });
+
+  test('HOTP matches the RFC 4226 test values', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+    expected.forEach((code, counter) => {
+      expect(totp.hotp(RFC_SECRET, counter)).toBe(code);
+    });
+  });
+
+  test.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ])('TOTP (SHA-1) at %i s is %s', (seconds, code) => {
+    const time = seconds * 1000;
+    expect(totp.generate(RFC_SECRET, { time, digits: 8 })).toBe(code);
+    expect(totp.generate(RFC_SECRET_BASE32, { time, digits: 8 })).toBe(code);
+    expect(totp.verify(code, RFC_SECRET, { time, digits: 8 })).toBe(totp.timeStep(time));
+  });
+
+  test('verify accepts one step of clock drift and rejects everything else', () => {
+    const time = 1111111111 * 1000;
+    const step = totp.timeStep(time);
+    const codeAt = (offset) => totp.hotp(RFC_SECRET, step + offset);
+
+    expect(totp.verify(codeAt(-1), RFC_SECRET, { time })).toBe(step - 1);
+    expect(totp.verify(codeAt(1), RFC_SECRET, { time })).toBe(step + 1);
+    expect(totp.verify(codeAt(2), RFC_SECRET, { time })).toBeNull();
+    expect(totp.verify(codeAt(0).slice(1), RFC_SECRET, { time })).toBeNull();
+    expect(totp.verify('abcdef', RFC_SECRET, { time })).toBeNull();
+    expect(totp.verify(undefined, RFC_SECRET, { time })).toBeNull();
+  });
+
+  test('keyUri follows the Key URI format', () => {
+    const uri = totp.keyUri({ secret: RFC_SECRET_BASE32, label: 'alice@example.com', issuer: 'WhatsApp Manager' });
+    expect(uri).toBe(
+      'otpauth://totp/WhatsApp%20Manager:alice%40example.com' +
+      `?secret=${RFC_SECRET_BASE32}&issuer=WhatsApp+Manager&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
+
+describe('User#verifyTwoFactorCode', () => {
+  let lastUsedStep;
+
+  beforeEach(() => {
+    lastUsedStep = null;
+
+    // Bedingtes Update wie in MongoDB: nur Zeitschritte nach dem zuletzt verwendeten
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      const step = filter.$or[0]['twoFactor.lastUsedStep'].$lt;
+      if (lastUsedStep !== null && lastUsedStep >= step) return { modifiedCount: 0 };
+      lastUsedStep = update['twoFactor.lastUsedStep'];
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  const createUser = () => new User({
+    username: 'alice',
+    email: 'alice@example.com',
+    twoFactor: { enabled: true, secret: RFC_SECRET_BASE32 }
+  });
+
+  test('accepts each code only once', async () => {
+    jest.useFakeTimers({ now: 1111111111 * 1000 });
+    const user = createUser();
+    const code = totp.generate(RFC_SECRET_BASE32);
+
+    expect(await user.verifyTwoFactorCode(code)).toBe(true);
+    expect(await user.verifyTwoFactorCode(code)).toBe(false);
+  });
+
+  test('rejects older codes once a newer one was used', async () => {
+    const time = 1111111111 * 1000;
+    jest.useFakeTimers({ now: time });
+    const user = createUser();
+    const previous = totp.generate(RFC_SECRET_BASE32, { time: time - 30000 });
+    const current = totp.generate(RFC_SECRET_BASE32);
+
+    expect(await user.verifyTwoFactorCode(current)).toBe(true);
+    expect(await user.verifyTwoFactorCode(previous)).toBe(false);
+
+    jest.setSystemTime(time + 30000);
+    expect(await user.verifyTwoFactorCode(totp.generate(RFC_SECRET_BASE32))).toBe(true);
+  });
+
+  test('rejects wrong codes without touching the replay marker', async () => {
+    jest.useFakeTimers({ now: 1111111111 * 1000 });
+    const user = createUser();
+
+    expect(await user.verifyTwoFactorCode('000000')).toBe(false);
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+});
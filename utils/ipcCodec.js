@@ -0,0 +1,105 @@
+const WA = require('whatsapp-web.js');
+
+/**
+ * Kodierung von Werten für die IPC-Verbindung zu den WhatsApp-Workern (siehe services/WorkerClient)
+ *
+ * IPC überträgt nur JSON. whatsapp-web.js Objekte (Message, Chat, MessageMedia, ...) werden mit
+ * Klassennamen übertragen und auf der Gegenseite mit demselben Prototyp wiederhergestellt, damit
+ * `instanceof`-Prüfungen (serializeResult, sendMessage mit MessageMedia) unverändert funktionieren.
+ * Die Client-Referenz der Objekte wird nicht übertragen - Methoden, die den Browser brauchen,
+ * hängt der Empfänger über `wrap` an.
+ */
+
+const WA_CLASSES = [
+  'Message', 'Chat', 'PrivateChat', 'GroupChat', 'Channel', 'Contact', 'PrivateContact', 'BusinessContact',
+  'ClientInfo', 'MessageMedia', 'Location', 'Poll', 'ScheduledEvent', 'ProductMetadata', 'List', 'Buttons', 'Broadcast'
+].filter(name => typeof WA[name] === 'function');
+
+const waClassName = (value) => {
+  const name = value.constructor && value.constructor.name;
+  return WA_CLASSES.includes(name) && WA[name] === value.constructor ? name : null;
+};
+
+/**
+ * Wert in JSON-taugliche Form bringen
+ */
+function encode(value, ancestors = new Set()) {
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' ? undefined : value;
+  }
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (Buffer.isBuffer(value)) return { $buffer: value.toString('base64') };
+
+  // Nur echte Zyklen abschneiden - geteilte Referenzen (z.B. message.id und message._data.id) bleiben
+  if (ancestors.has(value)) return null;
+  ancestors.add(value);
+
+  try {
+    if (Array.isArray(value)) {
+      return value.map(item => encode(item, ancestors));
+    }
+
+    const fields = {};
+    for (const [key, item] of Object.entries(value)) {
+      const encoded = encode(item, ancestors);
+      if (encoded !== undefined) fields[key] = encoded;
+    }
+
+    const className = waClassName(value);
+    return className ? { $wa: className, fields } : fields;
+  } finally {
+    ancestors.delete(value);
+  }
+}
+
+/**
+ * Kodierten Wert wiederherstellen
+ *
+ * whatsapp-web.js Objekte bekommen ihren Prototyp, aber keinen Client: Prototyp-Methoden, die den
+ * Browser brauchen (reply, react, getInfo, ...), funktionieren nur, wenn `wrap` sie ersetzt.
+ * WorkerClient leitet bei Nachrichten nur MESSAGE_METHODS (services/whatsappWorker) an den Worker
+ * weiter und lässt alle anderen mit WORKER_METHOD_UNSUPPORTED scheitern.
+ * @param {*} value
+ * @param {(object: Object, className: string) => void} [wrap] für wiederhergestellte whatsapp-web.js Objekte
+ */
+function decode(value, wrap = null) {
+  if (value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => decode(item, wrap));
+
+  if (typeof value.$date === 'string') return new Date(value.$date);
+  if (typeof value.$buffer === 'string') return Buffer.from(value.$buffer, 'base64');
+
+  if (value.$wa) {
+    if (!WA_CLASSES.includes(value.$wa)) {
+      throw new Error(`Unknown whatsapp-web.js class '${value.$wa}'`);
+    }
+    const object = Object.assign(Object.create(WA[value.$wa].prototype), decode(value.fields, wrap));
+    if (wrap) wrap(object, value.$wa);
+    return object;
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = decode(item, wrap);
+  }
+  return result;
+}
+
+/**
+ * Fehler übertragen (AppError-Felder bleiben erhalten)
+ */
+function encodeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code || null,
+    statusCode: error.statusCode || null
+  };
+}
+
+module.exports = {
+  WA_CLASSES,
+  encode,
+  decode,
+  encodeError
+};
@@ -0,0 +1,355 @@
+const {
+  Message: WAMessage,
+  Chat: WAChat,
+  GroupChat: WAGroupChat,
+  Contact: WAContact,
+  ClientInfo: WAClientInfo,
+  MessageMedia: WAMessageMedia
+} = require('whatsapp-web.js');
+
+/**
+ * Serialisierung von whatsapp-web.js Objekten in stabile JSON-DTOs
+ *
+ * Alle DTOs tragen `object` (Typ) und `version` (Schema-Version). Bei inkompatiblen
+ * Änderungen wird DTO_VERSION erhöht. Proxy, Webhooks und gespeicherte Nachrichten
+ * (Message-Model) liefern dieselben Formen.
+ */
+
+const DTO_VERSION = 1;
+
+// WhatsApp ACK-Codes -> Nachrichtenstatus
+const ACK_STATUS = {
+  '-1': 'failed',
+  0: 'pending',
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'read' // played (Sprachnachrichten/Videos)
+};
+
+const ackToStatus = (ack) => ACK_STATUS[ack] || 'pending';
+
+// Unix-Sekunden oder Date -> ISO-String
+const toISO = (value) => {
+  if (value === undefined || value === null) return null;
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+// ContactId/ChatId/MessageId-Objekte ({ _serialized }) -> String
+const serializeId = (id) => {
+  if (!id) return null;
+  if (typeof id === 'string') return id;
+  return id._serialized || null;
+};
+
+const isGroupId = (id) => typeof id === 'string' && id.endsWith('@g.us');
+
+/**
+ * @typedef {Object} MessageDTO
+ * @property {'message'} object
+ * @property {number} version
+ * @property {string} id            Serialisierte WhatsApp-ID (z.B. true_4917...@c.us_3EB0...)
+ * @property {string} chatId        Chat der Nachricht (Gegenüber bzw. Gruppe)
+ * @property {string} from
+ * @property {string} to
+ * @property {string|null} author   Absender innerhalb einer Gruppe
+ * @property {boolean} fromMe
+ * @property {boolean} isGroup
+ * @property {string} type          whatsapp-web.js MessageTypes (chat, image, ...)
+ * @property {string} body
+ * @property {string} timestamp     ISO-8601
+ * @property {number} ack           -1..4
+ * @property {string} status        failed|pending|sent|delivered|read|deleted
+ * @property {{mimetype: string, filename: string|null, filesize: number|null, url: string|null, thumbnailUrl: string|null}|null} media
+ * @property {string|null} quotedMsgId
+ * @property {string[]} mentionedIds
+ * @property {boolean} isForwarded
+ * @property {number} forwardingScore
+ * @property {boolean} isStarred
+ * @property {boolean} isStatus
+ * @property {{latitude: number, longitude: number, name: string|null, address: string|null, url: string|null}|null} location
+ * @property {string[]} vCards
+ */
+
+/**
+ * whatsapp-web.js Message -> MessageDTO
+ * @returns {MessageDTO}
+ */
+function serializeMessage(message) {
+  const data = message._data || {};
+  const chatId = message.fromMe ? message.to : message.from;
+
+  return {
+    object: 'message',
+    version: DTO_VERSION,
+    id: serializeId(message.id),
+    chatId,
+    from: message.from,
+    to: message.to,
+    author: message.author || null,
+    fromMe: Boolean(message.fromMe),
+    isGroup: isGroupId(chatId),
+    type: message.type,
+    body: message.body || '',
+    timestamp: toISO(message.timestamp),
+    ack: typeof message.ack === 'number' ? message.ack : 0,
+    status: message.type === 'revoked' ? 'deleted' : ackToStatus(message.ack),
+    media: message.hasMedia ? {
+      mimetype: data.mimetype || null,
+      filename: data.filename || null,
+      filesize: data.size || data.filesize || null,
+      url: null,
+      thumbnailUrl: null
+    } : null,
+    quotedMsgId: message.hasQuotedMsg ? (data.quotedStanzaID || null) : null,
+    mentionedIds: (message.mentionedIds || []).map(serializeId),
+    isForwarded: Boolean(message.isForwarded),
+    forwardingScore: message.forwardingScore || 0,
+    isStarred: Boolean(message.isStarred),
+    isStatus: Boolean(message.isStatus),
+    location: message.location ? {
+      latitude: Number(message.location.latitude),
+      longitude: Number(message.location.longitude),
+      name: message.location.name || message.location.description || null,
+      address: message.location.address || null,
+      url: message.location.url || null
+    } : null,
+    vCards: message.vCards || []
+  };
+}
+
+/**
+ * Gespeicherte Nachricht (Message-Model) -> MessageDTO
+ * @returns {MessageDTO}
+ */
+function serializeStoredMessage(doc) {
+  const hasLocation = doc.location && doc.location.latitude !== undefined && doc.location.latitude !== null;
+
+  return {
+    object: 'message',
+    version: DTO_VERSION,
+    id: doc.waMessageId,
+    chatId: doc.chatId,
+    from: doc.from,
+    to: doc.to,
+    author: doc.author || null,
+    fromMe: Boolean(doc.isFromMe),
+    isGroup: isGroupId(doc.chatId),
+    // Model normalisiert den Typ (ptt -> voice) - im DTO wie live der whatsapp-web.js Typ
+    type: doc.metadata?.waType || doc.type,
+    body: doc.body || '',
+    timestamp: toISO(doc.timestamp),
+    ack: typeof doc.ack === 'number' ? doc.ack : 0,
+    status: doc.status || ackToStatus(doc.ack),
+    media: doc.media?.hasMedia ? {
+      mimetype: doc.media.mimetype || null,
+      filename: doc.media.filename || null,
+      filesize: doc.media.filesize || null,
+      url: doc.media.mediaUrl || null,
+      thumbnailUrl: doc.media.thumbnailUrl || null
+    } : null,
+    quotedMsgId: doc.hasQuotedMsg ? (doc.quotedMsgId || null) : null,
+    mentionedIds: doc.mentionedIds ? Array.from(doc.mentionedIds) : [],
+    isForwarded: Boolean(doc.isForwarded),
+    forwardingScore: doc.forwardingScore || 0,
+    isStarred: Boolean(doc.isStarred),
+    isStatus: Boolean(doc.isStatus),
+    location: hasLocation ? {
+      latitude: doc.location.latitude,
+      longitude: doc.location.longitude,
+      name: doc.location.name || doc.location.description || null,
+      address: doc.location.address || null,
+      url: doc.location.url || null
+    } : null,
+    vCards: doc.vCards ? Array.from(doc.vCards) : []
+  };
+}
+
+/**
+ * @typedef {Object} ContactDTO
+ * @property {'contact'} object
+ * @property {number} version
+ * @property {string} id
+ * @property {string|null} number
+ * @property {string|null} name        Name im Adressbuch
+ * @property {string|null} pushname    Vom Kontakt selbst gesetzter Name
+ * @property {string|null} shortName
+ * @property {boolean} isBusiness
+ * @property {boolean} isEnterprise
+ * @property {boolean} isGroup
+ * @property {boolean} isMe
+ * @property {boolean} isMyContact
+ * @property {boolean} isUser
+ * @property {boolean} isWAContact
+ * @property {boolean} isBlocked
+ */
+
+/**
+ * whatsapp-web.js Contact -> ContactDTO
+ * @returns {ContactDTO}
+ */
+function serializeContact(contact) {
+  return {
+    object: 'contact',
+    version: DTO_VERSION,
+    id: serializeId(contact.id),
+    number: contact.number || null,
+    name: contact.name || null,
+    pushname: contact.pushname || null,
+    shortName: contact.shortName || null,
+    isBusiness: Boolean(contact.isBusiness),
+    isEnterprise: Boolean(contact.isEnterprise),
+    isGroup: Boolean(contact.isGroup),
+    isMe: Boolean(contact.isMe),
+    isMyContact: Boolean(contact.isMyContact),
+    isUser: Boolean(contact.isUser),
+    isWAContact: Boolean(contact.isWAContact),
+    isBlocked: Boolean(contact.isBlocked)
+  };
+}
+
+/**
+ * @typedef {Object} ChatDTO
+ * @property {'chat'|'group'} object
+ * @property {number} version
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} isGroup
+ * @property {boolean} isReadOnly
+ * @property {boolean} isMuted
+ * @property {string|null} muteExpiration  ISO-8601
+ * @property {boolean} archived
+ * @property {boolean} pinned
+ * @property {number} unreadCount
+ * @property {string|null} timestamp       ISO-8601 der letzten Aktivität
+ * @property {MessageDTO|null} lastMessage
+ */
+
+/**
+ * whatsapp-web.js Chat -> ChatDTO
+ * @returns {ChatDTO}
+ */
+function serializeChat(chat) {
+  return {
+    object: 'chat',
+    version: DTO_VERSION,
+    id: serializeId(chat.id),
+    name: chat.name || '',
+    isGroup: Boolean(chat.isGroup),
+    isReadOnly: Boolean(chat.isReadOnly),
+    isMuted: Boolean(chat.isMuted),
+    muteExpiration: chat.muteExpiration > 0 ? toISO(chat.muteExpiration) : null,
+    archived: Boolean(chat.archived),
+    pinned: Boolean(chat.pinned),
+    unreadCount: chat.unreadCount || 0,
+    timestamp: toISO(chat.timestamp),
+    lastMessage: chat.lastMessage ? serializeMessage(chat.lastMessage) : null
+  };
+}
+
+/**
+ * @typedef {ChatDTO} GroupDTO
+ * @property {'group'} object
+ * @property {string|null} owner
+ * @property {string|null} createdAt   ISO-8601
+ * @property {string} description
+ * @property {{id: string, isAdmin: boolean, isSuperAdmin: boolean}[]} participants
+ */
+
+/**
+ * whatsapp-web.js GroupChat -> GroupDTO
+ * @returns {GroupDTO}
+ */
+function serializeGroupChat(group) {
+  return {
+    ...serializeChat(group),
+    object: 'group',
+    owner: serializeId(group.owner),
+    createdAt: toISO(group.createdAt),
+    description: group.description || '',
+    participants: (group.participants || []).map(participant => ({
+      id: serializeId(participant.id),
+      isAdmin: Boolean(participant.isAdmin),
+      isSuperAdmin: Boolean(participant.isSuperAdmin)
+    }))
+  };
+}
+
+/**
+ * whatsapp-web.js MessageMedia -> MediaDTO (inkl. base64-Daten)
+ */
+function serializeMedia(media) {
+  return {
+    object: 'media',
+    version: DTO_VERSION,
+    mimetype: media.mimetype,
+    filename: media.filename || null,
+    filesize: media.filesize || null,
+    data: media.data
+  };
+}
+
+/**
+ * whatsapp-web.js ClientInfo -> ClientInfoDTO
+ */
+function serializeClientInfo(info) {
+  return {
+    object: 'client_info',
+    version: DTO_VERSION,
+    wid: serializeId(info.wid),
+    pushname: info.pushname || null,
+    platform: info.platform || null
+  };
+}
+
+/**
+ * Beliebiges Proxy-Ergebnis serialisieren
+ * Erkennt whatsapp-web.js Klassen, entfernt Client-/Puppeteer-Referenzen und Zyklen
+ */
+function serializeResult(value, seen = new WeakSet()) {
+  if (value === undefined) return null;
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+
+  if (value instanceof WAMessage) return serializeMessage(value);
+  if (value instanceof WAGroupChat) return serializeGroupChat(value);
+  if (value instanceof WAChat) return serializeChat(value);
+  if (value instanceof WAContact) return serializeContact(value);
+  if (value instanceof WAClientInfo) return serializeClientInfo(value);
+  if (value instanceof WAMessageMedia) return serializeMedia(value);
+
+  // ID-Objekte ({ server, user, _serialized })
+  if (typeof value._serialized === 'string') return value._serialized;
+
+  if (seen.has(value)) return null;
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => serializeResult(item, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    // Interne Felder und Client-Referenzen nicht ausliefern
+    if (key.startsWith('_') || key === 'client' || typeof item === 'function') continue;
+    result[key] = serializeResult(item, seen);
+  }
+  return result;
+}
+
+module.exports = {
+  DTO_VERSION,
+  ACK_STATUS,
+  ackToStatus,
+  serializeId,
+  serializeMessage,
+  serializeStoredMessage,
+  serializeContact,
+  serializeChat,
+  serializeGroupChat,
+  serializeMedia,
+  serializeClientInfo,
+  serializeResult
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { createReadStream } = require('fs');
+const tar = require('tar');
+
+/**
+ * tar.gz-Archive von LocalAuth-Session-Ordnern (./sessions/<instanceId>)
+ *
+ * Gemeinsam genutzt von SessionVault (Verschlüsselung im Ruhezustand) und
+ * SessionBackupService. Archive enthalten nur Dateien und Ordner unterhalb von <instanceId>/.
+ */
+
+// Chrome-Caches und Lock-Dateien gehören nicht zur Anmeldung - werden neu erzeugt
+const EXCLUDED_DIRS = new Set([
+  'Cache', 'Code Cache', 'GPUCache', 'DawnCache', 'GraphiteDawnCache', 'GrShaderCache',
+  'ShaderCache', 'Crashpad', 'CacheStorage', 'component_crx_cache'
+]);
+const EXCLUDED_FILES = /^Singleton(Lock|Cookie|Socket)$/;
+
+function isExcluded(entryPath) {
+  const segments = entryPath.split(/[\\/]/).filter(Boolean);
+  return segments.some(segment => EXCLUDED_DIRS.has(segment)) ||
+    EXCLUDED_FILES.test(segments[segments.length - 1] || '');
+}
+
+// Nur Einträge der eigenen Instanz (keine Links, keine fremden Pfade)
+function isSessionEntry(instanceId, entryPath, type) {
+  return (entryPath === instanceId || entryPath.startsWith(`${instanceId}/`)) &&
+    ['File', 'Directory'].includes(type);
+}
+
+/**
+ * Session-Ordner <sessionsDir>/<instanceId> nach `file` packen
+ * @returns {Promise<number>} Anzahl archivierter Dateien
+ */
+async function pack({ sessionsDir, instanceId, file }) {
+  let fileCount = 0;
+  await tar.c({
+    gzip: true,
+    file,
+    cwd: sessionsDir,
+    portable: true,
+    filter: (entryPath, stat) => {
+      if (isExcluded(entryPath)) return false;
+      if (stat.isFile()) fileCount++;
+      return stat.isFile() || stat.isDirectory();
+    }
+  }, [instanceId]);
+  return fileCount;
+}
+
+/**
+ * Archiv nach `cwd` entpacken (ergibt <cwd>/<instanceId>)
+ * @returns {Promise<number>} Anzahl entpackter Dateien
+ */
+async function unpack({ file, cwd, instanceId }) {
+  let fileCount = 0;
+  await tar.x({
+    file,
+    cwd,
+    strict: true,
+    filter: (entryPath, entry) => {
+      const allowed = isSessionEntry(instanceId, entryPath, entry.type);
+      if (allowed && entry.type === 'File') fileCount++;
+      return allowed;
+    }
+  });
+  return fileCount;
+}
+
+/**
+ * Dateien eines Archivs zählen, ohne zu entpacken
+ */
+async function countFiles({ file, instanceId }) {
+  let fileCount = 0;
+  await tar.t({
+    file,
+    strict: true,
+    onentry: (entry) => {
+      if (entry.type === 'File' && isSessionEntry(instanceId, entry.path, entry.type)) fileCount++;
+    }
+  });
+  return fileCount;
+}
+
+function sha256File(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+module.exports = {
+  isExcluded,
+  pack,
+  unpack,
+  countFiles,
+  sha256File
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP (RFC 6238) / HOTP (RFC 4226) ohne externe Abhängigkeiten
+ *
+ * Secrets werden wie bei Authenticator-Apps üblich Base32-kodiert (RFC 4648, ohne Padding)
+ * gespeichert und ausgetauscht.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULTS = {
+  step: 30,        // Sekunden pro Zeitschritt
+  digits: 6,
+  algorithm: 'sha1',
+  window: 1        // erlaubte Abweichung in Zeitschritten (Uhrendrift)
+};
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character '${char}'`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Zufälliges Secret (Base32) - 20 Bytes = 160 Bit wie von RFC 4226 empfohlen
+ */
+function generateSecret(bytes = 20) {
+  return base32Encode(crypto.randomBytes(bytes));
+}
+
+/**
+ * HOTP-Wert für einen Zähler
+ * @param {Buffer} key - Roh-Secret
+ */
+function hotp(key, counter, { digits = DEFAULTS.digits, algorithm = DEFAULTS.algorithm } = {}) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(counterBuffer).digest();
+
+  // Dynamic Truncation (RFC 4226, 5.3)
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+function timeStep(time = Date.now(), step = DEFAULTS.step) {
+  return Math.floor(time / 1000 / step);
+}
+
+/**
+ * TOTP-Code für einen Zeitpunkt
+ * @param {string|Buffer} secret - Base32-String oder Roh-Secret
+ * @param {Object} options - time (ms), step, digits, algorithm
+ */
+function generate(secret, options = {}) {
+  const { time = Date.now(), step = DEFAULTS.step } = options;
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  return hotp(key, timeStep(time, step), options);
+}
+
+/**
+ * Code prüfen (konstante Vergleichszeit)
+ * @returns {number|null} Zeitschritt des passenden Codes (für Replay-Schutz) oder null
+ */
+function verify(token, secret, options = {}) {
+  const {
+    time = Date.now(),
+    step = DEFAULTS.step,
+    digits = DEFAULTS.digits,
+    window = DEFAULTS.window
+  } = options;
+
+  const code = String(token || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(code) || code.length !== digits) return null;
+
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  const current = timeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const counter = current + offset;
+    if (counter < 0) continue;
+
+    const expected = hotp(key, counter, options);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return counter;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * otpauth:// URI für QR-Codes (Google Authenticator Key URI Format)
+ */
+function keyUri({ secret, label, issuer, digits = DEFAULTS.digits, step = DEFAULTS.step, algorithm = DEFAULTS.algorithm }) {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: algorithm.toUpperCase(),
+    digits: String(digits),
+    period: String(step)
+  });
+
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(label)}?${params.toString()}`;
+}
+
+module.exports = {
+  DEFAULTS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  timeStep,
+  generate,
+  verify,
+  keyUri
+};